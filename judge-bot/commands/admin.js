@@ -2,15 +2,23 @@
  * @file admin.js - Administrative Management Command
  * @description Comprehensive Discord slash command providing administrative functionality for bot management.
  *              Includes user progress reset capabilities, hint management, detailed statistics reporting,
- *              and game analytics. Features confirmation dialogs for destructive operations, role-based
+ *              game analytics per game and per category, management of the reward delivery queue and events with their own leaderboards. Features confirmation dialogs for destructive operations, role-based
  *              access control, and comprehensive logging. Restricted to users with administrator permissions.
  * @version 1.1.0
  * @author gl0bal01
  * @since 2025-04-03
  */
-const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
-const { getUser, resetUserProgress, getGameStats, getAllGamesStats, getProgress, adminManageHints, getDetailedUserStats } = require('../services/database');
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ButtonBuilder, ButtonStyle, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { getUser, resetUserProgress, getGameStats, getAllGamesStats, getProgress, adminManageHints, getDetailedUserStats, clearSubmissionLockout, getSubmissions, countSubmissions, getBonuses, revokeBonus, getRewardJobs, getReward, getCompletedGameIds } = require('../services/database');
 const Validation = require('../utils/validation');
+const SubmissionLog = require('../utils/submission-log');
+const PointsCalculator = require('../services/points');
+const RewardService = require('../services/reward');
+const RewardQueue = require('../services/reward-queue');
+const SeriesService = require('../services/series');
+const EventService = require('../services/events');
+const GameSchedule = require('../utils/game-schedule');
+const GameTags = require('../utils/game-tags');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -50,6 +58,12 @@ module.exports = {
           // We'll add choices in the deploy-commands.js file
           return gameOption;
         })
+        .addStringOption(option =>
+          option.setName('category')
+            .setDescription('Only include games of this category in the all-games stats')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
     )
     .addSubcommand(subcommand =>
       subcommand
@@ -90,6 +104,215 @@ module.exports = {
             .setDescription('The user to view statistics for')
             .setRequired(true)
         )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('unlock')
+        .setDescription('Lift a user\'s submission lockout and reset their attempt limits')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('The user to unlock')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option.setName('game')
+            .setDescription('Game ID to unlock (leave empty to unlock all games)')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('rescore')
+        .setDescription('Recalculate dynamic scores for a game or all games')
+        .addStringOption(option =>
+          option.setName('game')
+            .setDescription('Game ID to rescore (leave empty to rescore all games)')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('submissions')
+        .setDescription('Browse the log of submitted answers')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('Only show submissions from this user')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('game')
+            .setDescription('Only show submissions for this game')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('result')
+            .setDescription('Only show correct or incorrect answers')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Correct', value: 'correct' },
+              { name: 'Incorrect', value: 'incorrect' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('bonuses')
+        .setDescription('Audit first-blood and early-solver bonuses')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('Only show bonuses of this user')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option.setName('game')
+            .setDescription('Only show bonuses for this game')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('revoke-bonus')
+        .setDescription('Revoke a solve bonus')
+        .addIntegerOption(option =>
+          option.setName('bonus_id')
+            .setDescription('Bonus ID (see /judge-admin bonuses)')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+        .addStringOption(option =>
+          option.setName('reason')
+            .setDescription('Reason for revoking the bonus')
+            .setRequired(true)
+            .setMaxLength(200)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('revoke')
+        .setDescription('Revoke the reward a user received for a game, series or event (Badgr assertion, role, badge file)')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('The user whose reward to revoke')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option.setName('game')
+            .setDescription('Game the reward was earned for')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('reason')
+            .setDescription('Reason for revoking the reward')
+            .setRequired(true)
+            .setMaxLength(200)
+        )
+        .addBooleanOption(option =>
+          option.setName('reset_progress')
+            .setDescription('Also reset the user\'s progress on this game')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reissue')
+        .setDescription('Issue a completed game\'s reward again, e.g. if the user lost it')
+        .addUserOption(option => 
+          option.setName('user')
+            .setDescription('The user to reissue the reward to')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option.setName('game')
+            .setDescription('Game the reward was earned for')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('rewards')
+        .setDescription('List reward deliveries that failed or are waiting, and retry, cancel or complete them')
+        .addStringOption(option =>
+          option.setName('action')
+            .setDescription('What to do (default: list)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'List open jobs', value: 'list' },
+              { name: 'Retry now (all failed and paused jobs if no job ID)', value: 'retry' },
+              { name: 'Cancel', value: 'cancel' },
+              { name: 'Mark as delivered', value: 'complete' }
+            )
+        )
+        .addIntegerOption(option =>
+          option.setName('job_id')
+            .setDescription('Reward job ID (see the list)')
+            .setRequired(false)
+            .setMinValue(1)
+        )
+        .addStringOption(option =>
+          option.setName('status')
+            .setDescription('Only list jobs with this status')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Failed', value: 'failed' },
+              { name: 'Paused', value: 'paused' },
+              { name: 'Retrying', value: 'pending' },
+              { name: 'Completed', value: 'completed' },
+              { name: 'Cancelled', value: 'cancelled' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('event')
+        .setDescription('Create or edit an event: a time window of games with its own leaderboard and rewards')
+        .addStringOption(option =>
+          option.setName('event_id')
+            .setDescription('ID of the event (letters, numbers, _ and -)')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('reward_type')
+            .setDescription('Reward for the top players (default: keep the current reward)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Digital Badge (Badgr)', value: 'badgr' },
+              { name: 'Open Badge (self-hosted)', value: 'openbadge' },
+              { name: 'Text Message', value: 'text' },
+              { name: 'Discord Role', value: 'role' },
+              { name: 'No reward', value: 'none' }
+            )
+        )
+        .addIntegerOption(option =>
+          option.setName('reward_top')
+            .setDescription('Number of top players rewarded when the event is archived (default: 3)')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(100)
+        )
+        .addStringOption(option =>
+          option.setName('scoring_profile')
+            .setDescription('Scoring profile for solves during the event (default: keep the current profile)')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('event-archive')
+        .setDescription('End an event: save its final standings, reward the top players and post the podium')
+        .addStringOption(option =>
+          option.setName('event_id')
+            .setDescription('Event to archive')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
     ),
 
   async autocomplete(interaction, { config, logger }) {
@@ -100,8 +323,22 @@ module.exports = {
         // Get all games from config
         const games = config.games || {};
         
+        // Series and events have rewards too, so they can be revoked and reissued
+        const subcommand = interaction.options.getSubcommand(false);
+        const entries = Object.entries(games);
+        if (subcommand === 'revoke' || subcommand === 'reissue') {
+          for (const [seriesId, series] of Object.entries(config.series || {})) {
+            entries.push([SeriesService.getRewardId(seriesId), { ...series, name: `📚 ${series.name}` }]);
+          }
+          for (const [eventId, event] of Object.entries(config.events || {})) {
+            if (event.reward_type) {
+              entries.push([EventService.getRewardId(eventId), { ...event, name: `🏆 ${event.name}` }]);
+            }
+          }
+        }
+        
         // Filter based on user input
-        const filtered = Object.entries(games)
+        const filtered = entries
           .filter(([gameId, game]) => 
             game.name.toLowerCase().includes(focusedOption.value.toLowerCase()) ||
             gameId.includes(focusedOption.value.toLowerCase())
@@ -117,10 +354,35 @@ module.exports = {
         logger.error(`Error in autocomplete: ${error.message}`);
         await interaction.respond([]);
       }
+    } else if (focusedOption.name === 'event_id') {
+      const search = focusedOption.value.toLowerCase();
+      const archiving = interaction.options.getSubcommand(false) === 'event-archive';
+      const choices = Object.entries(config.events || {})
+        .filter(([, event]) => !archiving || !event.archived)
+        .filter(([eventId, event]) => eventId.toLowerCase().includes(search) || String(event.name).toLowerCase().includes(search))
+        .slice(0, 25)
+        .map(([eventId, event]) => ({ name: `${event.name} (${eventId})`.substring(0, 100), value: eventId }));
+      
+      await interaction.respond(choices).catch(() => {});
+    } else if (focusedOption.name === 'category') {
+      const categories = GameTags.getCategories(config.games);
+      if (Object.values(config.games || {}).some(game => !GameTags.getCategory(game))) {
+        categories.push(GameTags.uncategorized);
+      }
+      
+      await interaction.respond(GameTags.getChoices(categories, focusedOption.value)).catch(() => {});
+    } else if (focusedOption.name === 'scoring_profile') {
+      const search = focusedOption.value.toLowerCase();
+      const choices = [...new PointsCalculator(config).getProfileNames(), 'none']
+        .filter(name => name.toLowerCase().includes(search))
+        .slice(0, 25)
+        .map(name => ({ name: name === 'none' ? 'No event profile' : name, value: name }));
+      
+      await interaction.respond(choices).catch(() => {});
     }
   },
   
-  async execute(interaction, { config, logger }) {
+  async execute(interaction, { client, config, logger, successAnnouncer }) {
     const userId = interaction.user.id;
     logger.info(`${interaction.user.tag} (${userId}) used /judge-admin`);
     
@@ -208,8 +470,24 @@ module.exports = {
             const result = await resetUserProgress(user.id, gameId);
             
             if (result.success) {
+              // Removing a solve raises the dynamic value for the remaining solvers
+              const pointsCalculator = new PointsCalculator(config);
+              if (gameId) {
+                await pointsCalculator.rescoreGame(gameId, config.games[gameId]);
+              } else {
+                await pointsCalculator.rescoreAllGames();
+              }
+              
+              // Take back reward roles earned with the reset progress
+              const rewardService = new RewardService(config, client);
+              const rolesRemoved = await rewardService.removeRoles(user, gameId, 'reset').catch(error => {
+                logger.error(`Error removing reward roles for ${targetUser.tag}: ${error.message}`);
+                return 0;
+              });
+              
               await i.update({
-                content: `✅ Successfully reset progress for ${targetUser.tag} ${gameId ? `for game "${config.games[gameId].name}"` : 'for all games'}.`,
+                content: `✅ Successfully reset progress for ${targetUser.tag} ${gameId ? `for game "${config.games[gameId].name}"` : 'for all games'}.` +
+                  (rolesRemoved > 0 ? ` Removed ${rolesRemoved} reward role${rolesRemoved === 1 ? '' : 's'}.` : ''),
                 components: []
               });
             } else {
@@ -235,6 +513,219 @@ module.exports = {
             }).catch(() => {});
           }
         });
+      } else if (subcommand === 'unlock') {
+        const targetUser = interaction.options.getUser('user');
+        const gameId = interaction.options.getString('game');
+        
+        // Validate game ID if provided
+        if (gameId && !Validation.isValidGameId(gameId, config)) {
+          await interaction.reply({
+            content: `❌ Invalid game ID: ${gameId}`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        // Get user from database
+        const user = await getUser(targetUser.id);
+        
+        if (!user) {
+          await interaction.reply({
+            content: `❌ User ${targetUser.tag} is not registered in the system.`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        const result = await clearSubmissionLockout(user.id, gameId);
+        
+        if (!result.success) {
+          await interaction.reply({
+            content: `❌ Error unlocking submissions: ${result.error}`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        logger.info(`${interaction.user.tag} cleared submission limits for ${targetUser.tag} ${gameId ? `on game ${gameId}` : 'on all games'}`);
+        
+        await interaction.reply({
+          content: `✅ Cleared submission limits for ${targetUser.tag} ${gameId ? `on "${config.games[gameId].name}"` : 'on all games'} ` +
+            `(${result.unlocked} active lockout${result.unlocked === 1 ? '' : 's'} lifted).`,
+          ephemeral: true
+        });
+      } else if (subcommand === 'rescore') {
+        const gameId = interaction.options.getString('game');
+        
+        // Validate game ID if provided
+        if (gameId && !Validation.isValidGameId(gameId, config)) {
+          await interaction.reply({
+            content: `❌ Invalid game ID: ${gameId}`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        const pointsCalculator = new PointsCalculator(config);
+        
+        if (!pointsCalculator.dynamicEnabled) {
+          await interaction.reply({
+            content: '❌ Dynamic scoring is disabled. Enable `points.dynamic` in bot.yaml first.',
+            ephemeral: true
+          });
+          return;
+        }
+        
+        if (gameId) {
+          const result = await pointsCalculator.rescoreGame(gameId, config.games[gameId]);
+          
+          if (!result.success) {
+            await interaction.reply({
+              content: `❌ Error rescoring game: ${result.error}`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          await interaction.reply({
+            content: `✅ Rescored "${config.games[gameId].name}": now worth ${result.value} base points, ${result.updated} solve(s) updated.`,
+            ephemeral: true
+          });
+        } else {
+          const updated = await pointsCalculator.rescoreAllGames();
+          
+          await interaction.reply({
+            content: `✅ Rescored all games: ${updated} solve(s) updated.`,
+            ephemeral: true
+          });
+        }
+        
+        logger.info(`${interaction.user.tag} rescored ${gameId || 'all games'}`);
+      } else if (subcommand === 'submissions') {
+        const targetUser = interaction.options.getUser('user');
+        const gameId = interaction.options.getString('game');
+        const result = interaction.options.getString('result');
+        
+        const filters = { gameId: gameId || undefined };
+        
+        if (result) {
+          filters.correct = result === 'correct';
+        }
+        
+        if (targetUser) {
+          const user = await getUser(targetUser.id);
+          
+          if (!user) {
+            await interaction.reply({
+              content: `❌ User ${targetUser.tag} is not registered in the system.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          filters.userId = user.id;
+        }
+        
+        const submissions = await getSubmissions(filters);
+        const total = await countSubmissions(filters);
+        
+        const filterText = [
+          targetUser ? `User: ${targetUser.tag}` : null,
+          gameId ? `Game: ${gameId}` : null,
+          result ? `Result: ${result}` : null
+        ].filter(Boolean).join(' • ');
+        
+        await SubmissionLog.show(interaction, {
+          submissions,
+          title: '📜 Submission Log',
+          description: filterText || 'All submissions',
+          total,
+          config
+        });
+      } else if (subcommand === 'bonuses') {
+        const targetUser = interaction.options.getUser('user');
+        const gameId = interaction.options.getString('game');
+        
+        const filters = { gameId: gameId || undefined };
+        
+        if (targetUser) {
+          const user = await getUser(targetUser.id);
+          
+          if (!user) {
+            await interaction.reply({
+              content: `❌ User ${targetUser.tag} is not registered in the system.`,
+              ephemeral: true
+            });
+            return;
+          }
+          
+          filters.userId = user.id;
+        }
+        
+        const bonuses = await getBonuses(filters);
+        
+        if (bonuses.length === 0) {
+          await interaction.reply({
+            content: '📭 No bonuses match these filters.',
+            ephemeral: true
+          });
+          return;
+        }
+        
+        const lines = bonuses.slice(0, 25).map(bonus => {
+          const gameName = config.games[bonus.game_id] ? config.games[bonus.game_id].name : bonus.game_id;
+          const label = bonus.bonus_type === 'first_blood' ? '🩸 First blood' : `⚡ Solve #${bonus.position}`;
+          const status = bonus.revoked ? ` ~~revoked: ${bonus.revoked_reason || 'no reason'}~~` : '';
+          return `\`#${bonus.id}\` ${label} · **${bonus.username}** · ${gameName} · +${bonus.points} · ` +
+            `<t:${SubmissionLog.toUnix(bonus.awarded_at)}:d>${status}`;
+        });
+        
+        const activePoints = bonuses
+          .filter(bonus => !bonus.revoked)
+          .reduce((sum, bonus) => sum + bonus.points, 0);
+        
+        const embed = new EmbedBuilder()
+          .setTitle('🩸 Solve Bonuses')
+          .setColor('#B71C1C')
+          .setDescription(lines.join('\n').substring(0, 4096))
+          .setFooter({
+            text: `Showing ${Math.min(bonuses.length, 25)} of ${bonuses.length} bonuses • ${activePoints} active bonus points • Revoke with /judge-admin revoke-bonus`
+          });
+        
+        await interaction.reply({
+          embeds: [embed],
+          ephemeral: true
+        });
+      } else if (subcommand === 'revoke-bonus') {
+        const bonusId = interaction.options.getInteger('bonus_id');
+        const reason = interaction.options.getString('reason');
+        
+        const result = await revokeBonus(bonusId, reason, userId);
+        
+        if (!result.success) {
+          await interaction.reply({
+            content: `❌ Error revoking bonus: ${result.error}`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        logger.info(`${interaction.user.tag} revoked bonus #${bonusId} (${result.bonus.bonus_type}, +${result.bonus.points}) on game ${result.bonus.game_id}: ${reason}`);
+        
+        await interaction.reply({
+          content: `✅ Revoked bonus #${bonusId} (+${result.bonus.points} points on ${result.bonus.game_id}). Reason: ${reason}`,
+          ephemeral: true
+        });
+      } else if (subcommand === 'rewards') {
+        await handleRewardJobs(interaction, client, config, logger);
+      } else if (subcommand === 'revoke') {
+        await handleRevokeReward(interaction, client, config, logger);
+      } else if (subcommand === 'reissue') {
+        await handleReissueReward(interaction, client, config, logger);
+      } else if (subcommand === 'event') {
+        await handleEventSettings(interaction, config, logger);
+      } else if (subcommand === 'event-archive') {
+        await handleEventArchive(interaction, client, config, logger, successAnnouncer);
       } else if (subcommand === 'manage-hints') {
         // Get parameters
         const targetUser = interaction.options.getUser('user');
@@ -389,6 +880,7 @@ module.exports = {
       const totalPoints = Number(userStats.overallStats.total_points || 0);
       const totalHints = Number(userStats.overallStats.total_hints || 0);
       const totalAttempts = Number(userStats.overallStats.total_attempts || 0);
+      const bonusPoints = Number(userStats.overallStats.bonus_points || 0);
       
       embed.addFields(
         { 
@@ -398,7 +890,7 @@ module.exports = {
         },
         { 
           name: 'Total Points', 
-          value: `${totalPoints}`, 
+          value: `${totalPoints}${bonusPoints ? ` (incl. ${bonusPoints} bonus)` : ''}`, 
           inline: true 
         },
         { 
@@ -493,6 +985,11 @@ module.exports = {
             details = `Hints: ${hintsUsed}, Attempts: ${attempts}`;
           }
           
+          // Show active submission lockouts
+          if (!progress.completed && progress.lockout_until && new Date(progress.lockout_until).getTime() > Date.now()) {
+            details += `\n🔒 Locked until <t:${Math.ceil(new Date(progress.lockout_until).getTime() / 1000)}:f>`;
+          }
+          
           embed.addFields({
             name: gameName,
             value: `${status}\n${details}`
@@ -579,7 +1076,7 @@ module.exports = {
               }
             )
             .setFooter({
-              text: `Game ID: ${gameId} | Difficulty: ${'⭐'.repeat(game.difficulty || 1)}`
+              text: `Game ID: ${gameId} | Difficulty: ${'⭐'.repeat(game.difficulty || 1)} | Category: ${GameTags.getCategory(game) || GameTags.uncategorized}`
             });
           
           await interaction.reply({
@@ -587,18 +1084,20 @@ module.exports = {
             ephemeral: true
           });
         } else {
-          // Show stats for all games
+          // Show stats for all games, or for the games of one category
+          const category = interaction.options.getString('category');
           const embed = new EmbedBuilder()
-            .setTitle('Stats for All Games')
+            .setTitle(category ? `Stats for ${category} Games`.substring(0, 256) : 'Stats for All Games')
             .setColor('#0099ff')
             .setDescription('Overview of all game statistics');
           
           // Get all game IDs from config
-          const gameIds = Object.keys(config.games || {});
+          const gameIds = Object.keys(config.games || {})
+            .filter(id => GameTags.matchesFilter(config.games[id], { category }));
           
           if (gameIds.length === 0) {
             await interaction.reply({
-              content: '❌ No games found in configuration.',
+              content: category ? `❌ No games found in category "${category}".` : '❌ No games found in configuration.',
               ephemeral: true
             });
             return;
@@ -623,6 +1122,7 @@ module.exports = {
               id,
               name: game.name,
               difficulty: game.difficulty || 1,
+              category: GameTags.getCategory(game) || GameTags.uncategorized,
               stats
             });
           }
@@ -657,6 +1157,28 @@ module.exports = {
             }
           );
           
+          // Summarize each category in the description
+          if (!category) {
+            const categories = new Map();
+            for (const game of allStats) {
+              const key = game.category.toLowerCase();
+              const entry = categories.get(key) || { category: game.category, games: 0, completions: 0, players: 0 };
+              entry.games++;
+              entry.completions += game.stats.completions || 0;
+              entry.players += game.stats.players || 0;
+              categories.set(key, entry);
+            }
+            
+            const categoryText = [...categories.values()]
+              .sort((a, b) => GameTags.compareCategories(a.category, b.category))
+              .map(entry => `📁 **${entry.category}**: ${entry.games} game${entry.games === 1 ? '' : 's'}, ` +
+                `${entry.completions} / ${entry.players} completions ` +
+                `(${entry.players > 0 ? Math.round((entry.completions / entry.players) * 100) : 0}%)`)
+              .join('\n');
+            
+            embed.setDescription(`Overview of all game statistics\n\n**Stats by Category**\n${categoryText}`.substring(0, 4096));
+          }
+          
           // Add individual game stats
           embed.addFields({ name: '\u200B', value: '**Individual Game Stats**' });
           
@@ -688,3 +1210,621 @@ module.exports = {
     }
   },
 };
+
+// Status icons for reward jobs
+const JOB_STATUS_ICONS = {
+  pending: '🔁',
+  processing: '⚙️',
+  paused: '⏸️',
+  failed: '❌',
+  completed: '✅',
+  cancelled: '🚫'
+};
+
+/**
+ * Handle /judge-admin rewards
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} client - Discord client
+ * @param {Object} config - Bot configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+async function handleRewardJobs(interaction, client, config, logger) {
+  const action = interaction.options.getString('action') || 'list';
+  const jobId = interaction.options.getInteger('job_id');
+  const rewardQueue = new RewardQueue(config, client);
+  
+  if (action === 'list') {
+    const status = interaction.options.getString('status');
+    const jobs = await getRewardJobs({
+      id: jobId || undefined,
+      statuses: status ? [status] : (jobId ? [] : ['failed', 'paused', 'pending', 'processing'])
+    });
+    
+    if (jobs.length === 0) {
+      await interaction.reply({
+        content: '📭 No reward jobs match these filters.',
+        ephemeral: true
+      });
+      return;
+    }
+    
+    // Show the most recent jobs first
+    const shown = jobs.slice(-25).reverse();
+    const lines = shown.map(job => {
+      const gameName = config.games[job.game_id] ? config.games[job.game_id].name : job.game_id;
+      const next = job.next_attempt_at && ['pending', 'paused'].includes(job.status)
+        ? ` · next <t:${Math.floor(new Date(job.next_attempt_at).getTime() / 1000)}:R>`
+        : '';
+      const error = job.last_error && job.status !== 'completed' ? `\n  └ ${job.last_error.substring(0, 120)}` : '';
+      return `\`#${job.id}\` ${JOB_STATUS_ICONS[job.status] || ''} ${job.status} · **${job.username}** · ${gameName} · ` +
+        `${job.reward_type} · ${job.attempts} attempt(s)${next}${error}`;
+    });
+    
+    const embed = new EmbedBuilder()
+      .setTitle('🎁 Reward Deliveries')
+      .setColor('#FFD700')
+      .setDescription(lines.join('\n').substring(0, 4096))
+      .setFooter({
+        text: `Showing ${shown.length} of ${jobs.length} jobs • Use action: retry, cancel or complete with a job ID`
+      });
+    
+    await interaction.reply({
+      embeds: [embed],
+      ephemeral: true
+    });
+    return;
+  }
+  
+  if (action === 'retry' && !jobId) {
+    const requeued = await rewardQueue.retryAll();
+    logger.info(`${interaction.user.tag} requeued ${requeued} failed/paused reward jobs`);
+    
+    await interaction.reply({
+      content: `🔁 Requeued ${requeued} failed or paused reward jobs. They will be retried within the next minute.`,
+      ephemeral: true
+    });
+    return;
+  }
+  
+  if (!jobId) {
+    await interaction.reply({
+      content: '❌ Please provide the `job_id` of the reward job.',
+      ephemeral: true
+    });
+    return;
+  }
+  
+  if (action === 'retry') {
+    // Delivery can take a while (external APIs, DMs)
+    await interaction.deferReply({ ephemeral: true });
+    const result = await rewardQueue.retry(jobId);
+    
+    if (!result.success) {
+      await interaction.editReply({ content: `❌ ${result.error}` });
+      return;
+    }
+    
+    logger.info(`${interaction.user.tag} retried reward job #${jobId}: ${result.status}`);
+    await interaction.editReply({
+      content: result.status === 'completed'
+        ? `✅ Reward job #${jobId} delivered: ${result.rewardInfo.message}`
+        : `⚠️ Reward job #${jobId} is now ${result.status}: ${result.error ? result.error.message : 'no details'}`
+    });
+  } else if (action === 'cancel') {
+    const result = await rewardQueue.cancel(jobId, interaction.user.id);
+    
+    if (result.success) {
+      logger.info(`${interaction.user.tag} cancelled reward job #${jobId}`);
+    }
+    
+    await interaction.reply({
+      content: result.success ? `🚫 Reward job #${jobId} cancelled.` : `❌ ${result.error}`,
+      ephemeral: true
+    });
+  } else if (action === 'complete') {
+    const result = await rewardQueue.forceComplete(jobId, interaction.user.id);
+    
+    if (result.success) {
+      logger.info(`${interaction.user.tag} marked reward job #${jobId} (${result.job.reward_type} on ${result.job.game_id}) as delivered`);
+    }
+    
+    await interaction.reply({
+      content: result.success ? `✅ Reward job #${jobId} marked as delivered.` : `❌ ${result.error}`,
+      ephemeral: true
+    });
+  }
+}
+
+/**
+ * Resolve the user and game options shared by revoke and reissue
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} config - Bot configuration
+ * @returns {Promise<Object|null>} - { targetUser, user, gameId, game } or null after replying with an error
+ */
+async function getRewardTarget(interaction, config) {
+  const targetUser = interaction.options.getUser('user');
+  const gameId = interaction.options.getString('game');
+  
+  // Game ID, `series:<id>` for series rewards or `event:<id>` for event rewards
+  const game = SeriesService.getRewardSource(config, gameId);
+  if (!game) {
+    await interaction.reply({
+      content: `❌ Invalid game ID: ${gameId}`,
+      ephemeral: true
+    });
+    return null;
+  }
+  
+  const user = await getUser(targetUser.id);
+  
+  if (!user) {
+    await interaction.reply({
+      content: `❌ User ${targetUser.tag} is not registered in the system.`,
+      ephemeral: true
+    });
+    return null;
+  }
+  
+  return { targetUser, user, gameId, game };
+}
+
+/**
+ * Handle /judge-admin revoke
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} client - Discord client
+ * @param {Object} config - Bot configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+async function handleRevokeReward(interaction, client, config, logger) {
+  const target = await getRewardTarget(interaction, config);
+  if (!target) return;
+  
+  const { targetUser, user, gameId, game } = target;
+  const reason = interaction.options.getString('reason');
+  const resetProgress = interaction.options.getBoolean('reset_progress') === true;
+  
+  if (resetProgress && (SeriesService.getSeriesId(gameId) || EventService.getEventId(gameId))) {
+    await interaction.reply({
+      content: '❌ `reset_progress` only works for games. Reset the games of the series or event one by one instead.',
+      ephemeral: true
+    });
+    return;
+  }
+  
+  const reward = await getReward(user.id, gameId);
+  
+  if (!reward || reward.revoked) {
+    await interaction.reply({
+      content: reward
+        ? `❌ The reward of ${targetUser.tag} for "${game.name}" was already revoked: ${reward.revoked_reason || 'no reason'}`
+        : `❌ ${targetUser.tag} has not received a reward for "${game.name}".`,
+      ephemeral: true
+    });
+    return;
+  }
+  
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('confirm-revoke')
+      .setLabel('Revoke Reward')
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId('cancel-revoke')
+      .setLabel('Cancel')
+      .setStyle(ButtonStyle.Secondary)
+  );
+  
+  const response = await interaction.reply({
+    content: `Are you sure you want to revoke the ${reward.reward_type} reward of ${targetUser.tag} for "${game.name}"` +
+      `${resetProgress ? ' and reset their progress on it' : ''}? Reason: ${reason}`,
+    components: [row],
+    ephemeral: true
+  });
+  
+  const collector = response.createMessageComponentCollector({ 
+    time: 30000 // 30 second timeout
+  });
+  
+  collector.on('collect', async i => {
+    if (i.user.id !== interaction.user.id) {
+      await i.reply({
+        content: 'These buttons are not for you!',
+        ephemeral: true
+      });
+      return;
+    }
+    
+    if (i.customId === 'cancel-revoke') {
+      await i.update({
+        content: '❌ Revocation cancelled.',
+        components: []
+      });
+      return;
+    }
+    
+    // Revoking can call the Badgr API
+    await i.deferUpdate();
+    
+    const rewardService = new RewardService(config, client);
+    let outcome;
+    
+    try {
+      outcome = await rewardService.revokeReward(user, gameId, reason, interaction.user.id);
+    } catch (error) {
+      logger.error(`Error revoking reward of ${targetUser.tag} for ${gameId}: ${error.message}`);
+      await i.editReply({
+        content: `❌ Error revoking reward: ${error.message}`,
+        components: []
+      });
+      return;
+    }
+    
+    const notes = [];
+    if (outcome.rewardType === 'badgr') notes.push('Badgr assertion revoked.');
+    if (outcome.rolesRemoved > 0) notes.push(`Removed ${outcome.rolesRemoved} reward role${outcome.rolesRemoved === 1 ? '' : 's'}.`);
+    if (outcome.jobsCancelled > 0) notes.push(`Cancelled ${outcome.jobsCancelled} queued deliver${outcome.jobsCancelled === 1 ? 'y' : 'ies'}.`);
+    
+    if (resetProgress) {
+      const result = await resetUserProgress(user.id, gameId);
+      
+      if (result.success) {
+        await new PointsCalculator(config).rescoreGame(gameId, game);
+        await rewardService.removeRoles(user, gameId, 'reset').catch(() => 0);
+        notes.push('Progress reset.');
+      } else {
+        notes.push(`⚠️ Progress could not be reset: ${result.error}`);
+      }
+    }
+    
+    logger.info(`${interaction.user.tag} revoked the ${outcome.rewardType} reward of ${targetUser.tag} for ${gameId}` +
+      `${resetProgress ? ' and reset progress' : ''}: ${reason}`);
+    
+    await i.editReply({
+      content: `✅ Revoked the reward of ${targetUser.tag} for "${game.name}". ${notes.join(' ')}`.trim(),
+      components: []
+    });
+  });
+  
+  collector.on('end', async collected => {
+    if (collected.size === 0) {
+      await response.edit({
+        content: '❌ Revocation timed out.',
+        components: []
+      }).catch(() => {});
+    }
+  });
+}
+
+/**
+ * Handle /judge-admin reissue
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} client - Discord client
+ * @param {Object} config - Bot configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+async function handleReissueReward(interaction, client, config, logger) {
+  const target = await getRewardTarget(interaction, config);
+  if (!target) return;
+  
+  const { targetUser, user, gameId, game } = target;
+  const completed = await getCompletedGameIds(user.id);
+  const seriesGameIds = SeriesService.getSeriesId(gameId) ? SeriesService.getLiveGameIds(game, config) : null;
+  const eventId = EventService.getEventId(gameId);
+  let hasCompleted;
+  
+  if (eventId) {
+    // Event rewards go to the top players of the final standings
+    const standings = game.archived ? await EventService.getStandings(eventId, game) : [];
+    const entry = standings.find(row => row.user_id === user.id);
+    hasCompleted = Boolean(entry) && entry.position <= EventService.getRewardTop(game);
+  } else if (seriesGameIds) {
+    hasCompleted = seriesGameIds.length > 0 && seriesGameIds.every(id => completed.includes(id));
+  } else {
+    hasCompleted = completed.includes(gameId);
+  }
+  
+  if (!hasCompleted) {
+    await interaction.reply({
+      content: eventId
+        ? `❌ ${targetUser.tag} did not finish in the rewarded places of "${game.name}", so there is no reward to reissue.`
+        : `❌ ${targetUser.tag} has not completed "${game.name}", so there is no reward to reissue.`,
+      ephemeral: true
+    });
+    return;
+  }
+  
+  // Delivery can take a while (external APIs, DMs)
+  await interaction.deferReply({ ephemeral: true });
+  
+  const progress = await getProgress(user.id, gameId);
+  const rewardQueue = new RewardQueue(config, client);
+  let rewardInfo;
+  
+  try {
+    rewardInfo = await rewardQueue.reissue(user, { ...game, id: gameId }, {
+      username: targetUser.globalName || targetUser.username,
+      points: progress ? progress.points_earned : 0
+    }, interaction.user.id);
+  } catch (error) {
+    logger.error(`Error reissuing reward of ${targetUser.tag} for ${gameId}: ${error.message}`);
+    await interaction.editReply({ content: `❌ Error reissuing reward: ${error.message}` });
+    return;
+  }
+  
+  logger.info(`${interaction.user.tag} reissued the ${game.reward_type} reward of ${targetUser.tag} for ${gameId}: ${rewardInfo.type}`);
+  
+  // A reissued text reward would otherwise only be visible to the admin
+  if (rewardInfo.type === 'text') {
+    await client.users.fetch(targetUser.id)
+      .then(discordUser => discordUser.send(`🎁 Your reward for **${game.name}** has been reissued:\n${rewardInfo.data.text}`.substring(0, 2000)))
+      .catch(() => {});
+  }
+  
+  await interaction.editReply({
+    content: rewardInfo.type === 'queued'
+      ? `⏳ Reward for "${game.name}" queued for ${targetUser.tag} as job #${rewardInfo.jobId} (${rewardInfo.status}). See \`/judge-admin rewards\`.`
+      : `✅ Reissued the reward of ${targetUser.tag} for "${game.name}": ${rewardInfo.message}`
+  });
+}
+
+/**
+ * Handle /judge-admin event: create or edit an event with a modal
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} config - Bot configuration
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+async function handleEventSettings(interaction, config, logger) {
+  const eventId = interaction.options.getString('event_id');
+  const rewardTypeOption = interaction.options.getString('reward_type');
+  const rewardTop = interaction.options.getInteger('reward_top');
+  const scoringProfile = interaction.options.getString('scoring_profile');
+  
+  if (!/^[A-Za-z0-9_-]{1,50}$/.test(eventId)) {
+    await interaction.reply({
+      content: '❌ Event IDs may only contain letters, numbers, _ and - (up to 50 characters).',
+      ephemeral: true
+    });
+    return;
+  }
+  
+  const existing = (config.events || {})[eventId] || null;
+  
+  if (existing && existing.archived) {
+    await interaction.reply({
+      content: `❌ Event "${existing.name}" is archived, so its standings are final and it can no longer be edited.`,
+      ephemeral: true
+    });
+    return;
+  }
+  
+  const current = existing || {};
+  const rewardType = rewardTypeOption || current.reward_type || 'none';
+  const rewardFields = {
+    badgr: { label: 'Badge Class ID', field: 'badge_class_id' },
+    openbadge: { label: 'Achievement Criteria', field: 'badge_criteria' },
+    text: { label: 'Reward Text', field: 'reward_text' },
+    role: { label: 'Role ID', field: 'role_id' }
+  };
+  const rewardField = rewardFields[rewardType] || null;
+  const formatTime = value => {
+    const date = GameSchedule.parseTime(value);
+    return date ? date.toISOString() : '';
+  };
+  
+  const inputs = [
+    new TextInputBuilder()
+      .setCustomId('event-name')
+      .setLabel('Event Name')
+      .setValue(current.name || '')
+      .setStyle(TextInputStyle.Short)
+      .setMaxLength(100)
+      .setRequired(true),
+    new TextInputBuilder()
+      .setCustomId('event-games')
+      .setLabel('Game IDs (comma separated)')
+      .setValue(Array.isArray(current.games) ? current.games.join(', ') : '')
+      .setStyle(TextInputStyle.Short)
+      .setMaxLength(1000)
+      .setRequired(true),
+    new TextInputBuilder()
+      .setCustomId('event-starts-at')
+      .setLabel('Starts at (ISO 8601, UTC)')
+      .setPlaceholder('2026-11-02T18:00:00Z')
+      .setValue(formatTime(current.starts_at))
+      .setStyle(TextInputStyle.Short)
+      .setMaxLength(40)
+      .setRequired(true),
+    new TextInputBuilder()
+      .setCustomId('event-ends-at')
+      .setLabel('Ends at (ISO 8601, UTC)')
+      .setPlaceholder('2026-11-09T18:00:00Z')
+      .setValue(formatTime(current.ends_at))
+      .setStyle(TextInputStyle.Short)
+      .setMaxLength(40)
+      .setRequired(true)
+  ];
+  
+  if (rewardField) {
+    inputs.push(new TextInputBuilder()
+      .setCustomId('primary-field')
+      .setLabel(rewardField.label)
+      .setValue(current.reward_type === rewardType && current[rewardField.field] ? String(current[rewardField.field]) : '')
+      .setStyle(rewardType === 'text' || rewardType === 'openbadge' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+      .setRequired(rewardType !== 'openbadge'));
+  } else {
+    inputs.push(new TextInputBuilder()
+      .setCustomId('event-description')
+      .setLabel('Event Description (shown with the podium)')
+      .setValue(current.description || '')
+      .setStyle(TextInputStyle.Paragraph)
+      .setMaxLength(1000)
+      .setRequired(false));
+  }
+  
+  const modal = new ModalBuilder()
+    .setCustomId(`event-modal-${eventId}`)
+    .setTitle(`Event: ${eventId}`.substring(0, 45))
+    .addComponents(inputs.map(input => new ActionRowBuilder().addComponents(input)));
+  
+  await interaction.showModal(modal);
+  
+  const submission = await interaction.awaitModalSubmit({
+    time: 300000, // 5 minutes
+    filter: i => i.customId === `event-modal-${eventId}` && i.user.id === interaction.user.id
+  }).catch(() => null);
+  
+  if (!submission) {
+    logger.info(`${interaction.user.tag} did not submit the event form`);
+    return;
+  }
+  
+  const event = {
+    ...current,
+    name: submission.fields.getTextInputValue('event-name').trim(),
+    games: [...new Set(submission.fields.getTextInputValue('event-games')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean))],
+    starts_at: submission.fields.getTextInputValue('event-starts-at').trim(),
+    ends_at: submission.fields.getTextInputValue('event-ends-at').trim()
+  };
+  
+  if (rewardField) {
+    // A new reward type replaces the fields of the previous one
+    for (const { field } of Object.values(rewardFields)) delete event[field];
+    event.reward_type = rewardType;
+    
+    const primaryField = submission.fields.getTextInputValue('primary-field').trim();
+    if (primaryField) event[rewardField.field] = primaryField;
+  } else {
+    for (const { field } of Object.values(rewardFields)) delete event[field];
+    delete event.reward_type;
+    
+    const description = submission.fields.getTextInputValue('event-description').trim();
+    if (description) event.description = description;
+    else delete event.description;
+  }
+  
+  if (rewardTop) event.reward_top = rewardTop;
+  
+  if (scoringProfile === 'none') delete event.scoring_profile;
+  else if (scoringProfile) event.scoring_profile = scoringProfile;
+  
+  const errors = EventService.validate(event, config);
+  
+  if (errors.length > 0) {
+    await submission.reply({
+      content: `❌ The event was not saved:\n${errors.map(error => `• ${error}`).join('\n')}`.substring(0, 2000),
+      ephemeral: true
+    });
+    return;
+  }
+  
+  event.starts_at = GameSchedule.parseTime(event.starts_at).toISOString();
+  event.ends_at = GameSchedule.parseTime(event.ends_at).toISOString();
+  
+  try {
+    await EventService.save(eventId, event);
+    
+    logger.info(`${interaction.user.tag} ${existing ? 'updated' : 'created'} event ${eventId} (${event.games.join(', ')})`);
+    
+    const embed = new EmbedBuilder()
+      .setTitle(existing ? '🏆 Event Updated' : '🏆 Event Created')
+      .setColor('#FFD700')
+      .setDescription(`${EventService.describe(event)}\nPlayers can follow it with \`/judge-leaderboard event:${eventId}\`.`)
+      .addFields(
+        { name: 'Games', value: event.games.map(gameId => `• ${config.games[gameId].name} (${gameId})`).join('\n').substring(0, 1024) },
+        { name: 'Window', value: `${GameSchedule.formatTime(new Date(event.starts_at), 'f')} → ${GameSchedule.formatTime(new Date(event.ends_at), 'f')}` },
+        {
+          name: 'Reward',
+          value: event.reward_type
+            ? `Top ${EventService.getRewardTop(event)}: ${{ badgr: 'Digital Badge (Badgr)', openbadge: 'Open Badge (self-hosted)', text: 'Text Message', role: 'Discord Role' }[event.reward_type]}`
+            : 'None',
+          inline: true
+        },
+        { name: 'Scoring Profile', value: event.scoring_profile || 'Game or default profile', inline: true }
+      );
+    
+    await submission.reply({ embeds: [embed], ephemeral: true });
+  } catch (error) {
+    logger.error(`Error saving event ${eventId}: ${error.message}`);
+    await submission.reply({
+      content: '❌ An error occurred while saving the event. Please try again later.',
+      ephemeral: true
+    });
+  }
+}
+
+/**
+ * Handle /judge-admin event-archive
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} client - Discord client
+ * @param {Object} config - Bot configuration
+ * @param {Object} logger - Logger instance
+ * @param {Object} successAnnouncer - SuccessAnnouncer instance, used to post the podium
+ * @returns {Promise<void>}
+ */
+async function handleEventArchive(interaction, client, config, logger, successAnnouncer) {
+  const eventId = interaction.options.getString('event_id');
+  const event = (config.events || {})[eventId];
+  
+  if (!event) {
+    await interaction.reply({
+      content: `❌ Event "${eventId}" not found.`,
+      ephemeral: true
+    });
+    return;
+  }
+  
+  // Reward delivery can take a while (external APIs, DMs)
+  await interaction.deferReply({ ephemeral: true });
+  
+  const { state } = EventService.getState(event);
+  const result = await new EventService(config, client).archive(eventId, interaction.user.id);
+  
+  if (!result.success) {
+    await interaction.editReply({ content: `❌ ${result.error}` });
+    return;
+  }
+  
+  logger.info(`${interaction.user.tag} archived event ${eventId}`);
+  
+  const announced = successAnnouncer
+    ? await successAnnouncer.announceEventResults({ ...event, id: eventId }, result.standings, result.rewards.length)
+    : null;
+  
+  const medals = ['🥇', '🥈', '🥉'];
+  const podium = result.standings.slice(0, medals.length)
+    .map((entry, index) => `${medals[index]} ${entry.username} - ${entry.total_points || 0} points`);
+  
+  const embed = new EmbedBuilder()
+    .setTitle(`🏁 ${event.name} Archived`.substring(0, 256))
+    .setColor('#FFD700')
+    .setDescription(podium.length > 0 ? podium.join('\n') : 'Nobody solved a challenge during this event.')
+    .addFields(
+      { name: 'Ranked Players', value: `${result.standings.length}`, inline: true },
+      { name: 'Podium Posted', value: announced ? 'Yes' : 'No (success announcements are off)', inline: true }
+    );
+  
+  if (result.rewards.length > 0) {
+    embed.addFields({
+      name: 'Rewards',
+      value: result.rewards
+        .map(({ entry, position, rewardInfo }) => `#${position} ${entry.username}: ${
+          rewardInfo.type === 'error' ? '❌ failed' : rewardInfo.type === 'queued' ? `⏳ queued as job #${rewardInfo.jobId}` : '✅ delivered'
+        }`)
+        .join('\n')
+        .substring(0, 1024)
+    });
+  }
+  
+  if (state === EventService.states.ACTIVE || state === EventService.states.UPCOMING) {
+    embed.setFooter({ text: 'The event was archived before its end time; later solves no longer count.' });
+  }
+  
+  await interaction.editReply({ embeds: [embed] });
+}
@@ -4,13 +4,20 @@
  *              Features paginated display, sorting options (difficulty/name), progress tracking indicators,
  *              detailed challenge information, and intuitive navigation with selection dropdowns and back buttons.
  *              Provides comprehensive challenge overview with status indicators and difficulty ratings.
+ *              The `category` and `tag` options narrow the list down to one category or tag, and the
+ *              `game` option shows a single challenge. Challenge details include the files attached by the maker.
  * @version 1.1.0
  * @author gl0bal01
  * @since 2025-04-03
  */
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { getUser, getProgress } = require('../services/database');
+const { getUser, getProgress, getCompletedGameIds, markGameStarted } = require('../services/database');
 const PaginatedMenu = require('../utils/pagination');
+const PointsCalculator = require('../services/points');
+const UnlockRules = require('../utils/unlock-rules');
+const GameSchedule = require('../utils/game-schedule');
+const GameTags = require('../utils/game-tags');
+const ChallengeAttachments = require('../services/attachments');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -30,10 +37,60 @@ module.exports = {
           { name: 'Difficulty (Ascending)', value: 'difficulty_asc' },
           { name: 'Difficulty (Descending)', value: 'difficulty_desc' },
           { name: 'Name (A-Z)', value: 'name_asc' },
-          { name: 'Name (Z-A)', value: 'name_desc' }
+          { name: 'Name (Z-A)', value: 'name_desc' },
+          { name: 'Category (A-Z)', value: 'category_asc' }
         )
+    )
+    .addStringOption(option =>
+      option.setName('category')
+        .setDescription('Only show challenges in this category')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option.setName('tag')
+        .setDescription('Only show challenges with this tag')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option.setName('game')
+        .setDescription('View a single challenge with its attached files')
+        .setRequired(false)
+        .setAutocomplete(true)
     ),
   
+  async autocomplete(interaction, { config, logger }) {
+    const focusedOption = interaction.options.getFocused(true);
+    
+    try {
+      // Only categories and tags of games players can see are suggested
+      const visibleGames = Object.fromEntries(
+        Object.entries(config.games || {}).filter(([, game]) => GameSchedule.isVisible(game))
+      );
+      
+      if (focusedOption.name === 'category') {
+        const categories = GameTags.getCategories(visibleGames);
+        if (Object.values(visibleGames).some(game => !GameTags.getCategory(game))) {
+          categories.push(GameTags.uncategorized);
+        }
+        await interaction.respond(GameTags.getChoices(categories, focusedOption.value));
+      } else if (focusedOption.name === 'tag') {
+        await interaction.respond(GameTags.getChoices(GameTags.getAllTags(visibleGames), focusedOption.value));
+      } else if (focusedOption.name === 'game') {
+        await interaction.respond(
+          Object.entries(visibleGames)
+            .filter(([gameId, game]) => GameTags.matchesSearch(gameId, game, focusedOption.value))
+            .slice(0, 25)
+            .map(([gameId, game]) => ({ name: `${game.name} (${gameId})`.substring(0, 100), value: gameId }))
+        );
+      }
+    } catch (error) {
+      logger.error(`Error in autocomplete: ${error.message}`);
+      await interaction.respond([]);
+    }
+  },
+  
   async execute(interaction, { config, logger }) {
     const userId = interaction.user.id;
     logger.info(`${interaction.user.tag} (${userId}) used /judge-games`);
@@ -50,18 +107,187 @@ module.exports = {
         return;
       }
       
-      // Get games from config
+      // Get games from config; games that have not opened yet are not listed
       const games = config.games || {};
-      let gameEntries = Object.entries(games);
+      let gameEntries = Object.entries(games).filter(([, game]) => GameSchedule.isVisible(game));
       
       if (!games || gameEntries.length === 0) {
         await interaction.reply({
-          content: '❌ No challenges are currently available. Please try again later.',
+          content: `❌ No challenges are currently available. Please try again later.${this.getUpcomingText(games, config)}`,
           ephemeral: true
         });
         return;
       }
       
+      // Narrow the list down to a category or tag
+      const filters = {
+        category: interaction.options.getString('category'),
+        tag: interaction.options.getString('tag')
+      };
+      const filterText = [
+        filters.category ? `Category: ${filters.category}` : '',
+        filters.tag ? `Tag: #${filters.tag.replace(/^#+/, '')}` : ''
+      ].filter(Boolean).join(' · ');
+      
+      if (filterText) {
+        gameEntries = gameEntries.filter(([, game]) => GameTags.matchesFilter(game, filters));
+        
+        if (gameEntries.length === 0) {
+          await interaction.reply({
+            content: `❌ No challenges match ${filterText}.`,
+            ephemeral: true
+          });
+          return;
+        }
+      }
+      
+      // Games locked by prerequisites are listed with what they still need
+      const completedGameIds = await getCompletedGameIds(user.id);
+      const isLocked = gameId => !UnlockRules.isUnlocked(gameId, config, completedGameIds);
+      
+      // Status emoji plus the lock or countdown line shown under a game
+      const getStatus = (gameId, game, progress) => {
+        const schedule = GameSchedule.getState(game);
+        const countdown = GameSchedule.describe(game);
+        
+        if (progress && progress.completed) {
+          return { emoji: '✅', note: '' }; // Completed
+        }
+        if (schedule.state === GameSchedule.states.CLOSED) {
+          return { emoji: '⏰', note: countdown }; // Closed
+        }
+        if (isLocked(gameId)) {
+          const lock = `🔒 ${UnlockRules.describe(UnlockRules.getStatus(game, config, completedGameIds), config)} to unlock`;
+          return { emoji: '🔒', note: countdown ? `${lock}\n${countdown}` : lock }; // Locked
+        }
+        if (progress && (progress.hints_used > 0 || progress.attempts > 0)) {
+          return { emoji: '🔶', note: countdown }; // In progress
+        }
+        return { emoji: '🔷', note: countdown }; // Not started
+      };
+      
+      // Detailed view of a game, with its attached files
+      const buildDetails = async (gameId, game) => {
+        // Get game progress
+        const progress = await getProgress(user.id, gameId);
+        
+        // Create detailed embed for selected game with improved formatting
+        const detailEmbed = new EmbedBuilder()
+          .setTitle(`${game.name}`)
+          .setColor('#0099ff')
+          .setDescription(game.description || "No description available");
+        
+        // Add game details section
+        detailEmbed.addFields(
+          { 
+            name: 'Challenge Details',
+            value: `**Author:** ${game.author || 'Anonymous'}\n**Difficulty:** ${'⭐'.repeat(game.difficulty || 1)}\n**Category:** ${GameTags.getCategory(game) || GameTags.uncategorized}\n${GameTags.getTags(game).length > 0 ? `**Tags:** ${GameTags.formatTags(GameTags.getTags(game))}\n` : ''}**Reward Type:** ${{ badgr: 'Digital Badge', openbadge: 'Open Badge', certificate: 'Certificate', webhook: 'Webhook', text: 'Text Reward', role: 'Discord Role' }[game.reward_type] || game.reward_type}`
+          }
+        );
+        
+        // Show the current value of dynamically scored challenges
+        const pointsCalculator = new PointsCalculator(config);
+        const scoringOptions = await pointsCalculator.getNextSolveOptions(gameId);
+        const profile = pointsCalculator.getProfile(game, scoringOptions);
+        if (pointsCalculator.dynamicEnabled) {
+          const solveCount = scoringOptions.solveCount - 1;
+          detailEmbed.addFields({
+            name: 'Current Value',
+            value: `${pointsCalculator.getBasePoints(scoringOptions, profile)} points before hints (${solveCount} solve${solveCount === 1 ? '' : 's'} so far, value decreases with each solve)`
+          });
+        }
+        
+        // Explain non-default scoring so players know what a hint or wrong answer costs
+        if (game.scoring_profile || scoringOptions.profile) {
+          const rules = [
+            `**Profile:** ${profile.name}${!game.scoring_profile ? ' (event profile)' : ''}`,
+            `**Next hint costs:** ${pointsCalculator.calculateNextHintCost(progress ? progress.hints_used : 0, game, scoringOptions)} points`
+          ];
+          
+          if (profile.wrongAttemptPenalty > 0) {
+            rules.push(`**Wrong answer costs:** ${profile.wrongAttemptPenalty} points` +
+              (profile.wrongAttemptPenaltyMax !== null ? ` (max ${profile.wrongAttemptPenaltyMax})` : ''));
+          }
+          
+          detailEmbed.addFields({ name: 'Scoring', value: rules.join('\n') });
+        }
+        
+        // Add progress information if any
+        if (progress) {
+          let statusText = 'Not started';
+          
+          if (progress.completed) {
+            statusText = `✅ Completed with ${progress.points_earned} points`;
+          } else if (progress.hints_used > 0 || progress.attempts > 0) {
+            statusText = `🔶 In Progress\n• Hints used: ${progress.hints_used}\n• Attempts made: ${progress.attempts}`;
+          }
+          
+          detailEmbed.addFields({
+            name: 'Your Progress',
+            value: statusText
+          });
+        }
+        
+        // Show when a timed challenge closes
+        const countdown = GameSchedule.describe(game);
+        const closed = !GameSchedule.isOpen(game);
+        if (countdown) {
+          detailEmbed.addFields({ name: 'Schedule', value: countdown });
+        }
+        
+        // Explain what a locked game still needs
+        const locked = !closed && (!progress || !progress.completed) && isLocked(gameId);
+        if (locked) {
+          detailEmbed.addFields({
+            name: '🔒 Locked',
+            value: `${UnlockRules.describe(UnlockRules.getStatus(game, config, completedGameIds), config)} to unlock this challenge.`.substring(0, 1024)
+          });
+        }
+        
+        // Add help for next steps
+        if (!locked && !closed && (!progress || !progress.completed)) {
+          // Opening a playable challenge starts the clock for the speed bonus
+          await markGameStarted(user.id, gameId);
+          
+          detailEmbed.addFields({
+            name: 'How to Proceed',
+            value: `• Use \`/judge-hint ${gameId}\` to get a hint\n• Use \`/judge-submit ${gameId}\` to submit your answer`
+          });
+        }
+          
+        // Show the attached files; the images appear under the embed
+        const attachments = await ChallengeAttachments.list(gameId);
+        if (attachments.length > 0) {
+          detailEmbed.addFields({
+            name: 'Attachments',
+            value: ChallengeAttachments.describe(attachments).substring(0, 1024)
+          });
+        }
+        
+        return { embed: detailEmbed, files: await ChallengeAttachments.getDiscordFiles(gameId) };
+      };
+      
+      // View a single challenge directly
+      const viewGameId = interaction.options.getString('game');
+      if (viewGameId) {
+        const game = games[viewGameId];
+        
+        if (!game || !GameSchedule.isVisible(game)) {
+          await interaction.reply({
+            content: `❌ Challenge "${viewGameId}" not found.`,
+            ephemeral: true
+          });
+          return;
+        }
+        
+        await interaction.deferReply({ ephemeral: true });
+        const details = await buildDetails(viewGameId, game);
+        await interaction.editReply({ embeds: [details.embed], files: details.files });
+        return;
+      }
+      
+      const upcomingText = this.getUpcomingText(games, config);
+      
       // Get sort option
       const sortOption = interaction.options.getString('sort') || 'difficulty_asc'; // Default to difficulty ascending
       
@@ -90,12 +316,7 @@ module.exports = {
         const progress = await getProgress(user.id, gameId);
         
         // Create status emoji
-        let statusEmoji = '🔷'; // Not started
-        if (progress && progress.completed) {
-          statusEmoji = '✅'; // Completed
-        } else if (progress && (progress.hints_used > 0 || progress.attempts > 0)) {
-          statusEmoji = '🔶'; // In progress
-        }
+        const statusEmoji = getStatus(gameId, game, progress).emoji;
         
         // Add difficulty stars
         const difficulty = game.difficulty || 1;
@@ -103,7 +324,7 @@ module.exports = {
         
         return {
           label: game.name.substring(0, 100),
-          description: `Difficulty: ${difficultyStars}`.substring(0, 100),
+          description: `${{ '🔒': 'Locked · ', '⏰': 'Closed · ' }[statusEmoji] || ''}Difficulty: ${difficultyStars}${GameTags.getCategory(game) ? ` · ${GameTags.getCategory(game)}` : ''}`.substring(0, 100),
           value: gameId,
           emoji: statusEmoji
         };
@@ -137,18 +358,13 @@ module.exports = {
       const embed = new EmbedBuilder()
         .setTitle('Available Challenges')
         .setColor('#0099ff')
-        .setDescription(`Viewing page ${requestedPage} of ${totalPages}. Select a challenge to view details.\nSorted by: ${this.getSortName(sortOption)}`);
+        .setDescription(`Viewing page ${requestedPage} of ${totalPages}. Select a challenge to view details.\nSorted by: ${this.getSortName(sortOption)}${filterText ? `\nFiltered by: ${filterText}` : ''}${upcomingText}`);
       
       // Add games with better formatting - one game per field, not inline
       for (const [gameId, game] of currentGames) {
         const progress = await getProgress(user.id, gameId);
         
-        let statusEmoji = '🔷'; // Not started
-        if (progress && progress.completed) {
-          statusEmoji = '✅'; // Completed
-        } else if (progress && (progress.hints_used > 0 || progress.attempts > 0)) {
-          statusEmoji = '🔶'; // In progress
-        }
+        const { emoji: statusEmoji, note } = getStatus(gameId, game, progress);
         
         const difficulty = game.difficulty || 1;
         const difficultyStars = '⭐'.repeat(difficulty);
@@ -156,7 +372,7 @@ module.exports = {
         // Create a properly formatted field for each game
         embed.addFields({
           name: `${statusEmoji} ${game.name}`,
-          value: `Difficulty: ${difficultyStars}\n${game.description ? game.description.substring(0, 100) + (game.description.length > 100 ? '...' : '') : 'No description provided'}`,
+          value: `Difficulty: ${difficultyStars}${GameTags.describe(game) ? ` · ${GameTags.describe(game)}` : ''}\n${game.description ? game.description.substring(0, 100) + (game.description.length > 100 ? '...' : '') : 'No description provided'}${note ? `\n${note}` : ''}`.substring(0, 1024),
           inline: false // Set to false for cleaner formatting
         });
       }
@@ -186,46 +402,7 @@ module.exports = {
             return;
           }
           
-          // Get game progress
-          const progress = await getProgress(user.id, gameId);
-          
-          // Create detailed embed for selected game with improved formatting
-          const detailEmbed = new EmbedBuilder()
-            .setTitle(`${game.name}`)
-            .setColor('#0099ff')
-            .setDescription(game.description || "No description available");
-          
-          // Add game details section
-          detailEmbed.addFields(
-            { 
-              name: 'Challenge Details',
-              value: `**Author:** ${game.author || 'Anonymous'}\n**Difficulty:** ${'⭐'.repeat(game.difficulty || 1)}\n**Reward Type:** ${game.reward_type === 'badgr' ? 'Digital Badge' : 'Text Reward'}`
-            }
-          );
-          
-          // Add progress information if any
-          if (progress) {
-            let statusText = 'Not started';
-            
-            if (progress.completed) {
-              statusText = `✅ Completed with ${progress.points_earned} points`;
-            } else if (progress.hints_used > 0 || progress.attempts > 0) {
-              statusText = `🔶 In Progress\n• Hints used: ${progress.hints_used}\n• Attempts made: ${progress.attempts}`;
-            }
-            
-            detailEmbed.addFields({
-              name: 'Your Progress',
-              value: statusText
-            });
-          }
-          
-          // Add help for next steps
-          if (!progress || !progress.completed) {
-            detailEmbed.addFields({
-              name: 'How to Proceed',
-              value: `• Use \`/judge-hint ${gameId}\` to get a hint\n• Use \`/judge-submit ${gameId}\` to submit your answer`
-            });
-          }
+          const details = await buildDetails(gameId, game);
           
           // Create a back button as a proper button component
           const backButton = new ActionRowBuilder()
@@ -238,8 +415,9 @@ module.exports = {
           
           // Update with game details and the fixed back button
           await i.update({
-            embeds: [detailEmbed],
-            components: [backButton]
+            embeds: [details.embed],
+            components: [backButton],
+            files: details.files
           });
         },
         // Handle page changes
@@ -248,7 +426,7 @@ module.exports = {
           const newEmbed = new EmbedBuilder()
             .setTitle('Available Challenges')
             .setColor('#0099ff')
-            .setDescription(`Viewing page ${page} of ${menu.totalPages}. Select a challenge to view details.\nSorted by: ${this.getSortName(sortOption)}`);
+            .setDescription(`Viewing page ${page} of ${menu.totalPages}. Select a challenge to view details.\nSorted by: ${this.getSortName(sortOption)}${filterText ? `\nFiltered by: ${filterText}` : ''}${upcomingText}`);
           
           // Re-fetch the current page items to reflect in the embed
           const startIndex = (page - 1) * menu.itemsPerPage;
@@ -259,12 +437,7 @@ module.exports = {
           for (const [gameId, game] of currentGames) {
             const progress = await getProgress(user.id, gameId);
             
-            let statusEmoji = '🔷'; // Not started
-            if (progress && progress.completed) {
-              statusEmoji = '✅'; // Completed
-            } else if (progress && (progress.hints_used > 0 || progress.attempts > 0)) {
-              statusEmoji = '🔶'; // In progress
-            }
+            const { emoji: statusEmoji, note } = getStatus(gameId, game, progress);
             
             const difficulty = game.difficulty || 1;
             const difficultyStars = '⭐'.repeat(difficulty);
@@ -272,7 +445,7 @@ module.exports = {
             // Create a properly formatted field for each game
             newEmbed.addFields({
               name: `${statusEmoji} ${game.name}`,
-              value: `Difficulty: ${difficultyStars}\n${game.description ? game.description.substring(0, 100) + (game.description.length > 100 ? '...' : '') : 'No description provided'}`,
+              value: `Difficulty: ${difficultyStars}${GameTags.describe(game) ? ` · ${GameTags.describe(game)}` : ''}\n${game.description ? game.description.substring(0, 100) + (game.description.length > 100 ? '...' : '') : 'No description provided'}${note ? `\n${note}` : ''}`.substring(0, 1024),
               inline: false // Set to false for cleaner formatting
             });
           }
@@ -302,6 +475,7 @@ module.exports = {
             const responseOptions = {
               embeds: [embed],
               components: menu.getComponents(),
+              attachments: [], // Remove the files of the challenge details
               ephemeral: true
             };
             
@@ -350,6 +524,12 @@ module.exports = {
       case 'name_desc':
         gameEntriesWithProgress.sort((a, b) => b.game.name.localeCompare(a.game.name));
         break;
+      case 'category_asc':
+        // Uncategorized games last, then by difficulty within each category
+        gameEntriesWithProgress.sort((a, b) =>
+          GameTags.compareCategories(GameTags.getCategory(a.game), GameTags.getCategory(b.game)) ||
+          a.difficulty - b.difficulty);
+        break;
       default:
         // Default sort by difficulty ascending
         gameEntriesWithProgress.sort((a, b) => a.difficulty - b.difficulty);
@@ -359,13 +539,31 @@ module.exports = {
     return gameEntriesWithProgress.map(entry => [entry.id, entry.game]);
   },
   
+  // Helper method to list games that open soon under the game list
+  getUpcomingText(games, config) {
+    if ((config.bot.game_schedule || {}).show_upcoming === false) return '';
+    
+    const upcoming = Object.values(games)
+      .map(game => ({ game, opensAt: GameSchedule.getState(game).opensAt }))
+      .filter(entry => !GameSchedule.isVisible(entry.game))
+      .sort((a, b) => a.opensAt - b.opensAt)
+      .slice(0, 5);
+    
+    if (upcoming.length === 0) return '';
+    
+    return '\n\n**🗓️ Coming Soon**\n' + upcoming
+      .map(entry => `• ${entry.game.name}: opens ${GameSchedule.formatTime(entry.opensAt)}`)
+      .join('\n');
+  },
+  
   // Helper method to get readable sort option name
   getSortName(sortOption) {
     const sortNames = {
       'difficulty_asc': 'Difficulty (Easiest First)',
       'difficulty_desc': 'Difficulty (Hardest First)',
       'name_asc': 'Name (A-Z)',
-      'name_desc': 'Name (Z-A)'
+      'name_desc': 'Name (Z-A)',
+      'category_asc': 'Category (A-Z)'
     };
     
     return sortNames[sortOption] || 'Default';
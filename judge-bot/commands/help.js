@@ -29,7 +29,7 @@ module.exports = {
         },
         { 
           name: '/judge-games', 
-          value: 'View available challenges and their descriptions' 
+          value: 'View available challenges, filtered by category or tag if you like' 
         },
         { 
           name: '/judge-hint', 
@@ -41,11 +41,23 @@ module.exports = {
         },
         { 
           name: '/judge-progress', 
-          value: 'View your current progress and points' 
+          value: 'View your current progress, points and series progress, or your rank in an event' 
+        },
+        { 
+          name: '/judge-rewards', 
+          value: 'List your rewards and view text rewards, badges and certificates again' 
         },
         { 
           name: '/judge-leaderboard', 
-          value: 'View the global leaderboard' 
+          value: 'View the global leaderboard, the team leaderboard or the leaderboard of an event' 
+        },
+        { 
+          name: '/judge-team', 
+          value: 'Create or join a team, invite players and view team standings' 
+        },
+        { 
+          name: '/judge-verify', 
+          value: 'Check the signature of an Open Badge file' 
         },
         { 
           name: '/judge-health', 
@@ -3,15 +3,17 @@
  * @description Discord slash command for requesting hints on challenges with point cost calculation.
  *              Features confirmation dialogs, point cost preview, automatic hint progression tracking,
  *              and database integration for hint usage management. Includes comprehensive validation
- *              and user-friendly cost transparency before hint delivery.
+ *              and user-friendly cost transparency before hint delivery. Team members share their hints:
+ *              a hint bought by one member is unlocked, and paid for, by the whole team.
  * @version 1.1.0
  * @author gl0bal01
  * @since 2025-04-03
  */
 const { SlashCommandBuilder, EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
-const { getUser, getProgress, updateHintUsage } = require('../services/database');
+const { getUser, getProgress, updateHintUsage, getCompletedGameIds, getUserTeam, shareTeamHints } = require('../services/database');
 const PointsCalculator = require('../services/points');
 const Validation = require('../utils/validation');
+const GameTags = require('../utils/game-tags');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -20,7 +22,7 @@ module.exports = {
     .addStringOption(option => {
       const gameOption = option
         .setName('game')
-        .setDescription('Game ID to get a hint for')
+        .setDescription('Game to get a hint for (search by name, category or #tag)')
         .setRequired(true)
         .setAutocomplete(true); // Use autocomplete instead of choices
       
@@ -45,10 +47,11 @@ module.exports = {
         return;
       }
       
-      // Check if game exists
-      if (!Validation.isValidGameId(gameId, config)) {
+      // Check if game exists and is open and unlocked for this player
+      const completedGameIds = await getCompletedGameIds(user.id);
+      if (!Validation.isValidGameId(gameId, config, completedGameIds)) {
         await interaction.reply({
-          content: `❌ Invalid game ID: ${gameId}. Use \`/judge-games\` to see available challenges.`,
+          content: Validation.formatUnavailableMessage(gameId, config, completedGameIds),
           ephemeral: true
         });
         return;
@@ -69,11 +72,23 @@ module.exports = {
       }
       
       // Check if we have more hints available
-      const hintsUsed = progress ? progress.hints_used : 0;
+      let hintsUsed = progress ? progress.hints_used : 0;
+      
+      // Hints bought by teammates are shared with the whole team
+      const team = (config.bot.teams || {}).enabled !== false ? await getUserTeam(user.id) : null;
+      if (team) {
+        const shared = await shareTeamHints(user.id, gameId);
+        if (shared.success) hintsUsed = shared.hintsUsed;
+      }
+      
+      const teamHintsText = team && Array.isArray(game.hints) && hintsUsed > 0
+        ? game.hints.slice(0, hintsUsed).map((hint, index) => `**#${index + 1}**: ${hint}`).join('\n').substring(0, 1024)
+        : '';
       
       if (!game.hints || !Array.isArray(game.hints) || hintsUsed >= game.hints.length) {
         await interaction.reply({
-          content: `❌ No more hints available for "${game.name}"!`,
+          content: `❌ No more hints available for "${game.name}"!` +
+            (teamHintsText ? `\n\n🤝 Hints unlocked by **${team.name}**:\n${teamHintsText}` : ''),
           ephemeral: true
         });
         return;
@@ -81,8 +96,12 @@ module.exports = {
       
       // Calculate the cost of this hint
       const pointsCalculator = new PointsCalculator(config);
-      const hintCost = pointsCalculator.calculateNextHintCost(hintsUsed);
-      const maxPointsPossibleAfterHint = pointsCalculator.calculateMaxPossiblePoints(hintsUsed + 1, game);
+      const scoringOptions = {
+        ...(await pointsCalculator.getNextSolveOptions(gameId)),
+        wrongAttempts: progress ? progress.attempts : 0
+      };
+      const hintCost = pointsCalculator.calculateNextHintCost(hintsUsed, game, scoringOptions);
+      const maxPointsPossibleAfterHint = pointsCalculator.calculateMaxPossiblePoints(hintsUsed + 1, game, scoringOptions);
       
       // Create confirmation buttons
       const confirmButton = new ButtonBuilder()
@@ -114,9 +133,15 @@ module.exports = {
           }
         )
         .setFooter({ 
-          text: 'Hints cannot be undone and will permanently reduce your potential points for this challenge.' 
+          text: team
+            ? `Hints cannot be undone and reduce the potential points of everyone in ${team.name} for this challenge.`
+            : 'Hints cannot be undone and will permanently reduce your potential points for this challenge.' 
         });
       
+      if (teamHintsText) {
+        embed.addFields({ name: `🤝 Already Unlocked by ${team.name}`.substring(0, 256), value: teamHintsText });
+      }
+      
       // Send confirmation message
       const response = await interaction.reply({
         embeds: [embed],
@@ -158,7 +183,7 @@ module.exports = {
           const hintText = game.hints[updatedHintsUsed - 1]; // -1 because we just incremented
           
           // Calculate new max possible points
-          const newMaxPoints = pointsCalculator.calculateMaxPossiblePoints(updatedHintsUsed, game);
+          const newMaxPoints = pointsCalculator.calculateMaxPossiblePoints(updatedHintsUsed, game, scoringOptions);
           
           // Create hint embed
           const hintEmbed = new EmbedBuilder()
@@ -224,15 +249,17 @@ module.exports = {
         // Get all games from config
         const games = config.games || {};
         
-        // Filter based on user input
+        // Locked, closed and not yet opened games are hidden
+        const user = await getUser(interaction.user.id);
+        const completedGameIds = user ? await getCompletedGameIds(user.id) : [];
+        
+        // Filter based on user input (name, ID, category or #tag)
         const filtered = Object.entries(games)
-          .filter(([gameId, game]) => 
-            game.name.toLowerCase().includes(focusedOption.value.toLowerCase()) ||
-            gameId.includes(focusedOption.value.toLowerCase())
-          )
+          .filter(([gameId]) => Validation.isValidGameId(gameId, config, completedGameIds))
+          .filter(([gameId, game]) => GameTags.matchesSearch(gameId, game, focusedOption.value))
           .slice(0, 25) // Discord limits autocomplete to 25 options
           .map(([gameId, game]) => ({
-            name: `${game.name} (${gameId})`,
+            name: `${game.name} (${gameId})${GameTags.getCategory(game) ? ` · ${GameTags.getCategory(game)}` : ''}`.substring(0, 100),
             value: gameId
           }));
         
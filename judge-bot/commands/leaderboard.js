@@ -3,13 +3,22 @@
  * @description Interactive Discord slash command for displaying user rankings and challenge completion
  *              statistics. Features pagination, detailed completion history mode, user highlighting,
  *              and real-time navigation controls. Supports both compact ranking view and comprehensive
- *              completion timeline for competitive tracking and community engagement.
+ *              completion timeline for competitive tracking and community engagement. The `event` option
+ *              shows the board of a single event, or its final standings once the event is archived, and
+ *              the `teams` option ranks teams instead of players.
  * @version 1.1.0
  * @author gl0bal01
  * @since 2025-04-03
  */
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
-const { getUser, getLeaderboard, getDetailedLeaderboard } = require('../services/database');
+const {
+  getUser,
+  getLeaderboard,
+  getDetailedLeaderboard,
+  getTeamLeaderboard,
+  getUserTeam
+} = require('../services/database');
+const EventService = require('../services/events');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -32,8 +41,32 @@ module.exports = {
       option.setName('detailed')
         .setDescription('Show detailed completion history (default: false)')
         .setRequired(false)
+    )
+    .addStringOption(option =>
+      option.setName('event')
+        .setDescription('Show the leaderboard of an event instead of the all-time leaderboard')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addBooleanOption(option =>
+      option.setName('teams')
+        .setDescription('Rank teams instead of players (default: false)')
+        .setRequired(false)
     ),
   
+  async autocomplete(interaction, { config, logger }) {
+    const focusedOption = interaction.options.getFocused(true);
+    
+    if (focusedOption.name === 'event') {
+      try {
+        await interaction.respond(EventService.getChoices(config, focusedOption.value));
+      } catch (error) {
+        logger.error(`Error in autocomplete: ${error.message}`);
+        await interaction.respond([]);
+      }
+    }
+  },
+  
   async execute(interaction, { config, logger }) {
     const userId = interaction.user.id;
     logger.info(`${interaction.user.tag} (${userId}) used /judge-leaderboard`);
@@ -43,6 +76,33 @@ module.exports = {
       const pageNumber = interaction.options.getInteger('page') || 1;
       const entriesPerPage = interaction.options.getInteger('entries') || 10;
       const showDetailed = interaction.options.getBoolean('detailed') || false;
+      const eventId = interaction.options.getString('event');
+      const event = eventId ? (config.events || {})[eventId] : null;
+      const showTeams = interaction.options.getBoolean('teams') || false;
+      
+      if (showTeams && (config.bot.teams || {}).enabled === false) {
+        await interaction.reply({
+          content: '❌ Team play is disabled on this server.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      if (showTeams && (showDetailed || eventId)) {
+        await interaction.reply({
+          content: '❌ The team leaderboard cannot be combined with the `detailed` or `event` options.',
+          ephemeral: true
+        });
+        return;
+      }
+      
+      if (eventId && !event) {
+        await interaction.reply({
+          content: `❌ Event "${eventId}" not found.`,
+          ephemeral: true
+        });
+        return;
+      }
       
       // Check if user is registered
       const user = await getUser(userId);
@@ -61,7 +121,11 @@ module.exports = {
         
         // Get detailed leaderboard data - get more entries for pagination
         const limit = entriesPerPage * 10; // Get enough for 10 pages
-        const detailedData = await getDetailedLeaderboard(limit);
+        const detailedData = event
+          ? (await getDetailedLeaderboard())
+            .filter(entry => EventService.countsCompletion(event, entry.game_id, entry.completion_date))
+            .slice(0, limit)
+          : await getDetailedLeaderboard(limit);
         
         if (!detailedData || detailedData.length === 0) {
           await interaction.editReply({
@@ -80,10 +144,11 @@ module.exports = {
         const currentPageData = detailedData.slice(startIndex, endIndex);
         
         // Create detailed leaderboard embed
+        const historyText = event ? `Completions during ${event.name}` : 'Recent game completions by all players';
         const embed = new EmbedBuilder()
-          .setTitle('🏆 Challenge Completion History')
+          .setTitle(event ? `🏆 ${event.name}: Completion History` : '🏆 Challenge Completion History')
           .setColor('#FFD700')
-          .setDescription(`Recent game completions by all players (Page ${validPage}/${totalPages})`);
+          .setDescription(`${historyText} (Page ${validPage}/${totalPages})`);
         
         let descriptionText = '';
         
@@ -98,7 +163,7 @@ module.exports = {
           descriptionText += `**${entry.username}** - ${gameName}: ✅ Completed (on ${completionDate})\n`;
         }
         
-        embed.setDescription(`Recent game completions by all players (Page ${validPage}/${totalPages})\n\n${descriptionText}`);
+        embed.setDescription(`${historyText} (Page ${validPage}/${totalPages})\n\n${descriptionText}`);
         
         // Add footer with encourage message
         embed.setFooter({
@@ -175,7 +240,7 @@ module.exports = {
               }
               
               // Update embed
-              embed.setDescription(`Recent game completions by all players (Page ${newPage}/${totalPages})\n\n${newDescriptionText}`);
+              embed.setDescription(`${historyText} (Page ${newPage}/${totalPages})\n\n${newDescriptionText}`);
               embed.setFooter({
                 text: `Showing ${startIndex + 1}-${endIndex} of ${totalItems} completions`
               });
@@ -226,15 +291,36 @@ module.exports = {
       
       // Get more entries for pagination (up to 250)
       const maxEntries = 250;
-      const leaderboardData = await getLeaderboard(maxEntries);
+      let leaderboardData;
+      if (showTeams) {
+        leaderboardData = await getTeamLeaderboard(maxEntries);
+      } else if (event) {
+        leaderboardData = await EventService.getStandings(eventId, event, maxEntries);
+      } else {
+        leaderboardData = await getLeaderboard(maxEntries);
+      }
       
       if (!leaderboardData || leaderboardData.length === 0) {
-        await interaction.editReply({
-          content: 'No leaderboard data available yet. Be the first to complete a challenge!',
-        });
+        let emptyText = 'No leaderboard data available yet. Be the first to complete a challenge!';
+        if (showTeams) {
+          emptyText = 'No teams have scored yet. Create one with `/judge-team create` and start solving!';
+        } else if (event) {
+          emptyText = `No points scored in ${event.name} yet. Be the first to complete one of its challenges!`;
+        }
+        
+        await interaction.editReply({ content: emptyText });
         return;
       }
       
+      // Team rows are highlighted by the team of the current user
+      const userTeam = showTeams ? await getUserTeam(userId) : null;
+      const isCurrentEntry = entry => (showTeams
+        ? Boolean(userTeam) && entry.id === userTeam.id
+        : entry.username === interaction.user.username);
+      const entryName = entry => (showTeams
+        ? `${entry.name} (${entry.member_count} member${entry.member_count === 1 ? '' : 's'})`
+        : entry.username);
+      
       // Calculate total pages and current page data
       const totalItems = leaderboardData.length;
       const totalPages = Math.ceil(totalItems / entriesPerPage);
@@ -245,10 +331,20 @@ module.exports = {
       const currentPageData = leaderboardData.slice(startIndex, endIndex);
       
       // Create leaderboard embed
+      let summaryText = 'Top scorers based on points earned';
+      let title = '🏆 Challenge Leaderboard';
+      if (showTeams) {
+        summaryText = 'Top teams, each challenge counted once per team';
+        title = '🏆 Team Leaderboard';
+      } else if (event) {
+        summaryText = EventService.describe(event);
+        title = `🏆 ${event.name} Leaderboard`.substring(0, 256);
+      }
+      
       const embed = new EmbedBuilder()
-        .setTitle('🏆 Challenge Leaderboard')
+        .setTitle(title)
         .setColor('#FFD700')
-        .setDescription(`Top scorers based on points earned (Page ${validPage}/${totalPages})`);
+        .setDescription(`${summaryText} (Page ${validPage}/${totalPages})`);
       
       // Add leaderboard entries
       let leaderboardText = '';
@@ -265,14 +361,13 @@ module.exports = {
         else medal = `${position}.`;
         
         // Highlight the current user
-        const isCurrentUser = entry.username === interaction.user.username;
-        const username = isCurrentUser ? `**${entry.username}**` : entry.username;
+        const username = isCurrentEntry(entry) ? `**${entryName(entry)}**` : entryName(entry);
         
         // Add to leaderboard text
         leaderboardText += `${medal} ${username} - ${entry.total_points || 0} points (${entry.completed_games || 0} challenges)\n`;
       });
       
-      embed.setDescription(`Top scorers based on points earned (Page ${validPage}/${totalPages})\n\n${leaderboardText}`);
+      embed.setDescription(`${summaryText} (Page ${validPage}/${totalPages})\n\n${leaderboardText}`);
       
       // Add footer with encourage message
       embed.setFooter({
@@ -349,15 +444,14 @@ module.exports = {
               else medal = `${position}.`;
               
               // Highlight the current user
-              const isCurrentUser = entry.username === interaction.user.username;
-              const username = isCurrentUser ? `**${entry.username}**` : entry.username;
+              const username = isCurrentEntry(entry) ? `**${entryName(entry)}**` : entryName(entry);
               
               // Add to leaderboard text
               newLeaderboardText += `${medal} ${username} - ${entry.total_points || 0} points (${entry.completed_games || 0} challenges)\n`;
             });
             
             // Update embed
-            embed.setDescription(`Top scorers based on points earned (Page ${newPage}/${totalPages})\n\n${newLeaderboardText}`);
+            embed.setDescription(`${summaryText} (Page ${newPage}/${totalPages})\n\n${newLeaderboardText}`);
             embed.setFooter({
               text: `Showing ranks ${startIndex + 1}-${endIndex} of ${totalItems} • Try "/judge-leaderboard detailed:true" for completion history`
             });
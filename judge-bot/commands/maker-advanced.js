@@ -11,10 +11,20 @@ const fs = require('fs').promises;
 const path = require('path');
 const yaml = require('js-yaml');
 const Validation = require('../utils/validation');
+const GameConfig = require('../utils/game-config');
+const UnlockRules = require('../utils/unlock-rules');
+const CertificateRenderer = require('../services/certificate');
+const WebhookSender = require('../services/webhook');
+const SeriesService = require('../services/series');
+const SubmissionLog = require('../utils/submission-log');
+const { getSubmissions, countSubmissions, getWebhookSecret, setWebhookSecret, deleteWebhookSecret } = require('../services/database');
 
 // Path to the games directory where individual game files will be stored
 const GAMES_DIR = path.join(__dirname, '../config/games');
 
+// Shortest HMAC secret accepted for webhook rewards
+const MIN_WEBHOOK_SECRET_LENGTH = 16;
+
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('maker-advanced')
@@ -47,9 +57,66 @@ module.exports = {
             .setRequired(true)
             .addChoices(
               { name: 'Digital Badge (Badgr)', value: 'badgr' },
-              { name: 'Text Message', value: 'text' }
+              { name: 'Open Badge (self-hosted)', value: 'openbadge' },
+              { name: 'Certificate (image or PDF)', value: 'certificate' },
+              { name: 'Webhook (signed POST to your service)', value: 'webhook' },
+              { name: 'Text Message', value: 'text' },
+              { name: 'Discord Role', value: 'role' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('submissions')
+        .setDescription('Browse the answers players submitted for one of your games')
+        .addStringOption(option => 
+          option.setName('game_id')
+            .setDescription('ID of the game to inspect')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('result')
+            .setDescription('Only show correct or incorrect answers')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Correct', value: 'correct' },
+              { name: 'Incorrect', value: 'incorrect' }
             )
         )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('series')
+        .setDescription('Create or edit a series of games with a reward for completing all of them')
+        .addStringOption(option =>
+          option.setName('series_id')
+            .setDescription('ID of the series (letters, numbers, _ and -)')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+          option.setName('reward_type')
+            .setDescription('Reward for completing the series')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Digital Badge (Badgr)', value: 'badgr' },
+              { name: 'Open Badge (self-hosted)', value: 'openbadge' },
+              { name: 'Text Message', value: 'text' },
+              { name: 'Discord Role', value: 'role' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('series-delete')
+        .setDescription('Delete one of your series (rewards already issued are kept)')
+        .addStringOption(option =>
+          option.setName('series_id')
+            .setDescription('ID of the series to delete')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
     ),
 
   // Set up autocomplete for game selection
@@ -75,6 +142,17 @@ module.exports = {
         logger.error(`Error in autocomplete: ${error.message}`);
         await interaction.respond([]);
       }
+    } else if (focusedOption.name === 'series_id') {
+      const isAdmin = Validation.isAdmin(interaction.user.id, config.bot.admins);
+      const search = focusedOption.value.toLowerCase();
+
+      const choices = Object.entries(config.series || {})
+        .filter(([, series]) => isAdmin || series.owner_id === interaction.user.id)
+        .filter(([seriesId, series]) => seriesId.toLowerCase().includes(search) || String(series.name).toLowerCase().includes(search))
+        .map(([seriesId, series]) => ({ name: `${series.name} (${seriesId})`.substring(0, 100), value: seriesId }))
+        .slice(0, 25);
+
+      await interaction.respond(choices).catch(() => {});
     }
   },
 
@@ -110,6 +188,15 @@ async execute(interaction, { client, config, logger }) {
         case 'reward':
           await handleRewardSettings(interaction, config, logger);
           break;
+        case 'submissions':
+          await handleSubmissionLog(interaction, config, logger);
+          break;
+        case 'series':
+          await handleSeriesSettings(interaction, config, logger);
+          break;
+        case 'series-delete':
+          await handleSeriesDelete(interaction, config, logger);
+          break;
       }
     } catch (error) {
       logger.error(`Error in maker-advanced command: ${error.message}`);
@@ -197,12 +284,22 @@ async function handleAdvancedSettings(interaction, config, logger) {
       .setStyle(TextInputStyle.Paragraph)
       .setRequired(false);
 
+    // Prerequisites that unlock this game
+    const requiresInput = new TextInputBuilder()
+      .setCustomId('requires')
+      .setLabel('Prerequisites: A, B or "2 of A, B, C"')
+      .setPlaceholder('Game IDs to complete first (empty = always unlocked)')
+      .setValue(UnlockRules.format(gameData.requires))
+      .setStyle(TextInputStyle.Short)
+      .setRequired(false);
+
     // Add inputs to the modal
     modal.addComponents(
       new ActionRowBuilder().addComponents(badgeClassInput),
       new ActionRowBuilder().addComponents(textRewardInput),
       new ActionRowBuilder().addComponents(customField1Input),
-      new ActionRowBuilder().addComponents(notesInput)
+      new ActionRowBuilder().addComponents(notesInput),
+      new ActionRowBuilder().addComponents(requiresInput)
     );
 
     // Show the modal
@@ -224,6 +321,24 @@ async function handleAdvancedSettings(interaction, config, logger) {
     const textReward = submission.fields.getTextInputValue('text-reward').trim();
     const customField1 = submission.fields.getTextInputValue('custom-field-1').trim();
     const notes = submission.fields.getTextInputValue('notes').trim();
+    const requires = UnlockRules.parse(submission.fields.getTextInputValue('requires'));
+
+    // Check the prerequisites against every game, including unapproved ones
+    if (requires) {
+      const allGames = { ...(config.games || {}) };
+      for (const game of await getAllGames()) {
+        allGames[game.id] = game;
+      }
+
+      const requireErrors = UnlockRules.validate(gameId, requires, allGames);
+      if (requireErrors.length > 0) {
+        await submission.reply({
+          content: `❌ Invalid prerequisites:\n${requireErrors.map(error => `• ${error}`).join('\n')}`,
+          ephemeral: true
+        });
+        return;
+      }
+    }
 
     // Update game object
     const updatedGame = {
@@ -235,12 +350,14 @@ async function handleAdvancedSettings(interaction, config, logger) {
     if (textReward) updatedGame.reward_text = textReward;
     if (customField1) updatedGame.custom_field_1 = customField1;
     if (notes) updatedGame.notes = notes;
+    if (requires) updatedGame.requires = requires;
 
     // Delete fields explicitly if they were cleared
     if (!badgeClassId && 'badge_class_id' in updatedGame) delete updatedGame.badge_class_id;
     if (!textReward && 'reward_text' in updatedGame) delete updatedGame.reward_text;
     if (!customField1 && 'custom_field_1' in updatedGame) delete updatedGame.custom_field_1;
     if (!notes && 'notes' in updatedGame) delete updatedGame.notes;
+    if (!requires && 'requires' in updatedGame) delete updatedGame.requires;
 
     // Set reward type based on which field was filled
     if (badgeClassId && !textReward) {
@@ -312,6 +429,11 @@ async function handleAdvancedSettings(interaction, config, logger) {
         });
       }
 
+      embed.addFields({
+        name: 'Prerequisites',
+        value: requires ? `🔒 Unlocked after completing ${UnlockRules.format(requires)}`.substring(0, 1024) : 'None, always unlocked'
+      });
+
       await submission.reply({
         embeds: [embed],
         ephemeral: true
@@ -332,6 +454,54 @@ async function handleAdvancedSettings(interaction, config, logger) {
   }
 }
 
+/**
+* Show the submission log for a game
+* @param {Object} interaction - Discord interaction object
+* @param {Object} config - Bot configuration 
+* @param {Object} logger - Logger instance
+* @returns {Promise<void>}
+*/
+async function handleSubmissionLog(interaction, config, logger) {
+  const gameId = interaction.options.getString('game_id');
+  const result = interaction.options.getString('result');
+
+  const gameData = await getGameById(gameId);
+
+  if (!gameData) {
+    await interaction.reply({
+      content: `❌ Game with ID "${gameId}" not found.`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  // Check ownership
+  if (gameData.owner_id !== interaction.user.id && !Validation.isAdmin(interaction.user.id, config.bot.admins)) {
+    await interaction.reply({
+      content: `❌ You don't have permission to view submissions for this game. Only the creator (${gameData.author}) can view them.`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  const filters = { gameId };
+  if (result) {
+    filters.correct = result === 'correct';
+  }
+
+  const submissions = await getSubmissions(filters);
+  const total = await countSubmissions(filters);
+  logger.info(`${interaction.user.tag} viewed ${submissions.length} submissions for game ${gameId}`);
+
+  await SubmissionLog.show(interaction, {
+    submissions,
+    title: `📜 Submissions: ${gameData.name}`,
+    description: result ? `Showing ${result} answers only` : null,
+    total,
+    config
+  });
+}
+
 /**
 * Get all games from the games directory
 * @returns {Promise<Array>} Array of game objects
@@ -451,26 +621,7 @@ async function reloadGamesConfig(logger) {
       
       // Create a clean version of the game data for the config
       // This removes internal maker properties that shouldn't be exposed
-      const cleanGameData = {
-        name: gameData.name,
-        description: gameData.description,
-        author: gameData.author,
-        difficulty: gameData.difficulty || 1,
-        reward_type: gameData.reward_type || 'badgr',
-        hints: gameData.hints || []
-      };
-      
-      // Add reward-specific properties
-      if (gameData.reward_type === 'badgr' && gameData.badge_class_id) {
-        cleanGameData.badge_class_id = gameData.badge_class_id;
-      } else if (gameData.reward_type === 'text' && gameData.reward_text) {
-        cleanGameData.reward_text = gameData.reward_text;
-      }
-      
-      // Add reward description if available
-      if (gameData.reward_description) {
-        cleanGameData.reward_description = gameData.reward_description;
-      }
+      const cleanGameData = GameConfig.toPublic(gameData);
       
       // Add to the merged config
       mergedConfig.games[id] = cleanGameData;
@@ -500,6 +651,58 @@ async function reloadGamesConfig(logger) {
   }
 }
 
+/**
+* Validate the role reward form and reply with an error if it is invalid
+* @param {Object} submission - Modal submission interaction
+* @param {string} roleId - Role ID entered by the maker
+* @param {string} gameId - Game being configured
+* @param {Object} config - Bot configuration
+* @returns {Promise<Object|null>} - { durationHours, prerequisites } or null if invalid
+*/
+async function validateRoleReward(submission, roleId, gameId, config) {
+  const roleRewards = config.bot.role_rewards || {};
+  const allowedRoles = roleRewards.allowed_role_ids || [];
+  const durationText = submission.fields.getTextInputValue('role-duration').trim();
+  const prerequisites = [...new Set(submission.fields.getTextInputValue('role-prerequisites')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => id && id !== gameId))];
+
+  const fail = async message => {
+    await submission.reply({ content: `❌ ${message}`, ephemeral: true });
+    return null;
+  };
+
+  if (!/^\d{17,20}$/.test(roleId)) {
+    return fail('Role ID must be a Discord role ID (right-click the role → Copy Role ID).');
+  }
+
+  // Makers may only hand out roles an admin has allowed; admins may use any role
+  if (!Validation.isAdmin(submission.user.id, config.bot.admins) && !allowedRoles.includes(roleId)) {
+    return fail('This role is not allowed as a reward. Ask an administrator to add it to `role_rewards.allowed_role_ids`.');
+  }
+
+  if (submission.guild && !(await submission.guild.roles.fetch(roleId).catch(() => null))) {
+    return fail('Role not found in this server.');
+  }
+
+  let durationHours = null;
+  if (durationText) {
+    durationHours = Number(durationText);
+    if (!Number.isInteger(durationHours) || durationHours < 1 || durationHours > 87600) {
+      return fail('Role duration must be a whole number of hours between 1 and 87600.');
+    }
+  }
+
+  const allGames = await getAllGames();
+  const unknown = prerequisites.filter(id => !allGames.some(game => game.id === id));
+  if (unknown.length > 0) {
+    return fail(`Unknown game IDs: ${unknown.join(', ')}`);
+  }
+
+  return { durationHours, prerequisites };
+}
+
 /**
 * Handle reward settings for a game
 * @param {Object} interaction - Discord interaction object
@@ -532,6 +735,9 @@ async function handleRewardSettings(interaction, config, logger) {
       return;
     }
 
+    // Webhook secrets are stored in the database, not in the game file
+    const storedSecret = rewardType === 'webhook' ? await getWebhookSecret(gameId) : null;
+
     // Modal title and fields depend on reward type
     let modalTitle, primaryFieldLabel, primaryFieldValue;
 
@@ -539,13 +745,29 @@ async function handleRewardSettings(interaction, config, logger) {
       modalTitle = 'Badgr Badge Reward';
       primaryFieldLabel = 'Badge Class ID';
       primaryFieldValue = gameData.badge_class_id || '';
+    } else if (rewardType === 'openbadge') {
+      modalTitle = 'Open Badge Reward';
+      primaryFieldLabel = 'Achievement Criteria';
+      primaryFieldValue = gameData.badge_criteria || `Complete the "${gameData.name}" challenge`;
+    } else if (rewardType === 'certificate') {
+      modalTitle = 'Certificate Reward';
+      primaryFieldLabel = 'Format (svg or pdf)';
+      primaryFieldValue = gameData.certificate_format || 'svg';
+    } else if (rewardType === 'webhook') {
+      modalTitle = 'Webhook Reward';
+      primaryFieldLabel = 'Webhook URL';
+      primaryFieldValue = gameData.webhook_url || '';
     } else if (rewardType === 'text') {
       modalTitle = 'Text Reward';
       primaryFieldLabel = 'Reward Text';
       primaryFieldValue = gameData.reward_text || '';
+    } else if (rewardType === 'role') {
+      modalTitle = 'Role Reward';
+      primaryFieldLabel = 'Role ID';
+      primaryFieldValue = gameData.role_id || '';
     } else {
       await interaction.reply({
-        content: '❌ Invalid reward type. Please select either "badgr" or "text".',
+        content: '❌ Invalid reward type. Please select "badgr", "openbadge", "certificate", "webhook", "text" or "role".',
         ephemeral: true
       });
       return;
@@ -561,7 +783,7 @@ async function handleRewardSettings(interaction, config, logger) {
       .setCustomId('primary-field')
       .setLabel(primaryFieldLabel)
       .setValue(primaryFieldValue)
-      .setStyle(rewardType === 'text' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+      .setStyle(rewardType === 'text' || rewardType === 'openbadge' ? TextInputStyle.Paragraph : TextInputStyle.Short)
       .setRequired(true);
 
     // Description field
@@ -578,6 +800,71 @@ async function handleRewardSettings(interaction, config, logger) {
       new ActionRowBuilder().addComponents(descriptionInput)
     );
 
+    // Certificates are rendered from an optional maker template
+    if (rewardType === 'certificate') {
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('certificate-template')
+            .setLabel('Template (SVG or PDF text, empty = default)')
+            .setValue(gameData.certificate_template || '')
+            .setPlaceholder('Placeholders: {{username}} {{game}} {{difficulty}} {{points}} {{date}}')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(4000)
+            .setRequired(false)
+        )
+      );
+    }
+
+    // Webhooks are signed with a secret and can send a custom JSON payload
+    if (rewardType === 'webhook') {
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('webhook-secret')
+            .setLabel('HMAC Secret (empty keeps the current one)')
+            .setPlaceholder(storedSecret ? 'A secret is set' : 'Required unless an admin allowed the host')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(200)
+            .setRequired(false)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('webhook-template')
+            .setLabel('Payload Template (JSON, empty = default)')
+            .setValue(gameData.webhook_template || '')
+            .setPlaceholder('Placeholders: {{user_id}} {{username}} {{game_id}} {{game}} {{points}}')
+            .setStyle(TextInputStyle.Paragraph)
+            .setMaxLength(4000)
+            .setRequired(false)
+        )
+      );
+    }
+
+    // Role rewards can expire and depend on other games
+    if (rewardType === 'role') {
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('role-duration')
+            .setLabel('Role Duration in Hours (empty = permanent)')
+            .setValue(gameData.role_duration_hours ? String(gameData.role_duration_hours) : '')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(6)
+            .setRequired(false)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder()
+            .setCustomId('role-prerequisites')
+            .setLabel('Also Require Games (IDs, comma separated)')
+            .setValue(Array.isArray(gameData.role_prerequisites) ? gameData.role_prerequisites.join(', ') : '')
+            .setStyle(TextInputStyle.Short)
+            .setMaxLength(500)
+            .setRequired(false)
+        )
+      );
+    }
+
     // Show the modal
     await interaction.showModal(modal);
 
@@ -604,6 +891,63 @@ async function handleRewardSettings(interaction, config, logger) {
       return;
     }
 
+    // Validate role reward settings
+    let roleSettings = null;
+    if (rewardType === 'role') {
+      roleSettings = await validateRoleReward(submission, primaryField, gameId, config);
+      if (!roleSettings) return;
+    }
+
+    // Validate certificate settings
+    let certificateTemplate = '';
+    if (rewardType === 'certificate') {
+      certificateTemplate = submission.fields.getTextInputValue('certificate-template').trim();
+      const templateCheck = CertificateRenderer.validateTemplate(primaryField.toLowerCase(), certificateTemplate);
+
+      if (!templateCheck.valid) {
+        await submission.reply({
+          content: `❌ ${templateCheck.error}`,
+          ephemeral: true
+        });
+        return;
+      }
+    }
+
+    // Validate webhook settings
+    let webhookSecret = '';
+    let webhookTemplate = '';
+    if (rewardType === 'webhook') {
+      webhookSecret = submission.fields.getTextInputValue('webhook-secret').trim();
+      webhookTemplate = submission.fields.getTextInputValue('webhook-template').trim();
+      const webhookCheck = WebhookSender.validate(primaryField, webhookTemplate, config);
+
+      if (!webhookCheck.valid) {
+        await submission.reply({
+          content: `❌ ${webhookCheck.error}`,
+          ephemeral: true
+        });
+        return;
+      }
+
+      if (webhookSecret && webhookSecret.length < MIN_WEBHOOK_SECRET_LENGTH) {
+        await submission.reply({
+          content: `❌ The HMAC secret must be at least ${MIN_WEBHOOK_SECRET_LENGTH} characters.`,
+          ephemeral: true
+        });
+        return;
+      }
+
+      // The bot's WEBHOOK_SECRET only signs requests to hosts listed in webhooks.allowed_hosts
+      const sharedSecret = WebhookSender.isAllowedHost(primaryField, config) && process.env.WEBHOOK_SECRET;
+      if (!webhookSecret && !storedSecret && !sharedSecret) {
+        await submission.reply({
+          content: '❌ An HMAC secret is required for this URL. Only hosts an admin added to `webhooks.allowed_hosts` can use the bot\'s WEBHOOK_SECRET.',
+          ephemeral: true
+        });
+        return;
+      }
+    }
+
     // Update game object
     const updatedGame = {
       ...gameData,
@@ -611,12 +955,26 @@ async function handleRewardSettings(interaction, config, logger) {
     };
 
     // Set type-specific fields
+    for (const field of ['badge_class_id', 'badge_criteria', 'certificate_format', 'certificate_template', 'webhook_url', 'webhook_secret', 'webhook_template', 'reward_text', 'role_id', 'role_duration_hours', 'role_prerequisites']) {
+      delete updatedGame[field];
+    }
+
     if (rewardType === 'badgr') {
       updatedGame.badge_class_id = primaryField;
-      if ('reward_text' in updatedGame) delete updatedGame.reward_text;
+    } else if (rewardType === 'openbadge') {
+      updatedGame.badge_criteria = primaryField;
+    } else if (rewardType === 'certificate') {
+      updatedGame.certificate_format = primaryField.toLowerCase();
+      if (certificateTemplate) updatedGame.certificate_template = certificateTemplate;
+    } else if (rewardType === 'webhook') {
+      updatedGame.webhook_url = primaryField;
+      if (webhookTemplate) updatedGame.webhook_template = webhookTemplate;
     } else if (rewardType === 'text') {
       updatedGame.reward_text = primaryField;
-      if ('badge_class_id' in updatedGame) delete updatedGame.badge_class_id;
+    } else if (rewardType === 'role') {
+      updatedGame.role_id = primaryField;
+      if (roleSettings.durationHours) updatedGame.role_duration_hours = roleSettings.durationHours;
+      if (roleSettings.prerequisites.length > 0) updatedGame.role_prerequisites = roleSettings.prerequisites;
     }
 
     // Set description if provided
@@ -640,6 +998,14 @@ async function handleRewardSettings(interaction, config, logger) {
       // Remove the 'id' property before saving (it's redundant with the YAML key)
       const { id, ...gameToSave } = updatedGame;
 
+      // A new secret replaces the stored one; other reward types don't need it anymore
+      const secretResult = rewardType !== 'webhook'
+        ? await deleteWebhookSecret(gameId)
+        : (webhookSecret ? await setWebhookSecret(gameId, webhookSecret) : { success: true });
+      if (!secretResult.success) {
+        throw new Error(secretResult.error);
+      }
+
       await fs.writeFile(
         gameFilePath,
         yaml.dump({ [gameId]: gameToSave }),
@@ -657,7 +1023,7 @@ async function handleRewardSettings(interaction, config, logger) {
         .addFields(
           { 
             name: 'Reward Type', 
-            value: rewardType === 'badgr' ? 'Digital Badge (Badgr)' : 'Text Message', 
+            value: { badgr: 'Digital Badge (Badgr)', openbadge: 'Open Badge (self-hosted)', certificate: 'Certificate', webhook: 'Webhook', text: 'Text Message', role: 'Discord Role' }[rewardType], 
             inline: true 
           },
           { 
@@ -667,6 +1033,15 @@ async function handleRewardSettings(interaction, config, logger) {
           }
         );
 
+      if (roleSettings) {
+        embed.addFields({
+          name: 'Role Settings',
+          value: `Role: <@&${primaryField}>\n` +
+            `Duration: ${roleSettings.durationHours ? `${roleSettings.durationHours} hours` : 'Permanent'}\n` +
+            `Also requires: ${roleSettings.prerequisites.length > 0 ? roleSettings.prerequisites.join(', ') : 'Nothing'}`
+        });
+      }
+
       if (description) {
         embed.addFields({
           name: 'Reward Description',
@@ -693,3 +1068,214 @@ async function handleRewardSettings(interaction, config, logger) {
     });
   }
 }
+
+/**
+* Check that the user may edit a series; replies when they may not
+* @param {Object} interaction - Discord interaction object
+* @param {string} seriesId - Series ID
+* @param {Object} config - Bot configuration
+* @returns {Promise<Object|null>} - { filePath, existing } or null
+*/
+async function getEditableSeries(interaction, seriesId, config) {
+  const filePath = /^[A-Za-z0-9_-]{1,50}$/.test(seriesId)
+    ? Validation.resolveGamePath(seriesId, SeriesService.directory)
+    : null;
+
+  if (!filePath) {
+    await interaction.reply({
+      content: '❌ Series IDs may only contain letters, numbers, _ and - (up to 50 characters).',
+      ephemeral: true
+    });
+    return null;
+  }
+
+  const existing = (config.series || {})[seriesId] || null;
+
+  if (existing && existing.owner_id !== interaction.user.id && !Validation.isAdmin(interaction.user.id, config.bot.admins)) {
+    await interaction.reply({
+      content: `❌ You don't have permission to edit this series. Only the creator (${existing.author}) can edit it.`,
+      ephemeral: true
+    });
+    return null;
+  }
+
+  return { filePath, existing };
+}
+
+/**
+* Handle /maker-advanced series: create or edit a series with a modal
+* @param {Object} interaction - Discord interaction object
+* @param {Object} config - Bot configuration
+* @param {Object} logger - Logger instance
+* @returns {Promise<void>}
+*/
+async function handleSeriesSettings(interaction, config, logger) {
+  const seriesId = interaction.options.getString('series_id');
+  const rewardType = interaction.options.getString('reward_type');
+
+  const editable = await getEditableSeries(interaction, seriesId, config);
+  if (!editable) return;
+
+  const { filePath, existing } = editable;
+  const current = existing || {};
+  const rewardFields = {
+    badgr: { label: 'Badge Class ID', field: 'badge_class_id' },
+    openbadge: { label: 'Achievement Criteria', field: 'badge_criteria' },
+    text: { label: 'Reward Text', field: 'reward_text' },
+    role: { label: 'Role ID', field: 'role_id' }
+  };
+  const rewardField = rewardFields[rewardType];
+
+  const modal = new ModalBuilder()
+    .setCustomId(`series-modal-${seriesId}`)
+    .setTitle(`Series: ${seriesId}`.substring(0, 45))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('series-name')
+          .setLabel('Series Name')
+          .setValue(current.name || '')
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(100)
+          .setRequired(true)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('series-games')
+          .setLabel('Game IDs (comma separated)')
+          .setValue(Array.isArray(current.games) ? current.games.join(', ') : '')
+          .setStyle(TextInputStyle.Short)
+          .setMaxLength(1000)
+          .setRequired(true)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('series-description')
+          .setLabel('Series Description (shown to players)')
+          .setValue(current.description || '')
+          .setStyle(TextInputStyle.Paragraph)
+          .setMaxLength(1000)
+          .setRequired(false)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('primary-field')
+          .setLabel(rewardField.label)
+          .setValue(current.reward_type === rewardType && current[rewardField.field] ? String(current[rewardField.field]) : '')
+          .setStyle(rewardType === 'text' || rewardType === 'openbadge' ? TextInputStyle.Paragraph : TextInputStyle.Short)
+          .setRequired(rewardType !== 'openbadge')
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId('description')
+          .setLabel('Reward Description (shown to players)')
+          .setValue(current.reward_description || '')
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false)
+      )
+    );
+
+  await interaction.showModal(modal);
+
+  const submission = await interaction.awaitModalSubmit({
+    time: 300000, // 5 minutes
+    filter: i => i.customId === `series-modal-${seriesId}` && i.user.id === interaction.user.id
+  }).catch(() => null);
+
+  if (!submission) {
+    logger.info(`${interaction.user.tag} did not submit the series form`);
+    return;
+  }
+
+  const primaryField = submission.fields.getTextInputValue('primary-field').trim();
+  const rewardDescription = submission.fields.getTextInputValue('description').trim();
+  const seriesDescription = submission.fields.getTextInputValue('series-description').trim();
+
+  const series = {
+    name: submission.fields.getTextInputValue('series-name').trim(),
+    games: [...new Set(submission.fields.getTextInputValue('series-games')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean))],
+    reward_type: rewardType,
+    owner_id: current.owner_id || interaction.user.id,
+    author: current.author || interaction.user.username
+  };
+
+  if (seriesDescription) series.description = seriesDescription;
+  if (primaryField) series[rewardField.field] = primaryField;
+  if (rewardDescription) series.reward_description = rewardDescription;
+
+  const errors = SeriesService.validate(series, config);
+
+  // Makers may only hand out roles an admin has allowed; admins may use any role
+  const allowedRoles = (config.bot.role_rewards || {}).allowed_role_ids || [];
+  if (rewardType === 'role' && !Validation.isAdmin(interaction.user.id, config.bot.admins) && !allowedRoles.includes(primaryField)) {
+    errors.push('This role is not allowed as a reward. Ask an administrator to add it to `role_rewards.allowed_role_ids`.');
+  }
+
+  if (errors.length > 0) {
+    await submission.reply({
+      content: `❌ The series was not saved:\n${errors.map(error => `• ${error}`).join('\n')}`.substring(0, 2000),
+      ephemeral: true
+    });
+    return;
+  }
+
+  try {
+    await fs.mkdir(SeriesService.directory, { recursive: true });
+    await fs.writeFile(filePath, yaml.dump({ [seriesId]: series }), 'utf8');
+    SeriesService.reload();
+
+    logger.info(`${interaction.user.tag} ${existing ? 'updated' : 'created'} series ${seriesId} (${series.games.join(', ')})`);
+
+    const embed = new EmbedBuilder()
+      .setTitle(existing ? '📚 Series Updated' : '📚 Series Created')
+      .setColor('#9C27B0')
+      .setDescription(`Players who complete every game of "${series.name}" now receive its reward.`)
+      .addFields(
+        { name: 'Games', value: series.games.map(gameId => `• ${config.games[gameId].name} (${gameId})`).join('\n').substring(0, 1024) },
+        { name: 'Reward Type', value: { badgr: 'Digital Badge (Badgr)', openbadge: 'Open Badge (self-hosted)', text: 'Text Message', role: 'Discord Role' }[rewardType], inline: true }
+      );
+
+    await submission.reply({ embeds: [embed], ephemeral: true });
+  } catch (error) {
+    logger.error(`Error saving series ${seriesId}: ${error.message}`);
+    await submission.reply({
+      content: '❌ An error occurred while saving the series. Please try again later.',
+      ephemeral: true
+    });
+  }
+}
+
+/**
+* Handle /maker-advanced series-delete
+* @param {Object} interaction - Discord interaction object
+* @param {Object} config - Bot configuration
+* @param {Object} logger - Logger instance
+* @returns {Promise<void>}
+*/
+async function handleSeriesDelete(interaction, config, logger) {
+  const seriesId = interaction.options.getString('series_id');
+
+  const editable = await getEditableSeries(interaction, seriesId, config);
+  if (!editable) return;
+
+  if (!editable.existing) {
+    await interaction.reply({
+      content: `❌ Series "${seriesId}" not found.`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  await fs.unlink(editable.filePath);
+  SeriesService.reload();
+
+  logger.info(`${interaction.user.tag} deleted series ${seriesId}`);
+
+  await interaction.reply({
+    content: `🗑️ Series "${editable.existing.name}" deleted. Rewards already issued for it are kept.`,
+    ephemeral: true
+  });
+}
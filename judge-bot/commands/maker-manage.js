@@ -1,6 +1,7 @@
 /**
  * @file maker-manage.js - Admin commands to manage Maker-created games
- * @description Commands for admins to approve, reject, and manage games created by Makers
+ * @description Commands for admins to approve, reject, and manage games created by Makers. The approval
+ *              review includes the files attached to the game.
  * @version 1.1.0
  * @author gl0bal01
  * @since 2025-04-03
@@ -13,6 +14,12 @@ const fs = require('fs').promises;
 const path = require('path');
 const yaml = require('js-yaml');
 const Validation = require('../utils/validation');
+const GameConfig = require('../utils/game-config');
+const GameSchedule = require('../utils/game-schedule');
+const GameTags = require('../utils/game-tags');
+const ChallengeAttachments = require('../services/attachments');
+const WebhookSender = require('../services/webhook');
+const { recordScheduleEvent, getWebhookSecret } = require('../services/database');
 
 // Path to the games directory where individual game files will be stored
 const GAMES_DIR = path.join(__dirname, '../config/games');
@@ -42,6 +49,16 @@ subcommand
       .setRequired(true)
       .setAutocomplete(true)
   )
+  .addStringOption(option =>
+    option.setName('opens_at')
+      .setDescription('Release time, e.g. 2026-11-02T18:00:00Z (default: the game file value, or now)')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option.setName('closes_at')
+      .setDescription('Time the game stops accepting answers, e.g. 2026-11-09T18:00:00Z (default: never)')
+      .setRequired(false)
+  )
 )
 .addSubcommand(subcommand =>
 subcommand
@@ -480,6 +497,28 @@ await interaction.reply({
 return;
 }
 
+// Release and closing times given here replace the ones in the game file
+const schedule = {
+  opens_at: interaction.options.getString('opens_at') || gameData.opens_at,
+  closes_at: interaction.options.getString('closes_at') || gameData.closes_at
+};
+const scheduleErrors = GameSchedule.validate(schedule);
+const { state: scheduleState, opensAt, closesAt } = GameSchedule.getState(schedule);
+
+if (scheduleErrors.length === 0 && scheduleState === GameSchedule.states.CLOSED) {
+  scheduleErrors.push('closes_at is in the past');
+}
+
+if (scheduleErrors.length > 0) {
+await interaction.reply({
+  content: `❌ Invalid schedule:\n${scheduleErrors.map(error => `• ${error}`).join('\n')}`,
+  ephemeral: true
+});
+return;
+}
+
+const scheduled = scheduleState === GameSchedule.states.SCHEDULED;
+
 // Create confirmation message
 const embed = new EmbedBuilder()
 .setTitle('✅ Approve Game')
@@ -489,6 +528,7 @@ const embed = new EmbedBuilder()
   { name: 'ID', value: gameId, inline: true },
   { name: 'Creator', value: gameData.author, inline: true },
   { name: 'Difficulty', value: '⭐'.repeat(gameData.difficulty || 1), inline: true },
+  { name: 'Category', value: GameTags.describe(gameData) || 'None', inline: true },
   { name: 'Description', value: gameData.description || 'No description provided' },
   { name: 'Reward Type', value: gameData.reward_type || 'Not specified' }
 );
@@ -496,12 +536,51 @@ const embed = new EmbedBuilder()
 // Add reward details if present
 if (gameData.reward_type === 'badgr' && gameData.badge_class_id) {
   embed.addFields({ name: 'Badge Class ID', value: gameData.badge_class_id });
+} else if (gameData.reward_type === 'openbadge') {
+  embed.addFields({ name: 'Open Badge Criteria', value: gameData.badge_criteria || 'Default (complete the challenge)' });
+} else if (gameData.reward_type === 'certificate') {
+  embed.addFields({
+    name: 'Certificate',
+    value: `${(gameData.certificate_format || 'svg').toUpperCase()}, ${gameData.certificate_template ? 'custom template' : 'default template'}`
+  });
+} else if (gameData.reward_type === 'webhook' && gameData.webhook_url) {
+  let secretSource = '⚠️ no secret, deliveries will fail';
+  if (await getWebhookSecret(gameId)) {
+    secretSource = 'own secret';
+  } else if (WebhookSender.isAllowedHost(gameData.webhook_url, config)) {
+    secretSource = 'WEBHOOK_SECRET (allowed host)';
+  }
+  embed.addFields({
+    name: 'Webhook',
+    value: `${gameData.webhook_url.substring(0, 900)}\n${gameData.webhook_template ? 'Custom payload' : 'Default payload'}, ${secretSource}`
+  });
 } else if (gameData.reward_type === 'text' && gameData.reward_text) {
   embed.addFields({ name: 'Text Reward', value: `Configured (${gameData.reward_text.length} characters)` });
+} else if (gameData.reward_type === 'role' && gameData.role_id) {
+  embed.addFields({
+    name: 'Role Reward',
+    value: `<@&${gameData.role_id}>` +
+      (gameData.role_duration_hours ? ` for ${gameData.role_duration_hours} hours` : ' (permanent)') +
+      (Array.isArray(gameData.role_prerequisites) && gameData.role_prerequisites.length > 0
+        ? `\nAlso requires: ${gameData.role_prerequisites.join(', ')}`
+        : '')
+  });
 } else {
   embed.addFields({ name: 'Reward Warning', value: 'No reward configuration found!' });
 }
 
+embed.addFields({
+  name: 'Schedule',
+  value: `Opens: ${scheduled ? `${GameSchedule.formatTime(opensAt, 'f')} (${GameSchedule.formatTime(opensAt)})` : 'Immediately'}\n` +
+    `Closes: ${closesAt ? `${GameSchedule.formatTime(closesAt, 'f')} (${GameSchedule.formatTime(closesAt)})` : 'Never'}`
+});
+
+// Attached files are sent with the review so they can be checked before players see them
+const attachments = await ChallengeAttachments.list(gameId);
+if (attachments.length > 0) {
+  embed.addFields({ name: 'Attachments', value: ChallengeAttachments.describe(attachments).substring(0, 1024) });
+}
+
 // Create confirmation buttons
 const confirmButton = new ButtonBuilder()
 .setCustomId(`approve-game-${gameId}`)
@@ -519,6 +598,7 @@ const row = new ActionRowBuilder().addComponents(confirmButton, cancelButton);
 const response = await interaction.reply({
 embeds: [embed],
 components: [row],
+files: await ChallengeAttachments.getDiscordFiles(gameId),
 ephemeral: true
 });
 
@@ -547,6 +627,9 @@ if (i.customId === `approve-game-${gameId}`) {
     approver_name: interaction.user.tag
   };
   
+  if (opensAt) updatedGame.opens_at = opensAt.toISOString();
+  if (closesAt) updatedGame.closes_at = closesAt.toISOString();
+  
   if (updatedGame.disabled) {
     delete updatedGame.disabled;
     delete updatedGame.disable_reason;
@@ -585,8 +668,13 @@ if (i.customId === `approve-game-${gameId}`) {
   // Reload the games configuration
   await reloadGamesConfig(logger);
 
+  // Scheduled games are announced by the game scheduler when they open
+  if (!scheduled && opensAt) {
+    await recordScheduleEvent(gameId, 'opened', opensAt.toISOString());
+  }
+  
   // Announce the game approval if announcer exists
-  if (interaction.client.gameApprovalAnnouncer) {
+  if (!scheduled && interaction.client.gameApprovalAnnouncer) {
     try {
       // Announce the approved game
       await interaction.client.gameApprovalAnnouncer.announceApproval(
@@ -607,7 +695,9 @@ if (i.customId === `approve-game-${gameId}`) {
       const notificationEmbed = new EmbedBuilder()
         .setTitle('🎉 Your Challenge Has Been Approved!')
         .setColor('#00FF00')
-        .setDescription(`Your challenge "${gameData.name}" has been approved and is now available to all players!`)
+        .setDescription(scheduled
+          ? `Your challenge "${gameData.name}" has been approved and will open ${GameSchedule.formatTime(opensAt, 'f')}!`
+          : `Your challenge "${gameData.name}" has been approved and is now available to all players!`)
         .setFooter({ text: `Approved by ${interaction.user.tag}` });
       
       await creator.send({ embeds: [notificationEmbed] }).catch(() => {
@@ -620,7 +710,9 @@ if (i.customId === `approve-game-${gameId}`) {
   }
   
   await i.update({
-    content: `✅ The game "${gameData.name}" has been approved and is now available to all players!`,
+    content: scheduled
+      ? `✅ The game "${gameData.name}" has been approved and will open ${GameSchedule.formatTime(opensAt, 'f')}.`
+      : `✅ The game "${gameData.name}" has been approved and is now available to all players!`,
     embeds: [],
     components: []
   });
@@ -1202,26 +1294,7 @@ async function reloadGamesConfig(logger) {
       
       // Create a clean version of the game data for the config
       // This removes internal maker properties that shouldn't be exposed
-      const cleanGameData = {
-        name: gameData.name,
-        description: gameData.description,
-        author: gameData.author,
-        difficulty: gameData.difficulty || 1,
-        reward_type: gameData.reward_type || 'badgr',
-        hints: gameData.hints || []
-      };
-      
-      // Add reward-specific properties
-      if (gameData.reward_type === 'badgr' && gameData.badge_class_id) {
-        cleanGameData.badge_class_id = gameData.badge_class_id;
-      } else if (gameData.reward_type === 'text' && gameData.reward_text) {
-        cleanGameData.reward_text = gameData.reward_text;
-      }
-      
-      // Add reward description if available
-      if (gameData.reward_description) {
-        cleanGameData.reward_description = gameData.reward_description;
-      }
+      const cleanGameData = GameConfig.toPublic(gameData);
       
       // Add to the merged config
       mergedConfig.games[id] = cleanGameData;
@@ -3,7 +3,9 @@
  * @description Comprehensive Discord slash command system for challenge creators with maker role permissions.
  *              Provides complete CRUD operations for challenges including creation, editing, removal, and listing.
  *              Features modal-based input forms, reward configuration, admin notifications, and automatic
- *              game ID generation. Includes robust validation and role-based access control.
+ *              game ID generation. Includes robust validation and role-based access control. The `category`
+ *              and `tags` options of create and edit set the category and tags players filter challenges by,
+ *              and attach/detach manage the files (images, documents) shown with a challenge.
  * @version 1.1.0
  * @author gl0bal01
  * @since 2025-04-03
@@ -15,6 +17,11 @@ const fs = require('fs').promises;
 const path = require('path');
 const yaml = require('js-yaml');
 const Validation = require('../utils/validation');
+const GameConfig = require('../utils/game-config');
+const AnswerMatcher = require('../utils/answer-matcher');
+const GameTags = require('../utils/game-tags');
+const ChallengeAttachments = require('../services/attachments');
+const { deleteWebhookSecret } = require('../services/database');
 
 // Path to the games directory where individual game files will be stored
 const GAMES_DIR = path.join(__dirname, '../config/games');
@@ -28,6 +35,17 @@ module.exports = {
   subcommand
     .setName('create')
     .setDescription('Create a new game challenge') // Keep this description short
+    .addStringOption(option =>
+      option.setName('category')
+        .setDescription('Category, e.g. Web or OSINT')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option.setName('tags')
+        .setDescription('Tags separated by commas, e.g. sqli, beginner')
+        .setRequired(false)
+    )
   )
   .addSubcommand(subcommand =>
   subcommand
@@ -39,6 +57,17 @@ module.exports = {
         .setRequired(true)
         .setAutocomplete(true)
     )
+    .addStringOption(option =>
+      option.setName('category')
+        .setDescription('New category ("none" removes it, leave empty to keep it)')
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option.setName('tags')
+        .setDescription('New tags separated by commas ("none" removes them, leave empty to keep them)')
+        .setRequired(false)
+    )
   )
   .addSubcommand(subcommand =>
   subcommand
@@ -55,6 +84,39 @@ module.exports = {
   subcommand
     .setName('list')
     .setDescription('List all games you have created') // Keep this description short
+  )
+  .addSubcommand(subcommand =>
+  subcommand
+    .setName('attach')
+    .setDescription('Attach a file or image to one of your games')
+    .addStringOption(option => 
+      option.setName('game_id')
+        .setDescription('Game to attach the file to')
+        .setRequired(true)
+        .setAutocomplete(true)
+    )
+    .addAttachmentOption(option =>
+      option.setName('file')
+        .setDescription('File to attach (a file with the same name is replaced)')
+        .setRequired(true)
+    )
+  )
+  .addSubcommand(subcommand =>
+  subcommand
+    .setName('detach')
+    .setDescription('Remove an attached file from one of your games')
+    .addStringOption(option => 
+      option.setName('game_id')
+        .setDescription('Game to remove the file from')
+        .setRequired(true)
+        .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+      option.setName('name')
+        .setDescription('File to remove')
+        .setRequired(true)
+        .setAutocomplete(true)
+    )
   ),
 
 // Set up autocomplete for game selection
@@ -93,6 +155,21 @@ try {
   logger.error(`Error in autocomplete: ${error.message}`);
   await interaction.respond([]);
 }
+} else if (focusedOption.name === 'name') {
+// Attachments of the game picked in the game_id option
+const gameId = interaction.options.getString('game_id');
+const search = focusedOption.value.toLowerCase();
+const files = gameId ? await ChallengeAttachments.list(gameId) : [];
+await interaction.respond(
+  files
+    .filter(file => file.name.toLowerCase().includes(search))
+    .slice(0, 25)
+    .map(file => ({ name: file.name, value: file.name }))
+).catch(() => {});
+} else if (focusedOption.name === 'category') {
+// Suggest the categories other games already use, so spellings stay consistent
+const allGames = Object.fromEntries((await getAllGames()).map(game => [game.id, game]));
+await interaction.respond(GameTags.getChoices(GameTags.getCategories(allGames), focusedOption.value)).catch(() => {});
 }
 },
 // Fixed execute function for maker.js
@@ -136,6 +213,12 @@ async execute(interaction, { client, config, logger }) {
       case 'list':
         await handleGameList(interaction, logger);
         break;
+      case 'attach':
+        await handleGameAttach(interaction, client, logger, config);
+        break;
+      case 'detach':
+        await handleGameDetach(interaction, logger, config);
+        break;
     }
   } catch (error) {
     logger.error(`Error in maker command: ${error.message}`);
@@ -164,6 +247,16 @@ async execute(interaction, { client, config, logger }) {
 
 async function handleGameCreate(interaction, client, logger, config) {
   try {
+    // Category and tags come from the command options, since the modal is full
+    const classification = getClassificationOptions(interaction, {});
+    if (classification.errors.length > 0) {
+      await interaction.reply({
+        content: `❌ Invalid category or tags:\n${classification.errors.map(error => `• ${error}`).join('\n')}`,
+        ephemeral: true
+      });
+      return;
+    }
+    
     logger.info(`Starting to create a modal for user ${interaction.user.tag}`);
     // Create a modal for game creation
     const modal = new ModalBuilder()
@@ -190,13 +283,13 @@ async function handleGameCreate(interaction, client, logger, config) {
     .setMaxLength(1000)
     .setRequired(true);
   
-    // Game Answer input
+    // Game Answers input (one accepted answer per line)
     const gameAnswerInput = new TextInputBuilder()
     .setCustomId('game-answer')
-    .setLabel('Correct Answer')
-    .setPlaceholder('The exact answer players need to submit')
-    .setStyle(TextInputStyle.Short)
-    .setMaxLength(100)
+    .setLabel('Accepted Answers (one per line)')
+    .setPlaceholder('John Smith 02:31:04\nJ. Smith 2:31:04')
+    .setStyle(TextInputStyle.Paragraph)
+    .setMaxLength(1000)
     .setRequired(true);
   
     // Game Difficulty input (1-4)
@@ -247,7 +340,7 @@ async function handleGameCreate(interaction, client, logger, config) {
       const gameName = submission.fields.getTextInputValue('game-name').trim();
       const gameDesc = submission.fields.getTextInputValue('game-description').trim();
       const gameDifficultyStr = submission.fields.getTextInputValue('game-difficulty').trim();
-      const gameAnswer = submission.fields.getTextInputValue('game-answer').trim();
+      const gameAnswersText = submission.fields.getTextInputValue('game-answer').trim();
       const combinedText = submission.fields.getTextInputValue('combined-field').trim();
       
       // Parse the combined field
@@ -255,8 +348,11 @@ async function handleGameCreate(interaction, client, logger, config) {
       const gameRewardType = combinedLines[0].trim().toLowerCase();
       const gameHintsText = combinedLines.slice(1).join('\n');
       
+      // Process accepted answers (split by newlines)
+      const answers = parseAnswerList(gameAnswersText);
+      
       // Validate required fields
-      if (!gameName || !gameDesc || !gameAnswer) {
+      if (!gameName || !gameDesc || answers.length === 0) {
         await submission.reply({
           content: '❌ Name, description, and answer are required fields.',
           ephemeral: true
@@ -289,12 +385,25 @@ async function handleGameCreate(interaction, client, logger, config) {
         description: gameDesc,
         author: interaction.user.username, // Set author
         owner_id: interaction.user.id,     // Set owner ID for access control
-        answer: gameAnswer,
+        answers: answers,
         difficulty: difficulty,
         reward_type: rewardType,
         creation_date: new Date().toISOString().split('T')[0], // YYYY-MM-DD format
         hints: hints
       };
+      
+      if (classification.category) game.category = classification.category;
+      if (classification.tags.length > 0) game.tags = classification.tags;
+  
+      // Validate the game configuration before saving
+      const { valid, errors } = Validation.validateGameConfig(game);
+      if (!valid) {
+        await submission.reply({
+          content: `❌ Invalid challenge: ${errors.join(', ')}.`,
+          ephemeral: true
+        });
+        return;
+      }
   
       // Write game to file
       const gameFilePath = Validation.resolveGamePath(gameId, GAMES_DIR);
@@ -303,9 +412,10 @@ async function handleGameCreate(interaction, client, logger, config) {
         return;
       }
   
+      // Answers are stored hashed, never in plaintext
       await fs.writeFile(
         gameFilePath,
-        yaml.dump({ [gameId]: game }),
+        yaml.dump({ [gameId]: await AnswerMatcher.hashGameAnswers(game) }),
         'utf8'
       );
   
@@ -318,6 +428,7 @@ async function handleGameCreate(interaction, client, logger, config) {
         { name: 'Difficulty', value: '⭐'.repeat(difficulty), inline: true },
         { name: 'Reward Type', value: rewardType === 'badgr' ? 'Digital Badge' : 'Text Message', inline: true },
         { name: 'Hints', value: hints.length > 0 ? `${hints.length} hints provided` : 'No hints', inline: true },
+        { name: 'Category', value: GameTags.describe(game) || 'None (use `/maker edit` to set one)' },
         { name: 'Next Steps', value: 'Use the buttons below to configure your reward details.' }
       );
     
@@ -475,6 +586,16 @@ await interaction.reply({
 return;
 }
 
+// Category and tags come from the command options, since the modal is full
+const classification = getClassificationOptions(interaction, gameData);
+if (classification.errors.length > 0) {
+await interaction.reply({
+  content: `❌ Invalid category or tags:\n${classification.errors.map(error => `• ${error}`).join('\n')}`,
+  ephemeral: true
+});
+return;
+}
+
 // Create a modal for game editing
 const modal = new ModalBuilder()
 .setCustomId(`edit-game-modal-${gameId}`)
@@ -496,13 +617,16 @@ const gameDescInput = new TextInputBuilder()
 .setStyle(TextInputStyle.Paragraph)
 .setRequired(true);
 
-// Game Answer input
+// Game Answers input (one accepted answer per line)
+// Stored answers are hashed and can't be shown, so a blank field keeps them
+const currentAnswers = getAnswerList(gameData);
 const gameAnswerInput = new TextInputBuilder()
 .setCustomId('game-answer')
-.setLabel('Correct Answer')
-.setValue(gameData.answer)
-.setStyle(TextInputStyle.Short)
-.setRequired(true);
+.setLabel('New Accepted Answers (one per line)')
+.setPlaceholder(`Leave blank to keep the ${currentAnswers.length} current answer(s)`)
+.setStyle(TextInputStyle.Paragraph)
+.setMaxLength(1000)
+.setRequired(false);
 
 // Game Difficulty input
 const gameDifficultyInput = new TextInputBuilder()
@@ -546,7 +670,7 @@ return;
 // Get values from form
 const gameName = submission.fields.getTextInputValue('game-name').trim();
 const gameDesc = submission.fields.getTextInputValue('game-description').trim();
-const gameAnswer = submission.fields.getTextInputValue('game-answer').trim();
+const gameAnswersText = submission.fields.getTextInputValue('game-answer').trim();
 const gameDifficulty = submission.fields.getTextInputValue('game-difficulty').trim();
 const gameHintsText = submission.fields.getTextInputValue('game-hints').trim();
 
@@ -567,9 +691,21 @@ if (gameDesc.length > 1000) {
   return;
 }
 
-if (gameAnswer.length > 100) {
+// Process accepted answers (split by newlines); blank keeps the current answers
+const answersChanged = gameAnswersText.length > 0;
+const answers = answersChanged ? parseAnswerList(gameAnswersText) : currentAnswers;
+
+if (answers.length === 0 && !gameData.match) {
+  await submission.reply({
+    content: '❌ At least one accepted answer is required.',
+    ephemeral: true
+  });
+  return;
+}
+
+if (answersChanged && answers.some(answer => answer.length > 100)) {
   await submission.reply({
-    content: '❌ Game answer must be 100 characters or less.',
+    content: '❌ Each accepted answer must be 100 characters or less.',
     ephemeral: true
   });
   return;
@@ -601,16 +737,25 @@ const updatedGame = {
 ...gameData,
 name: gameName,
 description: gameDesc,
-answer: gameAnswer,
+answers: answers,
 difficulty: difficulty,
 hints: hints,
 last_modified: new Date().toISOString().split('T')[0] // YYYY-MM-DD format
 };
 
+// The answers list replaces the legacy single answer field
+delete updatedGame.answer;
+
+// Apply the category and tags, removing the fields when they were cleared
+delete updatedGame.category;
+delete updatedGame.tags;
+if (classification.category) updatedGame.category = classification.category;
+if (classification.tags.length > 0) updatedGame.tags = classification.tags;
+
 // If game was already approved, reset it to pending if major fields changed
 if (updatedGame.approved) {
 const majorChange = 
-  gameData.answer !== gameAnswer ||
+  answersChanged ||
   gameData.difficulty !== difficulty ||
   JSON.stringify(gameData.hints) !== JSON.stringify(hints);
   
@@ -641,9 +786,10 @@ try {
 // Remove the 'id' property before saving
 const { id, ...gameToSave } = updatedGame;
 
+// Answers are stored hashed, never in plaintext (this also hashes legacy plaintext answers)
 await fs.writeFile(
   gameFilePath,
-  yaml.dump({ [gameId]: gameToSave }),
+  yaml.dump({ [gameId]: await AnswerMatcher.hashGameAnswers(gameToSave) }),
   'utf8'
 );
 
@@ -658,7 +804,8 @@ const embed = new EmbedBuilder()
   .addFields(
     { name: 'Game ID', value: gameId, inline: true },
     { name: 'Difficulty', value: '⭐'.repeat(difficulty), inline: true },
-    { name: 'Hints', value: hints.length > 0 ? `${hints.length} hints provided` : 'No hints', inline: true }
+    { name: 'Hints', value: hints.length > 0 ? `${hints.length} hints provided` : 'No hints', inline: true },
+    { name: 'Category', value: GameTags.describe(updatedGame) || 'None' }
   );
 
 // Add status field
@@ -825,6 +972,8 @@ if (i.customId === `confirm-remove-${gameId}`) {
   
   try {
     await fs.unlink(gameFilePath);
+    await ChallengeAttachments.removeAll(gameId);
+    await deleteWebhookSecret(gameId);
     
     // Reload the games configuration
     await reloadGamesConfig(logger);
@@ -1045,6 +1194,14 @@ async function handleGameList(interaction, logger) {
           rewardType = '🏅 Digital Badge';
         } else if (game.reward_type === 'text') {
           rewardType = '📝 Text Reward';
+        } else if (game.reward_type === 'role') {
+          rewardType = '🎖️ Discord Role';
+        } else if (game.reward_type === 'openbadge') {
+          rewardType = '🏅 Open Badge';
+        } else if (game.reward_type === 'certificate') {
+          rewardType = '📜 Certificate';
+        } else if (game.reward_type === 'webhook') {
+          rewardType = '🔗 Webhook';
         }
         
         const gameEntry = `• **${game.name}** - ${difficultyStars}\n  Status: Live ✅ | Reward: ${rewardType}\n\n`;
@@ -1082,6 +1239,14 @@ async function handleGameList(interaction, logger) {
           rewardType = '🏅 Digital Badge';
         } else if (game.reward_type === 'text') {
           rewardType = '📝 Text Reward';
+        } else if (game.reward_type === 'role') {
+          rewardType = '🎖️ Discord Role';
+        } else if (game.reward_type === 'openbadge') {
+          rewardType = '🏅 Open Badge';
+        } else if (game.reward_type === 'certificate') {
+          rewardType = '📜 Certificate';
+        } else if (game.reward_type === 'webhook') {
+          rewardType = '🔗 Webhook';
         }
         
         const gameEntry = `• **${game.name}** (${game.id}) - ${difficultyStars}\n  Status: Pending Review ⏳ | Reward: ${rewardType}\n\n`;
@@ -1144,6 +1309,126 @@ async function handleGameList(interaction, logger) {
   }
 }
 
+/**
+* Handle attaching a file to a game
+*/
+async function handleGameAttach(interaction, client, logger, config) {
+const gameId = interaction.options.getString('game_id');
+const upload = interaction.options.getAttachment('file');
+
+const gameData = await getGameById(gameId);
+
+if (!gameData) {
+await interaction.reply({
+  content: `❌ Game with ID "${gameId}" not found.`,
+  ephemeral: true
+});
+return;
+}
+
+// Check ownership
+if (gameData.owner_id !== interaction.user.id && !Validation.isAdmin(interaction.user.id, config.bot.admins)) {
+await interaction.reply({
+  content: `❌ You don't have permission to edit this game. Only the creator (${gameData.author}) can edit it.`,
+  ephemeral: true
+});
+return;
+}
+
+// Downloading the file can take longer than Discord's reply window
+await interaction.deferReply({ ephemeral: true });
+
+const result = await ChallengeAttachments.add(gameId, upload, config);
+if (!result.success) {
+await interaction.editReply({ content: `❌ Could not attach the file:\n${result.error}` });
+return;
+}
+
+logger.info(`${interaction.user.tag} attached ${result.file.name} to game ${gameId}`);
+
+// A new file changes what players see, so an approved game goes back to review
+let statusText = '';
+if (gameData.approved) {
+  const { id, ...gameToSave } = {
+    ...gameData,
+    approved: false,
+    pending_review: true,
+    edit_reason: 'Attachments changed',
+    last_modified: new Date().toISOString().split('T')[0] // YYYY-MM-DD format
+  };
+  
+  await fs.writeFile(
+    Validation.resolveGamePath(gameId, GAMES_DIR),
+    yaml.dump({ [gameId]: await AnswerMatcher.hashGameAnswers(gameToSave) }),
+    'utf8'
+  );
+  await reloadGamesConfig(logger);
+  await notifyAdminsAboutEditedGame(client, interaction.user, gameToSave, gameId, logger, config);
+  
+  statusText = '\n\n⚠️ Since players will see the new file, your challenge will need to be approved again by an admin.';
+}
+
+const files = await ChallengeAttachments.list(gameId);
+const settings = ChallengeAttachments.getSettings(config);
+
+const embed = new EmbedBuilder()
+  .setTitle(result.replaced ? '📎 Attachment Replaced' : '📎 File Attached')
+  .setColor('#00BFFF')
+  .setDescription(`"${result.file.name}" is now attached to "${gameData.name}".${statusText}`)
+  .addFields({
+    name: `Attachments (${files.length}/${settings.maxFiles})`,
+    value: ChallengeAttachments.describe(files).substring(0, 1024)
+  })
+  .setFooter({ text: 'Players see these files in the challenge details of /judge-games' });
+
+await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+* Handle removing an attached file from a game
+*/
+async function handleGameDetach(interaction, logger, config) {
+const gameId = interaction.options.getString('game_id');
+const name = interaction.options.getString('name');
+
+const gameData = await getGameById(gameId);
+
+if (!gameData) {
+await interaction.reply({
+  content: `❌ Game with ID "${gameId}" not found.`,
+  ephemeral: true
+});
+return;
+}
+
+// Check ownership
+if (gameData.owner_id !== interaction.user.id && !Validation.isAdmin(interaction.user.id, config.bot.admins)) {
+await interaction.reply({
+  content: `❌ You don't have permission to edit this game. Only the creator (${gameData.author}) can edit it.`,
+  ephemeral: true
+});
+return;
+}
+
+const result = await ChallengeAttachments.remove(gameId, name);
+if (!result.success) {
+await interaction.reply({
+  content: `❌ ${result.error}`,
+  ephemeral: true
+});
+return;
+}
+
+logger.info(`${interaction.user.tag} removed attachment ${name} from game ${gameId}`);
+
+const files = await ChallengeAttachments.list(gameId);
+await interaction.reply({
+  content: `🗑️ "${name}" has been removed from "${gameData.name}".` +
+    (files.length > 0 ? `\n\nRemaining attachments:\n${ChallengeAttachments.describe(files)}` : ''),
+  ephemeral: true
+});
+}
+
 /**
  * Helper function to chunk an array into smaller arrays
  * @param {Array} array - The array to chunk
@@ -1158,8 +1443,52 @@ function chunkArray(array, size) {
   return chunked;
 }
 /**
-* Generate a unique game ID from the name
-*/
+ * Split a multi-line answers field into a list of accepted answers
+ * @param {string} text - Raw text with one answer per line
+ * @returns {Array<string>} Trimmed, non-empty, de-duplicated answers
+ */
+function parseAnswerList(text) {
+  if (!text) return [];
+  const answers = text.split('\n').map(answer => answer.trim()).filter(answer => answer);
+  return [...new Set(answers)];
+}
+
+/**
+ * Get the maker-editable answers of a game (the `answers` list or the legacy `answer` field)
+ * @param {Object} game - Game data
+ * @returns {Array<string>} Accepted answers (possibly hashed), excluding aliases
+ */
+function getAnswerList(game) {
+  if (Array.isArray(game.answers)) return game.answers.map(answer => String(answer));
+  if (game.answer !== undefined && game.answer !== null) return [String(game.answer)];
+  return [];
+}
+
+/**
+ * Read the category and tags options of /maker create and /maker edit
+ * @param {Object} interaction - Discord interaction object
+ * @param {Object} game - Current game data; options left empty keep its values
+ * @returns {Object} { category, tags, errors } where category is null and tags empty when removed
+ */
+function getClassificationOptions(interaction, game) {
+  const categoryOption = interaction.options.getString('category');
+  const tagsOption = interaction.options.getString('tags');
+  const isNone = value => value.trim().toLowerCase() === 'none';
+
+  let category = GameTags.getCategory(game);
+  if (categoryOption !== null) {
+    category = isNone(categoryOption) ? null : categoryOption.trim() || null;
+  }
+
+  let tags = GameTags.getTags(game);
+  if (tagsOption !== null) {
+    tags = isNone(tagsOption) ? [] : GameTags.parseTags(tagsOption);
+  }
+
+  const errors = GameTags.validate({ category: category || undefined, tags });
+  return { category, tags, errors };
+}
+
 /**
  * Generate a unique game ID from the name
  * @param {string} name - The game name
@@ -1326,7 +1655,7 @@ async function showTextRewardConfigModal(interaction, gameId, gameName) {
   .addFields(
     { name: 'Challenge Name', value: game.name, inline: true },
     { name: 'Difficulty', value: '⭐'.repeat(game.difficulty || 1), inline: true },
-    { name: 'Reward Type', value: game.reward_type === 'badgr' ? 'Digital Badge' : 'Text Message', inline: true },
+    { name: 'Reward Type', value: { badgr: 'Digital Badge', openbadge: 'Open Badge', certificate: 'Certificate', webhook: 'Webhook', text: 'Text Message', role: 'Discord Role' }[game.reward_type] || game.reward_type, inline: true },
     { name: 'Description', value: game.description },
     { name: 'Action Required', value: `Use \`/maker-manage approve game_id:${gameId}\` to approve this challenge.` }
   )
@@ -1524,26 +1853,7 @@ async function reloadGamesConfig(logger) {
       
       // Create a clean version of the game data for the config
       // This removes internal maker properties that shouldn't be exposed
-      const cleanGameData = {
-        name: gameData.name,
-        description: gameData.description,
-        author: gameData.author,
-        difficulty: gameData.difficulty || 1,
-        reward_type: gameData.reward_type || 'badgr',
-        hints: gameData.hints || []
-      };
-      
-      // Add reward-specific properties
-      if (gameData.reward_type === 'badgr' && gameData.badge_class_id) {
-        cleanGameData.badge_class_id = gameData.badge_class_id;
-      } else if (gameData.reward_type === 'text' && gameData.reward_text) {
-        cleanGameData.reward_text = gameData.reward_text;
-      }
-      
-      // Add reward description if available
-      if (gameData.reward_description) {
-        cleanGameData.reward_description = gameData.reward_description;
-      }
+      const cleanGameData = GameConfig.toPublic(gameData);
       
       // Add to the merged config
       mergedConfig.games[id] = cleanGameData;
@@ -3,19 +3,36 @@
  * @description Discord slash command for displaying personalized user progress statistics including
  *              completion percentages, points earned, hints used, and visual progress indicators.
  *              Features color-coded progress bars, comprehensive statistics display, and encouragement
- *              messaging to promote continued engagement with challenges.
+ *              messaging to promote continued engagement with challenges, and progress through each
+ *              challenge category and series. The `certificate` option re-downloads a completion certificate earned
+ *              from a `certificate` reward, and the `event` option shows the player's rank and points in an event.
  * @version 1.1.0
  * @author gl0bal01
  * @since 2025-04-03
  */
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { getUser, getUserStats } = require('../services/database');
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { getUser, getUserStats, getUserRewards, getCompletedGameIds } = require('../services/database');
+const CertificateRenderer = require('../services/certificate');
+const SeriesService = require('../services/series');
+const EventService = require('../services/events');
 const Validation = require('../utils/validation');
+const GameSchedule = require('../utils/game-schedule');
+const GameTags = require('../utils/game-tags');
 
 module.exports = {
   data: new SlashCommandBuilder()
     .setName('judge-progress')
-    .setDescription('View your current progress and points'),
+    .setDescription('View your current progress and points')
+    .addStringOption(option =>
+      option.setName('certificate')
+        .setDescription('Download the certificate you earned for a challenge')
+        .setRequired(false)
+        .setAutocomplete(true))
+    .addStringOption(option =>
+      option.setName('event')
+        .setDescription('Show your rank and points in an event')
+        .setRequired(false)
+        .setAutocomplete(true)),
   
   async execute(interaction, { config, logger }) {
     const userId = interaction.user.id;
@@ -33,6 +50,18 @@ module.exports = {
         return;
       }
       
+      const certificateGameId = interaction.options.getString('certificate');
+      if (certificateGameId) {
+        await sendCertificate(interaction, user, certificateGameId, config);
+        return;
+      }
+      
+      const eventId = interaction.options.getString('event');
+      if (eventId) {
+        await sendEventProgress(interaction, user, eventId, config);
+        return;
+      }
+      
       // Get user stats
       const stats = await getUserStats(user.id);
       
@@ -76,7 +105,7 @@ module.exports = {
           },
           { 
             name: 'Total Points', 
-            value: `${stats.total_points || 0}`, 
+            value: `${stats.total_points || 0}${stats.bonus_points ? ` (incl. ${stats.bonus_points} bonus)` : ''}`, 
             inline: true 
           },
           { 
@@ -125,6 +154,32 @@ module.exports = {
         }
       }
       
+      const completedGameIds = await getCompletedGameIds(user.id);
+      
+      // Add completion per category, unless no game has a category
+      const categoryProgress = GameTags.getCategoryProgress(config, completedGameIds);
+      if (categoryProgress.some(entry => entry.category !== GameTags.uncategorized)) {
+        embed.addFields({
+          name: '📁 Categories',
+          value: categoryProgress
+            .map(entry => `${entry.completed === entry.total ? '✅' : '▫️'} **${entry.category}**: ${entry.completed}/${entry.total}`)
+            .join('\n')
+            .substring(0, 1024)
+        });
+      }
+      
+      // Add progress through each series
+      const seriesProgress = SeriesService.getProgress(config, completedGameIds);
+      if (seriesProgress.length > 0) {
+        embed.addFields({
+          name: '📚 Series',
+          value: seriesProgress
+            .map(entry => `${entry.complete ? '✅' : '▫️'} **${entry.name}**: ${entry.completed}/${entry.total}`)
+            .join('\n')
+            .substring(0, 1024)
+        });
+      }
+      
       // Add footer with next steps
       embed.setFooter({
         text: 'Use `/judge-games` to view available challenges or `/judge-leaderboard` to see how you rank!'
@@ -142,4 +197,119 @@ module.exports = {
       });
     }
   },
-};
\ No newline at end of file
+  
+  async autocomplete(interaction, { config, logger }) {
+    const focusedOption = interaction.options.getFocused(true);
+    
+    if (focusedOption.name === 'certificate') {
+      try {
+        const user = await getUser(interaction.user.id);
+        const rewards = user ? await getUserRewards(user.id) : [];
+        const games = config.games || {};
+        const search = focusedOption.value.toLowerCase();
+        
+        const choices = rewards
+          .filter(reward => reward.reward_type === 'certificate' && !reward.revoked)
+          .map(reward => ({
+            name: `${games[reward.game_id] ? games[reward.game_id].name : reward.game_id} (${reward.game_id})`.substring(0, 100),
+            value: reward.game_id
+          }))
+          .filter(choice => choice.name.toLowerCase().includes(search))
+          .slice(0, 25); // Discord limits autocomplete to 25 options
+        
+        await interaction.respond(choices);
+      } catch (error) {
+        logger.error(`Error in autocomplete: ${error.message}`);
+        await interaction.respond([]);
+      }
+    } else if (focusedOption.name === 'event') {
+      try {
+        await interaction.respond(EventService.getChoices(config, focusedOption.value));
+      } catch (error) {
+        logger.error(`Error in autocomplete: ${error.message}`);
+        await interaction.respond([]);
+      }
+    }
+  },
+};
+
+/**
+ * Reply with a stored completion certificate
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} user - User object from database
+ * @param {string} gameId - Game ID
+ * @param {Object} config - Bot configuration
+ * @returns {Promise<void>}
+ */
+async function sendCertificate(interaction, user, gameId, config) {
+  const rewards = await getUserRewards(user.id);
+  const reward = rewards.find(entry => entry.reward_type === 'certificate' && entry.game_id === gameId && !entry.revoked);
+  
+  if (!reward) {
+    await interaction.reply({
+      content: '❌ You have not earned a certificate for that challenge.',
+      ephemeral: true
+    });
+    return;
+  }
+  
+  const rewardData = JSON.parse(reward.reward_data || '{}');
+  const game = (config.games || {})[gameId];
+  const certificate = await CertificateRenderer.load(user.id, gameId, rewardData, game);
+  
+  await interaction.reply({
+    content: `📜 Your certificate for **${game ? game.name : gameId}**`,
+    files: [new AttachmentBuilder(certificate.buffer, { name: CertificateRenderer.getFileName(gameId, certificate.format) })],
+    ephemeral: true
+  });
+}
+
+/**
+ * Reply with the player's rank and points in an event
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} user - User object from database
+ * @param {string} eventId - Event ID
+ * @param {Object} config - Bot configuration
+ * @returns {Promise<void>}
+ */
+async function sendEventProgress(interaction, user, eventId, config) {
+  const event = (config.events || {})[eventId];
+  
+  if (!event) {
+    await interaction.reply({
+      content: `❌ Event "${eventId}" not found.`,
+      ephemeral: true
+    });
+    return;
+  }
+  
+  const standings = await EventService.getStandings(eventId, event);
+  const index = standings.findIndex(entry => entry.user_id === user.id);
+  const entry = index >= 0 ? standings[index] : null;
+  const games = config.games || {};
+  
+  const gameLines = (event.games || [])
+    .filter(gameId => games[gameId] && GameSchedule.isVisible(games[gameId]))
+    .map(gameId => `${entry && entry.game_ids.includes(gameId) ? '✅' : '▫️'} ${games[gameId].name}`);
+  
+  const embed = new EmbedBuilder()
+    .setTitle(`${interaction.user.username}'s Progress: ${event.name}`.substring(0, 256))
+    .setColor('#FFD700')
+    .setDescription(EventService.describe(event))
+    .addFields(
+      { name: 'Rank', value: entry ? `#${index + 1} of ${standings.length}` : 'Not ranked yet', inline: true },
+      { name: 'Event Points', value: `${entry ? entry.total_points || 0 : 0}`, inline: true },
+      { name: 'Completed Challenges', value: `${entry ? entry.completed_games : 0}/${gameLines.length}`, inline: true }
+    );
+  
+  if (gameLines.length > 0) {
+    embed.addFields({ name: 'Challenges', value: gameLines.join('\n').substring(0, 1024) });
+  }
+  
+  embed.setFooter({ text: `Only solves made during the event count. Use /judge-leaderboard event:${eventId} to see the full board.` });
+  
+  await interaction.reply({
+    embeds: [embed],
+    ephemeral: true
+  });
+}
@@ -0,0 +1,312 @@
+/**
+ * @file rewards.js - Reward Inventory Command
+ * @description Discord slash command listing every reward a player has received, with its type, date and
+ *              the challenge, series or event it was earned for. Selecting a reward shows it again: text rewards
+ *              are re-shown, Badgr badges link to their public assertion, and certificates and Open Badge
+ *              credentials are sent again as files. Revoked rewards stay in the list with their reason.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const { getUser, getUserRewards } = require('../services/database');
+const RewardService = require('../services/reward');
+const CertificateRenderer = require('../services/certificate');
+const SeriesService = require('../services/series');
+const EventService = require('../services/events');
+const PaginatedMenu = require('../utils/pagination');
+
+// Rewards shown per page
+const ITEMS_PER_PAGE = 10;
+
+const REWARD_TYPES = {
+  badgr: '🏅 Digital Badge',
+  openbadge: '🏅 Open Badge',
+  certificate: '📜 Certificate',
+  webhook: '🔗 Webhook',
+  text: '📁 Text Message',
+  role: '🎖️ Discord Role'
+};
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('judge-rewards')
+    .setDescription('List the rewards you have received'),
+
+  async execute(interaction, { config, logger }) {
+    const userId = interaction.user.id;
+    logger.info(`${interaction.user.tag} (${userId}) used /judge-rewards`);
+
+    try {
+      const user = await getUser(userId);
+
+      if (!user) {
+        await interaction.reply({
+          content: '❌ You need to register first! Use `/judge-register` to get started.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const rewards = await getUserRewards(user.id);
+
+      if (rewards.length === 0) {
+        await interaction.reply({
+          content: '📭 You have not received any rewards yet. Use `/judge-games` to find a challenge!',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const menu = new PaginatedMenu({
+        items: rewards,
+        itemsPerPage: ITEMS_PER_PAGE,
+        placeholder: 'Select a reward to view it again',
+        customId: 'reward-select',
+        formatItem: reward => ({
+          label: `${reward.revoked ? '🚫 ' : ''}${getSourceName(reward, config)}`.substring(0, 100),
+          description: `${formatType(reward.reward_type)} • ${formatDate(reward.issue_date)}`.substring(0, 100),
+          value: String(reward.id)
+        })
+      });
+
+      const response = await interaction.reply({
+        embeds: [buildPageEmbed(interaction.user, rewards, 1, config)],
+        components: menu.getComponents(),
+        ephemeral: true
+      });
+
+      menu.createCollector(interaction, {
+        message: response,
+        onSelect: async (i, rewardId) => {
+          const reward = rewards.find(entry => String(entry.id) === rewardId);
+
+          if (!reward) {
+            await i.reply({ content: '❌ Reward not found.', ephemeral: true });
+            return;
+          }
+
+          await i.reply({ ...(await buildRewardView(reward, user, config)), ephemeral: true });
+        },
+        onPageChange: async (i, page) => {
+          await i.update({
+            embeds: [buildPageEmbed(interaction.user, rewards, page, config)],
+            components: menu.getComponents()
+          });
+        }
+      });
+    } catch (error) {
+      logger.error(`Error in rewards command: ${error.message}`);
+      const reply = {
+        content: '❌ An error occurred while retrieving your rewards. Please try again later.',
+        ephemeral: true
+      };
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(reply);
+      } else {
+        await interaction.reply(reply);
+      }
+    }
+  },
+};
+
+/**
+ * Name of the challenge, series or event a reward was earned for
+ * @param {Object} reward - Reward row
+ * @param {Object} config - Bot configuration
+ * @returns {string} - Display name
+ */
+function getSourceName(reward, config) {
+  const source = SeriesService.getRewardSource(config, reward.game_id);
+  const seriesId = SeriesService.getSeriesId(reward.game_id);
+  const eventId = EventService.getEventId(reward.game_id);
+
+  if (seriesId) {
+    return `📚 ${source && source.name ? source.name : seriesId}`;
+  }
+
+  if (eventId) {
+    return `🏆 ${source && source.name ? source.name : eventId}`;
+  }
+
+  return source && source.name ? source.name : reward.game_id;
+}
+
+/**
+ * Display label of a reward type
+ * @param {string} rewardType - Reward type
+ * @returns {string}
+ */
+function formatType(rewardType) {
+  return REWARD_TYPES[rewardType] || rewardType;
+}
+
+/**
+ * Convert a SQLite CURRENT_TIMESTAMP value (UTC) to a Unix timestamp
+ * @param {string} timestamp - Timestamp from the database
+ * @returns {number} - Seconds since epoch
+ */
+function toUnix(timestamp) {
+  const date = new Date(String(timestamp).replace(' ', 'T') + (String(timestamp).endsWith('Z') ? '' : 'Z'));
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Plain date for select menu descriptions, which cannot render Discord timestamps
+ * @param {string} timestamp - Timestamp from the database
+ * @returns {string} - YYYY-MM-DD
+ */
+function formatDate(timestamp) {
+  return new Date(toUnix(timestamp) * 1000).toISOString().substring(0, 10);
+}
+
+/**
+ * Parse the stored reward data
+ * @param {Object} reward - Reward row
+ * @returns {Object|null} - Parsed JSON, or null for plain text or invalid data
+ */
+function parseRewardData(reward) {
+  try {
+    const data = JSON.parse(reward.reward_data || 'null');
+    return data && typeof data === 'object' ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Public URL of a Badgr assertion from the stored API response
+ * @param {Object} assertion - Badgr response recorded in reward_data
+ * @param {Object} config - Bot configuration
+ * @returns {string|null} - Assertion URL
+ */
+function getAssertionUrl(assertion, config) {
+  const entity = Array.isArray(assertion.result) ? assertion.result[0] : assertion;
+
+  if (entity && typeof entity.openBadgeId === 'string' && /^https?:\/\//.test(entity.openBadgeId)) {
+    return entity.openBadgeId;
+  }
+
+  const assertionId = RewardService.getAssertionId(assertion);
+  if (!assertionId) return null;
+
+  try {
+    const baseUrl = process.env.BADGR_BASE_URL || (config.badgr || {}).base_url;
+    return `${new URL(baseUrl).origin}/public/assertions/${encodeURIComponent(assertionId)}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the list embed for one page of rewards
+ * @param {Object} discordUser - Discord user
+ * @param {Array} rewards - All rewards
+ * @param {number} page - Page number
+ * @param {Object} config - Bot configuration
+ * @returns {EmbedBuilder} - Embed for the page
+ */
+function buildPageEmbed(discordUser, rewards, page, config) {
+  const totalPages = Math.max(1, Math.ceil(rewards.length / ITEMS_PER_PAGE));
+  const pageItems = rewards.slice((page - 1) * ITEMS_PER_PAGE, page * ITEMS_PER_PAGE);
+
+  const lines = pageItems.map(reward =>
+    `${reward.revoked ? '🚫 ~~' : ''}**${getSourceName(reward, config)}**${reward.revoked ? '~~' : ''}\n` +
+    `${formatType(reward.reward_type)} · <t:${toUnix(reward.issue_date)}:D>`
+  );
+
+  const activeCount = rewards.filter(reward => !reward.revoked).length;
+
+  return new EmbedBuilder()
+    .setTitle(`🎁 ${discordUser.username}'s Rewards`)
+    .setColor('#0099ff')
+    .setDescription(lines.join('\n\n').substring(0, 4096))
+    .setFooter({ text: `Page ${page}/${totalPages} • ${activeCount} active, ${rewards.length - activeCount} revoked • Select a reward to view it again` });
+}
+
+/**
+ * Build the reply showing one reward again
+ * @param {Object} reward - Reward row
+ * @param {Object} user - User object from database
+ * @param {Object} config - Bot configuration
+ * @returns {Promise<Object>} - { embeds, files } reply options
+ */
+async function buildRewardView(reward, user, config) {
+  const source = SeriesService.getRewardSource(config, reward.game_id);
+  const data = parseRewardData(reward);
+  const files = [];
+
+  const embed = new EmbedBuilder()
+    .setTitle(getSourceName(reward, config).substring(0, 256))
+    .setColor(reward.revoked ? '#FF0000' : '#00FF00')
+    .addFields(
+      { name: 'Type', value: formatType(reward.reward_type), inline: true },
+      { name: 'Received', value: `<t:${toUnix(reward.issue_date)}:f>`, inline: true }
+    );
+
+  if (reward.revoked) {
+    embed.addFields({
+      name: '🚫 Revoked',
+      value: `${reward.revoked_at ? `<t:${toUnix(reward.revoked_at)}:f>` : 'Yes'}` +
+        `${reward.revoked_reason ? `\n${String(reward.revoked_reason).substring(0, 900)}` : ''}`
+    });
+    return { embeds: [embed] };
+  }
+
+  switch (reward.reward_type) {
+    case 'text':
+      embed.setDescription(String(reward.reward_data || '').substring(0, 4096) || '*(empty)*');
+      break;
+
+    case 'badgr': {
+      const url = data ? getAssertionUrl(data, config) : null;
+      embed.addFields({
+        name: 'Badge',
+        value: url ? `[View your badge on Badgr](${url})` : 'The Badgr assertion link is not available for this badge.'
+      });
+      break;
+    }
+
+    case 'openbadge':
+      if (data) {
+        files.push(RewardService.createOpenBadgeAttachment(data, reward.game_id));
+        embed.setDescription('Your signed Open Badge credential is attached. Anyone can check it with `/judge-verify`.');
+      } else {
+        embed.setDescription('The credential for this badge could not be read.');
+      }
+      break;
+
+    case 'certificate':
+      try {
+        const certificate = await CertificateRenderer.load(user.id, reward.game_id, data || {}, source);
+        files.push(new AttachmentBuilder(certificate.buffer, {
+          name: CertificateRenderer.getFileName(reward.game_id, certificate.format)
+        }));
+        embed.setDescription('📜 Your certificate is attached.');
+      } catch (error) {
+        global.logger.error(`Error loading certificate of user ${user.discord_id} for ${reward.game_id}: ${error.message}`);
+        embed.setDescription('❌ Your certificate could not be loaded. Please contact an administrator.');
+      }
+      break;
+
+    case 'role':
+      if (data && data.role_id) {
+        embed.addFields({
+          name: 'Role',
+          value: `<@&${data.role_id}>${data.expires_at ? ` until <t:${Math.floor(new Date(data.expires_at).getTime() / 1000)}:f>` : ''}`
+        });
+      }
+      break;
+
+    case 'webhook':
+      embed.setDescription(source && source.reward_description
+        ? String(source.reward_description).substring(0, 4096)
+        : 'This reward was delivered to an external service.');
+      break;
+
+    default:
+      break;
+  }
+
+  return { embeds: [embed], files };
+}
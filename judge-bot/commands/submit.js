@@ -3,17 +3,30 @@
  * @description Discord slash command that handles user answer submissions for challenges. Implements
  *              modal-based answer input, validates submissions against stored answers, calculates points
  *              based on hints used and difficulty, manages game completion status, and coordinates
- *              reward distribution and success announcements. Includes comprehensive error handling
+ *              reward distribution (including series rewards) and success announcements. Includes comprehensive error handling
  *              and administrative notifications.
  * @version 1.1.0
  * @author gl0bal01
  * @since 2025-04-03
  */
 const { SlashCommandBuilder, EmbedBuilder, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder } = require('discord.js');
-const { getUser, getProgress, recordAttempt, completeGameAtomic, getUserStats } = require('../services/database');
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { getUser, getProgress, recordAttempt, recordSubmission, completeGameAtomic, awardBonus, getUserStats, getCompletedGameIds, getUserTeam, shareTeamHints } = require('../services/database');
 const PointsCalculator = require('../services/points');
 const RewardService = require('../services/reward');
+const RewardQueue = require('../services/reward-queue');
+const SeriesService = require('../services/series');
+const SubmissionLimiter = require('../services/submission-limiter');
 const Validation = require('../utils/validation');
+const GameTags = require('../utils/game-tags');
+const AnswerMatcher = require('../utils/answer-matcher');
+const SubmissionLog = require('../utils/submission-log');
+const GameSchedule = require('../utils/game-schedule');
+
+// Path to the games directory where individual game files are stored
+const GAMES_DIR = path.join(__dirname, '../config/games');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -22,7 +35,7 @@ module.exports = {
     .addStringOption(option => {
       const gameOption = option
         .setName('game')
-        .setDescription('Game ID to submit an answer for')
+        .setDescription('Game to submit an answer for (search by name, category or #tag)')
         .setRequired(true)
         .setAutocomplete(true);
       
@@ -48,10 +61,11 @@ module.exports = {
         return;
       }
       
-      // Check if game exists
-      if (!Validation.isValidGameId(gameId, config)) {
+      // Check if game exists and is open and unlocked for this player
+      const completedGameIds = await getCompletedGameIds(user.id);
+      if (!Validation.isValidGameId(gameId, config, completedGameIds)) {
         await interaction.reply({
-          content: `❌ Invalid game ID: ${gameId}. Use \`/judge-games\` to see available challenges.`,
+          content: Validation.formatUnavailableMessage(gameId, config, completedGameIds),
           ephemeral: true
         });
         return;
@@ -71,6 +85,18 @@ module.exports = {
         return;
       }
       
+      // Check persistent per-game submission limits
+      const submissionLimiter = new SubmissionLimiter(config);
+      const limitStatus = await submissionLimiter.check(user.id, gameId, userId);
+      
+      if (!limitStatus.allowed) {
+        await interaction.reply({
+          content: SubmissionLimiter.formatLockoutMessage(limitStatus.retryAt),
+          ephemeral: true
+        });
+        return;
+      }
+      
       // Create a modal for answer submission
       const modal = new ModalBuilder()
         .setCustomId(`submit-answer-${gameId}`)
@@ -106,18 +132,56 @@ module.exports = {
       // Get the answer from submission
       const userAnswer = submission.fields.getTextInputValue('answer-input');
       
+      // The game may have closed while the modal was open
+      if (!GameSchedule.isOpen(config.games[gameId] || game)) {
+        await submission.reply({
+          content: Validation.formatUnavailableMessage(gameId, config, completedGameIds),
+          ephemeral: true
+        });
+        return;
+      }
+      
+      // Count the submission before checking it, so parallel submissions cannot get past the limit
+      // (this also refuses it if a lockout started while the modal was open)
+      const limitResult = await submissionLimiter.recordAttempt(user.id, gameId, userId);
+      if (limitResult && !limitResult.allowed) {
+        await submission.reply({
+          content: SubmissionLimiter.formatLockoutMessage(limitResult.retryAt),
+          ephemeral: true
+        });
+        return;
+      }
+      
       // Record the attempt
       await recordAttempt(user.id, gameId);
       
-      // Check if answer is correct
-      const isCorrect = Validation.isCorrectAnswer(userAnswer, game.answer);
+      // Check the answer with the game's configured matcher
+      const answerConfig = await getAnswerConfig(gameId, game);
+      const matchResult = await AnswerMatcher.match(userAnswer, answerConfig);
+      const isCorrect = matchResult.correct;
+      const nearMiss = isCorrect ? null : AnswerMatcher.checkNearMiss(userAnswer, answerConfig);
+      
+      // Log the submission
+      await logSubmission(config, user.id, gameId, userAnswer, matchResult, nearMiss);
       
       if (isCorrect) {
-        // Calculate points
-        const hintsUsed = progress ? progress.hints_used : 0;
+        // Calculate points; hints bought by teammates count against the whole team
+        let hintsUsed = progress ? progress.hints_used : 0;
+        const team = (config.bot.teams || {}).enabled !== false ? await getUserTeam(user.id) : null;
+        if (team) {
+          const shared = await shareTeamHints(user.id, gameId);
+          if (shared.success) hintsUsed = shared.hintsUsed;
+        }
         const pointsCalculator = new PointsCalculator(config);
-        const pointsEarned = pointsCalculator.calculatePoints(hintsUsed, game);
-        const formattedPoints = pointsCalculator.formatPointsDisplay(pointsEarned, game);
+        const scoringOptions = {
+          ...(await pointsCalculator.getNextSolveOptions(gameId)),
+          wrongAttempts: progress ? progress.attempts : 0,  // attempts before this one were all wrong
+          // The clock starts when the challenge is opened or at the first hint or submission
+          solveSeconds: PointsCalculator.getSolveSeconds(progress)
+        };
+        const pointsBreakdown = pointsCalculator.calculateBreakdown(hintsUsed, game, scoringOptions);
+        const pointsEarned = pointsBreakdown.total;
+        const formattedPoints = pointsCalculator.formatPointsDisplay(pointsEarned, game, pointsBreakdown);
         
         // Update database to mark game as completed
         const completionResult = await completeGameAtomic(user.id, gameId, pointsEarned);
@@ -132,8 +196,29 @@ module.exports = {
           throw new Error(completionResult.error || 'Failed to complete game');
         }
         
+        await submissionLimiter.reset(user.id, gameId);
+        
+        // With dynamic scoring this solve lowers the value for earlier solvers too
+        await pointsCalculator.rescoreGame(gameId, game);
+        
+        // First-blood / early-solver bonus, recorded separately so it can be audited or revoked
+        const solvePosition = completionResult.solvePosition;
+        let bonusPoints = pointsCalculator.calculateSolveBonus(solvePosition);
+        
+        if (bonusPoints > 0) {
+          const bonusType = PointsCalculator.getSolveBonusType(solvePosition);
+          const bonusResult = await awardBonus(user.id, gameId, bonusType, solvePosition, bonusPoints);
+          
+          if (bonusResult.success) {
+            logger.info(`Awarded ${bonusType} bonus (+${bonusPoints}) to user ${userId} for game ${gameId} (solve #${solvePosition})`);
+          } else {
+            logger.error(`Failed to award solve bonus to user ${userId} for game ${gameId}: ${bonusResult.error}`);
+            bonusPoints = 0;
+          }
+        }
+        
         // Issue reward
-        const rewardService = new RewardService(config);
+        const rewardService = new RewardService(config, client);
         let rewardInfo;
         
         try {
@@ -143,7 +228,11 @@ module.exports = {
             id: gameId  // Explicitly add the gameId
           };
           
-          rewardInfo = await rewardService.issueReward(user, gameWithId);
+          // Delivered through the queue so failures are retried instead of lost
+          rewardInfo = await new RewardQueue(config, client).issue(user, gameWithId, {
+            username: interaction.user.globalName || interaction.user.username,
+            points: pointsEarned + bonusPoints
+          });
         } catch (error) {
           logger.error(`Error issuing reward for ${gameId} to user ${userId}: ${error.message}`);
           rewardInfo = {
@@ -152,6 +241,20 @@ module.exports = {
           };
         }
         
+        // This solve may complete the prerequisites of role rewards from earlier games
+        const unlockedRoles = await rewardService.grantPendingRoles(user).catch(error => {
+          logger.error(`Error granting pending roles to user ${userId}: ${error.message}`);
+          return [];
+        });
+        
+        // This solve may complete a series, which has a reward of its own
+        const completedSeries = await new SeriesService(config, client).checkCompletion(user, gameId, {
+          username: interaction.user.globalName || interaction.user.username
+        }).catch(error => {
+          logger.error(`Error checking series completion for user ${userId}: ${error.message}`);
+          return [];
+        });
+        
         // Create success embed
         const successEmbed = new EmbedBuilder()
           .setTitle(`🎉 Challenge Completed!`)
@@ -160,9 +263,25 @@ module.exports = {
           .addFields(
             { 
               name: 'Points Earned', 
-              value: formattedPoints 
+              value: pointsCalculator.formatBreakdownLines(pointsBreakdown)
             }
           );
+        
+        if (bonusPoints > 0) {
+          successEmbed.addFields({
+            name: solvePosition === 1 ? '🩸 First Blood!' : '⚡ Early Solver Bonus',
+            value: solvePosition === 1
+              ? `You are the first to solve this challenge: +${bonusPoints} bonus points`
+              : `You are solver #${solvePosition}: +${bonusPoints} bonus points`
+          });
+        }
+        
+        if (team) {
+          successEmbed.addFields({
+            name: '🤝 Team',
+            value: `This solve counts for **${team.name}**.`
+          });
+        }
 
         // Add reward information
         if (rewardInfo) {
@@ -171,12 +290,34 @@ module.exports = {
               name: 'Reward',
               value: '🏆 Digital Badge awarded! Check the email you registered with for badge delivery details.'
             });
+          } else if (rewardInfo.type === 'openbadge') {
+            successEmbed.addFields({
+              name: 'Reward',
+              value: rewardInfo.data.delivered
+                ? '🏅 Open Badge issued! The signed badge file has been sent to you by DM.'
+                : '🏅 Open Badge issued! Your DMs are closed, so the signed badge file is attached here. Save it now.'
+            });
+          } else if (rewardInfo.type === 'certificate') {
+            successEmbed.addFields({
+              name: 'Reward',
+              value: rewardInfo.data.delivered
+                ? '📜 Your completion certificate has been sent to you by DM.'
+                : '📜 Your completion certificate is attached. You can download it again with `/judge-progress`.'
+            });
           } else if (rewardInfo.type === 'text') {
             // Display the text reward directly
             successEmbed.addFields({
               name: 'Reward',
               value: rewardInfo.data.text
             });
+          } else if (rewardInfo.type === 'role') {
+            successEmbed.addFields({
+              name: 'Reward',
+              value: rewardInfo.pending
+                ? `🔒 ${rewardInfo.message}`
+                : `🎖️ You have been given the <@&${rewardInfo.data.role_id}> role!` +
+                  (rewardInfo.data.expires_at ? ` It expires <t:${Math.floor(new Date(rewardInfo.data.expires_at).getTime() / 1000)}:R>.` : '')
+            });
           } else {
             successEmbed.addFields({
               name: 'Reward',
@@ -185,13 +326,35 @@ module.exports = {
           }
 }
         
+        if (unlockedRoles.length > 0) {
+          successEmbed.addFields({
+            name: '🔓 Roles Unlocked',
+            value: unlockedRoles.map(role => `🎖️ <@&${role.data.role_id}>`).join('\n')
+          });
+        }
+        
+        for (const { series, rewardInfo: seriesReward } of completedSeries) {
+          successEmbed.addFields({
+            name: `📚 Series Completed: ${series.name}`.substring(0, 256),
+            value: describeSeriesReward(seriesReward).substring(0, 1024)
+          });
+        }
+        
         // Add footer with next steps
         successEmbed.setFooter({
           text: 'Use `/judge-progress` to view your overall progress or `/judge-games` to find your next challenge!'
         });
         
+        // Fall back to attaching reward files here when they could not be sent by DM
+        const files = [
+          ...RewardService.getUndeliveredFiles(rewardInfo, gameId),
+          ...completedSeries.flatMap(({ seriesId, rewardInfo: seriesReward }) =>
+            RewardService.getUndeliveredFiles(seriesReward, SeriesService.getRewardId(seriesId)))
+        ];
+        
         await submission.reply({
           embeds: [successEmbed],
+          files,
           ephemeral: true
         });
         
@@ -203,12 +366,17 @@ module.exports = {
               interaction.user,
               {...game, id: gameId},  // Add the game ID to the game object
               pointsEarned,
-              user  // Database user object
+              user,  // Database user object
+              { solvePosition, bonusPoints, pointsDisplay: formattedPoints, teamName: team ? team.name : null }
             );
           } catch (error) {
             logger.error(`Error announcing success: ${error.message}`);
             // Continue even if announcement fails - don't impact user experience
           }
+          
+          for (const { series } of completedSeries) {
+            await successAnnouncer.announceSeriesCompletion(interaction.user, series, config.games);
+          }
         }
         
         // Notify admins about the completion (optional)
@@ -225,7 +393,8 @@ module.exports = {
                   .addFields(
                     { name: 'Game ID', value: gameId },
                     { name: 'Points Earned', value: formattedPoints },
-                    { name: 'Hints Used', value: hintsUsed.toString() }
+                    { name: 'Hints Used', value: hintsUsed.toString() },
+                    { name: 'Solve Position', value: `#${solvePosition || '?'}${bonusPoints > 0 ? ` (+${bonusPoints} bonus)` : ''}` }
                   );
                 
                 await admin.send({ embeds: [adminEmbed] }).catch(() => {
@@ -242,13 +411,49 @@ module.exports = {
         const incorrectEmbed = new EmbedBuilder()
           .setTitle(`❌ Incorrect Answer`)
           .setColor('#FF0000')
-          .setDescription(`Your answer for "${game.name}" is incorrect. Please try again!`)
-          .addFields(
-            { 
-              name: 'Need Help?', 
-              value: `Use \`/judge-hint ${gameId}\` to get a hint!` 
-            }
-          );
+          .setDescription(`Your answer for "${game.name}" is incorrect. Please try again!`);
+        
+        // Report which parts of a multi-part answer were right
+        if (Array.isArray(matchResult.parts) && matchResult.parts.length > 0) {
+          incorrectEmbed.addFields({
+            name: 'Answer Parts',
+            value: matchResult.parts
+              .map(part => `${part.correct ? '✅' : '❌'} ${part.label}`)
+              .join('\n')
+          });
+        }
+        
+        // Explain how many answers are left or when they can retry
+        if (limitResult && limitResult.lockedUntil) {
+          incorrectEmbed.addFields({
+            name: 'Submissions Locked',
+            value: SubmissionLimiter.formatLockoutMessage(limitResult.lockedUntil)
+          });
+        } else if (limitResult) {
+          incorrectEmbed.addFields({
+            name: 'Attempts Remaining',
+            value: `${limitResult.remainingAttempts} more incorrect answer(s) before a temporary lockout ` +
+              `(counter resets <t:${Math.ceil(limitResult.windowEndsAt.getTime() / 1000)}:R>).`
+          });
+        }
+        
+        // Nudge players whose answer is close to one of the maker's near-miss answers
+        if (nearMiss) {
+          logger.info(`Near miss by ${interaction.user.tag} (${userId}) on game ${gameId} (distance ${nearMiss.distance})`);
+          incorrectEmbed
+            .setColor('#FFA500')
+            .addFields({
+              name: '🔥 So Close',
+              value: nearMiss.message
+            });
+        }
+        
+        incorrectEmbed.addFields(
+          { 
+            name: 'Need Help?', 
+            value: `Use \`/judge-hint ${gameId}\` to get a hint!` 
+          }
+        );
         
         await submission.reply({
           embeds: [incorrectEmbed],
@@ -280,15 +485,17 @@ module.exports = {
         // Get all games from config
         const games = config.games || {};
         
-        // Filter based on user input
+        // Locked, closed and not yet opened games are hidden
+        const user = await getUser(interaction.user.id);
+        const completedGameIds = user ? await getCompletedGameIds(user.id) : [];
+        
+        // Filter based on user input (name, ID, category or #tag)
         const filtered = Object.entries(games)
-          .filter(([gameId, game]) => 
-            game.name.toLowerCase().includes(focusedOption.value.toLowerCase()) ||
-            gameId.includes(focusedOption.value.toLowerCase())
-          )
+          .filter(([gameId]) => Validation.isValidGameId(gameId, config, completedGameIds))
+          .filter(([gameId, game]) => GameTags.matchesSearch(gameId, game, focusedOption.value))
           .slice(0, 25) // Discord limits autocomplete to 25 options
           .map(([gameId, game]) => ({
-            name: `${game.name} (${gameId})`,
+            name: `${game.name} (${gameId})${GameTags.getCategory(game) ? ` · ${GameTags.getCategory(game)}` : ''}`.substring(0, 100),
             value: gameId
           }));
         
@@ -300,3 +507,92 @@ module.exports = {
     }
   },
 };
+
+/**
+ * Write a submission to the submission log.
+ * Wrong answers are stored as a keyed fingerprint, or normalized when `submission_log.hash_answers`
+ * is false. Correct answers are the flag itself and are never stored.
+ * @param {Object} config - Bot configuration
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @param {string} userAnswer - Raw submitted answer
+ * @param {Object} matchResult - Result from AnswerMatcher.match()
+ * @param {Object|null} nearMiss - Result from AnswerMatcher.checkNearMiss()
+ * @returns {Promise<void>}
+ */
+async function logSubmission(config, userId, gameId, userAnswer, matchResult, nearMiss) {
+  const logConfig = config.bot.submission_log || {};
+  if (logConfig.enabled === false) return;
+
+  const hashAnswers = !matchResult.correct && logConfig.hash_answers !== false;
+  const maxLength = logConfig.max_answer_length || 500;
+
+  let answer = null;
+  if (hashAnswers) {
+    answer = SubmissionLog.fingerprintAnswer(userAnswer);
+  } else if (!matchResult.correct) {
+    answer = Validation.normalizeAnswer(userAnswer).substring(0, maxLength);
+  }
+
+  await recordSubmission(userId, gameId, {
+    answer,
+    answerHashed: hashAnswers,
+    correct: matchResult.correct,
+    matchType: matchResult.type,
+    matchResult: {
+      parts: matchResult.parts,
+      nearMiss: nearMiss ? nearMiss.distance : undefined
+    }
+  });
+}
+
+/**
+ * Describe a series reward in the success reply
+ * @param {Object} rewardInfo - Result of RewardQueue.issue()
+ * @returns {string} - Reward text
+ */
+function describeSeriesReward(rewardInfo) {
+  switch (rewardInfo.type) {
+    case 'badgr':
+      return '🏆 Digital Badge awarded! Check the email you registered with for badge delivery details.';
+    case 'openbadge':
+      return rewardInfo.data.delivered
+        ? '🏅 Open Badge issued! The signed badge file has been sent to you by DM.'
+        : '🏅 Open Badge issued! Your DMs are closed, so the signed badge file is attached here. Save it now.';
+    case 'text':
+      return rewardInfo.data.text;
+    case 'role':
+      return rewardInfo.pending
+        ? `🔒 ${rewardInfo.message}`
+        : `🎖️ You have been given the <@&${rewardInfo.data.role_id}> role!`;
+    default:
+      return rewardInfo.message;
+  }
+}
+
+/**
+ * Load the answer fields for a game.
+ * Answers are stripped from the public games config, so they are read from the
+ * game's own YAML file, falling back to the config entry for games defined
+ * directly in games.yaml.
+ * @param {string} gameId - Game ID
+ * @param {Object} game - Game configuration from config.games
+ * @returns {Promise<Object>} Game data containing the answer fields
+ */
+async function getAnswerConfig(gameId, game) {
+  try {
+    const gameFilePath = Validation.resolveGamePath(gameId, GAMES_DIR);
+    if (gameFilePath) {
+      const content = await fs.readFile(gameFilePath, 'utf8');
+      const gameData = yaml.load(content, { schema: yaml.DEFAULT_SCHEMA });
+
+      if (gameData && gameData[gameId]) {
+        return gameData[gameId];
+      }
+    }
+  } catch (error) {
+    // No game file (e.g. a game added manually to games.yaml) - use the config entry
+  }
+
+  return game;
+}
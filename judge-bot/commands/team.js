@@ -0,0 +1,452 @@
+/**
+ * @file team.js - Team Play Command
+ * @description Discord slash command for playing as a team. Players create a team, the leader invites
+ *              other registered players and invited players join it, up to `teams.max_size` members.
+ *              A solve counts for the team its player is in when solving, each game counts once on the
+ *              team leaderboard (`/judge-leaderboard teams:true`) and hints bought by one member are shared by all.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const {
+  getUser, createTeam, getTeam, getTeams, getUserTeam, getTeamMembers, inviteToTeam, getTeamInvites,
+  joinTeam, leaveTeam, removeTeamMember, getTeamLeaderboard
+} = require('../services/database');
+const Validation = require('../utils/validation');
+
+// Team size when teams.max_size is not set
+const DEFAULT_MAX_SIZE = 4;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('judge-team')
+    .setDescription('Create, join and manage your team')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('create')
+        .setDescription('Create a team and become its leader')
+        .addStringOption(option =>
+          option.setName('name')
+            .setDescription('Team name (2-32 letters, numbers, spaces, _ and -)')
+            .setRequired(true)
+            .setMaxLength(32)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('invite')
+        .setDescription('Invite a player to your team (leader only)')
+        .addUserOption(option =>
+          option.setName('user')
+            .setDescription('The player to invite')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('join')
+        .setDescription('Join a team you have been invited to')
+        .addStringOption(option =>
+          option.setName('team')
+            .setDescription('Team to join')
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('leave')
+        .setDescription('Leave your team')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('kick')
+        .setDescription('Remove a member from your team (leader only)')
+        .addUserOption(option =>
+          option.setName('user')
+            .setDescription('The member to remove')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('info')
+        .setDescription('Show the members and score of a team')
+        .addStringOption(option =>
+          option.setName('team')
+            .setDescription('Team to show (default: your team)')
+            .setRequired(false)
+            .setAutocomplete(true)
+        )
+    ),
+
+  async autocomplete(interaction, { logger }) {
+    const focusedOption = interaction.options.getFocused(true);
+
+    if (focusedOption.name === 'team') {
+      try {
+        const search = focusedOption.value.toLowerCase();
+        let teams;
+
+        // Only teams with a pending invitation can be joined
+        if (interaction.options.getSubcommand(false) === 'join') {
+          const user = await getUser(interaction.user.id);
+          teams = user ? await getTeamInvites(user.id) : [];
+        } else {
+          teams = await getTeams();
+        }
+
+        const choices = teams
+          .filter(team => team.name.toLowerCase().includes(search))
+          .slice(0, 25) // Discord limits autocomplete to 25 options
+          .map(team => ({ name: `${team.name} (${team.member_count} members)`.substring(0, 100), value: String(team.id) }));
+
+        await interaction.respond(choices);
+      } catch (error) {
+        logger.error(`Error in autocomplete: ${error.message}`);
+        await interaction.respond([]);
+      }
+    }
+  },
+
+  async execute(interaction, { client, config, logger }) {
+    const userId = interaction.user.id;
+    const subcommand = interaction.options.getSubcommand();
+    logger.info(`${interaction.user.tag} (${userId}) used /judge-team ${subcommand}`);
+
+    try {
+      const settings = config.bot.teams || {};
+
+      if (settings.enabled === false) {
+        await interaction.reply({
+          content: '❌ Team play is disabled on this server.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const user = await getUser(userId);
+
+      if (!user) {
+        await interaction.reply({
+          content: '❌ You need to register first! Use `/judge-register` to get started.',
+          ephemeral: true
+        });
+        return;
+      }
+
+      const maxSize = Math.max(1, parseInt(settings.max_size, 10) || DEFAULT_MAX_SIZE);
+
+      switch (subcommand) {
+        case 'create':
+          await handleCreate(interaction, user, logger);
+          break;
+        case 'invite':
+          await handleInvite(interaction, client, user, maxSize, logger);
+          break;
+        case 'join':
+          await handleJoin(interaction, user, maxSize, logger);
+          break;
+        case 'leave':
+          await handleLeave(interaction, user, logger);
+          break;
+        case 'kick':
+          await handleKick(interaction, user, logger);
+          break;
+        case 'info':
+          await handleInfo(interaction, user, maxSize);
+          break;
+        default:
+          break;
+      }
+    } catch (error) {
+      logger.error(`Error in team command: ${error.message}`);
+      const reply = {
+        content: '❌ An error occurred while managing your team. Please try again later.',
+        ephemeral: true
+      };
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(reply);
+      } else {
+        await interaction.reply(reply);
+      }
+    }
+  },
+};
+
+/**
+ * Get the team of a player if they lead it; replies when they do not
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} user - User object from database
+ * @returns {Promise<Object|null>} - Team or null
+ */
+async function getLedTeam(interaction, user) {
+  const team = await getUserTeam(user.id);
+
+  if (!team || team.owner_id !== user.id) {
+    await interaction.reply({
+      content: team
+        ? `❌ Only the leader of **${team.name}** (<@${team.owner_discord_id}>) can do this.`
+        : '❌ You are not in a team. Create one with `/judge-team create`.',
+      ephemeral: true
+    });
+    return null;
+  }
+
+  return team;
+}
+
+/**
+ * Handle /judge-team create
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} user - User object from database
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+async function handleCreate(interaction, user, logger) {
+  const name = interaction.options.getString('name').trim().replace(/\s+/g, ' ');
+
+  if (!Validation.isValidTeamName(name)) {
+    await interaction.reply({
+      content: '❌ Team names need 2 to 32 letters, numbers, spaces, _ or -.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  const result = await createTeam(name, user.id);
+
+  if (!result.success) {
+    await interaction.reply({ content: `❌ ${result.error}`, ephemeral: true });
+    return;
+  }
+
+  logger.info(`${interaction.user.tag} created team ${name} (#${result.teamId})`);
+
+  await interaction.reply({
+    content: `🤝 Team **${name}** created! Invite your teammates with \`/judge-team invite\`.`,
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /judge-team invite
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} client - Discord client
+ * @param {Object} user - User object from database
+ * @param {number} maxSize - Maximum team size
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+async function handleInvite(interaction, client, user, maxSize, logger) {
+  const team = await getLedTeam(interaction, user);
+  if (!team) return;
+
+  const targetUser = interaction.options.getUser('user');
+  const target = await getUser(targetUser.id);
+
+  if (!target || targetUser.bot) {
+    await interaction.reply({
+      content: `❌ ${targetUser.tag} is not registered. They need to use \`/judge-register\` first.`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  if (target.id === user.id) {
+    await interaction.reply({ content: '❌ You are already in your team.', ephemeral: true });
+    return;
+  }
+
+  if (team.member_count >= maxSize) {
+    await interaction.reply({
+      content: `❌ **${team.name}** is full (${maxSize} members).`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  const targetTeam = await getUserTeam(target.id);
+  if (targetTeam) {
+    await interaction.reply({
+      content: targetTeam.id === team.id
+        ? `❌ ${targetUser.tag} is already in **${team.name}**.`
+        : `❌ ${targetUser.tag} is already in another team.`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  const result = await inviteToTeam(team.id, target.id, user.id);
+
+  if (!result.success) {
+    await interaction.reply({ content: `❌ ${result.error}`, ephemeral: true });
+    return;
+  }
+
+  logger.info(`${interaction.user.tag} invited ${targetUser.tag} to team ${team.name}`);
+
+  // The invitation is kept even if the player does not accept DMs
+  const notified = await client.users.fetch(targetUser.id)
+    .then(discordUser => discordUser.send(`🤝 ${interaction.user.username} invited you to join the team **${team.name}**. Use \`/judge-team join\` to accept.`))
+    .then(() => true)
+    .catch(() => false);
+
+  await interaction.reply({
+    content: `✅ ${result.invited ? 'Invited' : 'Already invited'} ${targetUser.tag} to **${team.name}**.` +
+      (notified ? '' : ' They could not be notified by DM, so let them know they can use `/judge-team join`.'),
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /judge-team join
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} user - User object from database
+ * @param {number} maxSize - Maximum team size
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+async function handleJoin(interaction, user, maxSize, logger) {
+  const team = await getTeam(parseInt(interaction.options.getString('team'), 10));
+
+  if (!team) {
+    await interaction.reply({
+      content: '❌ Team not found. Pick one of your invitations from the list.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  const result = await joinTeam(team.id, user.id, maxSize);
+
+  if (!result.success) {
+    await interaction.reply({ content: `❌ ${result.error}`, ephemeral: true });
+    return;
+  }
+
+  logger.info(`${interaction.user.tag} joined team ${team.name}`);
+
+  await interaction.reply({
+    content: `🤝 You joined **${team.name}**! Your solves from now on count for the team, and hints are shared between members.`,
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /judge-team leave
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} user - User object from database
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+async function handleLeave(interaction, user, logger) {
+  const team = await getUserTeam(user.id);
+  const result = await leaveTeam(user.id);
+
+  if (!result.success) {
+    await interaction.reply({ content: `❌ ${result.error}`, ephemeral: true });
+    return;
+  }
+
+  logger.info(`${interaction.user.tag} left team ${team.name}${result.disbanded ? ', which was disbanded' : ''}`);
+
+  let content = `👋 You left **${team.name}**.`;
+  if (result.disbanded) {
+    content += ' You were its last member, so the team was disbanded.';
+  } else if (result.newOwnerId) {
+    const newLeader = (await getTeamMembers(team.id)).find(member => member.user_id === result.newOwnerId);
+    content += ` ${newLeader ? `<@${newLeader.discord_id}>` : 'The longest-standing member'} is now its leader.`;
+  }
+
+  await interaction.reply({ content, ephemeral: true });
+}
+
+/**
+ * Handle /judge-team kick
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} user - User object from database
+ * @param {Object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+async function handleKick(interaction, user, logger) {
+  const team = await getLedTeam(interaction, user);
+  if (!team) return;
+
+  const targetUser = interaction.options.getUser('user');
+  const target = await getUser(targetUser.id);
+
+  if (target && target.id === user.id) {
+    await interaction.reply({
+      content: '❌ You cannot remove yourself. Use `/judge-team leave` instead.',
+      ephemeral: true
+    });
+    return;
+  }
+
+  const result = target ? await removeTeamMember(team.id, target.id) : { success: true, removed: false };
+
+  if (!result.success || !result.removed) {
+    await interaction.reply({
+      content: result.success ? `❌ ${targetUser.tag} is not a member of **${team.name}**.` : `❌ ${result.error}`,
+      ephemeral: true
+    });
+    return;
+  }
+
+  logger.info(`${interaction.user.tag} removed ${targetUser.tag} from team ${team.name}`);
+
+  await interaction.reply({
+    content: `✅ ${targetUser.tag} was removed from **${team.name}**.`,
+    ephemeral: true
+  });
+}
+
+/**
+ * Handle /judge-team info
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} user - User object from database
+ * @param {number} maxSize - Maximum team size
+ * @returns {Promise<void>}
+ */
+async function handleInfo(interaction, user, maxSize) {
+  const teamOption = interaction.options.getString('team');
+  const team = teamOption ? await getTeam(parseInt(teamOption, 10)) : await getUserTeam(user.id);
+
+  if (!team) {
+    const invites = teamOption ? [] : await getTeamInvites(user.id);
+    await interaction.reply({
+      content: teamOption
+        ? '❌ Team not found.'
+        : '❌ You are not in a team. Create one with `/judge-team create`' +
+          (invites.length > 0 ? ` or accept an invitation from ${invites.map(invite => `**${invite.name}**`).join(', ')} with \`/judge-team join\`.` : '.'),
+      ephemeral: true
+    });
+    return;
+  }
+
+  const members = await getTeamMembers(team.id);
+  const leaderboard = await getTeamLeaderboard(1000);
+  const rankIndex = leaderboard.findIndex(entry => entry.id === team.id);
+  const standing = rankIndex >= 0 ? leaderboard[rankIndex] : null;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🤝 ${team.name}`)
+    .setColor('#0099ff')
+    .addFields(
+      {
+        name: `Members (${members.length}/${maxSize})`,
+        value: members
+          .map(member => `${member.user_id === team.owner_id ? '👑' : '•'} <@${member.discord_id}>`)
+          .join('\n')
+          .substring(0, 1024)
+      },
+      { name: 'Rank', value: standing ? `#${rankIndex + 1} of ${leaderboard.length}` : 'Not ranked yet', inline: true },
+      { name: 'Team Points', value: `${standing ? standing.total_points : 0}`, inline: true },
+      { name: 'Challenges Solved', value: `${standing ? standing.completed_games : 0}`, inline: true }
+    )
+    .setFooter({ text: 'Each challenge counts once per team, with the points of the first member to solve it.' });
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
@@ -0,0 +1,112 @@
+/**
+ * @file verify.js - Open Badge Verification Command
+ * @description Discord slash command that checks the signature of an Open Badges 3.0 credential issued
+ *              by the `openbadge` reward type. The check runs entirely offline from the data in the
+ *              file (the signing key is embedded in its did:key), reports whether the badge was issued
+ *              by this bot and can optionally confirm the recipient email against the salted hash.
+ *              Badges issued by this bot are also checked against revocations made with
+ *              `/judge-admin revoke`.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const axios = require('axios');
+const OpenBadgeIssuer = require('../services/openbadge');
+const { getRewardByCredentialId } = require('../services/database');
+
+// Credentials are a few KB; refuse anything much larger
+const MAX_FILE_SIZE = 256 * 1024;
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('judge-verify')
+    .setDescription('Verify the signature of an Open Badge file')
+    .addAttachmentOption(option =>
+      option.setName('badge')
+        .setDescription('The badge .json file')
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('email')
+        .setDescription('Optionally check that the badge was issued to this email')
+        .setRequired(false)),
+
+  async execute(interaction, { config, logger }) {
+    logger.info(`${interaction.user.tag} (${interaction.user.id}) used /judge-verify`);
+
+    const attachment = interaction.options.getAttachment('badge');
+    const email = interaction.options.getString('email');
+
+    if (attachment.size > MAX_FILE_SIZE) {
+      await interaction.reply({
+        content: '❌ That file is too large to be an Open Badge credential.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    let credential;
+    try {
+      const response = await axios.get(attachment.url, {
+        responseType: 'text',
+        maxContentLength: MAX_FILE_SIZE,
+        timeout: 10000
+      });
+      credential = JSON.parse(response.data);
+    } catch (error) {
+      logger.warn(`Could not read badge file from ${interaction.user.tag}: ${error.message}`);
+      await interaction.editReply({ content: '❌ Could not read that file as JSON.' });
+      return;
+    }
+
+    let trustedDid = null;
+    try {
+      trustedDid = new OpenBadgeIssuer(config).getIssuerDid();
+    } catch (error) {
+      logger.error(`Could not load Open Badges signing key: ${error.message}`);
+    }
+
+    const result = OpenBadgeIssuer.verify(credential, { email, trustedDid });
+
+    // Only this bot knows about its own revocations
+    if (result.valid && result.trustedIssuer) {
+      const reward = await getRewardByCredentialId(credential.id);
+      if (reward && reward.revoked) {
+        result.valid = false;
+        result.errors.push(`This badge was revoked${reward.revoked_reason ? `: ${reward.revoked_reason}` : ''}`);
+      }
+    }
+
+    const subject = credential.credentialSubject || {};
+    const achievement = subject.achievement || {};
+    const issuer = credential.issuer && typeof credential.issuer === 'object' ? credential.issuer : {};
+
+    const embed = new EmbedBuilder()
+      .setTitle(result.valid ? '✅ Valid Open Badge' : '❌ Invalid Open Badge')
+      .setColor(result.valid ? '#00FF00' : '#FF0000')
+      .addFields(
+        { name: 'Achievement', value: String(achievement.name || credential.name || 'Unknown').substring(0, 1024), inline: true },
+        { name: 'Issued', value: credential.validFrom ? `<t:${Math.floor(new Date(credential.validFrom).getTime() / 1000)}:f>` : 'Unknown', inline: true },
+        {
+          name: 'Issuer',
+          value: `${String(issuer.name || 'Unknown').substring(0, 200)}` +
+            (result.valid ? (result.trustedIssuer ? ' (this bot ✅)' : ' (⚠️ not this bot)') : '')
+        }
+      );
+
+    if (result.recipientMatches !== null) {
+      embed.addFields({
+        name: 'Recipient',
+        value: result.recipientMatches ? '✅ Issued to this email' : '❌ Not issued to this email'
+      });
+    }
+
+    if (result.errors.length > 0) {
+      embed.addFields({ name: 'Problems', value: result.errors.map(error => `• ${error}`).join('\n').substring(0, 1024) });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+  },
+};
@@ -16,9 +16,17 @@ const yaml = require('js-yaml');
 const { Client, Collection, GatewayIntentBits, EmbedBuilder } = require('discord.js');
 const Logger = require('./utils/logger');
 const Validation = require('./utils/validation');
+const GameConfig = require('./utils/game-config');
 const { initializeDatabase } = require('./services/database');
 const SuccessAnnouncer = require('./services/success-announcer');
 const GameApprovalAnnouncer = require('./services/game-approval-announcer');
+const PointsCalculator = require('./services/points');
+const RewardService = require('./services/reward');
+const RewardQueue = require('./services/reward-queue');
+const GameScheduler = require('./services/game-scheduler');
+const SeriesService = require('./services/series');
+const EventService = require('./services/events');
+const WebhookSender = require('./services/webhook');
 require('dotenv').config();
 
 // Initialize configuration
@@ -50,6 +58,12 @@ const logger = new Logger(config.logging.level, config.logging.file);
 global.logger = logger;
 global.config = config;
 
+// Series are kept in their own files in config/series/
+SeriesService.reload();
+
+// Events are kept in their own files in config/events/
+EventService.reload();
+
 // Initialize the success announcer
 let successAnnouncer = null;
 let gameApprovalAnnouncer = null;
@@ -80,11 +94,17 @@ client.once('ready', async () => {
   await initializeDatabase();
   logger.info('Database initialized');
 
+  // Webhook secrets belong in the database, not in game files that get copied and shared
+  const movedSecrets = await WebhookSender.migrateSecrets(path.join(__dirname, 'config/games'));
+  if (movedSecrets > 0) logger.info(`Moved ${movedSecrets} webhook secrets from game files to the database`);
+
   // Initialize the success announcer after client is ready
   successAnnouncer = new SuccessAnnouncer(client, config, logger);
   logger.info('Success announcer initialized');
 
   gameApprovalAnnouncer = new GameApprovalAnnouncer(client, config, logger);
+  // /maker-manage approve announces through the client
+  client.gameApprovalAnnouncer = gameApprovalAnnouncer;
   logger.info('Game Approval Announcer service initialized');
 
   // Define the reloadGamesConfig function
@@ -112,26 +132,7 @@ client.once('ready', async () => {
             const game = gameData[gameId];
 
             // Create a clean version for the config (without answer)
-            mergedConfig.games[gameId] = {
-              name: game.name,
-              description: game.description,
-              author: game.author,
-              difficulty: game.difficulty || 1,
-              reward_type: game.reward_type || 'badgr',
-              hints: game.hints || []
-            };
-
-            // Add reward-specific properties
-            if (game.reward_type === 'badgr' && game.badge_class_id) {
-              mergedConfig.games[gameId].badge_class_id = game.badge_class_id;
-            } else if (game.reward_type === 'text' && game.reward_text) {
-              mergedConfig.games[gameId].reward_text = game.reward_text;
-            }
-
-            // Add reward description if available
-            if (game.reward_description) {
-              mergedConfig.games[gameId].reward_description = game.reward_description;
-            }
+            mergedConfig.games[gameId] = GameConfig.toPublic(game);
           }
         } catch (error) {
           if (logger) logger.error(`Error processing ${file}: ${error.message}`);
@@ -161,11 +162,49 @@ client.once('ready', async () => {
     }
   };
 
+  // Publish games at their opens_at time and remind players before closes_at
+  const gameScheduler = new GameScheduler(config, gameApprovalAnnouncer);
+  const scheduleSeconds = Math.max(15, (config.bot.game_schedule || {}).check_seconds || 60);
+  setInterval(() => gameScheduler.tick(), scheduleSeconds * 1000);
+
   // Reload games on startup
-  global.reloadGamesConfig().then(success => {
+  global.reloadGamesConfig().then(async success => {
     if (success) logger.info('Games config loaded successfully on startup');
     else logger.warn('Failed to load games config on startup');
+
+    // Bring stored points in line with the current dynamic scoring settings
+    const pointsCalculator = new PointsCalculator(config);
+    if (pointsCalculator.dynamicEnabled) {
+      const updated = await pointsCalculator.rescoreAllGames();
+      logger.info(`Dynamic scoring: rescored ${updated} solves on startup`);
+    }
+
+    // Announce timed games that opened or are about to close, including while the bot was offline
+    gameScheduler.tick();
+  }).catch(error => {
+    logger.error(`Error preparing games on startup: ${error.message}`);
   });
+
+  // Periodically take back reward roles whose time is up
+  const roleRewards = config.bot.role_rewards || {};
+  if (roleRewards.enabled !== false) {
+    const rewardService = new RewardService(config, client);
+    const intervalMinutes = Math.max(1, roleRewards.expiry_check_minutes || 10);
+    const removeExpiredRoles = () => rewardService.removeExpiredRoles().catch(error => {
+      logger.error(`Error removing expired reward roles: ${error.message}`);
+    });
+
+    removeExpiredRoles();
+    setInterval(removeExpiredRoles, intervalMinutes * 60 * 1000);
+  }
+
+  // Retry reward deliveries that failed or were interrupted
+  const rewardQueue = new RewardQueue(config, client);
+  const pollSeconds = Math.max(10, (config.bot.reward_queue || {}).poll_seconds || 60);
+  rewardQueue.recover()
+    .catch(error => logger.error(`Error requeueing interrupted reward jobs: ${error.message}`))
+    .then(() => rewardQueue.processDue());
+  setInterval(() => rewardQueue.processDue(), pollSeconds * 1000);
 });
 
 // Handle interactions
@@ -260,7 +299,7 @@ async function notifyAdminsAboutGameUpdate(client, creator, game, gameId, logger
       .setColor('#00BFFF')
       .setDescription(`${creator.tag} has configured rewards for "${game.name}"`)
       .addFields(
-        { name: 'Reward Type', value: game.reward_type === 'badgr' ? 'Digital Badge' : 'Text Message', inline: true },
+        { name: 'Reward Type', value: { badgr: 'Digital Badge', openbadge: 'Open Badge', certificate: 'Certificate', webhook: 'Webhook', text: 'Text Message', role: 'Discord Role' }[game.reward_type] || game.reward_type, inline: true },
         { name: 'Configuration Status', value: 'Complete ✅', inline: true },
         { name: 'Action Required', value: `Use \`/maker-manage approve game_id:${gameId}\` to review and approve this challenge.` }
       )
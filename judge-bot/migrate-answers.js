@@ -0,0 +1,84 @@
+/**
+ * @file migrate-answers.js - One-time Answer Hashing Migration
+ * @description Converts plaintext answers in existing game files to salted hashes. Walks every
+ *              game in config/games/, hashes its exact-match answers (answers, legacy answer,
+ *              aliases and exact matchers in the match block) and rewrites only the files that
+ *              changed. Already hashed answers are left untouched, so the script is safe to re-run.
+ *              Games whose near-miss answers give away an accepted answer are reported and left as
+ *              they are, since the answers cannot be compared once hashed.
+ *              Pass --dry-run to list the games that would be converted without writing anything.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const AnswerMatcher = require('./utils/answer-matcher');
+
+const GAMES_DIR = path.join(__dirname, 'config/games');
+const dryRun = process.argv.includes('--dry-run');
+
+if (!fs.existsSync(GAMES_DIR)) {
+  console.error(`Games directory not found: ${GAMES_DIR}`);
+  process.exit(1);
+}
+
+const files = fs.readdirSync(GAMES_DIR).filter(file => file.endsWith('.yaml'));
+let converted = 0;
+let failed = 0;
+
+/**
+ * Hash the answers of every game file
+ * @returns {Promise<void>}
+ */
+async function migrate() {
+  for (const file of files) {
+    const gameId = path.basename(file, '.yaml');
+    const filePath = path.join(GAMES_DIR, file);
+
+    try {
+      const content = fs.readFileSync(filePath, 'utf8');
+      const gameData = yaml.load(content, { schema: yaml.DEFAULT_SCHEMA });
+
+      if (!gameData || !gameData[gameId]) {
+        console.warn(`Skipping ${file}: no game found under key "${gameId}"`);
+        continue;
+      }
+
+      const leaking = AnswerMatcher.findLeakingNearMisses(gameData[gameId]);
+      if (leaking.length > 0) {
+        failed++;
+        console.error(`Not converting ${gameId}: near_miss answers give away an accepted answer (${leaking.join(', ')}). Remove or change them and run again.`);
+        continue;
+      }
+
+      const hashedGame = await AnswerMatcher.hashGameAnswers(gameData[gameId]);
+
+      if (JSON.stringify(hashedGame) === JSON.stringify(gameData[gameId])) {
+        console.log(`Already hashed: ${gameId}`);
+        continue;
+      }
+
+      if (!dryRun) {
+        fs.writeFileSync(filePath, yaml.dump({ ...gameData, [gameId]: hashedGame }), 'utf8');
+      }
+
+      converted++;
+      console.log(`${dryRun ? 'Would convert' : 'Converted'}: ${gameId}`);
+    } catch (error) {
+      failed++;
+      console.error(`Error processing ${file}: ${error.message}`);
+    }
+  }
+
+  console.log(`${dryRun ? 'Dry run complete' : 'Migration complete'}: ${converted} of ${files.length} games ${dryRun ? 'need converting' : 'converted'}.`);
+
+  if (failed > 0) {
+    console.error(`${failed} game files could not be processed.`);
+    process.exit(1);
+  }
+}
+
+migrate();
@@ -3,6 +3,8 @@
 # Description: Development utility script for quickly stopping the running bot process,
 #              rebuilding the games configuration from approved challenges, and restarting
 #              the bot with updated configurations. Includes backup creation and error handling.
+#              Attachment directories (config/games/<ID>/) of games that no longer have a game
+#              file are removed, so a new game reusing the ID does not inherit their files.
 
 # Stop the running bot (adjust as needed for your environment)
 echo "Stopping the current bot process..."
@@ -28,6 +30,7 @@ node -e "
 const fs = require('fs');
 const path = require('path');
 const yaml = require('js-yaml');
+const GameConfig = require('./utils/game-config');
 
 try {
   // Get all games from the games directory
@@ -45,33 +48,12 @@ try {
       const gameData = yaml.load(content);
       
       if (gameData && gameData[gameId] && gameData[gameId].approved) {
-        // Get the game data and clean it up for the config
-        const game = gameData[gameId];
-        
-        mergedConfig.games[gameId] = {
-          name: game.name,
-          description: game.description,
-          author: game.author,
-          answer: game.answer,
-          difficulty: game.difficulty || 1,
-          reward_type: game.reward_type || 'badgr',
-          hints: game.hints || []
-        };
-        
-        // Add reward-specific properties
-        if (game.reward_type === 'badgr' && game.badge_class_id) {
-          mergedConfig.games[gameId].badge_class_id = game.badge_class_id;
-        } else if (game.reward_type === 'text' && game.reward_text) {
-          mergedConfig.games[gameId].reward_text = game.reward_text;
-        }
-        
-        // Add reward description if available
-        if (game.reward_description) {
-          mergedConfig.games[gameId].reward_description = game.reward_description;
-        }
+        // Clean the game data up for the config, the same way the bot does
+        mergedConfig.games[gameId] = GameConfig.toPublic(gameData[gameId]);
       }
     } catch (error) {
-      console.error(`Error processing ${file}: ${error.message}`);
+      // Plain concatenation: this script is inside a double-quoted shell string
+      console.error('Error processing ' + file + ': ' + error.message);
     }
   }
   
@@ -84,6 +66,15 @@ try {
   
   console.log('Successfully updated games.yaml with approved games.');
   console.log('Games included:', Object.keys(mergedConfig.games));
+  
+  // Remove the attachments of games that were deleted or renamed
+  const gameIds = new Set(files.map(file => path.basename(file, '.yaml')));
+  for (const entry of fs.readdirSync(GAMES_DIR, { withFileTypes: true })) {
+    if (entry.isDirectory() && !gameIds.has(entry.name)) {
+      fs.rmSync(path.join(GAMES_DIR, entry.name), { recursive: true, force: true });
+      console.log('Removed attachments of missing game ' + entry.name);
+    }
+  }
 } catch (error) {
   console.error('Error updating games.yaml:', error);
 }
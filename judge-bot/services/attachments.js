@@ -0,0 +1,302 @@
+/**
+ * @file attachments.js - Challenge File Attachments
+ * @description Stores the files makers upload with `/maker attach` (images, documents, archives) in
+ *              `config/games/<ID>/` and sends them along with the challenge details in `/judge-games`
+ *              and the approval review of `/maker-manage approve`. Uploads are limited by
+ *              `attachments.max_size_mb`, `attachments.max_files` and `attachments.allowed_extensions`,
+ *              and files whose content does not match their extension (for example a `.png` that is not
+ *              a PNG image) are refused.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const { AttachmentBuilder } = require('discord.js');
+const Validation = require('../utils/validation');
+
+// Game files live in config/games/<ID>.yaml, attachments next to them in config/games/<ID>/
+const GAMES_DIR = path.join(__dirname, '../config/games');
+
+const DEFAULTS = {
+  max_size_mb: 8,
+  max_files: 5,
+  allowed_extensions: ['png', 'jpg', 'jpeg', 'gif', 'webp', 'pdf', 'txt', 'zip']
+};
+
+// Leading bytes of the formats we can recognize; other allowed extensions are checked by name only
+const SIGNATURES = {
+  png: [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  jpg: [Buffer.from([0xff, 0xd8, 0xff])],
+  jpeg: [Buffer.from([0xff, 0xd8, 0xff])],
+  gif: [Buffer.from('GIF87a'), Buffer.from('GIF89a')],
+  pdf: [Buffer.from('%PDF-')],
+  zip: [Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from([0x50, 0x4b, 0x05, 0x06])]
+};
+
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+class ChallengeAttachments {
+  /**
+   * Read the attachment limits
+   * @param {Object} config - Bot configuration
+   * @returns {Object} - { maxBytes, maxFiles, extensions }
+   */
+  static getSettings(config) {
+    const settings = { ...DEFAULTS, ...((config && config.bot && config.bot.attachments) || {}) };
+    const extensions = Array.isArray(settings.allowed_extensions) ? settings.allowed_extensions : DEFAULTS.allowed_extensions;
+
+    return {
+      maxBytes: Math.round((Number(settings.max_size_mb) || DEFAULTS.max_size_mb) * 1024 * 1024),
+      maxFiles: Math.max(1, parseInt(settings.max_files, 10) || DEFAULTS.max_files),
+      extensions: extensions.map(extension => String(extension).toLowerCase().replace(/^\./, ''))
+    };
+  }
+
+  /**
+   * Get the attachment directory of a game
+   * @param {string} gameId - Game ID
+   * @returns {string|null} - Absolute path, or null for an invalid game ID
+   */
+  static getDirectory(gameId) {
+    const gameFilePath = Validation.resolveGamePath(gameId, GAMES_DIR);
+    return gameFilePath ? gameFilePath.replace(/\.yaml$/, '') : null;
+  }
+
+  /**
+   * Clean up an uploaded file name
+   * @param {string} name - Name of the uploaded file
+   * @returns {string} - Safe file name, or an empty string if nothing usable is left
+   */
+  static sanitizeName(name) {
+    const sanitized = Validation.sanitizeFilename(String(name || '').replace(/\s+/g, '_')).replace(/^\.+/, '');
+    return sanitized.substring(0, 100);
+  }
+
+  /**
+   * Get the extension of a file name
+   * @param {string} name - File name
+   * @returns {string} - Lowercase extension without the dot
+   */
+  static getExtension(name) {
+    return path.extname(name).slice(1).toLowerCase();
+  }
+
+  /**
+   * List the attachments of a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array<Object>>} - { name, path, size } sorted by name
+   */
+  static async list(gameId) {
+    const directory = ChallengeAttachments.getDirectory(gameId);
+    if (!directory) return [];
+
+    let names;
+    try {
+      names = await fs.readdir(directory);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        global.logger.warn(`Could not read attachments of ${gameId}: ${error.message}`);
+      }
+      return [];
+    }
+
+    const files = [];
+    for (const name of names.sort()) {
+      const filePath = path.join(directory, name);
+      const stats = await fs.stat(filePath).catch(() => null);
+      if (stats && stats.isFile()) {
+        files.push({ name, path: filePath, size: stats.size });
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Check an upload against the limits before downloading it
+   * @param {Object} upload - { name, size } of the Discord attachment
+   * @param {Object} settings - Result of getSettings()
+   * @param {Array<Object>} existing - Current attachments of the game
+   * @returns {Array<string>} - Error messages
+   */
+  static checkUpload(upload, settings, existing) {
+    const errors = [];
+    const name = ChallengeAttachments.sanitizeName(upload.name);
+    const extension = ChallengeAttachments.getExtension(name);
+
+    if (!name || !extension) {
+      errors.push('The file needs a name with an extension, such as `photo.png`');
+    } else if (!settings.extensions.includes(extension)) {
+      errors.push(`.${extension} files are not allowed (allowed: ${settings.extensions.map(ext => `.${ext}`).join(', ')})`);
+    }
+
+    if (upload.size > settings.maxBytes) {
+      errors.push(`The file is ${ChallengeAttachments.formatSize(upload.size)}, the limit is ${ChallengeAttachments.formatSize(settings.maxBytes)}`);
+    }
+
+    // Uploading a file with the same name replaces it, so it does not count against the limit
+    if (!existing.some(file => file.name === name) && existing.length >= settings.maxFiles) {
+      errors.push(`A challenge can have at most ${settings.maxFiles} attachments. Remove one with \`/maker detach\` first`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Whether file content matches its extension
+   * @param {Buffer} buffer - File content
+   * @param {string} extension - Lowercase extension
+   * @returns {boolean}
+   */
+  static matchesType(buffer, extension) {
+    if (extension === 'webp') {
+      return buffer.length >= 12 &&
+        buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+        buffer.subarray(8, 12).toString('latin1') === 'WEBP';
+    }
+
+    // Text files must not contain binary data
+    if (extension === 'txt') {
+      return !buffer.includes(0);
+    }
+
+    const signatures = SIGNATURES[extension];
+    if (!signatures) return true;
+
+    return signatures.some(signature => buffer.subarray(0, signature.length).equals(signature));
+  }
+
+  /**
+   * Download a Discord attachment and store it with a game
+   * @param {string} gameId - Game ID
+   * @param {Object} upload - Discord attachment ({ name, size, url })
+   * @param {Object} config - Bot configuration
+   * @returns {Promise<Object>} - { success, error, file, replaced }
+   */
+  static async add(gameId, upload, config) {
+    const directory = ChallengeAttachments.getDirectory(gameId);
+    if (!directory) {
+      return { success: false, error: 'Invalid game ID.' };
+    }
+
+    const settings = ChallengeAttachments.getSettings(config);
+    const existing = await ChallengeAttachments.list(gameId);
+    const errors = ChallengeAttachments.checkUpload(upload, settings, existing);
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('\n') };
+    }
+
+    const name = ChallengeAttachments.sanitizeName(upload.name);
+
+    let buffer;
+    try {
+      const response = await axios.get(upload.url, {
+        responseType: 'arraybuffer',
+        maxContentLength: settings.maxBytes,
+        timeout: DOWNLOAD_TIMEOUT_MS
+      });
+      buffer = Buffer.from(response.data);
+    } catch (error) {
+      if (/maxContentLength/.test(error.message)) {
+        return { success: false, error: `The file is larger than ${ChallengeAttachments.formatSize(settings.maxBytes)}` };
+      }
+
+      global.logger.error(`Error downloading attachment ${name} for ${gameId}: ${error.message}`);
+      return { success: false, error: 'The file could not be downloaded from Discord. Please try again.' };
+    }
+
+    // The size reported by Discord is checked again against the real content
+    if (buffer.length > settings.maxBytes) {
+      return { success: false, error: `The file is larger than ${ChallengeAttachments.formatSize(settings.maxBytes)}` };
+    }
+
+    if (!ChallengeAttachments.matchesType(buffer, ChallengeAttachments.getExtension(name))) {
+      return { success: false, error: `The content of ${name} does not match its .${ChallengeAttachments.getExtension(name)} extension` };
+    }
+
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(path.join(directory, name), buffer);
+    } catch (error) {
+      global.logger.error(`Error saving attachment ${name} for ${gameId}: ${error.message}`);
+      return { success: false, error: 'The file could not be saved. Please try again later.' };
+    }
+
+    return {
+      success: true,
+      file: { name, path: path.join(directory, name), size: buffer.length },
+      replaced: existing.some(file => file.name === name)
+    };
+  }
+
+  /**
+   * Remove one attachment of a game
+   * @param {string} gameId - Game ID
+   * @param {string} name - File name
+   * @returns {Promise<Object>} - { success, error }
+   */
+  static async remove(gameId, name) {
+    const file = (await ChallengeAttachments.list(gameId)).find(entry => entry.name === name);
+    if (!file) {
+      return { success: false, error: `"${name}" is not attached to this challenge.` };
+    }
+
+    try {
+      await fs.unlink(file.path);
+      return { success: true };
+    } catch (error) {
+      global.logger.error(`Error removing attachment ${name} of ${gameId}: ${error.message}`);
+      return { success: false, error: 'The file could not be removed. Please try again later.' };
+    }
+  }
+
+  /**
+   * Remove every attachment of a game, used when the game is deleted
+   * @param {string} gameId - Game ID
+   * @returns {Promise<void>}
+   */
+  static async removeAll(gameId) {
+    const directory = ChallengeAttachments.getDirectory(gameId);
+    if (!directory) return;
+
+    try {
+      await fs.rm(directory, { recursive: true, force: true });
+    } catch (error) {
+      global.logger.warn(`Could not remove attachments of ${gameId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the files to send with a message
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Array<AttachmentBuilder>>}
+   */
+  static async getDiscordFiles(gameId) {
+    return (await ChallengeAttachments.list(gameId))
+      .map(file => new AttachmentBuilder(file.path, { name: file.name }));
+  }
+
+  /**
+   * Describe a list of attachments
+   * @param {Array<Object>} files - Result of list()
+   * @returns {string} - One "📎 name (size)" line per file
+   */
+  static describe(files) {
+    return files.map(file => `📎 ${file.name} (${ChallengeAttachments.formatSize(file.size)})`).join('\n');
+  }
+
+  /**
+   * Format a file size
+   * @param {number} bytes - Size in bytes
+   * @returns {string} - e.g. "340 KB" or "2.5 MB"
+   */
+  static formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '')} MB`;
+  }
+}
+
+module.exports = ChallengeAttachments;
@@ -0,0 +1,296 @@
+/**
+ * @file badgr-auth.js - Badgr OAuth Token Manager
+ * @description Keeps a valid Badgr access token for the reward service. With BADGR_USERNAME and
+ *              BADGR_PASSWORD (or a BADGR_REFRESH_TOKEN) set, tokens come from the Badgr OAuth
+ *              endpoint: the access and refresh tokens are saved to a private file, refreshed shortly
+ *              before they expire or after a 401, and admins get a DM when the refresh itself fails.
+ *              Without these variables the static BADGR_TOKEN is used as before.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DEFAULT_TOKEN_FILE = path.join(__dirname, '..', 'data', 'badgr-token.json');
+const DEFAULT_TOKEN_URL = 'https://api.badgr.io/o/token';
+const DEFAULT_SCOPE = 'rw:profile rw:issuer rw:backpack';
+
+class BadgrAuth {
+  /**
+   * @param {Object} config - Bot configuration
+   * @param {Object} client - Discord.js client, used to alert admins when a refresh fails
+   */
+  constructor(config, client = null) {
+    const settings = config.badgr || {};
+
+    this.config = config;
+    this.client = client;
+    this.tokenUrl = process.env.BADGR_TOKEN_URL || settings.token_url || DEFAULT_TOKEN_URL;
+    this.clientId = settings.client_id || 'public';
+    this.scope = settings.scope || DEFAULT_SCOPE;
+    this.refreshMarginSeconds = settings.refresh_margin_seconds || 300;
+    this.tokenFile = settings.token_file ? path.resolve(__dirname, '..', settings.token_file) : DEFAULT_TOKEN_FILE;
+    this.username = process.env.BADGR_USERNAME || '';
+    this.password = process.env.BADGR_PASSWORD || '';
+    this.staticToken = process.env.BADGR_TOKEN || '';
+  }
+
+  /**
+   * Whether tokens are obtained through OAuth rather than the static BADGR_TOKEN
+   * @returns {boolean}
+   */
+  usesOAuth() {
+    return Boolean((this.username && this.password) || process.env.BADGR_REFRESH_TOKEN);
+  }
+
+  /**
+   * Get an access token, refreshing it first if it is missing or about to expire
+   * @returns {Promise<string>} - Access token
+   */
+  async getAccessToken() {
+    if (!this.usesOAuth()) {
+      if (!this.staticToken) {
+        throw BadgrAuth.authError('Badgr API token is not configured. Set BADGR_TOKEN, or BADGR_USERNAME and BADGR_PASSWORD.');
+      }
+      return this.staticToken;
+    }
+
+    const token = this.loadToken();
+    if (token && token.access_token && token.expires_at - this.refreshMarginSeconds * 1000 > Date.now()) {
+      return token.access_token;
+    }
+
+    const refreshed = await this.refresh();
+    return refreshed.access_token;
+  }
+
+  /**
+   * Send a Badgr API request, refreshing the token and retrying once if Badgr answers 401
+   * @param {Function} send - Receives the request headers and returns the axios promise
+   * @returns {Promise<Object>} - Axios response
+   */
+  async request(send) {
+    const accessToken = await this.getAccessToken();
+
+    try {
+      return await send(BadgrAuth.buildHeaders(accessToken));
+    } catch (error) {
+      if (!this.usesOAuth() || !error.response || error.response.status !== 401) {
+        throw error;
+      }
+
+      global.logger.warn('Badgr rejected the access token, refreshing it and retrying once');
+      const refreshed = await this.refresh(accessToken);
+      return await send(BadgrAuth.buildHeaders(refreshed.access_token));
+    }
+  }
+
+  /**
+   * Get a new access token. Concurrent callers share one refresh; the saved refresh token is
+   * tried first and the password grant is the fallback.
+   * @param {string|null} rejectedToken - Access token Badgr just rejected, if any
+   * @returns {Promise<Object>} - Saved token state
+   */
+  async refresh(rejectedToken = null) {
+    // Another request may already have replaced the rejected token
+    const current = this.loadToken();
+    if (rejectedToken && current && current.access_token && current.access_token !== rejectedToken &&
+        current.expires_at > Date.now()) {
+      return current;
+    }
+
+    if (!BadgrAuth.pendingRefresh) {
+      BadgrAuth.pendingRefresh = this.requestNewToken(current)
+        .finally(() => {
+          BadgrAuth.pendingRefresh = null;
+        });
+    }
+
+    return await BadgrAuth.pendingRefresh;
+  }
+
+  /**
+   * Call the token endpoint and save the result
+   * @param {Object|null} current - Currently saved token state
+   * @returns {Promise<Object>} - New token state
+   */
+  async requestNewToken(current) {
+    const refreshToken = (current && current.refresh_token) || process.env.BADGR_REFRESH_TOKEN || '';
+    const errors = [];
+
+    if (refreshToken) {
+      try {
+        const token = await this.callTokenEndpoint({ grant_type: 'refresh_token', refresh_token: refreshToken });
+        global.logger.info('Refreshed Badgr access token');
+        return this.onRefreshSuccess(token);
+      } catch (error) {
+        errors.push(`refresh token: ${BadgrAuth.describeError(error)}`);
+        global.logger.warn(`Badgr token refresh failed: ${BadgrAuth.describeError(error)}`);
+      }
+    }
+
+    if (this.username && this.password) {
+      try {
+        const token = await this.callTokenEndpoint({
+          grant_type: 'password',
+          username: this.username,
+          password: this.password,
+          scope: this.scope
+        });
+        global.logger.info('Obtained a new Badgr access token with the account password');
+        return this.onRefreshSuccess(token);
+      } catch (error) {
+        errors.push(`password: ${BadgrAuth.describeError(error)}`);
+      }
+    }
+
+    const message = `Could not refresh the Badgr access token (${errors.join('; ') || 'no refresh token or password configured'})`;
+    global.logger.error(message);
+    await this.alertAdmins(message);
+
+    throw BadgrAuth.authError('Badge service authentication failed. An administrator needs to check the Badgr credentials.');
+  }
+
+  /**
+   * POST a grant to the Badgr token endpoint
+   * @param {Object} grant - Grant parameters
+   * @returns {Promise<Object>} - Token response
+   */
+  async callTokenEndpoint(grant) {
+    const response = await axios.post(
+      this.tokenUrl,
+      new URLSearchParams({ client_id: this.clientId, ...grant }).toString(),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 15000
+      }
+    );
+
+    if (!response.data || !response.data.access_token) {
+      throw new Error('Token response did not include an access token');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Save a new token and clear the failure alert
+   * @param {Object} token - Token response
+   * @returns {Object} - Saved token state
+   */
+  onRefreshSuccess(token) {
+    const current = this.loadToken() || {};
+    const state = {
+      access_token: token.access_token,
+      // Badgr rotates refresh tokens, but keep the old one if none is returned
+      refresh_token: token.refresh_token || current.refresh_token || process.env.BADGR_REFRESH_TOKEN || null,
+      expires_at: Date.now() + (Number(token.expires_in) || 86400) * 1000,
+      updated_at: new Date().toISOString()
+    };
+
+    this.saveToken(state);
+    BadgrAuth.alerted = false;
+
+    return state;
+  }
+
+  /**
+   * Load the saved token state
+   * @returns {Object|null} - { access_token, refresh_token, expires_at, updated_at }
+   */
+  loadToken() {
+    if (BadgrAuth.cachedToken) return BadgrAuth.cachedToken;
+
+    try {
+      if (fs.existsSync(this.tokenFile)) {
+        BadgrAuth.cachedToken = JSON.parse(fs.readFileSync(this.tokenFile, 'utf8'));
+      }
+    } catch (error) {
+      global.logger.warn(`Could not read saved Badgr token from ${this.tokenFile}: ${error.message}`);
+    }
+
+    return BadgrAuth.cachedToken;
+  }
+
+  /**
+   * Save the token state so refresh tokens survive restarts
+   * @param {Object} state - Token state
+   */
+  saveToken(state) {
+    BadgrAuth.cachedToken = state;
+
+    try {
+      fs.mkdirSync(path.dirname(this.tokenFile), { recursive: true });
+      fs.writeFileSync(this.tokenFile, JSON.stringify(state, null, 2), { mode: 0o600 });
+    } catch (error) {
+      global.logger.error(`Could not save Badgr token to ${this.tokenFile}: ${error.message}`);
+    }
+  }
+
+  /**
+   * DM the bot admins once per failure streak
+   * @param {string} message - Failure description
+   * @returns {Promise<void>}
+   */
+  async alertAdmins(message) {
+    if (!this.client || BadgrAuth.alerted) return;
+    BadgrAuth.alerted = true;
+
+    const content = `⚠️ ${message}.\nBadgr rewards are paused until the credentials are fixed. ` +
+      'Check BADGR_USERNAME/BADGR_PASSWORD, then use `/judge-admin rewards action:retry` to resume deliveries.';
+
+    for (const adminId of this.config.bot.admins || []) {
+      try {
+        const admin = await this.client.users.fetch(adminId);
+        await admin.send(content.substring(0, 2000));
+      } catch (dmError) {
+        // Silently skip admins we cannot DM
+      }
+    }
+  }
+
+  /**
+   * Build the headers for a Badgr API call
+   * @param {string} accessToken - Access token
+   * @returns {Object} - Request headers
+   */
+  static buildHeaders(accessToken) {
+    return {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Create an error the reward queue treats as an authentication failure
+   * @param {string} message - Error message
+   * @returns {Error}
+   */
+  static authError(message) {
+    const error = new Error(message);
+    error.authFailure = true;
+    return error;
+  }
+
+  /**
+   * Describe a token endpoint error without logging credentials
+   * @param {Error} error - Axios error
+   * @returns {string}
+   */
+  static describeError(error) {
+    if (error.response) {
+      const detail = error.response.data && (error.response.data.error_description || error.response.data.error);
+      return `HTTP ${error.response.status}${detail ? ` ${detail}` : ''}`;
+    }
+    return error.message;
+  }
+}
+
+// Shared by every RewardService instance
+BadgrAuth.cachedToken = null;
+BadgrAuth.pendingRefresh = null;
+BadgrAuth.alerted = false;
+
+module.exports = BadgrAuth;
@@ -0,0 +1,342 @@
+/**
+ * @file certificate.js - Completion Certificate Renderer
+ * @description Renders shareable completion certificates for the `certificate` reward type without any
+ *              native dependencies. SVG certificates are produced from a maker-supplied SVG template;
+ *              PDF certificates are laid out from a plain-text template (`# ` title, `## ` heading lines)
+ *              using the standard Helvetica fonts. Both support the {{username}}, {{game}},
+ *              {{difficulty}}, {{points}}, {{date}} and {{organization}} placeholders. Rendered files are
+ *              kept under data/certificates so players can download them again with `/judge-progress`.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const fs = require('fs').promises;
+const path = require('path');
+
+const CERTIFICATES_DIR = path.join(__dirname, '../data/certificates');
+const FORMATS = ['svg', 'pdf'];
+// Maker templates are entered in a modal, which caps text inputs at 4000 characters
+const MAX_TEMPLATE_LENGTH = 4000;
+
+const DEFAULT_SVG_TEMPLATE = `<svg xmlns="http://www.w3.org/2000/svg" width="1200" height="850" viewBox="0 0 1200 850">
+  <rect width="1200" height="850" fill="#fffdf5"/>
+  <rect x="30" y="30" width="1140" height="790" fill="none" stroke="#c9a227" stroke-width="8"/>
+  <rect x="50" y="50" width="1100" height="750" fill="none" stroke="#c9a227" stroke-width="2"/>
+  <g font-family="Georgia, serif" text-anchor="middle" fill="#222">
+    <text x="600" y="200" font-size="64" font-weight="bold">Certificate of Completion</text>
+    <text x="600" y="300" font-size="28">This certifies that</text>
+    <text x="600" y="390" font-size="56" font-weight="bold" fill="#8a6d0b">{{username}}</text>
+    <text x="600" y="470" font-size="28">has completed the challenge</text>
+    <text x="600" y="550" font-size="44" font-weight="bold">{{game}}</text>
+    <text x="600" y="630" font-size="26">Difficulty {{difficulty_stars}} · {{points}} points</text>
+    <text x="600" y="730" font-size="22" fill="#555">{{organization}} · {{date}}</text>
+  </g>
+</svg>`;
+
+const DEFAULT_PDF_TEMPLATE = [
+  '# Certificate of Completion',
+  '',
+  'This certifies that',
+  '## {{username}}',
+  'has completed the challenge',
+  '## {{game}}',
+  '',
+  'Difficulty {{difficulty}}/5 · {{points}} points',
+  '',
+  '{{organization}} · {{date}}'
+].join('\n');
+
+// Helvetica glyph widths (1/1000 em) for ASCII 32-126, used to center PDF text
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+// A4 landscape, in points
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const TEXT_MARGIN = 60;
+const LINE_STYLES = {
+  title: { font: 'F2', size: 34 },
+  heading: { font: 'F2', size: 24 },
+  body: { font: 'F1', size: 15 }
+};
+
+class CertificateRenderer {
+  /**
+   * Supported output formats
+   * @returns {Array<string>} - Format names
+   */
+  static get formats() {
+    return FORMATS;
+  }
+
+  /**
+   * Build the placeholder values for a certificate
+   * @param {Object} game - Game configuration
+   * @param {Object} details - { username, points, date }
+   * @param {Object} config - Bot configuration
+   * @returns {Object} - Placeholder values
+   */
+  static buildValues(game, details, config) {
+    const settings = config.bot.certificates || {};
+    const difficulty = Math.min(Math.max(parseInt(game.difficulty, 10) || 1, 1), 5);
+    const date = details.date ? new Date(details.date) : new Date();
+
+    return {
+      username: String(details.username || 'Player'),
+      game: String(game.name || ''),
+      difficulty: String(difficulty),
+      difficulty_stars: '★'.repeat(difficulty) + '☆'.repeat(5 - difficulty),
+      points: String(details.points || 0),
+      date: date.toLocaleDateString(settings.locale || 'en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' }),
+      organization: String(settings.organization || 'ScoreBot')
+    };
+  }
+
+  /**
+   * Render a certificate
+   * @param {Object} game - Game configuration (certificate_format, certificate_template)
+   * @param {Object} values - Placeholder values from buildValues()
+   * @returns {Object} - { format, buffer }
+   */
+  static render(game, values) {
+    const format = CertificateRenderer.getFormat(game);
+
+    if (format === 'pdf') {
+      const template = game.certificate_template || DEFAULT_PDF_TEMPLATE;
+      return { format, buffer: CertificateRenderer.renderPdf(CertificateRenderer.fill(template, values)) };
+    }
+
+    const escaped = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, CertificateRenderer.escapeXml(value)]));
+    const template = game.certificate_template || DEFAULT_SVG_TEMPLATE;
+    return { format, buffer: Buffer.from(CertificateRenderer.fill(template, escaped), 'utf8') };
+  }
+
+  /**
+   * Get the certificate format configured for a game
+   * @param {Object} game - Game configuration
+   * @returns {string} - 'svg' or 'pdf'
+   */
+  static getFormat(game) {
+    return FORMATS.includes(game.certificate_format) ? game.certificate_format : 'svg';
+  }
+
+  /**
+   * Replace {{placeholder}} tokens in a template
+   * @param {string} template - Template text
+   * @param {Object} values - Placeholder values
+   * @returns {string} - Filled template
+   */
+  static fill(template, values) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in values ? values[key] : match));
+  }
+
+  /**
+   * Escape text for use inside SVG markup
+   * @param {string} text - Raw text
+   * @returns {string} - Escaped text
+   */
+  static escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Check a maker-supplied template
+   * @param {string} format - 'svg' or 'pdf'
+   * @param {string} template - Template text (empty for the default template)
+   * @returns {Object} - { valid, error }
+   */
+  static validateTemplate(format, template) {
+    if (!FORMATS.includes(format)) {
+      return { valid: false, error: `Format must be one of: ${FORMATS.join(', ')}` };
+    }
+
+    if (!template) return { valid: true };
+
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+      return { valid: false, error: `Template must be at most ${MAX_TEMPLATE_LENGTH} characters` };
+    }
+
+    if (format === 'svg') {
+      if (!/^\s*(<\?xml[^>]*\?>\s*)?<svg[\s>]/i.test(template) || !/<\/svg>\s*$/i.test(template)) {
+        return { valid: false, error: 'SVG templates must start with <svg> and end with </svg>' };
+      }
+
+      // Certificates are opened by players, so keep templates free of active content
+      if (/<script|<foreignObject|\son\w+\s*=|javascript:/i.test(template)) {
+        return { valid: false, error: 'SVG templates cannot contain scripts, event handlers or foreignObject' };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Lay out text lines on a single-page PDF
+   * @param {string} text - Filled text template
+   * @returns {Buffer} - PDF file
+   */
+  static renderPdf(text) {
+    const lines = text.split(/\r?\n/).map(line => {
+      if (line.startsWith('## ')) return { style: LINE_STYLES.heading, text: line.slice(3) };
+      if (line.startsWith('# ')) return { style: LINE_STYLES.title, text: line.slice(2) };
+      return { style: LINE_STYLES.body, text: line };
+    });
+
+    // Shrink lines that would not fit between the margins
+    const maxWidth = PAGE_WIDTH - TEXT_MARGIN * 2;
+    for (const line of lines) {
+      const width = CertificateRenderer.measureText(line.text, line.style);
+      line.size = width > maxWidth ? Math.floor(line.style.size * maxWidth / width) : line.style.size;
+      line.width = CertificateRenderer.measureText(line.text, { ...line.style, size: line.size });
+    }
+
+    // Center the block vertically
+    const lineHeight = line => line.size * 1.6;
+    const blockHeight = lines.reduce((sum, line) => sum + lineHeight(line), 0);
+    let y = (PAGE_HEIGHT + blockHeight) / 2;
+
+    const content = [
+      '0.79 0.64 0.15 RG',
+      `4 w 24 24 ${PAGE_WIDTH - 48} ${PAGE_HEIGHT - 48} re S`,
+      `1 w 34 34 ${PAGE_WIDTH - 68} ${PAGE_HEIGHT - 68} re S`,
+      '0.13 0.13 0.13 rg'
+    ];
+
+    for (const line of lines) {
+      y -= lineHeight(line);
+      if (!line.text.trim()) continue;
+
+      const x = (PAGE_WIDTH - line.width) / 2;
+      content.push(`BT /${line.style.font} ${line.size} Tf ${x.toFixed(2)} ${(y + line.size * 0.4).toFixed(2)} Td (${CertificateRenderer.escapePdfText(line.text)}) Tj ET`);
+    }
+
+    const stream = content.join('\n');
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach((object, index) => {
+      offsets.push(Buffer.byteLength(pdf, 'latin1'));
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+  }
+
+  /**
+   * Approximate the width of a line of PDF text
+   * @param {string} text - Text
+   * @param {Object} style - { font, size }
+   * @returns {number} - Width in points
+   */
+  static measureText(text, style) {
+    const units = [...text].reduce((sum, char) => {
+      const code = char.charCodeAt(0);
+      return sum + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+    }, 0);
+
+    // Helvetica-Bold is roughly 6% wider than the regular weight
+    return units * style.size / 1000 * (style.font === 'F2' ? 1.06 : 1);
+  }
+
+  /**
+   * Escape text for a PDF string, replacing characters outside WinAnsi (Latin-1) with '?'
+   * @param {string} text - Text
+   * @returns {string} - Escaped PDF string content
+   */
+  static escapePdfText(text) {
+    return [...text]
+      .map(char => (char.codePointAt(0) > 255 ? '?' : char))
+      .join('')
+      .replace(/[\\()]/g, match => `\\${match}`);
+  }
+
+  /**
+   * Get the stored file path for a user's certificate
+   * @param {number} userId - User ID in database
+   * @param {string} gameId - Game ID
+   * @param {string} format - 'svg' or 'pdf'
+   * @returns {string} - Absolute file path
+   */
+  static getFilePath(userId, gameId, format) {
+    const safeGameId = String(gameId).replace(/[^A-Za-z0-9_-]/g, '_');
+    return path.join(CERTIFICATES_DIR, `${parseInt(userId, 10)}-${safeGameId}.${format}`);
+  }
+
+  /**
+   * File name shown to players
+   * @param {string} gameId - Game ID
+   * @param {string} format - 'svg' or 'pdf'
+   * @returns {string} - File name
+   */
+  static getFileName(gameId, format) {
+    return `certificate-${String(gameId).replace(/[^A-Za-z0-9_-]/g, '_')}.${format}`;
+  }
+
+  /**
+   * Save a rendered certificate
+   * @param {number} userId - User ID in database
+   * @param {string} gameId - Game ID
+   * @param {Object} certificate - { format, buffer } from render()
+   * @returns {Promise<string>} - Stored file path
+   */
+  static async save(userId, gameId, certificate) {
+    const filePath = CertificateRenderer.getFilePath(userId, gameId, certificate.format);
+    await fs.mkdir(CERTIFICATES_DIR, { recursive: true });
+    await fs.writeFile(filePath, certificate.buffer);
+    return filePath;
+  }
+
+  /**
+   * Load a stored certificate, re-rendering it from the recorded values if the file is gone
+   * @param {number} userId - User ID in database
+   * @param {string} gameId - Game ID
+   * @param {Object} rewardData - Parsed rewards.reward_data of the certificate
+   * @param {Object} game - Current game configuration (used only when re-rendering)
+   * @returns {Promise<Object>} - { format, buffer }
+   */
+  static async load(userId, gameId, rewardData, game) {
+    const format = FORMATS.includes(rewardData.format) ? rewardData.format : 'svg';
+
+    try {
+      const buffer = await fs.readFile(CertificateRenderer.getFilePath(userId, gameId, format));
+      return { format, buffer };
+    } catch (error) {
+      if (error.code !== 'ENOENT' || !game) throw error;
+
+      global.logger.warn(`Certificate file for user ${userId} on ${gameId} is missing, re-rendering it`);
+      const certificate = CertificateRenderer.render(
+        { ...game, certificate_format: format },
+        rewardData.values || {}
+      );
+      await CertificateRenderer.save(userId, gameId, certificate);
+      return certificate;
+    }
+  }
+}
+
+module.exports = CertificateRenderer;
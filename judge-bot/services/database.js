@@ -15,6 +15,9 @@ const path = require('path');
 
 let db;
 
+// Solvers rescored per UPDATE; each one binds five parameters, well under SQLite's variable limit
+const POINTS_UPDATE_BATCH_SIZE = 150;
+
 /**
  * Initialize the database and create tables if they don't exist
  * @returns {Promise<boolean>} Success status
@@ -84,6 +87,143 @@ async function initializeDatabase() {
       /* Create an index for faster lookups */
       CREATE INDEX IF NOT EXISTS idx_success_announcements_user_game 
       ON success_announcements(user_id, game_id);
+      
+      /* Log of every answer submitted through /judge-submit */
+      CREATE TABLE IF NOT EXISTS submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        game_id TEXT NOT NULL,
+        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        answer TEXT,
+        answer_hashed BOOLEAN DEFAULT 0,
+        correct BOOLEAN NOT NULL DEFAULT 0,
+        match_type TEXT,
+        match_result TEXT,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_submissions_game 
+      ON submissions(game_id, submitted_at);
+      
+      CREATE INDEX IF NOT EXISTS idx_submissions_user 
+      ON submissions(user_id, submitted_at);
+      
+      /* Bonus points (e.g. first blood) kept apart from points_earned so they can be audited and revoked */
+      CREATE TABLE IF NOT EXISTS bonuses (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        game_id TEXT NOT NULL,
+        bonus_type TEXT NOT NULL,
+        position INTEGER,
+        points INTEGER NOT NULL,
+        awarded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        revoked BOOLEAN DEFAULT 0,
+        revoked_reason TEXT,
+        revoked_by TEXT,
+        revoked_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        UNIQUE (user_id, game_id, bonus_type)
+      );
+      
+      /* Discord roles granted as rewards; rows are kept after removal for auditing */
+      CREATE TABLE IF NOT EXISTS role_grants (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        game_id TEXT NOT NULL,
+        guild_id TEXT NOT NULL,
+        role_id TEXT NOT NULL,
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP,
+        removed_at TIMESTAMP,
+        removed_reason TEXT,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_role_grants_active 
+      ON role_grants(removed_at, expires_at);
+      
+      /* Reward deliveries, retried with backoff until they complete or an admin steps in */
+      CREATE TABLE IF NOT EXISTS reward_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        game_id TEXT NOT NULL,
+        reward_type TEXT NOT NULL,
+        payload TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TIMESTAMP,
+        result TEXT,
+        resolved_by TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_reward_jobs_status 
+      ON reward_jobs(status, next_attempt_at);
+      
+      /* Game schedule announcements already made; keyed by the scheduled time so a reschedule announces again */
+      CREATE TABLE IF NOT EXISTS game_schedule_events (
+        game_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        scheduled_for TEXT NOT NULL,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (game_id, event, scheduled_for)
+      );
+      
+      /* Final standings of archived events; usernames are kept as they were when the event ended */
+      CREATE TABLE IF NOT EXISTS event_standings (
+        event_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        username TEXT NOT NULL,
+        total_points INTEGER NOT NULL DEFAULT 0,
+        completed_games INTEGER NOT NULL DEFAULT 0,
+        game_ids TEXT,
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (event_id, user_id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+      
+      /* Teams; a player belongs to at most one team */
+      CREATE TABLE IF NOT EXISTS teams (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        owner_id INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users (id)
+      );
+      
+      CREATE TABLE IF NOT EXISTS team_members (
+        team_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL UNIQUE,
+        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (team_id) REFERENCES teams (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_team_members_team 
+      ON team_members(team_id);
+      
+      /* Pending invitations; joining a team clears all of a player's invitations */
+      CREATE TABLE IF NOT EXISTS team_invites (
+        team_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        invited_by INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (team_id, user_id),
+        FOREIGN KEY (team_id) REFERENCES teams (id),
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+      
+      /* HMAC secrets of webhook rewards, kept out of the game YAML files */
+      CREATE TABLE IF NOT EXISTS webhook_secrets (
+        game_id TEXT PRIMARY KEY,
+        secret TEXT NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
     `);
     
     // Check if we need to alter the progress table to add completion_time
@@ -97,6 +237,61 @@ async function initializeDatabase() {
       global.logger.info('Added completion_date column to progress table');
     }
     
+    // Add submission throttling and timing columns to the progress table
+    const throttleColumns = {
+      window_start: 'TIMESTAMP',
+      window_attempts: 'INTEGER DEFAULT 0',
+      lockout_until: 'TIMESTAMP',
+      lockout_count: 'INTEGER DEFAULT 0',
+      // First interaction with the game (hint or submission), used for speed bonuses
+      started_at: 'TIMESTAMP'
+    };
+    
+    for (const [column, definition] of Object.entries(throttleColumns)) {
+      if (!progressColumns.some(col => col.name === column)) {
+        await db.exec(`ALTER TABLE progress ADD COLUMN ${column} ${definition};`);
+        global.logger.info(`Added ${column} column to progress table`);
+      }
+    }
+    
+    // Team the player was in when they bought hints for or solved the game. Solves count for that
+    // team only, so joining a team does not bring earlier solves and leaving it does not take them away.
+    if (!progressColumns.some(col => col.name === 'team_id')) {
+      await db.exec('ALTER TABLE progress ADD COLUMN team_id INTEGER REFERENCES teams (id);');
+      
+      // Existing solves go to the solver's current team if they were made after joining it
+      await db.run(
+        `UPDATE progress SET team_id = (
+           SELECT m.team_id FROM team_members m
+           WHERE m.user_id = progress.user_id AND m.joined_at <= progress.completion_date
+         )
+         WHERE completed = 1`
+      );
+      global.logger.info('Added team_id column to progress table');
+    }
+    
+    // Add revocation columns to the rewards table
+    const rewardColumns = await db.all("PRAGMA table_info(rewards)");
+    const revocationColumns = {
+      revoked: 'BOOLEAN DEFAULT 0',
+      revoked_reason: 'TEXT',
+      revoked_by: 'TEXT',
+      revoked_at: 'TIMESTAMP'
+    };
+    
+    for (const [column, definition] of Object.entries(revocationColumns)) {
+      if (!rewardColumns.some(col => col.name === column)) {
+        await db.exec(`ALTER TABLE rewards ADD COLUMN ${column} ${definition};`);
+        global.logger.info(`Added ${column} column to rewards table`);
+      }
+    }
+    
+    // Correct answers are the flags themselves and are no longer logged; drop any stored earlier
+    const redacted = await db.run('UPDATE submissions SET answer = NULL, answer_hashed = 0 WHERE correct = 1 AND answer IS NOT NULL');
+    if (redacted.changes > 0) {
+      global.logger.info(`Removed ${redacted.changes} stored correct answers from the submission log`);
+    }
+    
     global.logger.info('Database tables created or verified');
     return true;
   } catch (error) {
@@ -230,10 +425,24 @@ async function updateHintUsage(userId, gameId) {
     }
     
     await db.run(
-      'UPDATE progress SET hints_used = hints_used + 1 WHERE user_id = ? AND game_id = ?',
+      `UPDATE progress SET hints_used = hints_used + 1, started_at = COALESCE(started_at, CURRENT_TIMESTAMP),
+         team_id = (SELECT team_id FROM team_members WHERE user_id = progress.user_id)
+       WHERE user_id = ? AND game_id = ?`,
       [userId, gameId]
     );
     
+    // Hints are shared within a team: teammates still working on the game get the same count
+    await db.run(
+      `UPDATE progress SET hints_used = MAX(hints_used, ?),
+         team_id = (SELECT team_id FROM team_members WHERE user_id = progress.user_id)
+       WHERE game_id = ? AND completed = 0 AND user_id IN (
+         SELECT m.user_id FROM team_members m
+         JOIN team_members me ON me.team_id = m.team_id
+         WHERE me.user_id = ? AND m.user_id != ?
+       )`,
+      [progress.hints_used + 1, gameId, userId, userId]
+    );
+    
     return { success: true, hintsUsed: progress.hints_used + 1 };
   } catch (error) {
     global.logger.error(`Error updating hint usage: ${error.message}`);
@@ -298,12 +507,12 @@ async function adminManageHints(userId, gameId, action) {
 }
 
 /**
- * Record a submission attempt
+ * Start the solve clock of a game when a player first opens its details
  * @param {number} userId - User ID in database
  * @param {string} gameId - Game ID
  * @returns {Promise<Object>} Operation result
  */
-async function recordAttempt(userId, gameId) {
+async function markGameStarted(userId, gameId) {
   try {
     // Input validation
     if (!userId || !gameId || typeof gameId !== 'string') {
@@ -311,291 +520,1711 @@ async function recordAttempt(userId, gameId) {
     }
     
     await db.run(
-      'UPDATE progress SET attempts = attempts + 1 WHERE user_id = ? AND game_id = ?',
+      'UPDATE progress SET started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE user_id = ? AND game_id = ? AND completed = 0',
       [userId, gameId]
     );
     return { success: true };
   } catch (error) {
-    global.logger.error(`Error recording attempt: ${error.message}`);
-    return { success: false, error: 'Database error while recording attempt' };
+    global.logger.error(`Error marking game as started: ${error.message}`);
+    return { success: false, error: 'Database error while starting the game' };
   }
 }
 
 /**
- * Mark a game as completed
+ * Record a submission attempt
  * @param {number} userId - User ID in database
  * @param {string} gameId - Game ID
- * @param {number} pointsEarned - Points earned for completion
  * @returns {Promise<Object>} Operation result
  */
-async function completeGame(userId, gameId, pointsEarned) {
+async function recordAttempt(userId, gameId) {
   try {
     // Input validation
     if (!userId || !gameId || typeof gameId !== 'string') {
       return { success: false, error: 'Invalid user or game ID' };
     }
     
-    if (!Number.isInteger(pointsEarned) || pointsEarned < 0) {
-      return { success: false, error: 'Invalid points value' };
-    }
-    
     await db.run(
-      `UPDATE progress 
-       SET completed = 1, points_earned = ?, completion_date = CURRENT_TIMESTAMP 
-       WHERE user_id = ? AND game_id = ?`,
-      [pointsEarned, userId, gameId]
+      'UPDATE progress SET attempts = attempts + 1, started_at = COALESCE(started_at, CURRENT_TIMESTAMP) WHERE user_id = ? AND game_id = ?',
+      [userId, gameId]
     );
     return { success: true };
   } catch (error) {
-    global.logger.error(`Error completing game: ${error.message}`);
-    return { success: false, error: 'Database error while completing game' };
+    global.logger.error(`Error recording attempt: ${error.message}`);
+    return { success: false, error: 'Database error while recording attempt' };
   }
 }
 
 /**
- * Record reward issuance
+ * Log a submitted answer
  * @param {number} userId - User ID in database
  * @param {string} gameId - Game ID
- * @param {string} rewardType - Type of reward (badgr, text)
- * @param {string} rewardData - JSON string of reward data
+ * @param {Object} submission - Submission details
+ * @param {string} submission.answer - Normalized answer (or its fingerprint when hashed)
+ * @param {boolean} submission.answerHashed - Whether the answer is stored as a fingerprint
+ * @param {boolean} submission.correct - Whether the answer was correct
+ * @param {string} submission.matchType - Matcher type used to check the answer
+ * @param {Object} submission.matchResult - Matcher details (parts, near miss) stored as JSON
  * @returns {Promise<Object>} Operation result
  */
-async function recordReward(userId, gameId, rewardType, rewardData) {
+async function recordSubmission(userId, gameId, submission) {
   try {
-    // Input validation
-    if (!userId || !gameId || !rewardType) {
-      return { success: false, error: 'Missing required parameters' };
+    if (!userId || !gameId || typeof gameId !== 'string' || !submission) {
+      return { success: false, error: 'Invalid parameters' };
     }
-    await db.run(
-      'INSERT INTO rewards (user_id, game_id, reward_type, reward_data) VALUES (?, ?, ?, ?)',
-      [userId, gameId, rewardType, rewardData]
+    
+    const result = await db.run(
+      `INSERT INTO submissions (user_id, game_id, answer, answer_hashed, correct, match_type, match_result)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        gameId,
+        submission.answer,
+        submission.answerHashed ? 1 : 0,
+        submission.correct ? 1 : 0,
+        submission.matchType || null,
+        submission.matchResult ? JSON.stringify(submission.matchResult) : null
+      ]
     );
-    return { success: true };
+    return { success: true, submissionId: result.lastID };
   } catch (error) {
-    global.logger.error(`Error recording reward: ${error.message}`);
-    return { success: false, error: 'Database error while recording reward' };
+    global.logger.error(`Error recording submission: ${error.message}`);
+    return { success: false, error: 'Database error while recording submission' };
   }
 }
 
 /**
- * Record a success announcement
- * @param {number} userId - User ID in database
- * @param {string} gameId - Game ID
- * @param {number} pointsEarned - Points earned
- * @param {string} channelId - Discord channel ID where announced
- * @param {string} messageId - Discord message ID of announcement
- * @returns {Promise<Object>} Operation result
+ * Build the WHERE clause for submission log filters
+ * @param {Object} filters - { userId, gameId, correct }
+ * @returns {Object} { where, params }
  */
-async function recordSuccessAnnouncement(userId, gameId, pointsEarned, channelId, messageId) {
+function buildSubmissionFilters(filters) {
+  const conditions = [];
+  const params = [];
+  
+  if (filters.userId) {
+    conditions.push('s.user_id = ?');
+    params.push(filters.userId);
+  }
+  
+  if (filters.gameId) {
+    conditions.push('s.game_id = ?');
+    params.push(filters.gameId);
+  }
+  
+  if (typeof filters.correct === 'boolean') {
+    conditions.push('s.correct = ?');
+    params.push(filters.correct ? 1 : 0);
+  }
+  
+  return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+}
+
+/**
+ * Get logged submissions, newest first
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.userId - Only submissions from this user (database ID)
+ * @param {string} filters.gameId - Only submissions for this game
+ * @param {boolean} filters.correct - Only correct (true) or incorrect (false) submissions
+ * @param {number} filters.limit - Maximum number of entries (default 250, max 1000)
+ * @returns {Promise<Array>} Submissions with username and Discord ID
+ */
+async function getSubmissions(filters = {}) {
   try {
-    // Input validation
-    if (!userId || !gameId || !channelId) {
-      return { success: false, error: 'Missing required parameters' };
-    }
+    const { where, params } = buildSubmissionFilters(filters);
     
-    await db.run(
-      'INSERT INTO success_announcements (user_id, game_id, points_earned, channel_id, message_id) VALUES (?, ?, ?, ?, ?)',
-      [userId, gameId, pointsEarned, channelId, messageId]
+    const limit = Number.isInteger(filters.limit) && filters.limit > 0 ? Math.min(filters.limit, 1000) : 250;
+    params.push(limit);
+    
+    return await db.all(
+      `SELECT 
+        s.id,
+        s.game_id,
+        s.submitted_at,
+        s.answer,
+        s.answer_hashed,
+        s.correct,
+        s.match_type,
+        s.match_result,
+        u.username,
+        u.discord_id
+      FROM submissions s
+      JOIN users u ON s.user_id = u.id
+      ${where}
+      ORDER BY s.submitted_at DESC, s.id DESC
+      LIMIT ?`,
+      params
     );
-    return { success: true };
   } catch (error) {
-    global.logger.error(`Error recording success announcement: ${error.message}`);
-    return { success: false, error: 'Database error while recording announcement' };
+    global.logger.error(`Error getting submissions: ${error.message}`);
+    return [];
   }
 }
 
 /**
- * Check if user has completed any games
- * @param {number} userId - User ID in database
- * @returns {Promise<boolean>} True if any games completed
+ * Count logged submissions, to tell when getSubmissions() returned only the newest ones
+ * @param {Object} filters - Same filters as getSubmissions()
+ * @returns {Promise<number>} Number of matching submissions
  */
-async function hasCompletedAnyGames(userId) {
+async function countSubmissions(filters = {}) {
   try {
-    if (!userId) return false;
-    
-    const result = await db.get(
-      'SELECT COUNT(*) as count FROM progress WHERE user_id = ? AND completed = 1',
-      userId
-    );
-    return result && result.count > 0;
+    const { where, params } = buildSubmissionFilters(filters);
+    const row = await db.get(`SELECT COUNT(*) as count FROM submissions s ${where}`, params);
+    return row ? row.count : 0;
   } catch (error) {
-    global.logger.error(`Error checking if user has completed any games: ${error.message}`);
-    return false;
+    global.logger.error(`Error counting submissions: ${error.message}`);
+    return 0;
   }
 }
 
 /**
- * Check if user has completed all available games
+ * Record a bonus awarded to a user for a game
  * @param {number} userId - User ID in database
- * @param {number} totalGamesCount - Total number of available games
- * @returns {Promise<boolean>} True if all games completed
+ * @param {string} gameId - Game ID
+ * @param {string} bonusType - Bonus type (e.g. first_blood, early_solver)
+ * @param {number} position - Solve position that earned the bonus
+ * @param {number} points - Bonus points
+ * @returns {Promise<Object>} Operation result
  */
-async function hasCompletedAllGames(userId, totalGamesCount) {
+async function awardBonus(userId, gameId, bonusType, position, points) {
   try {
-    if (!userId || !Number.isInteger(totalGamesCount)) return false;
+    if (!userId || !gameId || !bonusType) {
+      return { success: false, error: 'Missing required parameters' };
+    }
     
-    const result = await db.get(
-      'SELECT COUNT(*) as count FROM progress WHERE user_id = ? AND completed = 1',
-      userId
+    if (!Number.isInteger(points) || points <= 0) {
+      return { success: false, error: 'Invalid points value' };
+    }
+    
+    const result = await db.run(
+      'INSERT OR IGNORE INTO bonuses (user_id, game_id, bonus_type, position, points) VALUES (?, ?, ?, ?, ?)',
+      [userId, gameId, bonusType, position, points]
     );
-    return result && result.count === totalGamesCount;
+    return { success: true, bonusId: result.changes ? result.lastID : null };
   } catch (error) {
-    global.logger.error(`Error checking if user has completed all games: ${error.message}`);
-    return false;
+    global.logger.error(`Error awarding bonus: ${error.message}`);
+    return { success: false, error: 'Database error while awarding bonus' };
   }
 }
 
 /**
- * Get user statistics summary
- * @param {number} userId - User ID in database
- * @returns {Promise<Object|null>} User stats or null
+ * Get awarded bonuses, newest first
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.userId - Only bonuses of this user (database ID)
+ * @param {string} filters.gameId - Only bonuses for this game
+ * @param {boolean} filters.includeRevoked - Include revoked bonuses (default true)
+ * @returns {Promise<Array>} Bonuses with username and Discord ID
  */
-async function getUserStats(userId) {
+async function getBonuses(filters = {}) {
   try {
-    if (!userId) return null;
+    const conditions = [];
+    const params = [];
     
-    const stats = await db.get(
-      `SELECT 
-        COUNT(CASE WHEN completed = 1 THEN 1 END) as completed_games,
-        SUM(points_earned) as total_points,
-        COUNT(*) as total_games,
-        SUM(hints_used) as total_hints,
-        SUM(attempts) as total_attempts
-      FROM progress
-      WHERE user_id = ?`,
-      userId
-    );
+    if (filters.userId) {
+      conditions.push('b.user_id = ?');
+      params.push(filters.userId);
+    }
     
-    return stats;
+    if (filters.gameId) {
+      conditions.push('b.game_id = ?');
+      params.push(filters.gameId);
+    }
+    
+    if (filters.includeRevoked === false) {
+      conditions.push('b.revoked = 0');
+    }
+    
+    return await db.all(
+      `SELECT b.*, u.username, u.discord_id
+       FROM bonuses b
+       JOIN users u ON b.user_id = u.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY b.awarded_at DESC, b.id DESC
+       LIMIT 500`,
+      params
+    );
   } catch (error) {
-    global.logger.error(`Error getting user stats: ${error.message}`);
-    return null;
+    global.logger.error(`Error getting bonuses: ${error.message}`);
+    return [];
   }
 }
 
 /**
- * Get detailed stats for a specific user, including per-game performance
- * @param {string} discordId - Discord ID of the user
- * @returns {Promise<Object|null>} Detailed user statistics
+ * Revoke an awarded bonus
+ * @param {number} bonusId - Bonus ID
+ * @param {string} reason - Reason for revocation
+ * @param {string} revokedBy - Discord ID of the admin revoking the bonus
+ * @returns {Promise<Object>} Operation result with the revoked bonus
  */
-async function getDetailedUserStats(discordId) {
+async function revokeBonus(bonusId, reason, revokedBy) {
   try {
-    if (!discordId || typeof discordId !== 'string') {
-      return null;
+    if (!Number.isInteger(bonusId) || bonusId <= 0) {
+      return { success: false, error: 'Invalid bonus ID' };
     }
     
-    // Get user information
-    const user = await getUser(discordId);
-    if (!user) {
-      return null;
-    }
+    const bonus = await db.get('SELECT * FROM bonuses WHERE id = ?', bonusId);
     
-    // Get overall stats
-    const overallStats = await getUserStats(user.id);
+    if (!bonus) {
+      return { success: false, error: 'Bonus not found' };
+    }
     
-    // Get per-game progress
-    const gameProgress = await db.all(
-      `SELECT 
-        p.game_id,
-        p.completed,
-        p.hints_used,
-        p.points_earned,
-        p.attempts,
-        p.completion_date
-      FROM progress p
-      WHERE p.user_id = ?
-      ORDER BY CASE WHEN p.completion_date IS NULL THEN 1 ELSE 0 END, p.completion_date DESC`,
-      user.id
-    );
+    if (bonus.revoked) {
+      return { success: false, error: 'Bonus is already revoked' };
+    }
     
-    // Get last active time
-    const lastActive = await db.get(
-      `SELECT MAX(completion_date) as last_active_time
-       FROM progress
-       WHERE user_id = ? AND (attempts > 0 OR hints_used > 0)`,
-      user.id
+    await db.run(
+      `UPDATE bonuses
+       SET revoked = 1, revoked_reason = ?, revoked_by = ?, revoked_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [reason, revokedBy, bonusId]
     );
     
-    return {
-      user,
-      overallStats,
-      gameProgress,
-      lastActive: lastActive ? lastActive.last_active_time : null
-    };
+    return { success: true, bonus };
   } catch (error) {
-    global.logger.error(`Error getting detailed user stats: ${error.message}`);
-    return null;
+    global.logger.error(`Error revoking bonus: ${error.message}`);
+    return { success: false, error: 'Database error while revoking bonus' };
   }
 }
 
 /**
- * Get leaderboard data
- * @param {number} limit - Maximum number of entries
- * @returns {Promise<Array>} Leaderboard entries
+ * Get the submission throttling state for a user and game
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object|null>} { window_start, window_attempts, lockout_until, lockout_count } or null
  */
-async function getLeaderboard(limit = 10) {
+async function getSubmissionLimitState(userId, gameId) {
   try {
-    // Input validation
-    if (!Number.isInteger(limit) || limit <= 0) {
-      limit = 10;
+    if (!userId || !gameId || typeof gameId !== 'string') {
+      return null;
     }
     
-    // Sanitize limit parameter to prevent SQL injection
-    const sanitizedLimit = Math.min(Math.max(1, limit), 100); // Between 1 and 100
+    const state = await db.get(
+      `SELECT window_start, window_attempts, lockout_until, lockout_count
+       FROM progress WHERE user_id = ? AND game_id = ?`,
+      [userId, gameId]
+    );
     
-    return await db.all(
-      `SELECT 
-        u.username,
-        COUNT(CASE WHEN p.completed = 1 THEN 1 END) as completed_games,
-        SUM(p.points_earned) as total_points
+    return state || { window_start: null, window_attempts: 0, lockout_until: null, lockout_count: 0 };
+  } catch (error) {
+    global.logger.error(`Error getting submission limit state: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save the submission throttling state for a user and game
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @param {Object} state - { window_start, window_attempts, lockout_until, lockout_count }
+ * @returns {Promise<Object>} Operation result
+ */
+async function updateSubmissionLimitState(userId, gameId, state) {
+  try {
+    if (!userId || !gameId || typeof gameId !== 'string' || !state) {
+      return { success: false, error: 'Invalid parameters' };
+    }
+    
+    await db.run(
+      `UPDATE progress
+       SET window_start = ?, window_attempts = ?, lockout_until = ?, lockout_count = ?
+       WHERE user_id = ? AND game_id = ?`,
+      [state.window_start, state.window_attempts, state.lockout_until, state.lockout_count, userId, gameId]
+    );
+    return { success: true };
+  } catch (error) {
+    global.logger.error(`Error updating submission limit state: ${error.message}`);
+    return { success: false, error: 'Database error while updating submission limits' };
+  }
+}
+
+/**
+ * Count a submission towards the throttling window in a single statement, so parallel submissions
+ * cannot lose increments. Nothing is counted while a lockout is running.
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @param {string} now - Current time (ISO string)
+ * @param {string} windowCutoff - Windows that started at or before this time (ISO string) have expired
+ * @returns {Promise<Object>} { success, counted, state } where state is the updated
+ *                            { window_start, window_attempts, lockout_until, lockout_count }, or the
+ *                            current state when nothing was counted
+ */
+async function countSubmissionLimitAttempt(userId, gameId, now, windowCutoff) {
+  try {
+    if (!userId || !gameId || typeof gameId !== 'string') {
+      return { success: false, error: 'Invalid parameters' };
+    }
+    
+    // SET expressions see the row as it was before the update
+    const state = await db.get(
+      `UPDATE progress
+       SET window_start = CASE WHEN window_start IS NULL OR window_start <= ? THEN ? ELSE window_start END,
+           window_attempts = CASE WHEN window_start IS NULL OR window_start <= ? THEN 1 ELSE window_attempts + 1 END
+       WHERE user_id = ? AND game_id = ? AND (lockout_until IS NULL OR lockout_until <= ?)
+       RETURNING window_start, window_attempts, lockout_until, lockout_count`,
+      [windowCutoff, now, windowCutoff, userId, gameId, now]
+    );
+    
+    if (state) {
+      return { success: true, counted: true, state };
+    }
+    
+    return { success: true, counted: false, state: await getSubmissionLimitState(userId, gameId) };
+  } catch (error) {
+    global.logger.error(`Error counting submission attempt: ${error.message}`);
+    return { success: false, error: 'Database error while counting submission attempt' };
+  }
+}
+
+/**
+ * Start a lockout once a window has used up its attempts. Only one of several parallel
+ * submissions that reach the limit starts it; the others see the lockout it set.
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @param {number} maxAttempts - Attempts allowed per window
+ * @param {number} lockoutCount - Lockout number to record (previous count + 1)
+ * @param {string} lockoutUntil - End of the lockout (ISO string)
+ * @returns {Promise<Object>} { success, started } where started is false if another submission started it
+ */
+async function startSubmissionLockout(userId, gameId, maxAttempts, lockoutCount, lockoutUntil) {
+  try {
+    if (!userId || !gameId || typeof gameId !== 'string') {
+      return { success: false, error: 'Invalid parameters' };
+    }
+    
+    const result = await db.run(
+      `UPDATE progress
+       SET window_start = NULL, window_attempts = 0, lockout_until = ?, lockout_count = ?
+       WHERE user_id = ? AND game_id = ? AND window_attempts >= ? AND lockout_count = ?`,
+      [lockoutUntil, lockoutCount, userId, gameId, maxAttempts, lockoutCount - 1]
+    );
+    
+    return { success: true, started: result.changes > 0 };
+  } catch (error) {
+    global.logger.error(`Error starting submission lockout: ${error.message}`);
+    return { success: false, error: 'Database error while starting submission lockout' };
+  }
+}
+
+/**
+ * Admin function to lift submission lockouts for a user
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID (optional, if null unlock all games)
+ * @returns {Promise<Object>} Operation result with the number of games that were locked
+ */
+async function clearSubmissionLockout(userId, gameId = null) {
+  try {
+    if (!userId) {
+      return { success: false, error: 'Invalid user ID' };
+    }
+    
+    const gameFilter = gameId ? ' AND game_id = ?' : '';
+    const gameParams = gameId ? [gameId] : [];
+    
+    const locked = await db.get(
+      `SELECT COUNT(*) as count FROM progress
+       WHERE user_id = ? AND lockout_until > ?${gameFilter}`,
+      [userId, new Date().toISOString(), ...gameParams]
+    );
+    
+    await db.run(
+      `UPDATE progress
+       SET window_start = NULL, window_attempts = 0, lockout_until = NULL, lockout_count = 0
+       WHERE user_id = ?${gameFilter}`,
+      [userId, ...gameParams]
+    );
+    
+    return { success: true, unlocked: locked ? locked.count : 0 };
+  } catch (error) {
+    global.logger.error(`Error clearing submission lockout: ${error.message}`);
+    return { success: false, error: 'Database error while clearing lockout' };
+  }
+}
+
+/**
+ * Mark a game as completed
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @param {number} pointsEarned - Points earned for completion
+ * @returns {Promise<Object>} Operation result
+ */
+async function completeGame(userId, gameId, pointsEarned) {
+  try {
+    // Input validation
+    if (!userId || !gameId || typeof gameId !== 'string') {
+      return { success: false, error: 'Invalid user or game ID' };
+    }
+    
+    if (!Number.isInteger(pointsEarned) || pointsEarned < 0) {
+      return { success: false, error: 'Invalid points value' };
+    }
+    
+    await db.run(
+      `UPDATE progress 
+       SET completed = 1, points_earned = ?, completion_date = CURRENT_TIMESTAMP 
+       WHERE user_id = ? AND game_id = ?`,
+      [pointsEarned, userId, gameId]
+    );
+    return { success: true };
+  } catch (error) {
+    global.logger.error(`Error completing game: ${error.message}`);
+    return { success: false, error: 'Database error while completing game' };
+  }
+}
+
+/**
+ * Record reward issuance
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @param {string} rewardType - Type of reward (badgr, text, role)
+ * @param {string} rewardData - JSON string of reward data
+ * @returns {Promise<Object>} Operation result
+ */
+async function recordReward(userId, gameId, rewardType, rewardData) {
+  try {
+    // Input validation
+    if (!userId || !gameId || !rewardType) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    // A reward earned again after a revocation replaces the revoked row
+    const result = await db.run(
+      `INSERT INTO rewards (user_id, game_id, reward_type, reward_data) VALUES (?, ?, ?, ?)
+       ON CONFLICT (user_id, game_id) DO UPDATE SET
+         reward_type = excluded.reward_type,
+         reward_data = excluded.reward_data,
+         issue_date = CURRENT_TIMESTAMP,
+         revoked = 0, revoked_reason = NULL, revoked_by = NULL, revoked_at = NULL
+       WHERE rewards.revoked = 1`,
+      [userId, gameId, rewardType, rewardData]
+    );
+    
+    if (result.changes === 0) {
+      global.logger.warn(`Reward for user ${userId} on game ${gameId} is already recorded`);
+      return { success: false, error: 'Reward already recorded for this game' };
+    }
+    
+    return { success: true };
+  } catch (error) {
+    global.logger.error(`Error recording reward: ${error.message}`);
+    return { success: false, error: 'Database error while recording reward' };
+  }
+}
+
+/**
+ * Get all rewards issued to a user, newest first
+ * @param {number} userId - User ID in database
+ * @returns {Promise<Array>} Reward rows
+ */
+async function getUserRewards(userId) {
+  try {
+    if (!userId) return [];
+    
+    return await db.all(
+      'SELECT * FROM rewards WHERE user_id = ? ORDER BY issue_date DESC, id DESC',
+      userId
+    );
+  } catch (error) {
+    global.logger.error(`Error getting user rewards: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the reward a user received for a game
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object|null>} Reward row or null
+ */
+async function getReward(userId, gameId) {
+  try {
+    if (!userId || !gameId) return null;
+    
+    return await db.get('SELECT * FROM rewards WHERE user_id = ? AND game_id = ?', [userId, gameId]) || null;
+  } catch (error) {
+    global.logger.error(`Error getting reward: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Find the reward row holding a self-issued Open Badge credential
+ * @param {string} credentialId - Credential ID (urn:uuid:...)
+ * @returns {Promise<Object|null>} Reward row or null
+ */
+async function getRewardByCredentialId(credentialId) {
+  try {
+    if (!credentialId) return null;
+    
+    return await db.get(
+      `SELECT * FROM rewards
+       WHERE reward_type = 'openbadge'
+         AND CASE WHEN json_valid(reward_data) THEN json_extract(reward_data, '$.id') END = ?`,
+      credentialId
+    ) || null;
+  } catch (error) {
+    global.logger.error(`Error getting reward by credential: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Mark a reward as revoked
+ * @param {number} rewardId - Reward ID
+ * @param {string} reason - Why the reward was revoked
+ * @param {string} revokedBy - Discord ID of the admin
+ * @returns {Promise<Object>} Operation result
+ */
+async function markRewardRevoked(rewardId, reason, revokedBy) {
+  try {
+    const result = await db.run(
+      'UPDATE rewards SET revoked = 1, revoked_reason = ?, revoked_by = ?, revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked = 0',
+      [reason, revokedBy, rewardId]
+    );
+    
+    if (result.changes === 0) {
+      return { success: false, error: 'Reward not found or already revoked' };
+    }
+    
+    return { success: true };
+  } catch (error) {
+    global.logger.error(`Error revoking reward: ${error.message}`);
+    return { success: false, error: 'Database error while revoking reward' };
+  }
+}
+
+/**
+ * Delete a reward row so the reward can be issued again
+ * @param {number} rewardId - Reward ID
+ * @returns {Promise<Object>} Operation result
+ */
+async function deleteReward(rewardId) {
+  try {
+    await db.run('DELETE FROM rewards WHERE id = ?', rewardId);
+    return { success: true };
+  } catch (error) {
+    global.logger.error(`Error deleting reward: ${error.message}`);
+    return { success: false, error: 'Database error while deleting reward' };
+  }
+}
+
+/**
+ * Get the IDs of all games a user has completed
+ * @param {number} userId - User ID in database
+ * @returns {Promise<Array<string>>} Completed game IDs
+ */
+async function getCompletedGameIds(userId) {
+  try {
+    if (!userId) return [];
+    
+    const rows = await db.all(
+      'SELECT game_id FROM progress WHERE user_id = ? AND completed = 1',
+      userId
+    );
+    return rows.map(row => row.game_id);
+  } catch (error) {
+    global.logger.error(`Error getting completed games: ${error.message}`);
+    return [];
+  }
+}
+
+// Columns of reward_jobs that updateRewardJob() may change
+const REWARD_JOB_FIELDS = ['status', 'attempts', 'last_error', 'next_attempt_at', 'result', 'resolved_by', 'completed_at'];
+
+/**
+ * Queue a reward delivery
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @param {string} rewardType - Reward type of the game
+ * @param {Object} payload - Details needed to issue the reward later
+ * @returns {Promise<Object>} Operation result with the job ID
+ */
+async function createRewardJob(userId, gameId, rewardType, payload = {}) {
+  try {
+    if (!userId || !gameId || !rewardType) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    const result = await db.run(
+      'INSERT INTO reward_jobs (user_id, game_id, reward_type, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?)',
+      [userId, gameId, rewardType, JSON.stringify(payload), new Date().toISOString()]
+    );
+    return { success: true, jobId: result.lastID };
+  } catch (error) {
+    global.logger.error(`Error creating reward job: ${error.message}`);
+    return { success: false, error: 'Database error while creating reward job' };
+  }
+}
+
+/**
+ * Atomically take a pending reward job for processing
+ * @param {number} jobId - Reward job ID
+ * @returns {Promise<boolean>} True if this caller now owns the job
+ */
+async function claimRewardJob(jobId) {
+  try {
+    const result = await db.run(
+      "UPDATE reward_jobs SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+      jobId
+    );
+    return result.changes === 1;
+  } catch (error) {
+    global.logger.error(`Error claiming reward job: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get reward jobs with the recipient's Discord ID, username and email
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.id - Only this job
+ * @param {Array<string>} filters.statuses - Only jobs in these statuses
+ * @param {string} filters.rewardType - Only jobs of this reward type
+ * @param {string} filters.dueBefore - Only jobs whose next attempt is due before this ISO timestamp
+ * @param {number} filters.limit - Maximum number of jobs
+ * @returns {Promise<Array>} Reward jobs, oldest first
+ */
+async function getRewardJobs(filters = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.id) {
+      conditions.push('j.id = ?');
+      params.push(filters.id);
+    }
+    
+    if (Array.isArray(filters.statuses) && filters.statuses.length > 0) {
+      conditions.push(`j.status IN (${filters.statuses.map(() => '?').join(', ')})`);
+      params.push(...filters.statuses);
+    }
+    
+    if (filters.rewardType) {
+      conditions.push('j.reward_type = ?');
+      params.push(filters.rewardType);
+    }
+    
+    if (filters.dueBefore) {
+      conditions.push('j.next_attempt_at <= ?');
+      params.push(filters.dueBefore);
+    }
+    
+    return await db.all(
+      `SELECT j.*, u.discord_id, u.username, u.email
+       FROM reward_jobs j
+       JOIN users u ON j.user_id = u.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY j.created_at ASC, j.id ASC
+       ${filters.limit ? `LIMIT ${parseInt(filters.limit, 10)}` : ''}`,
+      params
+    );
+  } catch (error) {
+    global.logger.error(`Error getting reward jobs: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Update a reward job
+ * @param {number} jobId - Reward job ID
+ * @param {Object} fields - Columns to change (see REWARD_JOB_FIELDS)
+ * @param {Array<string>} fromStatuses - Only update the job while it is in one of these statuses
+ * @returns {Promise<Object>} Operation result; `changed` is false if the job did not match
+ */
+async function updateRewardJob(jobId, fields, fromStatuses = null) {
+  try {
+    const columns = Object.keys(fields).filter(column => REWARD_JOB_FIELDS.includes(column));
+    if (!jobId || columns.length === 0) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    const params = columns.map(column => fields[column]);
+    let sql = `UPDATE reward_jobs SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+    params.push(jobId);
+    
+    if (Array.isArray(fromStatuses) && fromStatuses.length > 0) {
+      sql += ` AND status IN (${fromStatuses.map(() => '?').join(', ')})`;
+      params.push(...fromStatuses);
+    }
+    
+    const result = await db.run(sql, params);
+    return { success: true, changed: result.changes === 1 };
+  } catch (error) {
+    global.logger.error(`Error updating reward job: ${error.message}`);
+    return { success: false, error: 'Database error while updating reward job' };
+  }
+}
+
+/**
+ * Cancel the open reward jobs of a user for a game
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @param {string} resolvedBy - Who cancelled them (Discord ID or reason)
+ * @returns {Promise<number>} Number of cancelled jobs
+ */
+async function cancelRewardJobs(userId, gameId, resolvedBy) {
+  try {
+    const result = await db.run(
+      "UPDATE reward_jobs SET status = 'cancelled', resolved_by = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND game_id = ? AND status IN ('pending', 'paused', 'failed')",
+      [resolvedBy, userId, gameId]
+    );
+    return result.changes;
+  } catch (error) {
+    global.logger.error(`Error cancelling reward jobs: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Move reward jobs back to pending so they are picked up on the next run
+ * @param {Array<string>} fromStatuses - Statuses to requeue (e.g. processing after a crash, paused after a fix)
+ * @param {string} rewardType - Only requeue jobs of this reward type
+ * @returns {Promise<number>} Number of requeued jobs
+ */
+async function requeueRewardJobs(fromStatuses, rewardType = null) {
+  try {
+    const params = [new Date().toISOString(), ...fromStatuses];
+    let sql = `UPDATE reward_jobs SET status = 'pending', next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE status IN (${fromStatuses.map(() => '?').join(', ')})`;
+    
+    if (rewardType) {
+      sql += ' AND reward_type = ?';
+      params.push(rewardType);
+    }
+    
+    const result = await db.run(sql, params);
+    return result.changes;
+  } catch (error) {
+    global.logger.error(`Error requeueing reward jobs: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Record a Discord role granted as a reward
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID the role was earned for
+ * @param {string} guildId - Discord guild ID
+ * @param {string} roleId - Discord role ID
+ * @param {string|null} expiresAt - ISO timestamp when the role should be removed, or null
+ * @returns {Promise<Object>} Operation result
+ */
+async function recordRoleGrant(userId, gameId, guildId, roleId, expiresAt = null) {
+  try {
+    if (!userId || !gameId || !guildId || !roleId) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    const result = await db.run(
+      'INSERT INTO role_grants (user_id, game_id, guild_id, role_id, expires_at) VALUES (?, ?, ?, ?, ?)',
+      [userId, gameId, guildId, roleId, expiresAt]
+    );
+    return { success: true, grantId: result.lastID };
+  } catch (error) {
+    global.logger.error(`Error recording role grant: ${error.message}`);
+    return { success: false, error: 'Database error while recording role grant' };
+  }
+}
+
+/**
+ * Get role grants, by default only those that have not been removed yet
+ * @param {Object} filters - Optional filters
+ * @param {boolean} filters.activeOnly - Exclude removed grants (default true)
+ * @param {number} filters.userId - Only grants of this user (database ID)
+ * @param {Array<string>} filters.gameIds - Only grants earned for these games
+ * @param {string} filters.expiredBefore - Only grants expiring before this ISO timestamp
+ * @returns {Promise<Array>} Grants with the user's Discord ID
+ */
+async function getRoleGrants(filters = {}) {
+  try {
+    const conditions = [];
+    const params = [];
+    
+    if (filters.activeOnly !== false) {
+      conditions.push('rg.removed_at IS NULL');
+    }
+    
+    if (filters.userId) {
+      conditions.push('rg.user_id = ?');
+      params.push(filters.userId);
+    }
+    
+    if (Array.isArray(filters.gameIds) && filters.gameIds.length > 0) {
+      conditions.push(`rg.game_id IN (${filters.gameIds.map(() => '?').join(', ')})`);
+      params.push(...filters.gameIds);
+    }
+    
+    if (filters.expiredBefore) {
+      conditions.push('rg.expires_at IS NOT NULL AND rg.expires_at <= ?');
+      params.push(filters.expiredBefore);
+    }
+    
+    return await db.all(
+      `SELECT rg.*, u.discord_id
+       FROM role_grants rg
+       JOIN users u ON rg.user_id = u.id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY rg.granted_at ASC, rg.id ASC`,
+      params
+    );
+  } catch (error) {
+    global.logger.error(`Error getting role grants: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Mark a role grant as removed
+ * @param {number} grantId - Role grant ID
+ * @param {string} reason - Why the role was removed (expired, reset, ...)
+ * @returns {Promise<Object>} Operation result
+ */
+async function markRoleGrantRemoved(grantId, reason) {
+  try {
+    await db.run(
+      'UPDATE role_grants SET removed_at = CURRENT_TIMESTAMP, removed_reason = ? WHERE id = ? AND removed_at IS NULL',
+      [reason, grantId]
+    );
+    return { success: true };
+  } catch (error) {
+    global.logger.error(`Error removing role grant: ${error.message}`);
+    return { success: false, error: 'Database error while removing role grant' };
+  }
+}
+
+/**
+ * Record a success announcement
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @param {number} pointsEarned - Points earned
+ * @param {string} channelId - Discord channel ID where announced
+ * @param {string} messageId - Discord message ID of announcement
+ * @returns {Promise<Object>} Operation result
+ */
+async function recordSuccessAnnouncement(userId, gameId, pointsEarned, channelId, messageId) {
+  try {
+    // Input validation
+    if (!userId || !gameId || !channelId) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    await db.run(
+      'INSERT INTO success_announcements (user_id, game_id, points_earned, channel_id, message_id) VALUES (?, ?, ?, ?, ?)',
+      [userId, gameId, pointsEarned, channelId, messageId]
+    );
+    return { success: true };
+  } catch (error) {
+    global.logger.error(`Error recording success announcement: ${error.message}`);
+    return { success: false, error: 'Database error while recording announcement' };
+  }
+}
+
+/**
+ * Record a game schedule event unless it was already recorded, so each announcement is made once
+ * @param {string} gameId - Game ID
+ * @param {string} event - Event name ('opened', 'closing_reminder')
+ * @param {string} scheduledFor - ISO time the event belongs to (opens_at or closes_at)
+ * @returns {Promise<Object>} Operation result; `recorded` is false if the event was already recorded
+ */
+async function recordScheduleEvent(gameId, event, scheduledFor) {
+  try {
+    if (!gameId || !event || !scheduledFor) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    const result = await db.run(
+      'INSERT OR IGNORE INTO game_schedule_events (game_id, event, scheduled_for) VALUES (?, ?, ?)',
+      [gameId, event, scheduledFor]
+    );
+    return { success: true, recorded: result.changes > 0 };
+  } catch (error) {
+    global.logger.error(`Error recording game schedule event: ${error.message}`);
+    return { success: false, error: 'Database error while recording schedule event' };
+  }
+}
+
+/**
+ * Check if user has completed any games
+ * @param {number} userId - User ID in database
+ * @returns {Promise<boolean>} True if any games completed
+ */
+async function hasCompletedAnyGames(userId) {
+  try {
+    if (!userId) return false;
+    
+    const result = await db.get(
+      'SELECT COUNT(*) as count FROM progress WHERE user_id = ? AND completed = 1',
+      userId
+    );
+    return result && result.count > 0;
+  } catch (error) {
+    global.logger.error(`Error checking if user has completed any games: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Check if user has completed all available games
+ * @param {number} userId - User ID in database
+ * @param {number} totalGamesCount - Total number of available games
+ * @returns {Promise<boolean>} True if all games completed
+ */
+async function hasCompletedAllGames(userId, totalGamesCount) {
+  try {
+    if (!userId || !Number.isInteger(totalGamesCount)) return false;
+    
+    const result = await db.get(
+      'SELECT COUNT(*) as count FROM progress WHERE user_id = ? AND completed = 1',
+      userId
+    );
+    return result && result.count === totalGamesCount;
+  } catch (error) {
+    global.logger.error(`Error checking if user has completed all games: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Get user statistics summary
+ * @param {number} userId - User ID in database
+ * @returns {Promise<Object|null>} User stats or null
+ */
+async function getUserStats(userId) {
+  try {
+    if (!userId) return null;
+    
+    const stats = await db.get(
+      `SELECT 
+        COUNT(CASE WHEN completed = 1 THEN 1 END) as completed_games,
+        SUM(points_earned) as total_points,
+        COUNT(*) as total_games,
+        SUM(hints_used) as total_hints,
+        SUM(attempts) as total_attempts
+      FROM progress
+      WHERE user_id = ?`,
+      userId
+    );
+    
+    // Add active bonus points to the total
+    const bonus = await db.get(
+      'SELECT COALESCE(SUM(points), 0) as bonus_points FROM bonuses WHERE user_id = ? AND revoked = 0',
+      userId
+    );
+    
+    if (stats) {
+      stats.bonus_points = bonus ? bonus.bonus_points : 0;
+      stats.total_points = (stats.total_points || 0) + stats.bonus_points;
+    }
+    
+    return stats;
+  } catch (error) {
+    global.logger.error(`Error getting user stats: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get detailed stats for a specific user, including per-game performance
+ * @param {string} discordId - Discord ID of the user
+ * @returns {Promise<Object|null>} Detailed user statistics
+ */
+async function getDetailedUserStats(discordId) {
+  try {
+    if (!discordId || typeof discordId !== 'string') {
+      return null;
+    }
+    
+    // Get user information
+    const user = await getUser(discordId);
+    if (!user) {
+      return null;
+    }
+    
+    // Get overall stats
+    const overallStats = await getUserStats(user.id);
+    
+    // Get per-game progress
+    const gameProgress = await db.all(
+      `SELECT 
+        p.game_id,
+        p.completed,
+        p.hints_used,
+        p.points_earned,
+        p.attempts,
+        p.completion_date,
+        p.lockout_until
+      FROM progress p
+      WHERE p.user_id = ?
+      ORDER BY CASE WHEN p.completion_date IS NULL THEN 1 ELSE 0 END, p.completion_date DESC`,
+      user.id
+    );
+    
+    // Get last active time
+    const lastActive = await db.get(
+      `SELECT MAX(completion_date) as last_active_time
+       FROM progress
+       WHERE user_id = ? AND (attempts > 0 OR hints_used > 0)`,
+      user.id
+    );
+    
+    return {
+      user,
+      overallStats,
+      gameProgress,
+      lastActive: lastActive ? lastActive.last_active_time : null
+    };
+  } catch (error) {
+    global.logger.error(`Error getting detailed user stats: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get leaderboard data
+ * @param {number} limit - Maximum number of entries
+ * @returns {Promise<Array>} Leaderboard entries
+ */
+async function getLeaderboard(limit = 10) {
+  try {
+    // Input validation
+    if (!Number.isInteger(limit) || limit <= 0) {
+      limit = 10;
+    }
+    
+    // Sanitize limit parameter to prevent SQL injection
+    const sanitizedLimit = Math.min(Math.max(1, limit), 100); // Between 1 and 100
+    
+    return await db.all(
+      `SELECT 
+        u.username,
+        COUNT(CASE WHEN p.completed = 1 THEN 1 END) as completed_games,
+        COALESCE(SUM(p.points_earned), 0) +
+          COALESCE((SELECT SUM(b.points) FROM bonuses b WHERE b.user_id = u.id AND b.revoked = 0), 0) as total_points
+      FROM users u
+      JOIN progress p ON u.id = p.user_id
+      GROUP BY u.id
+      ORDER BY total_points DESC, completed_games DESC
+      LIMIT ?`,
+      sanitizedLimit
+    );
+  } catch (error) {
+    global.logger.error(`Error getting leaderboard: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get detailed leaderboard with individual game completions
+ * @param {number} limit - Number of entries to return (defaults to all)
+ * @returns {Promise<Array>} - Detailed completion history
+ */
+async function getDetailedLeaderboard(limit = null) {
+  try {
+    let query = `
+      SELECT 
+        u.username,
+        p.game_id,
+        p.completed,
+        p.points_earned,
+        p.completion_date
+      FROM progress p
+      JOIN users u ON p.user_id = u.id
+      WHERE p.completed = 1
+      ORDER BY p.completion_date DESC
+    `;
+    
+    const params = [];
+    
+    // Add limit if specified
+    if (limit !== null && Number.isInteger(Number(limit)) && Number(limit) > 0) {
+      query += ` LIMIT ?`;
+      params.push(Math.min(Number(limit), 1000)); // Cap at 1000 for safety
+    }
+    
+    return await db.all(query, params);
+  } catch (error) {
+    global.logger.error(`Error getting detailed leaderboard: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the leaderboard of an event: points for its games completed within its time window,
+ * plus the bonuses awarded for them in that window
+ * @param {Array<string>} gameIds - Games of the event
+ * @param {string|null} startsAt - ISO start of the window, or null for no start
+ * @param {string|null} endsAt - ISO end of the window, or null for no end
+ * @param {number} limit - Number of entries to return (defaults to all)
+ * @returns {Promise<Array>} Rankings with user_id, discord_id, username, completed_games, total_points and game_ids
+ */
+async function getEventLeaderboard(gameIds, startsAt = null, endsAt = null, limit = null) {
+  try {
+    if (!Array.isArray(gameIds) || gameIds.length === 0) {
+      return [];
+    }
+    
+    const placeholders = gameIds.map(() => '?').join(', ');
+    const windowSql = column => `(? IS NULL OR julianday(${column}) >= julianday(?)) AND (? IS NULL OR julianday(${column}) < julianday(?))`;
+    const windowParams = [startsAt, startsAt, endsAt, endsAt];
+    
+    let query = `
+      SELECT 
+        u.id as user_id,
+        u.discord_id,
+        u.username,
+        COUNT(*) as completed_games,
+        GROUP_CONCAT(p.game_id) as game_ids,
+        MAX(p.completion_date) as last_completion,
+        COALESCE(SUM(p.points_earned), 0) +
+          COALESCE((SELECT SUM(b.points) FROM bonuses b
+            WHERE b.user_id = u.id AND b.revoked = 0 AND b.game_id IN (${placeholders})
+              AND ${windowSql('b.awarded_at')}), 0) as total_points
       FROM users u
       JOIN progress p ON u.id = p.user_id
+      WHERE p.completed = 1 AND p.game_id IN (${placeholders}) AND ${windowSql('p.completion_date')}
       GROUP BY u.id
+      ORDER BY total_points DESC, completed_games DESC, last_completion ASC
+    `;
+    
+    const params = [...gameIds, ...windowParams, ...gameIds, ...windowParams];
+    
+    if (limit !== null && Number.isInteger(Number(limit)) && Number(limit) > 0) {
+      query += ` LIMIT ?`;
+      params.push(Math.min(Number(limit), 1000)); // Cap at 1000 for safety
+    }
+    
+    const rows = await db.all(query, params);
+    return rows.map(row => ({ ...row, game_ids: row.game_ids ? row.game_ids.split(',') : [] }));
+  } catch (error) {
+    global.logger.error(`Error getting event leaderboard: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Store the final standings of an event, replacing any earlier snapshot
+ * @param {string} eventId - Event ID
+ * @param {Array<Object>} standings - Rankings from getEventLeaderboard(), best first
+ * @returns {Promise<Object>} Operation result
+ */
+async function saveEventStandings(eventId, standings) {
+  try {
+    if (!eventId || !Array.isArray(standings)) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      await db.run('DELETE FROM event_standings WHERE event_id = ?', eventId);
+      
+      for (const [index, entry] of standings.entries()) {
+        await db.run(
+          `INSERT INTO event_standings (event_id, position, user_id, username, total_points, completed_games, game_ids)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [eventId, index + 1, entry.user_id, entry.username, entry.total_points || 0, entry.completed_games || 0, (entry.game_ids || []).join(',')]
+        );
+      }
+      
+      await db.run('COMMIT');
+      return { success: true };
+    } catch (err) {
+      await db.run('ROLLBACK');
+      throw err;
+    }
+  } catch (error) {
+    global.logger.error(`Error saving event standings: ${error.message}`);
+    return { success: false, error: 'Database error while saving event standings' };
+  }
+}
+
+/**
+ * Get the final standings stored when an event was archived
+ * @param {string} eventId - Event ID
+ * @returns {Promise<Array>} Rankings in the same shape as getEventLeaderboard(), best first
+ */
+async function getEventStandings(eventId) {
+  try {
+    if (!eventId || typeof eventId !== 'string') {
+      return [];
+    }
+    
+    const rows = await db.all(
+      `SELECT s.position, s.user_id, u.discord_id, s.username, s.total_points, s.completed_games, s.game_ids, s.recorded_at
+       FROM event_standings s
+       LEFT JOIN users u ON s.user_id = u.id
+       WHERE s.event_id = ?
+       ORDER BY s.position ASC`,
+      eventId
+    );
+    return rows.map(row => ({ ...row, game_ids: row.game_ids ? row.game_ids.split(',') : [] }));
+  } catch (error) {
+    global.logger.error(`Error getting event standings: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Create a team with its creator as leader and first member
+ * @param {string} name - Team name (already validated)
+ * @param {number} ownerId - User ID of the creator
+ * @returns {Promise<Object>} Operation result with the new teamId
+ */
+async function createTeam(name, ownerId) {
+  try {
+    if (!name || !ownerId) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      if (await db.get('SELECT team_id FROM team_members WHERE user_id = ?', ownerId)) {
+        await db.run('ROLLBACK');
+        return { success: false, error: 'You are already in a team. Leave it first with `/judge-team leave`.' };
+      }
+      
+      if (await db.get('SELECT id FROM teams WHERE name = ? COLLATE NOCASE', name)) {
+        await db.run('ROLLBACK');
+        return { success: false, error: `A team named "${name}" already exists.` };
+      }
+      
+      const result = await db.run('INSERT INTO teams (name, owner_id) VALUES (?, ?)', [name, ownerId]);
+      await db.run('INSERT INTO team_members (team_id, user_id) VALUES (?, ?)', [result.lastID, ownerId]);
+      await db.run('DELETE FROM team_invites WHERE user_id = ?', ownerId);
+      
+      await db.run('COMMIT');
+      return { success: true, teamId: result.lastID };
+    } catch (err) {
+      await db.run('ROLLBACK');
+      throw err;
+    }
+  } catch (error) {
+    global.logger.error(`Error creating team: ${error.message}`);
+    return { success: false, error: 'Database error while creating team' };
+  }
+}
+
+/**
+ * Get a team by ID
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Object|null>} Team with owner_discord_id and member_count
+ */
+async function getTeam(teamId) {
+  try {
+    if (!teamId) return null;
+    
+    return await db.get(
+      `SELECT t.*, u.discord_id as owner_discord_id,
+        (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) as member_count
+       FROM teams t
+       JOIN users u ON t.owner_id = u.id
+       WHERE t.id = ?`,
+      teamId
+    );
+  } catch (error) {
+    global.logger.error(`Error getting team: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get every team
+ * @returns {Promise<Array>} Teams with member_count, by name
+ */
+async function getTeams() {
+  try {
+    return await db.all(
+      `SELECT t.*, (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) as member_count
+       FROM teams t
+       ORDER BY t.name COLLATE NOCASE`
+    );
+  } catch (error) {
+    global.logger.error(`Error getting teams: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Get the team a user belongs to
+ * @param {number} userId - User ID in database
+ * @returns {Promise<Object|null>} Team as returned by getTeam(), or null
+ */
+async function getUserTeam(userId) {
+  try {
+    if (!userId) return null;
+    
+    const membership = await db.get('SELECT team_id FROM team_members WHERE user_id = ?', userId);
+    return membership ? await getTeam(membership.team_id) : null;
+  } catch (error) {
+    global.logger.error(`Error getting user team: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Get the members of a team
+ * @param {number} teamId - Team ID
+ * @returns {Promise<Array>} Members with user_id, discord_id, username and joined_at, oldest first
+ */
+async function getTeamMembers(teamId) {
+  try {
+    if (!teamId) return [];
+    
+    return await db.all(
+      `SELECT m.user_id, u.discord_id, u.username, m.joined_at
+       FROM team_members m
+       JOIN users u ON m.user_id = u.id
+       WHERE m.team_id = ?
+       ORDER BY m.joined_at ASC, m.rowid ASC`,
+      teamId
+    );
+  } catch (error) {
+    global.logger.error(`Error getting team members: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Invite a user to a team
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID of the invited player
+ * @param {number} invitedBy - User ID of the leader
+ * @returns {Promise<Object>} Operation result; `invited` is false if the invite already existed
+ */
+async function inviteToTeam(teamId, userId, invitedBy) {
+  try {
+    if (!teamId || !userId || !invitedBy) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    const result = await db.run(
+      'INSERT OR IGNORE INTO team_invites (team_id, user_id, invited_by) VALUES (?, ?, ?)',
+      [teamId, userId, invitedBy]
+    );
+    return { success: true, invited: result.changes > 0 };
+  } catch (error) {
+    global.logger.error(`Error inviting to team: ${error.message}`);
+    return { success: false, error: 'Database error while inviting to team' };
+  }
+}
+
+/**
+ * Get the teams a user has been invited to
+ * @param {number} userId - User ID in database
+ * @returns {Promise<Array>} Teams with member_count and invited_at
+ */
+async function getTeamInvites(userId) {
+  try {
+    if (!userId) return [];
+    
+    return await db.all(
+      `SELECT t.*, i.created_at as invited_at,
+        (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) as member_count
+       FROM team_invites i
+       JOIN teams t ON i.team_id = t.id
+       WHERE i.user_id = ?
+       ORDER BY i.created_at DESC`,
+      userId
+    );
+  } catch (error) {
+    global.logger.error(`Error getting team invites: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Join a team the user was invited to
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID in database
+ * @param {number} maxSize - Maximum number of members
+ * @returns {Promise<Object>} Operation result
+ */
+async function joinTeam(teamId, userId, maxSize) {
+  try {
+    if (!teamId || !userId) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      let error = null;
+      
+      if (await db.get('SELECT team_id FROM team_members WHERE user_id = ?', userId)) {
+        error = 'You are already in a team. Leave it first with `/judge-team leave`.';
+      } else if (!(await db.get('SELECT 1 FROM team_invites WHERE team_id = ? AND user_id = ?', [teamId, userId]))) {
+        error = 'You have not been invited to this team.';
+      } else {
+        const { count } = await db.get('SELECT COUNT(*) as count FROM team_members WHERE team_id = ?', teamId);
+        if (count >= maxSize) {
+          error = `This team is full (${maxSize} members).`;
+        }
+      }
+      
+      if (error) {
+        await db.run('ROLLBACK');
+        return { success: false, error };
+      }
+      
+      await db.run('INSERT INTO team_members (team_id, user_id) VALUES (?, ?)', [teamId, userId]);
+      await db.run('DELETE FROM team_invites WHERE user_id = ?', userId);
+      
+      await db.run('COMMIT');
+      return { success: true };
+    } catch (err) {
+      await db.run('ROLLBACK');
+      throw err;
+    }
+  } catch (error) {
+    global.logger.error(`Error joining team: ${error.message}`);
+    return { success: false, error: 'Database error while joining team' };
+  }
+}
+
+/**
+ * Remove a user from their team. A leaving leader hands the team to the longest-standing member;
+ * the team is disbanded when its last member leaves.
+ * @param {number} userId - User ID in database
+ * @returns {Promise<Object>} Operation result with teamId, disbanded and newOwnerId
+ */
+async function leaveTeam(userId) {
+  try {
+    if (!userId) {
+      return { success: false, error: 'Invalid user ID' };
+    }
+    
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      const membership = await db.get(
+        'SELECT m.team_id, t.owner_id FROM team_members m JOIN teams t ON m.team_id = t.id WHERE m.user_id = ?',
+        userId
+      );
+      
+      if (!membership) {
+        await db.run('ROLLBACK');
+        return { success: false, error: 'You are not in a team.' };
+      }
+      
+      const teamId = membership.team_id;
+      await db.run('DELETE FROM team_members WHERE team_id = ? AND user_id = ?', [teamId, userId]);
+      
+      const next = await db.get(
+        'SELECT user_id FROM team_members WHERE team_id = ? ORDER BY joined_at ASC, rowid ASC LIMIT 1',
+        teamId
+      );
+      
+      let newOwnerId = null;
+      if (!next) {
+        await db.run('DELETE FROM team_invites WHERE team_id = ?', teamId);
+        await db.run('DELETE FROM teams WHERE id = ?', teamId);
+      } else if (membership.owner_id === userId) {
+        newOwnerId = next.user_id;
+        await db.run('UPDATE teams SET owner_id = ? WHERE id = ?', [newOwnerId, teamId]);
+      }
+      
+      await db.run('COMMIT');
+      return { success: true, teamId, disbanded: !next, newOwnerId };
+    } catch (err) {
+      await db.run('ROLLBACK');
+      throw err;
+    }
+  } catch (error) {
+    global.logger.error(`Error leaving team: ${error.message}`);
+    return { success: false, error: 'Database error while leaving team' };
+  }
+}
+
+/**
+ * Remove a member from a team (the leader cannot be removed)
+ * @param {number} teamId - Team ID
+ * @param {number} userId - User ID of the member
+ * @returns {Promise<Object>} Operation result; `removed` is false if the user was not a member
+ */
+async function removeTeamMember(teamId, userId) {
+  try {
+    if (!teamId || !userId) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    const result = await db.run(
+      `DELETE FROM team_members
+       WHERE team_id = ? AND user_id = ? AND user_id != (SELECT owner_id FROM teams WHERE id = ?)`,
+      [teamId, userId, teamId]
+    );
+    return { success: true, removed: result.changes > 0 };
+  } catch (error) {
+    global.logger.error(`Error removing team member: ${error.message}`);
+    return { success: false, error: 'Database error while removing team member' };
+  }
+}
+
+/**
+ * Bring a player's hint count for a game up to the highest count in their team, so hints
+ * bought by one member cost every member the same. Only hints bought while in the team count,
+ * including those of members who left since.
+ * @param {number} userId - User ID in database
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object>} Operation result with hintsUsed (after sharing) and shared (hints gained from teammates)
+ */
+async function shareTeamHints(userId, gameId) {
+  try {
+    if (!userId || !gameId || typeof gameId !== 'string') {
+      return { success: false, error: 'Invalid user or game ID' };
+    }
+    
+    const progress = await getProgress(userId, gameId);
+    if (!progress) {
+      return { success: false, error: 'Progress not found' };
+    }
+    
+    const team = await db.get(
+      `SELECT MAX(p.hints_used) as hints_used
+       FROM team_members me
+       JOIN progress p ON p.team_id = me.team_id AND p.game_id = ?
+       WHERE me.user_id = ?`,
+      [gameId, userId]
+    );
+    
+    const own = progress.hints_used || 0;
+    const teamHints = team && team.hints_used ? team.hints_used : 0;
+    
+    if (progress.completed || teamHints <= own) {
+      return { success: true, hintsUsed: own, shared: 0 };
+    }
+    
+    await db.run(
+      `UPDATE progress SET hints_used = ?, team_id = (SELECT team_id FROM team_members WHERE user_id = progress.user_id)
+       WHERE user_id = ? AND game_id = ? AND completed = 0`,
+      [teamHints, userId, gameId]
+    );
+    return { success: true, hintsUsed: teamHints, shared: teamHints - own };
+  } catch (error) {
+    global.logger.error(`Error sharing team hints: ${error.message}`);
+    return { success: false, error: 'Database error while sharing team hints' };
+  }
+}
+
+/**
+ * Get the team leaderboard. Each game counts once per team, with the points and bonuses of the
+ * member who solved it first, so teammates solving the same game do not add up. A solve counts
+ * for the team its player was in when solving (progress.team_id), not their current team.
+ * @param {number} limit - Number of entries to return
+ * @returns {Promise<Array>} Rankings with id, name, member_count, completed_games and total_points
+ */
+async function getTeamLeaderboard(limit = 10) {
+  try {
+    if (!Number.isInteger(limit) || limit <= 0) {
+      limit = 10;
+    }
+    
+    return await db.all(
+      `WITH team_solves AS (
+        SELECT p.team_id, p.game_id, p.points_earned,
+          COALESCE((SELECT SUM(b.points) FROM bonuses b
+            WHERE b.user_id = p.user_id AND b.game_id = p.game_id AND b.revoked = 0), 0) as bonus_points,
+          ROW_NUMBER() OVER (PARTITION BY p.team_id, p.game_id ORDER BY p.completion_date ASC, p.id ASC) as solve_order
+        FROM progress p
+        WHERE p.completed = 1 AND p.team_id IS NOT NULL
+      )
+      SELECT 
+        t.id,
+        t.name,
+        (SELECT COUNT(*) FROM team_members m WHERE m.team_id = t.id) as member_count,
+        COUNT(s.game_id) as completed_games,
+        COALESCE(SUM(s.points_earned), 0) + COALESCE(SUM(s.bonus_points), 0) as total_points
+      FROM teams t
+      JOIN team_solves s ON s.team_id = t.id AND s.solve_order = 1
+      GROUP BY t.id
       ORDER BY total_points DESC, completed_games DESC
       LIMIT ?`,
-      sanitizedLimit
+      Math.min(Math.max(1, limit), 1000)
     );
   } catch (error) {
-    global.logger.error(`Error getting leaderboard: ${error.message}`);
+    global.logger.error(`Error getting team leaderboard: ${error.message}`);
     return [];
   }
 }
 
 /**
- * Get detailed leaderboard with individual game completions
- * @param {number} limit - Number of entries to return (defaults to all)
- * @returns {Promise<Array>} - Detailed completion history
+ * Count the players who have solved a game
+ * @param {string} gameId - Game ID
+ * @returns {Promise<number>} Number of solves
  */
-async function getDetailedLeaderboard(limit = null) {
+async function getGameSolveCount(gameId) {
   try {
-    let query = `
-      SELECT 
-        u.username,
-        p.game_id,
-        p.completed,
-        p.points_earned,
-        p.completion_date
-      FROM progress p
-      JOIN users u ON p.user_id = u.id
-      WHERE p.completed = 1
-      ORDER BY p.completion_date DESC
-    `;
-    
-    const params = [];
+    if (!gameId || typeof gameId !== 'string') {
+      return 0;
+    }
     
-    // Add limit if specified
-    if (limit !== null && Number.isInteger(Number(limit)) && Number(limit) > 0) {
-      query += ` LIMIT ?`;
-      params.push(Math.min(Number(limit), 1000)); // Cap at 1000 for safety
+    const result = await db.get(
+      'SELECT COUNT(*) as count FROM progress WHERE game_id = ? AND completed = 1',
+      gameId
+    );
+    return result ? result.count : 0;
+  } catch (error) {
+    global.logger.error(`Error getting game solve count: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Get every solver of a game in solve order
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Array>} Progress rows of the solvers
+ */
+async function getGameSolvers(gameId) {
+  try {
+    if (!gameId || typeof gameId !== 'string') {
+      return [];
     }
     
-    return await db.all(query, params);
+    return await db.all(
+      `SELECT user_id, hints_used, attempts, points_earned, completion_date, started_at,
+        CAST(ROUND((julianday(completion_date) - julianday(started_at)) * 86400) AS INTEGER) as solve_seconds
+       FROM progress
+       WHERE game_id = ? AND completed = 1
+       ORDER BY completion_date ASC, id ASC`,
+      gameId
+    );
   } catch (error) {
-    global.logger.error(`Error getting detailed leaderboard: ${error.message}`);
+    global.logger.error(`Error getting game solvers: ${error.message}`);
     return [];
   }
 }
 
+/**
+ * Update the points earned by several solvers of a game.
+ * Each batch is a single UPDATE, so no transaction is held open across awaits on the shared
+ * connection, where it would make a concurrent BEGIN IMMEDIATE (e.g. completeGameAtomic) fail.
+ * @param {string} gameId - Game ID
+ * @param {Array<Object>} updates - List of { userId, points }
+ * @returns {Promise<Object>} Operation result with the number of rows changed
+ */
+async function updateGamePoints(gameId, updates) {
+  try {
+    if (!gameId || typeof gameId !== 'string' || !Array.isArray(updates)) {
+      return { success: false, error: 'Invalid parameters' };
+    }
+    
+    const valid = updates.filter(({ userId, points }) => userId && Number.isInteger(points) && points >= 0);
+    
+    let updated = 0;
+    for (let i = 0; i < valid.length; i += POINTS_UPDATE_BATCH_SIZE) {
+      const batch = valid.slice(i, i + POINTS_UPDATE_BATCH_SIZE);
+      const cases = batch.map(() => 'WHEN ? THEN ?').join(' ');
+      const params = batch.flatMap(({ userId, points }) => [userId, points]);
+      
+      const result = await db.run(
+        `UPDATE progress SET points_earned = CASE user_id ${cases} END
+         WHERE game_id = ? AND completed = 1 AND user_id IN (${batch.map(() => '?').join(', ')})
+           AND points_earned IS NOT (CASE user_id ${cases} END)`,
+        [...params, gameId, ...batch.map(({ userId }) => userId), ...params]
+      );
+      updated += result.changes || 0;
+    }
+    
+    return { success: true, updated };
+  } catch (error) {
+    global.logger.error(`Error updating game points: ${error.message}`);
+    return { success: false, error: 'Database error while updating points' };
+  }
+}
+
 /**
  * Get statistics for a specific game
  * @param {string} gameId - Game ID
@@ -675,15 +2304,41 @@ async function resetUserProgress(userId, gameId = null) {
         );
       }
       
-      // Then, delete related records from rewards
+      // Delete bonuses awarded for the reset games
+      if (gameId) {
+        await db.run(
+          'DELETE FROM bonuses WHERE user_id = ? AND game_id = ?',
+          [userId, gameId]
+        );
+      } else {
+        await db.run(
+          'DELETE FROM bonuses WHERE user_id = ?',
+          [userId]
+        );
+      }
+      
+      // Stop deliveries that are still queued for the reset games
+      if (gameId) {
+        await db.run(
+          "UPDATE reward_jobs SET status = 'cancelled', resolved_by = 'reset', updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND game_id = ? AND status IN ('pending', 'paused', 'failed')",
+          [userId, gameId]
+        );
+      } else {
+        await db.run(
+          "UPDATE reward_jobs SET status = 'cancelled', resolved_by = 'reset', updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND status IN ('pending', 'paused', 'failed')",
+          [userId]
+        );
+      }
+      
+      // Then, delete related records from rewards (revoked rewards stay on record)
       if (gameId) {
         await db.run(
-          'DELETE FROM rewards WHERE user_id = ? AND game_id = ?',
+          'DELETE FROM rewards WHERE user_id = ? AND game_id = ? AND revoked = 0',
           [userId, gameId]
         );
       } else {
         await db.run(
-          'DELETE FROM rewards WHERE user_id = ?',
+          'DELETE FROM rewards WHERE user_id = ? AND revoked = 0',
           [userId]
         );
       }
@@ -717,7 +2372,8 @@ async function resetUserProgress(userId, gameId = null) {
 
 /**
  * Atomically check that a game is not yet completed and mark it complete.
- * Returns { success: false, alreadyCompleted: true } if the game was already done.
+ * Returns { success: true, solvePosition } where solvePosition is the solve order (1 = first blood),
+ * or { success: false, alreadyCompleted: true } if the game was already done.
  * This prevents race conditions from double-submissions.
  * @param {number} userId - User ID in database
  * @param {string} gameId - Game ID
@@ -745,14 +2401,23 @@ async function completeGameAtomic(userId, gameId, pointsEarned) {
         return { success: false, alreadyCompleted: true };
       }
 
+      // The solve counts for the team the player is in right now
       await db.run(
         `UPDATE progress
-         SET completed = 1, points_earned = ?, completion_date = CURRENT_TIMESTAMP
+         SET completed = 1, points_earned = ?, completion_date = CURRENT_TIMESTAMP,
+           team_id = (SELECT team_id FROM team_members WHERE user_id = progress.user_id)
          WHERE user_id = ? AND game_id = ?`,
         [pointsEarned, userId, gameId]
       );
+      
+      // Solve order: this completion is the Nth for the game
+      const solves = await db.get(
+        'SELECT COUNT(*) as count FROM progress WHERE game_id = ? AND completed = 1',
+        gameId
+      );
+      
       await db.run('COMMIT');
-      return { success: true };
+      return { success: true, solvePosition: solves ? solves.count : null };
     } catch (err) {
       await db.run('ROLLBACK');
       throw err;
@@ -763,6 +2428,68 @@ async function completeGameAtomic(userId, gameId, pointsEarned) {
   }
 }
 
+/**
+ * Get the HMAC secret of a game's webhook reward
+ * @param {string} gameId - Game ID
+ * @returns {Promise<string|null>} Secret, or null if the game has none
+ */
+async function getWebhookSecret(gameId) {
+  try {
+    if (!gameId || typeof gameId !== 'string') {
+      return null;
+    }
+    
+    const row = await db.get('SELECT secret FROM webhook_secrets WHERE game_id = ?', gameId);
+    return row ? row.secret : null;
+  } catch (error) {
+    global.logger.error(`Error getting webhook secret: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store or replace the HMAC secret of a game's webhook reward
+ * @param {string} gameId - Game ID
+ * @param {string} secret - HMAC secret
+ * @returns {Promise<Object>} Operation result
+ */
+async function setWebhookSecret(gameId, secret) {
+  try {
+    if (!gameId || typeof gameId !== 'string' || !secret) {
+      return { success: false, error: 'Missing required parameters' };
+    }
+    
+    await db.run(
+      `INSERT INTO webhook_secrets (game_id, secret) VALUES (?, ?)
+       ON CONFLICT(game_id) DO UPDATE SET secret = excluded.secret, updated_at = CURRENT_TIMESTAMP`,
+      [gameId, secret]
+    );
+    return { success: true };
+  } catch (error) {
+    global.logger.error(`Error saving webhook secret: ${error.message}`);
+    return { success: false, error: 'Database error while saving the webhook secret' };
+  }
+}
+
+/**
+ * Remove the HMAC secret of a game's webhook reward
+ * @param {string} gameId - Game ID
+ * @returns {Promise<Object>} Operation result
+ */
+async function deleteWebhookSecret(gameId) {
+  try {
+    if (!gameId || typeof gameId !== 'string') {
+      return { success: false, error: 'Invalid game ID' };
+    }
+    
+    await db.run('DELETE FROM webhook_secrets WHERE game_id = ?', gameId);
+    return { success: true };
+  } catch (error) {
+    global.logger.error(`Error deleting webhook secret: ${error.message}`);
+    return { success: false, error: 'Database error while deleting the webhook secret' };
+  }
+}
+
 module.exports = {
   initializeDatabase,
   registerUser,
@@ -770,18 +2497,67 @@ module.exports = {
   getProgress,
   updateHintUsage,
   adminManageHints,
+  markGameStarted,
   recordAttempt,
+  recordSubmission,
+  getSubmissions,
+  countSubmissions,
+  getSubmissionLimitState,
+  updateSubmissionLimitState,
+  countSubmissionLimitAttempt,
+  startSubmissionLockout,
+  clearSubmissionLockout,
   completeGame,
   completeGameAtomic,
+  awardBonus,
+  getBonuses,
+  revokeBonus,
   recordReward,
+  getUserRewards,
+  getReward,
+  getRewardByCredentialId,
+  markRewardRevoked,
+  deleteReward,
+  getCompletedGameIds,
+  recordRoleGrant,
+  getRoleGrants,
+  markRoleGrantRemoved,
+  createRewardJob,
+  claimRewardJob,
+  getRewardJobs,
+  updateRewardJob,
+  requeueRewardJobs,
+  cancelRewardJobs,
   recordSuccessAnnouncement,
+  recordScheduleEvent,
   hasCompletedAnyGames,
   hasCompletedAllGames,
   getUserStats,
   getDetailedUserStats,
   getLeaderboard,
   getDetailedLeaderboard,
+  getEventLeaderboard,
+  saveEventStandings,
+  getEventStandings,
+  createTeam,
+  getTeam,
+  getTeams,
+  getUserTeam,
+  getTeamMembers,
+  inviteToTeam,
+  getTeamInvites,
+  joinTeam,
+  leaveTeam,
+  removeTeamMember,
+  shareTeamHints,
+  getTeamLeaderboard,
   getGameStats,
   getAllGamesStats,
+  getGameSolveCount,
+  getGameSolvers,
+  updateGamePoints,
+  getWebhookSecret,
+  setWebhookSecret,
+  deleteWebhookSecret,
   resetUserProgress
 };
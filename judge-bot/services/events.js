@@ -0,0 +1,425 @@
+/**
+ * @file events.js - Events and Seasons Service
+ * @description Events are named time windows holding a set of games, such as "Winter CTF 2026". Each event
+ *              has its own leaderboard counting only the points earned on its games between `starts_at` and
+ *              `ends_at`, so newcomers compete on equal terms while the all-time leaderboard stays as it is.
+ *              Archiving an event stores its final standings, issues its reward to the top players and posts
+ *              the podium. Event rewards are recorded in the rewards table under the ID `event:<id>`.
+ *              An event may set `scoring_profile` to score the solves it counts with a named profile.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getUser, getReward, getEventLeaderboard, saveEventStandings, getEventStandings } = require('./database');
+const GameSchedule = require('../utils/game-schedule');
+
+// Path to the directory where individual event files are stored
+const EVENTS_DIR = path.join(__dirname, '../config/events');
+
+const REWARD_ID_PREFIX = 'event:';
+
+// Reward types that do not need per-game details
+const EVENT_REWARD_TYPES = ['badgr', 'openbadge', 'text', 'role'];
+
+// Players rewarded when an event does not set reward_top
+const DEFAULT_REWARD_TOP = 3;
+
+const STATES = {
+  UPCOMING: 'upcoming',
+  ACTIVE: 'active',
+  ENDED: 'ended',
+  ARCHIVED: 'archived'
+};
+
+class EventService {
+  /**
+   * @param {Object} config - Bot configuration
+   * @param {Object} client - Discord.js client (for DMs and role rewards)
+   */
+  constructor(config, client = null) {
+    this.config = config;
+    this.client = client;
+  }
+
+  /**
+   * Directory holding the event files
+   * @returns {string}
+   */
+  static get directory() {
+    return EVENTS_DIR;
+  }
+
+  /**
+   * Reward types an event can use
+   * @returns {Array<string>}
+   */
+  static get rewardTypes() {
+    return EVENT_REWARD_TYPES;
+  }
+
+  /**
+   * Event states
+   * @returns {Object} - { UPCOMING, ACTIVE, ENDED, ARCHIVED }
+   */
+  static get states() {
+    return STATES;
+  }
+
+  /**
+   * Read every event file
+   * @returns {Object} - Events keyed by ID
+   */
+  static loadAll() {
+    const events = {};
+
+    if (!fs.existsSync(EVENTS_DIR)) return events;
+
+    for (const file of fs.readdirSync(EVENTS_DIR).filter(name => name.endsWith('.yaml'))) {
+      const eventId = path.basename(file, '.yaml');
+      try {
+        const content = yaml.load(fs.readFileSync(path.join(EVENTS_DIR, file), 'utf8'), { schema: yaml.DEFAULT_SCHEMA });
+        if (content && content[eventId] && Array.isArray(content[eventId].games)) {
+          events[eventId] = content[eventId];
+        } else {
+          global.logger.warn(`Event file ${file} has no "${eventId}" entry with a games list, skipping it`);
+        }
+      } catch (error) {
+        global.logger.error(`Error parsing event file ${file}: ${error.message}`);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Reload the events into the shared configuration
+   * @returns {number} - Number of events loaded
+   */
+  static reload() {
+    const events = EventService.loadAll();
+
+    if (global.config) {
+      global.config.events = events;
+    }
+
+    global.logger.info(`Loaded ${Object.keys(events).length} events`);
+    return Object.keys(events).length;
+  }
+
+  /**
+   * Write an event file and reload the events
+   * @param {string} eventId - Event ID (already checked by the caller)
+   * @param {Object} event - Event configuration
+   * @returns {Promise<void>}
+   */
+  static async save(eventId, event) {
+    await fs.promises.mkdir(EVENTS_DIR, { recursive: true });
+    await fs.promises.writeFile(path.join(EVENTS_DIR, `${eventId}.yaml`), yaml.dump({ [eventId]: event }), 'utf8');
+    EventService.reload();
+  }
+
+  /**
+   * ID under which an event reward is recorded
+   * @param {string} eventId - Event ID
+   * @returns {string}
+   */
+  static getRewardId(eventId) {
+    return `${REWARD_ID_PREFIX}${eventId}`;
+  }
+
+  /**
+   * Get the event ID from a reward ID
+   * @param {string} rewardId - Game ID or `event:<id>`
+   * @returns {string|null} - Event ID, or null for other rewards
+   */
+  static getEventId(rewardId) {
+    return typeof rewardId === 'string' && rewardId.startsWith(REWARD_ID_PREFIX)
+      ? rewardId.slice(REWARD_ID_PREFIX.length)
+      : null;
+  }
+
+  /**
+   * Get where an event is in its lifetime
+   * @param {Object} event - Event configuration
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { state, startsAt, endsAt }
+   */
+  static getState(event, now = Date.now()) {
+    const startsAt = GameSchedule.parseTime(event.starts_at);
+    const endsAt = GameSchedule.parseTime(event.ends_at);
+
+    let state = STATES.ACTIVE;
+    if (event.archived) {
+      state = STATES.ARCHIVED;
+    } else if (startsAt && startsAt.getTime() > now) {
+      state = STATES.UPCOMING;
+    } else if (endsAt && endsAt.getTime() <= now) {
+      state = STATES.ENDED;
+    }
+
+    return { state, startsAt, endsAt };
+  }
+
+  /**
+   * Describe the time window of an event
+   * @param {Object} event - Event configuration
+   * @param {number} now - Current time in milliseconds
+   * @returns {string} - e.g. "🟢 Running, ends in 3 days"
+   */
+  static describe(event, now = Date.now()) {
+    const { state, startsAt, endsAt } = EventService.getState(event, now);
+
+    switch (state) {
+      case STATES.ARCHIVED:
+        return `🏁 Finished${endsAt ? ` ${GameSchedule.formatTime(endsAt)}` : ''}, final standings`;
+      case STATES.UPCOMING:
+        return `🗓️ Starts ${GameSchedule.formatTime(startsAt)}`;
+      case STATES.ENDED:
+        return `⏰ Ended ${GameSchedule.formatTime(endsAt)}, waiting for final standings`;
+      default:
+        return endsAt ? `🟢 Running, ends ${GameSchedule.formatTime(endsAt)}` : '🟢 Running';
+    }
+  }
+
+  /**
+   * Autocomplete choices for an event option, running events first
+   * @param {Object} config - Bot configuration
+   * @param {string} search - Text typed so far
+   * @returns {Array<Object>} - { name, value } choices
+   */
+  static getChoices(config, search = '') {
+    const order = [STATES.ACTIVE, STATES.ENDED, STATES.UPCOMING, STATES.ARCHIVED];
+    const text = search.toLowerCase();
+
+    return Object.entries(config.events || {})
+      .filter(([eventId, event]) => eventId.toLowerCase().includes(text) || String(event.name).toLowerCase().includes(text))
+      .map(([eventId, event]) => ({ eventId, event, state: EventService.getState(event).state }))
+      .sort((a, b) => order.indexOf(a.state) - order.indexOf(b.state))
+      .slice(0, 25) // Discord limits autocomplete to 25 options
+      .map(({ eventId, event, state }) => ({
+        name: `${event.name} (${state === STATES.ARCHIVED ? 'final' : state})`.substring(0, 100),
+        value: eventId
+      }));
+  }
+
+  /**
+   * Whether a completion counts for an event
+   * @param {Object} event - Event configuration
+   * @param {string} gameId - Completed game
+   * @param {string} completionDate - SQLite timestamp (UTC) of the completion
+   * @returns {boolean}
+   */
+  static countsCompletion(event, gameId, completionDate) {
+    if (!(event.games || []).includes(gameId) || !completionDate) return false;
+
+    const timestamp = String(completionDate);
+    const completedAt = new Date(/(?:[zZ]|[+-]\d\d:?\d\d)$/.test(timestamp) ? timestamp : `${timestamp.replace(' ', 'T')}Z`);
+    const { startsAt, endsAt } = EventService.getState(event);
+
+    return (!startsAt || completedAt >= startsAt) && (!endsAt || completedAt < endsAt);
+  }
+
+  /**
+   * Get the scoring profile of the event a completion counts for.
+   * A game's own `scoring_profile` still wins, see PointsCalculator.getProfile().
+   * @param {Object} config - Bot configuration
+   * @param {string} gameId - Completed game
+   * @param {string} completionDate - Timestamp of the completion (defaults to now)
+   * @returns {string|null} - Profile name, or null when no event with a profile counts the completion
+   */
+  static getScoringProfile(config, gameId, completionDate = new Date().toISOString()) {
+    const match = Object.keys(config.events || {})
+      .sort()
+      .map(eventId => config.events[eventId])
+      .find(event => event.scoring_profile && EventService.countsCompletion(event, gameId, completionDate));
+
+    return match ? match.scoring_profile : null;
+  }
+
+  /**
+   * Number of top players who receive the event reward
+   * @param {Object} event - Event configuration
+   * @returns {number}
+   */
+  static getRewardTop(event) {
+    const top = parseInt(event.reward_top, 10);
+    return Number.isInteger(top) && top > 0 ? top : DEFAULT_REWARD_TOP;
+  }
+
+  /**
+   * Check an event configuration
+   * @param {Object} event - Event configuration
+   * @param {Object} config - Bot configuration
+   * @returns {Array<string>} - Error messages
+   */
+  static validate(event, config) {
+    const errors = [];
+    const games = config.games || {};
+
+    if (!event.name || typeof event.name !== 'string') {
+      errors.push('Event name is required');
+    }
+
+    if (!Array.isArray(event.games) || event.games.length === 0) {
+      errors.push('An event needs at least one game');
+    } else {
+      const unknown = event.games.filter(gameId => !games[gameId]);
+      if (unknown.length > 0) {
+        errors.push(`Unknown or unapproved game IDs: ${unknown.join(', ')}`);
+      }
+    }
+
+    for (const field of ['starts_at', 'ends_at']) {
+      if (!GameSchedule.parseTime(event[field])) {
+        errors.push(`${field} must be an ISO 8601 date and time, for example 2026-11-02T18:00:00Z`);
+      }
+    }
+
+    const startsAt = GameSchedule.parseTime(event.starts_at);
+    const endsAt = GameSchedule.parseTime(event.ends_at);
+    if (startsAt && endsAt && endsAt <= startsAt) {
+      errors.push('ends_at must be after starts_at');
+    }
+
+    if (event.scoring_profile !== undefined) {
+      const profiles = ['default', ...Object.keys(((config.bot || {}).points || {}).profiles || {})];
+      if (!profiles.includes(event.scoring_profile)) {
+        errors.push(`scoring_profile must be one of: ${profiles.join(', ')}`);
+      }
+    }
+
+    if (!event.reward_type) return errors;
+
+    if (!EVENT_REWARD_TYPES.includes(event.reward_type)) {
+      errors.push(`Reward type must be one of: ${EVENT_REWARD_TYPES.join(', ')}`);
+    } else if (event.reward_type === 'badgr' && !event.badge_class_id) {
+      errors.push('badge_class_id is required for Badgr rewards');
+    } else if (event.reward_type === 'text' && !event.reward_text) {
+      errors.push('reward_text is required for text rewards');
+    } else if (event.reward_type === 'role' && !/^\d{17,20}$/.test(String(event.role_id || ''))) {
+      errors.push('role_id must be a Discord role ID');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the rankings of an event: the stored final standings once it is archived, live otherwise
+   * @param {string} eventId - Event ID
+   * @param {Object} event - Event configuration
+   * @param {number} limit - Number of entries to return (defaults to all)
+   * @returns {Promise<Array>} - Rankings, best first
+   */
+  static async getStandings(eventId, event, limit = null) {
+    if (event.archived) {
+      const standings = await getEventStandings(eventId);
+      return limit ? standings.slice(0, limit) : standings;
+    }
+
+    const { startsAt, endsAt } = EventService.getState(event);
+    return await getEventLeaderboard(
+      event.games || [],
+      startsAt ? startsAt.toISOString() : null,
+      endsAt ? endsAt.toISOString() : null,
+      limit
+    );
+  }
+
+  /**
+   * Close an event: store its final standings, mark it archived and reward the top players
+   * @param {string} eventId - Event ID
+   * @param {string} archivedBy - Discord ID of the admin
+   * @returns {Promise<Object>} - { success, error, standings, rewards } where rewards lists
+   *                              { entry, position, rewardInfo } for each rewarded player
+   */
+  async archive(eventId, archivedBy) {
+    const event = (this.config.events || {})[eventId];
+
+    if (!event) {
+      return { success: false, error: `Event "${eventId}" not found.` };
+    }
+
+    if (event.archived) {
+      return { success: false, error: `Event "${event.name}" is already archived.` };
+    }
+
+    const standings = await EventService.getStandings(eventId, event);
+    const saved = await saveEventStandings(eventId, standings);
+    if (!saved.success) {
+      return { success: false, error: 'The final standings could not be saved.' };
+    }
+
+    await EventService.save(eventId, {
+      ...event,
+      archived: true,
+      archived_at: new Date().toISOString(),
+      archived_by: archivedBy
+    });
+
+    global.logger.info(`Event ${eventId} archived by ${archivedBy} with ${standings.length} ranked players`);
+
+    const rewards = [];
+    if (event.reward_type) {
+      const rewardId = EventService.getRewardId(eventId);
+
+      for (const [index, entry] of standings.slice(0, EventService.getRewardTop(event)).entries()) {
+        const user = await getUser(entry.discord_id);
+        if (!user || await getReward(user.id, rewardId)) continue;
+
+        let rewardInfo;
+        try {
+          // Loaded lazily: the reward queue looks up events through the series service
+          const RewardQueue = require('./reward-queue');
+          rewardInfo = await new RewardQueue(this.config, this.client).issue(user, { ...event, id: rewardId }, {
+            position: index + 1,
+            points: entry.total_points
+          });
+        } catch (error) {
+          global.logger.error(`Error issuing event reward for ${eventId} to user ${user.discord_id}: ${error.message}`);
+          rewardInfo = {
+            message: 'There was an error issuing your event reward. An administrator will be notified.',
+            type: 'error'
+          };
+        }
+
+        rewards.push({ entry, position: index + 1, rewardInfo });
+        await this.notifyWinner(user, event, index + 1, rewardInfo);
+      }
+    }
+
+    return { success: true, standings, rewards };
+  }
+
+  /**
+   * DM a rewarded player their final position and reward
+   * @param {Object} user - User object from database
+   * @param {Object} event - Event configuration
+   * @param {number} position - Final position
+   * @param {Object} rewardInfo - Result of RewardQueue.issue()
+   * @returns {Promise<void>}
+   */
+  async notifyWinner(user, event, position, rewardInfo) {
+    if (!this.client) return;
+
+    let reward = rewardInfo.message;
+    if (rewardInfo.type === 'text') {
+      reward = rewardInfo.data.text;
+    } else if (rewardInfo.type === 'openbadge') {
+      reward = rewardInfo.data.delivered
+        ? 'Your signed Open Badge file has been sent to you.'
+        : 'Your signed Open Badge is ready. Use `/judge-rewards` to download it.';
+    }
+
+    try {
+      const discordUser = await this.client.users.fetch(user.discord_id);
+      await discordUser.send(`🏆 You finished **#${position}** in **${event.name}**!\n🎁 ${reward}`.substring(0, 2000));
+    } catch (error) {
+      global.logger.warn(`Could not notify user ${user.discord_id} about their ${event.name} reward: ${error.message}`);
+    }
+  }
+}
+
+module.exports = EventService;
@@ -9,6 +9,7 @@
  * @since 2025-04-03
  */
 const { EmbedBuilder } = require('discord.js');
+const GameSchedule = require('../utils/game-schedule');
 
 /**
  * Game Approval Announcer service for ScoreBot
@@ -97,6 +98,49 @@ class GameApprovalAnnouncer {
     }
   }
   
+  /**
+   * Remind players that a game closes soon
+   * @param {Object} game - Game configuration (with its ID in `id`)
+   * @param {Date} closesAt - When the game stops accepting answers
+   * @returns {Promise<Object|null>} - The sent message or null if failed
+   */
+  async announceClosingSoon(game, closesAt) {
+    if (!this.enabled || !this.channelId) {
+      this.logger.debug('Game approval announcer is disabled or no channel configured. Skipping closing reminder.');
+      return null;
+    }
+    
+    try {
+      const channel = await this.client.channels.fetch(this.channelId);
+      if (!channel) {
+        this.logger.error(`Could not find game announcement channel with ID ${this.channelId}`);
+        return null;
+      }
+      
+      const embed = new EmbedBuilder()
+        .setTitle('⏳ Challenge Closing Soon')
+        .setDescription(`"${game.name}" stops accepting answers ${GameSchedule.formatTime(closesAt)}.`)
+        .setColor(0xFF9800)
+        .addFields(
+          { name: 'Closes', value: GameSchedule.formatTime(closesAt, 'f'), inline: true },
+          { name: 'Difficulty', value: '⭐'.repeat(game.difficulty || 1), inline: true },
+          { name: 'How to Play', value: `Use \`/judge-submit ${game.id}\` before it closes!` }
+        )
+        .setFooter({ text: 'ScoreBot • Last chance!' });
+      
+      const message = await channel.send({
+        content: this.pingRoleId ? `<@&${this.pingRoleId}>` : undefined,
+        embeds: [embed]
+      });
+      
+      this.logger.info(`Closing reminder sent for "${game.name}"`);
+      return message;
+    } catch (error) {
+      this.logger.error(`Error sending closing reminder: ${error.message}`);
+      return null;
+    }
+  }
+  
   /**
    * Create an embed for the approval announcement
    * @private
@@ -132,6 +176,16 @@ class GameApprovalAnnouncer {
       });
     }
     
+    // Add the closing time of timed challenges
+    const closesAt = GameSchedule.parseTime(game.closes_at);
+    if (closesAt) {
+      embed.addFields({
+        name: 'Closes',
+        value: `${GameSchedule.formatTime(closesAt, 'f')} (${GameSchedule.formatTime(closesAt)})`,
+        inline: true
+      });
+    }
+    
     // Add approved by information
     if (approverTag) {
       embed.addFields({
@@ -219,8 +273,16 @@ class GameApprovalAnnouncer {
     switch (rewardType.toLowerCase()) {
       case 'badgr':
         return '🏅 Digital Badge';
+      case 'openbadge':
+        return '🏅 Open Badge';
+      case 'certificate':
+        return '📜 Certificate';
+      case 'webhook':
+        return '🔗 Webhook';
       case 'text':
         return '📝 Text Message';
+      case 'role':
+        return '🎖️ Discord Role';
       default:
         return rewardType.charAt(0).toUpperCase() + rewardType.slice(1);
     }
@@ -0,0 +1,145 @@
+/**
+ * @file game-scheduler.js - Timed Challenge Scheduler
+ * @description Publishes games with an `opens_at` time and reminds players before `closes_at`. Every
+ *              check posts the usual new-challenge announcement for games that have just opened and a
+ *              "closing soon" reminder for games that close within `game_schedule.reminder_hours`.
+ *              Announcements are recorded in the database, so restarts never repeat them and moving a
+ *              game to a new time announces it again.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { recordScheduleEvent } = require('./database');
+const GameSchedule = require('../utils/game-schedule');
+const Validation = require('../utils/validation');
+
+// Path to the games directory where individual game files are stored
+const GAMES_DIR = path.join(__dirname, '../config/games');
+
+class GameScheduler {
+  /**
+   * @param {Object} config - Bot configuration
+   * @param {Object} announcer - GameApprovalAnnouncer instance
+   */
+  constructor(config, announcer) {
+    const settings = config.bot.game_schedule || {};
+
+    this.config = config;
+    this.announcer = announcer;
+    this.reminderHours = settings.reminder_hours !== undefined ? Number(settings.reminder_hours) || 0 : 24;
+    this.running = false;
+  }
+
+  /**
+   * Announce every game that opened or is about to close since the last check
+   * @param {number} now - Current time in milliseconds
+   * @returns {Promise<void>}
+   */
+  async tick(now = Date.now()) {
+    // A slow announcement must not overlap with the next check
+    if (this.running) return;
+    this.running = true;
+
+    try {
+      for (const [gameId, game] of Object.entries(this.config.games || {})) {
+        const { state, opensAt, closesAt } = GameSchedule.getState(game, now);
+
+        if (opensAt && state !== GameSchedule.states.SCHEDULED) {
+          await this.publish(gameId, game, opensAt, state === GameSchedule.states.OPEN);
+        }
+
+        if (closesAt && state === GameSchedule.states.OPEN && this.isReminderDue(opensAt, closesAt, now)) {
+          await this.remindClosing(gameId, game, closesAt);
+        }
+      }
+    } catch (error) {
+      global.logger.error(`Error checking game schedules: ${error.message}`);
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Whether the closing reminder should go out now. Games that are open for less than the
+   * reminder window get no reminder, since it would arrive together with their release.
+   * @param {Date|null} opensAt - Release time
+   * @param {Date} closesAt - Closing time
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   */
+  isReminderDue(opensAt, closesAt, now) {
+    if (this.reminderHours <= 0) return false;
+
+    const windowMs = this.reminderHours * 3600 * 1000;
+    if (opensAt && closesAt.getTime() - opensAt.getTime() <= windowMs) return false;
+
+    return closesAt.getTime() - now <= windowMs;
+  }
+
+  /**
+   * Post the new-challenge announcement for a game that has reached its release time
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game configuration
+   * @param {Date} opensAt - Release time
+   * @param {boolean} stillOpen - False if the game already closed while the bot was offline
+   * @returns {Promise<void>}
+   */
+  async publish(gameId, game, opensAt, stillOpen) {
+    const result = await recordScheduleEvent(gameId, 'opened', opensAt.toISOString());
+    if (!result.success || !result.recorded) return;
+
+    if (!stillOpen) {
+      global.logger.info(`Game ${gameId} opened and closed while the bot was offline, not announcing it`);
+      return;
+    }
+
+    global.logger.info(`Game ${gameId} is now open`);
+
+    // The approver and creator are only kept in the maker's game file
+    const makerData = await GameScheduler.loadMakerData(gameId);
+    await this.announcer.announceApproval(
+      { ...game, id: gameId },
+      makerData.approver_name || null,
+      makerData.owner_id || null
+    );
+  }
+
+  /**
+   * Post the closing reminder for a game
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game configuration
+   * @param {Date} closesAt - Closing time
+   * @returns {Promise<void>}
+   */
+  async remindClosing(gameId, game, closesAt) {
+    const result = await recordScheduleEvent(gameId, 'closing_reminder', closesAt.toISOString());
+    if (!result.success || !result.recorded) return;
+
+    await this.announcer.announceClosingSoon({ ...game, id: gameId }, closesAt);
+  }
+
+  /**
+   * Read a maker game file
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} - Game data, or an empty object for games defined in games.yaml
+   */
+  static async loadMakerData(gameId) {
+    const gameFilePath = Validation.resolveGamePath(gameId, GAMES_DIR);
+    if (!gameFilePath) return {};
+
+    try {
+      const content = yaml.load(await fs.readFile(gameFilePath, 'utf8'), { schema: yaml.DEFAULT_SCHEMA });
+      return (content && content[gameId]) || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        global.logger.warn(`Could not read game file for ${gameId}: ${error.message}`);
+      }
+      return {};
+    }
+  }
+}
+
+module.exports = GameScheduler;
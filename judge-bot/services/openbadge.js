@@ -0,0 +1,374 @@
+/**
+ * @file openbadge.js - Local Open Badges 3.0 Issuer
+ * @description Self-hosted alternative to Badgr. Builds Open Badges 3.0 credentials (W3C Verifiable
+ *              Credentials of type OpenBadgeCredential) for a recipient email and signs them with an
+ *              Ed25519 key using the `eddsa-jcs-2022` Data Integrity cryptosuite. The verification
+ *              method is a `did:key`, so the public key travels inside the credential and anyone can
+ *              check the signature offline with `/judge-verify` or `npm run verify-badge`.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const CREDENTIAL_CONTEXT = [
+  'https://www.w3.org/ns/credentials/v2',
+  'https://purl.imsglobal.org/spec/ob/v3p0/context-3.0.3.json'
+];
+const CRYPTOSUITE = 'eddsa-jcs-2022';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+// Multicodec prefix for an Ed25519 public key in did:key identifiers
+const ED25519_PUB_PREFIX = Buffer.from([0xed, 0x01]);
+// Default location of the signing key (data/ is not committed)
+const DEFAULT_KEY_FILE = path.join(__dirname, '../data/openbadge-ed25519.pem');
+
+class OpenBadgeIssuer {
+  constructor(config) {
+    const settings = config.bot.openbadges || {};
+
+    this.issuerName = settings.issuer_name || 'ScoreBot';
+    this.issuerUrl = settings.issuer_url || null;
+    this.issuerEmail = settings.issuer_email || null;
+    this.achievementBaseUrl = settings.achievement_base_url || null;
+    this.keyFile = settings.key_file ? path.resolve(__dirname, '..', settings.key_file) : DEFAULT_KEY_FILE;
+    this.privateKey = null;
+  }
+
+  /**
+   * Load the Ed25519 signing key, generating and saving one on first use.
+   * OPENBADGE_PRIVATE_KEY (PEM) takes precedence over the key file.
+   * @returns {crypto.KeyObject} - Private key
+   */
+  getPrivateKey() {
+    if (this.privateKey) return this.privateKey;
+
+    if (process.env.OPENBADGE_PRIVATE_KEY) {
+      this.privateKey = crypto.createPrivateKey(process.env.OPENBADGE_PRIVATE_KEY.replace(/\\n/g, '\n'));
+    } else if (fs.existsSync(this.keyFile)) {
+      this.privateKey = crypto.createPrivateKey(fs.readFileSync(this.keyFile, 'utf8'));
+    } else {
+      const { privateKey } = crypto.generateKeyPairSync('ed25519');
+      fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+      fs.writeFileSync(this.keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+      this.privateKey = privateKey;
+      global.logger.warn(`Generated a new Open Badges signing key at ${this.keyFile}. Back it up: badges cannot be re-signed with another key.`);
+    }
+
+    if (this.privateKey.asymmetricKeyType !== 'ed25519') {
+      throw new Error('Open Badges signing key must be an Ed25519 key');
+    }
+
+    return this.privateKey;
+  }
+
+  /**
+   * Get the issuer's did:key identifier
+   * @returns {string} - did:key DID
+   */
+  getIssuerDid() {
+    const publicKey = crypto.createPublicKey(this.getPrivateKey());
+    return `did:key:${OpenBadgeIssuer.encodePublicKey(publicKey)}`;
+  }
+
+  /**
+   * Build and sign an Open Badges 3.0 credential for a completed game
+   * @param {Object} user - User object from database (needs email)
+   * @param {Object} game - Game configuration
+   * @param {string} gameId - Game ID
+   * @returns {Object} - Signed credential
+   */
+  createCredential(user, game, gameId) {
+    if (!user.email) {
+      throw new Error('User email is required for badge issuance');
+    }
+
+    const issuerDid = this.getIssuerDid();
+    const salt = crypto.randomBytes(8).toString('hex');
+    const issuedAt = OpenBadgeIssuer.timestamp();
+
+    const issuer = {
+      id: issuerDid,
+      type: ['Profile'],
+      name: this.issuerName
+    };
+    if (this.issuerUrl) issuer.url = this.issuerUrl;
+    if (this.issuerEmail) issuer.email = this.issuerEmail;
+
+    const credential = {
+      '@context': CREDENTIAL_CONTEXT,
+      id: `urn:uuid:${crypto.randomUUID()}`,
+      type: ['VerifiableCredential', 'OpenBadgeCredential'],
+      issuer,
+      validFrom: issuedAt,
+      name: game.name,
+      credentialSubject: {
+        type: ['AchievementSubject'],
+        identifier: [{
+          type: 'IdentityObject',
+          identityHash: OpenBadgeIssuer.hashIdentity(user.email, salt),
+          identityType: 'emailAddress',
+          hashed: true,
+          salt
+        }],
+        achievement: {
+          id: this.achievementBaseUrl
+            ? `${this.achievementBaseUrl.replace(/\/$/, '')}/${encodeURIComponent(gameId)}`
+            : `urn:scorebot:achievement:${gameId}`,
+          type: ['Achievement'],
+          name: game.name,
+          description: game.reward_description || game.description || `Completed the "${game.name}" challenge`,
+          criteria: {
+            narrative: game.badge_criteria || `Complete the "${game.name}" challenge in Discord ScoreBot`
+          }
+        }
+      }
+    };
+
+    return this.sign(credential);
+  }
+
+  /**
+   * Add an eddsa-jcs-2022 Data Integrity proof to a credential
+   * @param {Object} credential - Unsigned credential
+   * @returns {Object} - Credential with proof
+   */
+  sign(credential) {
+    const verificationMethod = `${this.getIssuerDid()}#${this.getIssuerDid().replace('did:key:', '')}`;
+
+    const proofOptions = {
+      type: 'DataIntegrityProof',
+      cryptosuite: CRYPTOSUITE,
+      created: OpenBadgeIssuer.timestamp(),
+      verificationMethod,
+      proofPurpose: 'assertionMethod'
+    };
+
+    const hashData = OpenBadgeIssuer.hashForProof(credential, proofOptions);
+    const signature = crypto.sign(null, hashData, this.getPrivateKey());
+
+    return {
+      ...credential,
+      proof: {
+        ...proofOptions,
+        proofValue: `z${OpenBadgeIssuer.base58Encode(signature)}`
+      }
+    };
+  }
+
+  /**
+   * Verify a credential's signature using only the data it contains
+   * @param {Object} credential - Signed credential
+   * @param {Object} options - Optional checks
+   * @param {string} options.email - Check that the badge was issued to this email
+   * @param {string} options.trustedDid - DID of the issuer we expect (e.g. this bot)
+   * @returns {Object} - { valid, errors, issuerDid, trustedIssuer, recipientMatches }
+   */
+  static verify(credential, options = {}) {
+    const errors = [];
+    const result = { valid: false, errors, issuerDid: null, trustedIssuer: false, recipientMatches: null };
+
+    if (!credential || typeof credential !== 'object') {
+      errors.push('Not a JSON credential');
+      return result;
+    }
+
+    const types = Array.isArray(credential.type) ? credential.type : [credential.type];
+    if (!types.includes('OpenBadgeCredential')) {
+      errors.push('Not an OpenBadgeCredential');
+    }
+
+    const proof = credential.proof;
+    if (!proof || proof.type !== 'DataIntegrityProof' || proof.cryptosuite !== CRYPTOSUITE) {
+      errors.push(`Missing or unsupported proof (expected DataIntegrityProof with ${CRYPTOSUITE})`);
+      return result;
+    }
+
+    if (proof.proofPurpose !== 'assertionMethod') {
+      errors.push('Proof purpose must be assertionMethod');
+    }
+
+    // The verification method is a did:key, so the public key is part of the identifier
+    const match = /^did:key:(z[1-9A-HJ-NP-Za-km-z]+)#\1$/.exec(proof.verificationMethod || '');
+    if (!match) {
+      errors.push('Verification method must be a did:key');
+      return result;
+    }
+
+    let publicKey;
+    try {
+      publicKey = OpenBadgeIssuer.decodePublicKey(match[1]);
+    } catch (error) {
+      errors.push(`Invalid verification key: ${error.message}`);
+      return result;
+    }
+
+    result.issuerDid = `did:key:${match[1]}`;
+
+    const issuerId = credential.issuer && typeof credential.issuer === 'object' ? credential.issuer.id : credential.issuer;
+    if (issuerId !== result.issuerDid) {
+      errors.push('Credential was not signed by its issuer');
+    }
+
+    if (typeof proof.proofValue !== 'string' || !proof.proofValue.startsWith('z')) {
+      errors.push('Proof value must be base58btc multibase');
+      return result;
+    }
+
+    const { proof: _proof, ...unsecured } = credential;
+    const { proofValue, ...proofOptions } = proof;
+
+    let signatureValid = false;
+    try {
+      const hashData = OpenBadgeIssuer.hashForProof(unsecured, proofOptions);
+      signatureValid = crypto.verify(null, hashData, publicKey, OpenBadgeIssuer.base58Decode(proofValue.slice(1)));
+    } catch (error) {
+      errors.push(`Could not check signature: ${error.message}`);
+    }
+
+    if (!signatureValid) {
+      errors.push('Signature does not match the credential (it was altered or signed with another key)');
+    }
+
+    if (options.trustedDid) {
+      result.trustedIssuer = result.issuerDid === options.trustedDid;
+    }
+
+    if (options.email) {
+      const identifiers = (credential.credentialSubject && credential.credentialSubject.identifier) || [];
+      result.recipientMatches = identifiers.some(identity => identity.identityType === 'emailAddress' &&
+        identity.identityHash === OpenBadgeIssuer.hashIdentity(options.email, identity.salt || ''));
+    }
+
+    result.valid = errors.length === 0;
+    return result;
+  }
+
+  /**
+   * Compute the data signed by eddsa-jcs-2022: SHA-256(JCS(proof options)) || SHA-256(JCS(document))
+   * @param {Object} document - Credential without proof
+   * @param {Object} proofOptions - Proof without proofValue
+   * @returns {Buffer} - Data to sign or verify
+   */
+  static hashForProof(document, proofOptions) {
+    const proofConfig = { '@context': document['@context'], ...proofOptions };
+    return Buffer.concat([
+      crypto.createHash('sha256').update(OpenBadgeIssuer.canonicalize(proofConfig)).digest(),
+      crypto.createHash('sha256').update(OpenBadgeIssuer.canonicalize(document)).digest()
+    ]);
+  }
+
+  /**
+   * Serialize JSON with the JSON Canonicalization Scheme (RFC 8785)
+   * @param {*} value - JSON value
+   * @returns {string} - Canonical JSON
+   */
+  static canonicalize(value) {
+    if (value === null || typeof value !== 'object') {
+      return JSON.stringify(value);
+    }
+
+    if (Array.isArray(value)) {
+      return `[${value.map(item => OpenBadgeIssuer.canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${OpenBadgeIssuer.canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+
+  /**
+   * Hash a recipient identity the way Open Badges expects
+   * @param {string} email - Recipient email
+   * @param {string} salt - Salt stored next to the hash
+   * @returns {string} - "sha256$<hex>"
+   */
+  static hashIdentity(email, salt) {
+    const digest = crypto.createHash('sha256').update(`${String(email).trim().toLowerCase()}${salt}`).digest('hex');
+    return `sha256$${digest}`;
+  }
+
+  /**
+   * Encode an Ed25519 public key as a base58btc multikey (z6Mk...)
+   * @param {crypto.KeyObject} publicKey - Public key
+   * @returns {string} - Multibase-encoded key
+   */
+  static encodePublicKey(publicKey) {
+    const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    return `z${OpenBadgeIssuer.base58Encode(Buffer.concat([ED25519_PUB_PREFIX, raw]))}`;
+  }
+
+  /**
+   * Decode a base58btc multikey into an Ed25519 public key
+   * @param {string} multibase - Multibase-encoded key (z6Mk...)
+   * @returns {crypto.KeyObject} - Public key
+   */
+  static decodePublicKey(multibase) {
+    const bytes = OpenBadgeIssuer.base58Decode(multibase.slice(1));
+
+    if (bytes.length !== 34 || !bytes.subarray(0, 2).equals(ED25519_PUB_PREFIX)) {
+      throw new Error('not an Ed25519 did:key');
+    }
+
+    return crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: bytes.subarray(2).toString('base64url') },
+      format: 'jwk'
+    });
+  }
+
+  /**
+   * Base58 (Bitcoin alphabet) encode
+   * @param {Buffer} buffer - Bytes to encode
+   * @returns {string} - Base58 string
+   */
+  static base58Encode(buffer) {
+    let number = BigInt(`0x${buffer.toString('hex') || '0'}`);
+    let encoded = '';
+
+    while (number > 0n) {
+      encoded = BASE58_ALPHABET[Number(number % 58n)] + encoded;
+      number /= 58n;
+    }
+
+    for (const byte of buffer) {
+      if (byte !== 0) break;
+      encoded = `1${encoded}`;
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Base58 (Bitcoin alphabet) decode
+   * @param {string} text - Base58 string
+   * @returns {Buffer} - Decoded bytes
+   */
+  static base58Decode(text) {
+    let number = 0n;
+
+    for (const char of text) {
+      const index = BASE58_ALPHABET.indexOf(char);
+      if (index === -1) throw new Error(`invalid base58 character "${char}"`);
+      number = number * 58n + BigInt(index);
+    }
+
+    let hex = number > 0n ? number.toString(16) : '';
+    if (hex.length % 2) hex = `0${hex}`;
+
+    const leadingZeros = text.length - text.replace(/^1+/, '').length;
+    return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+  }
+
+  /**
+   * Current time as an XML Schema dateTime without milliseconds
+   * @returns {string} - Timestamp
+   */
+  static timestamp() {
+    return new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+  }
+}
+
+module.exports = OpenBadgeIssuer;
@@ -3,99 +3,488 @@
  * @description Sophisticated scoring system for challenge completion that factors in difficulty levels,
  *              hint usage penalties, and dynamic bonus calculations. Implements progressive hint costs,
  *              minimum score thresholds, and difficulty-based bonus multipliers to create engaging
- *              competitive gameplay with balanced risk-reward mechanics.
+ *              competitive gameplay with balanced risk-reward mechanics. Base points, difficulty curve,
+ *              floor and penalties come from named scoring profiles that games or events can select.
  * @version 1.1.0
  * @author gl0bal01
  * @since 2025-04-03
  */
+const { getGameSolvers, getGameSolveCount, updateGamePoints } = require('./database');
+const EventService = require('./events');
+
+// Difficulty bonus factors used when a profile doesn't define its own curve
+const DEFAULT_DIFFICULTY_BONUS = {
+  1: 0,    // no bonus
+  2: 0.2,  // 20% bonus
+  3: 0.5,  // 50% bonus
+  4: 1.0   // 100% bonus (double points)
+};
+
+// Minimum share of the base points a solve is always worth
+const DEFAULT_FLOOR = 0.1;
+
+// Profile built from the legacy `points` keys, used when no named profile applies
+const LEGACY_PROFILE_NAME = 'default';
 
 class PointsCalculator {
   constructor(config) {
+    const points = config.bot.points || {};
+    
     this.config = config;
-    this.startingPoints = config.bot.points.starting_points || 100;
-    this.hintBasePenalty = config.bot.points.hint_base_penalty || 10;
-    this.hintPenaltyIncrease = config.bot.points.hint_penalty_increase || 5;
+    this.startingPoints = points.starting_points || 100;
+    
+    // Named scoring profiles; games and events pick one with `scoring_profile`
+    this.profiles = {
+      [LEGACY_PROFILE_NAME]: PointsCalculator.normalizeProfile(LEGACY_PROFILE_NAME, {
+        base_points: this.startingPoints,
+        hint_penalty: {
+          base: points.hint_base_penalty || 10,
+          increase: points.hint_penalty_increase || 5
+        }
+      })
+    };
+    
+    for (const [name, profile] of Object.entries(points.profiles || {})) {
+      this.profiles[name] = PointsCalculator.normalizeProfile(name, profile || {}, this.profiles[LEGACY_PROFILE_NAME]);
+    }
+    
+    this.defaultProfileName = this.profiles[points.default_profile] ? points.default_profile : LEGACY_PROFILE_NAME;
+    
+    // Dynamic scoring: a challenge's base value decays as more players solve it
+    const dynamic = points.dynamic || {};
+    this.dynamicEnabled = dynamic.enabled === true;
+    this.dynamicInitial = dynamic.initial || this.startingPoints;
+    this.dynamicMinimum = Math.min(dynamic.minimum !== undefined ? dynamic.minimum : Math.ceil(this.dynamicInitial * 0.1), this.dynamicInitial);
+    this.dynamicDecay = Math.max(1, dynamic.decay || 10);
+    
+    // Solve bonuses: extra points for the first N solvers (index 0 = first blood)
+    const solveBonuses = points.solve_bonuses || {};
+    this.solveBonusesEnabled = solveBonuses.enabled === true;
+    this.solveBonuses = Array.isArray(solveBonuses.bonuses)
+      ? solveBonuses.bonuses.map(bonus => Math.max(0, parseInt(bonus, 10) || 0))
+      : [];
   }
 
   /**
-   * Calculate points earned for completing a game
+   * Normalize a scoring profile from bot.yaml, filling gaps from a fallback profile
+   * @param {string} name - Profile name
+   * @param {Object} profile - Raw profile configuration
+   * @param {Object} fallback - Normalized profile to inherit missing values from
+   * @returns {Object} - Normalized profile
+   */
+  static normalizeProfile(name, profile, fallback = null) {
+    const hintPenalty = profile.hint_penalty || {};
+    const wrongAttemptPenalty = profile.wrong_attempt_penalty || {};
+    const speedBonus = profile.speed_bonus || {};
+    const pick = (value, key, defaultValue) => {
+      if (value !== undefined && value !== null && !isNaN(Number(value))) return Math.max(0, Number(value));
+      return fallback ? fallback[key] : defaultValue;
+    };
+    
+    return {
+      name,
+      basePoints: pick(profile.base_points, 'basePoints', 100),
+      floor: Math.min(1, pick(profile.floor, 'floor', DEFAULT_FLOOR)),
+      difficultyBonus: profile.difficulty_bonus
+        ? Object.fromEntries(Object.entries(profile.difficulty_bonus).map(([level, factor]) => [level, Number(factor) || 0]))
+        : (fallback ? fallback.difficultyBonus : DEFAULT_DIFFICULTY_BONUS),
+      hintBasePenalty: pick(hintPenalty.base, 'hintBasePenalty', 10),
+      hintPenaltyIncrease: pick(hintPenalty.increase, 'hintPenaltyIncrease', 5),
+      hintPenaltyMax: pick(hintPenalty.max, 'hintPenaltyMax', null),
+      wrongAttemptPenalty: pick(wrongAttemptPenalty.per_attempt, 'wrongAttemptPenalty', 0),
+      wrongAttemptPenaltyMax: pick(wrongAttemptPenalty.max, 'wrongAttemptPenaltyMax', null),
+      speedBonusMax: pick(speedBonus.max_points, 'speedBonusMax', 0),
+      speedBonusFullMinutes: pick(speedBonus.full_minutes, 'speedBonusFullMinutes', 10),
+      speedBonusZeroMinutes: pick(speedBonus.zero_minutes, 'speedBonusZeroMinutes', 120)
+    };
+  }
+
+  /**
+   * Get the scoring profile for a game.
+   * The game's own `scoring_profile` wins over the event profile, which wins over `default_profile`.
+   * @param {Object} game - Game configuration
+   * @param {Object} options - Scoring options
+   * @param {string} options.profile - Profile chosen by the event the game is played in
+   * @returns {Object} - Normalized profile
+   */
+  getProfile(game = {}, options = {}) {
+    const name = (game && game.scoring_profile) || options.profile || this.defaultProfileName;
+    
+    if (!this.profiles[name]) {
+      if (global.logger) global.logger.warn(`Unknown scoring profile "${name}", using "${this.defaultProfileName}"`);
+      return this.profiles[this.defaultProfileName];
+    }
+    
+    return this.profiles[name];
+  }
+
+  /**
+   * Get the names of all configured profiles
+   * @returns {Array<string>} - Profile names
+   */
+  getProfileNames() {
+    return Object.keys(this.profiles);
+  }
+
+  /**
+   * Calculate the solve bonus for a given solve position
+   * @param {number} solvePosition - Solve order of the player (1 = first blood)
+   * @returns {number} - Bonus points (0 if no bonus applies)
+   */
+  calculateSolveBonus(solvePosition) {
+    if (!this.solveBonusesEnabled || !Number.isInteger(solvePosition) || solvePosition < 1) {
+      return 0;
+    }
+    return this.solveBonuses[solvePosition - 1] || 0;
+  }
+
+  /**
+   * Get the bonus type recorded for a solve position
+   * @param {number} solvePosition - Solve order of the player
+   * @returns {string} - 'first_blood' or 'early_solver'
+   */
+  static getSolveBonusType(solvePosition) {
+    return solvePosition === 1 ? 'first_blood' : 'early_solver';
+  }
+
+  /**
+   * Calculate the dynamic base value of a challenge.
+   * Uses the CTFd-style quadratic decay: the value falls from `initial` to `minimum`
+   * over `decay` solves and stays at the minimum afterwards. The first solver gets `initial`.
+   * @param {number} solveCount - Number of players who have solved the game (including the current one)
+   * @returns {number} - Base points for the challenge
+   */
+  calculateDynamicValue(solveCount) {
+    const solves = Math.max(0, (solveCount || 0) - 1);
+    const value = ((this.dynamicMinimum - this.dynamicInitial) / Math.pow(this.dynamicDecay, 2)) * Math.pow(solves, 2) + this.dynamicInitial;
+    return Math.max(this.dynamicMinimum, Math.ceil(value));
+  }
+
+  /**
+   * Get the base points a game is worth before hints and bonuses.
+   * With dynamic scoring, the decayed value is scaled by the profile's base points relative to
+   * the default profile, so a profile worth twice the default stays worth twice as much as values decay.
+   * @param {Object} options - Scoring options
+   * @param {number} options.solveCount - Number of solvers, used when dynamic scoring is enabled
+   * @param {Object} profile - Scoring profile (defaults to the default profile)
+   * @returns {number} - Base points
+   */
+  getBasePoints(options = {}, profile = null) {
+    const defaultProfile = this.profiles[this.defaultProfileName];
+    const basePoints = (profile || defaultProfile).basePoints;
+    
+    if (this.dynamicEnabled && options.solveCount !== undefined) {
+      const value = this.calculateDynamicValue(options.solveCount);
+      return defaultProfile.basePoints > 0 ? Math.ceil(value * basePoints / defaultProfile.basePoints) : value;
+    }
+    return basePoints;
+  }
+
+  /**
+   * Calculate the points for a solve and how they were reached
    * @param {number} hintsUsed - Number of hints used
    * @param {Object} game - Game configuration
-   * @returns {number} - Points earned
+   * @param {Object} options - Scoring options
+   * @param {number} options.solveCount - Number of solvers including this one (dynamic scoring)
+   * @param {number} options.wrongAttempts - Wrong answers submitted before the solve
+   * @param {number} options.solveSeconds - Seconds between the first interaction and the solve
+   * @param {string} options.profile - Event scoring profile
+   * @returns {Object} - Breakdown with the final `total`
    */
-  calculatePoints(hintsUsed, game) {
-    // Start with base points
-    let points = this.startingPoints;
+  calculateBreakdown(hintsUsed, game, options = {}) {
+    const profile = this.getProfile(game, options);
+    const basePoints = this.getBasePoints(options, profile);
+    const hintDeduction = this.calculateHintDeduction(hintsUsed, profile);
+    const wrongAttempts = Math.max(0, options.wrongAttempts || 0);
+    const wrongAttemptDeduction = this.calculateWrongAttemptDeduction(wrongAttempts, profile);
+    
+    let points = basePoints - hintDeduction - wrongAttemptDeduction;
+    
+    // Ensure points don't go below the profile's floor (a share of base points)
+    const minPoints = Math.ceil(basePoints * profile.floor);
+    const floorApplied = points < minPoints;
+    points = Math.max(points, minPoints);
     
-    // Apply difficulty multiplier if present
+    // Apply difficulty bonus (higher difficulty yields more points)
     const difficulty = game.difficulty || 1;
+    const difficultyFactor = profile.difficultyBonus[difficulty] || 0;
+    const difficultyBonus = Math.ceil(points * (1 + difficultyFactor)) - points;
     
-    // Calculate points deduction for hints
+    // Speed bonus is a flat amount on top, so it isn't scaled by difficulty
+    const solveSeconds = options.solveSeconds !== undefined && options.solveSeconds !== null
+      ? Math.max(0, options.solveSeconds)
+      : null;
+    const speedBonus = this.calculateSpeedBonus(solveSeconds, profile);
+    
+    return {
+      profile: profile.name,
+      basePoints,
+      hintsUsed,
+      hintDeduction,
+      wrongAttempts,
+      wrongAttemptDeduction,
+      minPoints,
+      floorApplied,
+      difficulty,
+      difficultyFactor,
+      difficultyBonus,
+      solveSeconds,
+      speedBonus,
+      total: points + difficultyBonus + speedBonus
+    };
+  }
+
+  /**
+   * Calculate points earned for completing a game
+   * @param {number} hintsUsed - Number of hints used
+   * @param {Object} game - Game configuration
+   * @param {Object} options - Scoring options (see calculateBreakdown)
+   * @returns {number} - Points earned
+   */
+  calculatePoints(hintsUsed, game, options = {}) {
+    return this.calculateBreakdown(hintsUsed, game, options).total;
+  }
+
+  /**
+   * Calculate the total deduction for the hints used
+   * @param {number} hintsUsed - Number of hints used
+   * @param {Object} profile - Scoring profile
+   * @returns {number} - Points deducted
+   */
+  calculateHintDeduction(hintsUsed, profile) {
     let hintDeduction = 0;
     
     for (let i = 0; i < hintsUsed; i++) {
       // Each hint costs more than the previous one
-      const thisHintPenalty = this.hintBasePenalty + (i * this.hintPenaltyIncrease);
-      hintDeduction += thisHintPenalty;
+      hintDeduction += profile.hintBasePenalty + (i * profile.hintPenaltyIncrease);
     }
     
-    // Apply hint deduction
-    points -= hintDeduction;
+    return profile.hintPenaltyMax !== null ? Math.min(hintDeduction, profile.hintPenaltyMax) : hintDeduction;
+  }
+
+  /**
+   * Calculate the deduction for wrong answers submitted before the solve
+   * @param {number} wrongAttempts - Number of wrong answers
+   * @param {Object} profile - Scoring profile
+   * @returns {number} - Points deducted
+   */
+  calculateWrongAttemptDeduction(wrongAttempts, profile) {
+    const deduction = wrongAttempts * profile.wrongAttemptPenalty;
+    return profile.wrongAttemptPenaltyMax !== null ? Math.min(deduction, profile.wrongAttemptPenaltyMax) : deduction;
+  }
+
+  /**
+   * Calculate the speed bonus for a solve.
+   * The full bonus is given within `full_minutes`, then it falls linearly to zero at `zero_minutes`.
+   * @param {number|null} solveSeconds - Seconds between the first interaction and the solve
+   * @param {Object} profile - Scoring profile
+   * @returns {number} - Bonus points
+   */
+  calculateSpeedBonus(solveSeconds, profile) {
+    if (!profile.speedBonusMax || solveSeconds === null || solveSeconds === undefined) return 0;
     
-    // Ensure points don't go below minimum threshold (10% of starting points)
-    const minPoints = Math.ceil(this.startingPoints * 0.1);
-    points = Math.max(points, minPoints);
+    const fullSeconds = profile.speedBonusFullMinutes * 60;
+    const zeroSeconds = Math.max(fullSeconds, profile.speedBonusZeroMinutes * 60);
     
-    // Apply difficulty bonus (higher difficulty yields significantly more points)
-    if (difficulty > 1) {
-      // More substantial bonus: 20% for level 2, 50% for level 3, 100% for level 4
-      const difficultyBonusFactors = {
-        2: 0.2,  // 20% bonus
-        3: 0.5,  // 50% bonus
-        4: 1.0   // 100% bonus (double points)
-      };
-      
-      const bonusFactor = difficultyBonusFactors[difficulty] || (difficulty - 1) * 0.1;
-      points = Math.ceil(points * (1 + bonusFactor));
-    }
+    if (solveSeconds <= fullSeconds) return profile.speedBonusMax;
+    if (solveSeconds >= zeroSeconds) return 0;
+    
+    return Math.round(profile.speedBonusMax * (zeroSeconds - solveSeconds) / (zeroSeconds - fullSeconds));
+  }
+
+  /**
+   * Get the seconds elapsed since a player's first interaction with a game
+   * @param {Object|null} progress - Progress row read before the solving submission
+   * @param {Date} now - Time of the solve
+   * @returns {number|null} - Elapsed seconds, or null if the start time is unknown
+   */
+  static getSolveSeconds(progress, now = new Date()) {
+    // Solved without opening the challenge, a hint or an earlier answer, or played before
+    // start times were tracked: there is nothing to time, so no speed bonus applies
+    if (!progress || !progress.started_at) return null;
+    
+    const value = String(progress.started_at);
+    const started = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+    
+    if (isNaN(started.getTime())) return null;
+    return Math.max(0, Math.round((now.getTime() - started.getTime()) / 1000));
+  }
+
+  /**
+   * Format a duration in seconds as "1h 5m", "4m 12s" or "35s"
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} - Formatted duration
+   */
+  static formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = seconds % 60;
     
-    return points;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${secs}s`;
+    return `${secs}s`;
   }
 
   /**
    * Calculate cost of next hint
    * @param {number} hintsUsed - Number of hints already used
+   * @param {Object} game - Game configuration (selects the scoring profile)
+   * @param {Object} options - Scoring options (see calculateBreakdown)
    * @returns {number} - Cost of the next hint
    */
-  calculateNextHintCost(hintsUsed) {
-    return this.hintBasePenalty + (hintsUsed * this.hintPenaltyIncrease);
+  calculateNextHintCost(hintsUsed, game = {}, options = {}) {
+    const profile = this.getProfile(game, options);
+    return this.calculateHintDeduction(hintsUsed + 1, profile) - this.calculateHintDeduction(hintsUsed, profile);
   }
 
   /**
    * Calculate maximum possible points remaining
    * @param {number} hintsUsed - Number of hints already used
    * @param {Object} game - Game configuration
+   * @param {Object} options - Scoring options (see calculateBreakdown)
    * @returns {number} - Maximum points possible
    */
-  calculateMaxPossiblePoints(hintsUsed, game) {
-    return this.calculatePoints(hintsUsed, game);
+  calculateMaxPossiblePoints(hintsUsed, game, options = {}) {
+    return this.calculatePoints(hintsUsed, game, options);
   }
 
   /**
-   * Format points display string with difficulty bonus
+   * Get the scoring options for the next solve of a game
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} - Options to pass to calculatePoints
+   */
+  async getNextSolveOptions(gameId) {
+    const options = {};
+    
+    // A solve made now counts for any running event holding the game, so its profile applies
+    const eventProfile = EventService.getScoringProfile(this.config, gameId);
+    if (eventProfile) options.profile = eventProfile;
+    
+    if (this.dynamicEnabled) {
+      options.solveCount = await getGameSolveCount(gameId) + 1;
+    }
+    return options;
+  }
+
+  /**
+   * Recalculate the points of every solver of a game from the current solve count.
+   * With dynamic scoring, a new solve lowers the value for everyone who already solved it.
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game configuration
+   * @returns {Promise<Object>} - { success, updated, value }
+   */
+  async rescoreGame(gameId, game) {
+    if (!this.dynamicEnabled || !game) return { success: true, updated: 0 };
+
+    const solvers = await getGameSolvers(gameId);
+    const options = { solveCount: solvers.length };
+
+    const updates = solvers.map(solver => ({
+      userId: solver.user_id,
+      // attempts includes the correct answer
+      points: this.calculatePoints(solver.hints_used || 0, game, {
+        ...options,
+        wrongAttempts: Math.max(0, (solver.attempts || 0) - 1),
+        solveSeconds: solver.solve_seconds,
+        // Keep the profile of the event the solve counted for, even after the event ends
+        profile: EventService.getScoringProfile(this.config, gameId, solver.completion_date) || undefined
+      })
+    }));
+
+    const result = await updateGamePoints(gameId, updates);
+    const profile = this.getProfile(game, { profile: EventService.getScoringProfile(this.config, gameId) || undefined });
+    return { ...result, value: this.getBasePoints(options, profile) };
+  }
+
+  /**
+   * Recalculate points for every game in the configuration
+   * @returns {Promise<number>} - Number of progress rows updated
+   */
+  async rescoreAllGames() {
+    if (!this.dynamicEnabled) return 0;
+
+    let updated = 0;
+    for (const [gameId, game] of Object.entries(this.config.games || {})) {
+      const result = await this.rescoreGame(gameId, game);
+      updated += result.updated || 0;
+    }
+    return updated;
+  }
+
+  /**
+   * Format points display string explaining how the points were reached
    * @param {number} points - Points earned
    * @param {Object} game - Game configuration
+   * @param {Object} breakdown - Breakdown from calculateBreakdown (optional)
    * @returns {string} - Formatted points string
    */
-  formatPointsDisplay(points, game) {
-    const difficulty = game.difficulty || 1;
+  formatPointsDisplay(points, game, breakdown = null) {
+    if (!breakdown) {
+      const difficultyFactor = this.getProfile(game).difficultyBonus[game.difficulty || 1] || 0;
+      return difficultyFactor > 0
+        ? `${points} points (includes ${Math.round(difficultyFactor * 100)}% difficulty bonus)`
+        : `${points} points`;
+    }
     
-    if (difficulty === 1) {
+    const details = [];
+    
+    if (breakdown.hintDeduction > 0) {
+      details.push(`-${breakdown.hintDeduction} for ${breakdown.hintsUsed} hint${breakdown.hintsUsed === 1 ? '' : 's'}`);
+    }
+    
+    if (breakdown.wrongAttemptDeduction > 0) {
+      details.push(`-${breakdown.wrongAttemptDeduction} for ${breakdown.wrongAttempts} wrong attempt${breakdown.wrongAttempts === 1 ? '' : 's'}`);
+    }
+    
+    if (breakdown.floorApplied) {
+      details.push(`raised to the ${breakdown.minPoints} point minimum`);
+    }
+    
+    if (breakdown.difficultyBonus > 0) {
+      details.push(`+${Math.round(breakdown.difficultyFactor * 100)}% difficulty bonus`);
+    }
+    
+    if (breakdown.speedBonus > 0) {
+      details.push(`+${breakdown.speedBonus} speed bonus`);
+    }
+    
+    if (details.length === 0) {
       return `${points} points`;
     }
     
-    const difficultyBonus = (difficulty - 1) * 10; // 10% per level as percentage
-    return `${points} points (includes ${difficultyBonus}% difficulty bonus)`;
+    return `${points} points (${breakdown.basePoints} base, ${details.join(', ')})`;
+  }
+
+  /**
+   * Format a points breakdown as one line per scoring step
+   * @param {Object} breakdown - Breakdown from calculateBreakdown
+   * @returns {string} - Multi-line breakdown ending with the total
+   */
+  formatBreakdownLines(breakdown) {
+    const lines = [`Base points: **${breakdown.basePoints}**`];
+    
+    if (breakdown.hintDeduction > 0) {
+      lines.push(`Hints used (${breakdown.hintsUsed}): **-${breakdown.hintDeduction}**`);
+    }
+    
+    if (breakdown.wrongAttemptDeduction > 0) {
+      lines.push(`Wrong attempts (${breakdown.wrongAttempts}): **-${breakdown.wrongAttemptDeduction}**`);
+    }
+    
+    if (breakdown.floorApplied) {
+      lines.push(`Minimum score applied: **${breakdown.minPoints}**`);
+    }
+    
+    if (breakdown.difficultyBonus > 0) {
+      lines.push(`Difficulty bonus (+${Math.round(breakdown.difficultyFactor * 100)}%): **+${breakdown.difficultyBonus}**`);
+    }
+    
+    if (breakdown.speedBonus > 0) {
+      lines.push(`Speed bonus (solved in ${PointsCalculator.formatDuration(breakdown.solveSeconds)}): **+${breakdown.speedBonus}**`);
+    }
+    
+    lines.push(`Total: **${breakdown.total} points**`);
+    return lines.join('\n');
   }
 }
 
@@ -0,0 +1,427 @@
+/**
+ * @file reward-queue.js - Persistent Reward Delivery Queue
+ * @description Wraps RewardService so that every reward is delivered through a job stored in the
+ *              reward_jobs table. The first attempt runs right away; transient failures (network
+ *              errors, HTTP 429/5xx) are retried with exponential backoff, authentication failures
+ *              (HTTP 401/403, missing token) pause deliveries of that reward type until a periodic probe
+ *              or any later delivery succeeds, and everything else is marked failed for an admin to
+ *              retry, cancel or force-complete with `/judge-admin rewards`.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const RewardService = require('./reward');
+const SeriesService = require('./series');
+const {
+  createRewardJob,
+  claimRewardJob,
+  getRewardJobs,
+  updateRewardJob,
+  requeueRewardJobs,
+  cancelRewardJobs,
+  recordReward,
+  getReward,
+  deleteReward,
+  getRoleGrants,
+  markRoleGrantRemoved
+} = require('./database');
+
+// Network errors worth retrying
+const TRANSIENT_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE'];
+// Jobs handled per processing run, so one run never blocks for long
+const BATCH_SIZE = 20;
+// Statuses an admin can still act on
+const OPEN_STATUSES = ['pending', 'paused', 'failed'];
+
+class RewardQueue {
+  /**
+   * @param {Object} config - Bot configuration
+   * @param {Object} client - Discord.js client (for DMs and role rewards)
+   */
+  constructor(config, client = null) {
+    const settings = config.bot.reward_queue || {};
+
+    this.config = config;
+    this.client = client;
+    this.rewardService = new RewardService(config, client);
+    this.maxAttempts = Math.max(1, settings.max_attempts || 6);
+    this.baseDelaySeconds = Math.max(1, settings.base_delay_seconds || 60);
+    this.maxDelaySeconds = Math.max(this.baseDelaySeconds, settings.max_delay_seconds || 21600);
+    this.authRecheckMinutes = Math.max(1, settings.auth_recheck_minutes || 30);
+    this.notifyAdmins = settings.notify_admins !== false;
+    this.processing = false;
+  }
+
+  /**
+   * Queue a reward and try to deliver it immediately
+   * @param {Object} user - User object from database
+   * @param {Object} game - Game configuration with ID
+   * @param {Object} details - Completion details passed to RewardService.issueReward()
+   * @returns {Promise<Object>} - Reward information, or `{ type: 'queued', status, jobId, message }`
+   */
+  async issue(user, game, details = {}) {
+    // Retries still report when the game was completed
+    details = { date: new Date().toISOString(), ...details };
+    const job = await createRewardJob(user.id, game.id, game.reward_type, details);
+
+    // Without a job there is nothing to retry from, so deliver directly as before
+    if (!job.success) {
+      return await this.rewardService.issueReward(user, game, details);
+    }
+
+    const outcome = await this.runJob(job.jobId);
+
+    if (outcome.status === 'completed') {
+      return outcome.rewardInfo;
+    }
+
+    return {
+      type: 'queued',
+      status: outcome.status,
+      jobId: job.jobId,
+      message: RewardQueue.describeDelay(outcome.status)
+    };
+  }
+
+  /**
+   * Issue a reward again, e.g. when the player lost it or it was revoked by mistake
+   * @param {Object} user - User object from database
+   * @param {Object} game - Game configuration with ID
+   * @param {Object} details - Completion details passed to RewardService.issueReward()
+   * @param {string} adminId - Discord ID of the admin
+   * @returns {Promise<Object>} - Same as issue()
+   */
+  async reissue(user, game, details, adminId) {
+    // The old row would block recording the new reward
+    const previous = await getReward(user.id, game.id);
+    if (previous) {
+      global.logger.info(`Reissuing reward for user ${user.discord_id} on ${game.id}; replacing reward #${previous.id} (${previous.reward_type}, issued ${previous.issue_date})`);
+      await deleteReward(previous.id);
+    }
+
+    await cancelRewardJobs(user.id, game.id, adminId);
+
+    // The new role grant replaces the recorded one; the role itself is simply added again
+    const grants = await getRoleGrants({ userId: user.id, gameIds: [game.id] });
+    for (const grant of grants) {
+      await markRoleGrantRemoved(grant.id, 'reissued');
+    }
+
+    return await this.issue(user, game, details);
+  }
+
+  /**
+   * Process due jobs. Called periodically from index.js.
+   * @returns {Promise<number>} - Number of jobs attempted
+   */
+  async processDue() {
+    if (this.processing) return 0;
+    this.processing = true;
+
+    try {
+      const now = new Date().toISOString();
+      const paused = await getRewardJobs({ statuses: ['paused'] });
+      const pausedTypes = new Set(paused.map(job => job.reward_type));
+      let attempted = 0;
+
+      // Probe each paused reward type with its oldest job once the recheck time has come;
+      // a success requeues the rest of that type (see runJob)
+      for (const rewardType of [...pausedTypes]) {
+        const probe = paused.find(job => job.reward_type === rewardType && job.next_attempt_at <= now);
+        if (!probe) continue;
+
+        await updateRewardJob(probe.id, { status: 'pending' }, ['paused']);
+        const outcome = await this.runJob(probe.id, { notify: true });
+        attempted++;
+
+        if (outcome.status === 'completed') {
+          pausedTypes.delete(rewardType);
+        }
+      }
+
+      const due = await getRewardJobs({ statuses: ['pending'], dueBefore: now, limit: BATCH_SIZE });
+
+      for (const job of due) {
+        // These would only fail the same way as the paused job
+        if (pausedTypes.has(job.reward_type)) continue;
+
+        const outcome = await this.runJob(job.id, { notify: true });
+        attempted++;
+
+        if (outcome.status === 'paused') {
+          pausedTypes.add(job.reward_type);
+        }
+      }
+
+      return attempted;
+    } catch (error) {
+      global.logger.error(`Error processing reward queue: ${error.message}`);
+      return 0;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Attempt a single job
+   * @param {number} jobId - Reward job ID
+   * @param {Object} options - { notify: DM the player on success (for background deliveries) }
+   * @returns {Promise<Object>} - { status, rewardInfo?, error? }
+   */
+  async runJob(jobId, options = {}) {
+    // Another run (or the interval) already owns this job
+    if (!(await claimRewardJob(jobId))) {
+      return { status: 'skipped' };
+    }
+
+    const [job] = await getRewardJobs({ id: jobId });
+    // Series rewards are queued under `series:<id>`
+    const game = SeriesService.getRewardSource(this.config, job.game_id);
+
+    try {
+      if (!game) {
+        throw new Error(`Game ${job.game_id} no longer exists`);
+      }
+
+      const user = { id: job.user_id, discord_id: job.discord_id, username: job.username, email: job.email };
+      // Webhook receivers use the delivery ID to ignore retries they already processed
+      const details = { ...JSON.parse(job.payload || '{}'), deliveryId: `reward-job-${job.id}` };
+      const rewardInfo = await this.rewardService.issueReward(user, { ...game, id: job.game_id }, details);
+
+      await updateRewardJob(jobId, {
+        status: 'completed',
+        last_error: null,
+        completed_at: new Date().toISOString(),
+        result: JSON.stringify({ type: rewardInfo.type, message: rewardInfo.message })
+      });
+
+      // A delivery that works again means the reward service recovered
+      const resumed = await requeueRewardJobs(['paused'], job.reward_type);
+      if (resumed > 0) {
+        global.logger.info(`Reward deliveries of type ${job.reward_type} are working again; resumed ${resumed} paused jobs`);
+      }
+
+      if (options.notify) {
+        await this.notifyPlayer(job, game, rewardInfo);
+      }
+
+      global.logger.info(`Reward job #${jobId} (${job.reward_type}) for user ${job.user_id} on ${job.game_id} completed after ${job.attempts} attempt(s)`);
+      return { status: 'completed', rewardInfo };
+    } catch (error) {
+      return await this.handleFailure(job, game, error);
+    }
+  }
+
+  /**
+   * Decide what happens to a job after a failed attempt
+   * @param {Object} job - Reward job row (attempts already includes this attempt)
+   * @param {Object} game - Game configuration (may be missing)
+   * @param {Error} error - Delivery error
+   * @returns {Promise<Object>} - { status, error }
+   */
+  async handleFailure(job, game, error) {
+    const kind = RewardQueue.classifyError(error);
+    const now = Date.now();
+    let status;
+    let nextAttemptAt = null;
+
+    if (kind === 'auth') {
+      status = 'paused';
+      nextAttemptAt = new Date(now + this.authRecheckMinutes * 60000).toISOString();
+    } else if (kind === 'transient' && job.attempts < this.maxAttempts) {
+      status = 'pending';
+      nextAttemptAt = new Date(now + this.calculateDelaySeconds(job.attempts) * 1000).toISOString();
+    } else {
+      status = 'failed';
+    }
+
+    await updateRewardJob(job.id, {
+      status,
+      last_error: error.message.substring(0, 500),
+      next_attempt_at: nextAttemptAt
+    });
+
+    global.logger.warn(`Reward job #${job.id} (${job.reward_type}) attempt ${job.attempts} failed (${kind}): ${error.message} ` +
+      `[${status}${nextAttemptAt ? `, next attempt at ${nextAttemptAt}` : ''}]`);
+
+    if (status === 'failed') {
+      await this.alertAdmins(job, game, error);
+    }
+
+    return { status, error };
+  }
+
+  /**
+   * Retry a job now, resetting its attempt count
+   * @param {number} jobId - Reward job ID
+   * @returns {Promise<Object>} - { success, status?, rewardInfo?, error? }
+   */
+  async retry(jobId) {
+    const update = await updateRewardJob(jobId, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString()
+    }, OPEN_STATUSES);
+
+    if (!update.success || !update.changed) {
+      return { success: false, error: 'Job not found or already completed' };
+    }
+
+    const outcome = await this.runJob(jobId, { notify: true });
+    return { success: true, ...outcome };
+  }
+
+  /**
+   * Requeue every failed and paused job for the next processing run
+   * @returns {Promise<number>} - Number of requeued jobs
+   */
+  async retryAll() {
+    return await requeueRewardJobs(['failed', 'paused']);
+  }
+
+  /**
+   * Cancel a job without delivering the reward
+   * @param {number} jobId - Reward job ID
+   * @param {string} adminId - Discord ID of the admin
+   * @returns {Promise<Object>} - Operation result
+   */
+  async cancel(jobId, adminId) {
+    const update = await updateRewardJob(jobId, { status: 'cancelled', resolved_by: adminId }, OPEN_STATUSES);
+
+    if (!update.success || !update.changed) {
+      return { success: false, error: 'Job not found or already closed' };
+    }
+
+    return { success: true };
+  }
+
+  /**
+   * Mark a job as delivered without issuing anything (e.g. the admin delivered it by hand)
+   * @param {number} jobId - Reward job ID
+   * @param {string} adminId - Discord ID of the admin
+   * @returns {Promise<Object>} - Operation result
+   */
+  async forceComplete(jobId, adminId) {
+    const [job] = await getRewardJobs({ id: jobId });
+
+    const update = await updateRewardJob(jobId, {
+      status: 'completed',
+      resolved_by: adminId,
+      completed_at: new Date().toISOString(),
+      result: JSON.stringify({ forced: true })
+    }, OPEN_STATUSES);
+
+    if (!job || !update.success || !update.changed) {
+      return { success: false, error: 'Job not found or already closed' };
+    }
+
+    // Keep the rewards table in line with what the player received
+    await recordReward(job.user_id, job.game_id, job.reward_type, JSON.stringify({ forced_by: adminId }));
+
+    return { success: true, job };
+  }
+
+  /**
+   * Requeue jobs left in processing by a crash or restart
+   * @returns {Promise<number>} - Number of recovered jobs
+   */
+  async recover() {
+    const recovered = await requeueRewardJobs(['processing']);
+    if (recovered > 0) {
+      global.logger.warn(`Requeued ${recovered} reward jobs interrupted by a restart`);
+    }
+    return recovered;
+  }
+
+  /**
+   * Backoff before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} - Delay in seconds
+   */
+  calculateDelaySeconds(attempts) {
+    return Math.min(this.baseDelaySeconds * Math.pow(2, Math.max(0, attempts - 1)), this.maxDelaySeconds);
+  }
+
+  /**
+   * Tell the player about a reward delivered in the background
+   * @param {Object} job - Reward job row
+   * @param {Object} game - Game configuration
+   * @param {Object} rewardInfo - Result of RewardService.issueReward()
+   * @returns {Promise<void>}
+   */
+  async notifyPlayer(job, game, rewardInfo) {
+    // These reward types already DM their file to the player
+    if (!this.client || ['openbadge', 'certificate'].includes(rewardInfo.type)) return;
+
+    let content = `🎁 Your reward for **${game.name}** has been delivered: ${rewardInfo.message}`;
+    if (rewardInfo.type === 'text') {
+      content = `🎁 Your reward for **${game.name}**:\n${rewardInfo.data.text}`;
+    }
+
+    try {
+      const discordUser = await this.client.users.fetch(job.discord_id);
+      await discordUser.send(content.substring(0, 2000));
+    } catch (error) {
+      global.logger.warn(`Could not notify user ${job.discord_id} about reward job #${job.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * DM the admins about a job that needs manual attention
+   * @param {Object} job - Reward job row
+   * @param {Object} game - Game configuration (may be missing)
+   * @param {Error} error - Last delivery error
+   * @returns {Promise<void>}
+   */
+  async alertAdmins(job, game, error) {
+    if (!this.client || !this.notifyAdmins) return;
+
+    const content = `⚠️ Reward delivery failed: job #${job.id} (${job.reward_type}) for **${job.username}** on ` +
+      `"${game ? game.name : job.game_id}" after ${job.attempts} attempt(s).\nError: ${error.message}\n` +
+      'Use `/judge-admin rewards` to retry, cancel or complete it.';
+
+    for (const adminId of this.config.bot.admins || []) {
+      try {
+        const admin = await this.client.users.fetch(adminId);
+        await admin.send(content.substring(0, 2000));
+      } catch (dmError) {
+        // Silently skip admins we cannot DM
+      }
+    }
+  }
+
+  /**
+   * Classify a delivery error
+   * @param {Error} error - Error thrown by RewardService
+   * @returns {string} - 'auth', 'transient' or 'permanent'
+   */
+  static classifyError(error) {
+    const status = error.status || (error.response && error.response.status);
+
+    if (error.authFailure || status === 401 || status === 403) return 'auth';
+    if (status === 429 || status >= 500) return 'transient';
+    if (status) return 'permanent';
+    if (TRANSIENT_ERROR_CODES.includes(error.code)) return 'transient';
+
+    return 'permanent';
+  }
+
+  /**
+   * Message for a player whose reward could not be delivered right away
+   * @param {string} status - Job status after the first attempt
+   * @returns {string} - Message
+   */
+  static describeDelay(status) {
+    if (status === 'paused') {
+      return '⏳ The reward service is temporarily unavailable. Your reward is queued and will be delivered automatically.';
+    }
+
+    if (status === 'pending') {
+      return '⏳ Your reward could not be delivered right now. It will be retried automatically and sent to you by DM.';
+    }
+
+    return 'There was an error issuing your reward. An administrator has been notified.';
+  }
+}
+
+module.exports = RewardQueue;
@@ -1,7 +1,11 @@
 /**
  * @file reward.js - Challenge Reward Distribution Service
  * @description Automated reward system for challenge completions supporting multiple reward types.
- *              Integrates with Badgr API for digital badge issuance and handles text-based rewards.
+ *              Integrates with Badgr API for digital badge issuance (with automatic OAuth token
+ *              refresh), signs self-hosted Open Badges 3.0
+ *              credentials, renders completion certificates, handles text-based rewards, grants
+ *              Discord roles (with optional expiry and prerequisite games) and POSTs signed webhooks. Issued rewards can be
+ *              revoked, which also revokes the Badgr assertion or removes the role.
  *              Features comprehensive error handling, database recording, and flexible reward
  *              configuration management for different challenge completion scenarios.
  * @version 1.1.0
@@ -9,22 +13,39 @@
  * @since 2025-04-03
  */
 const axios = require('axios');
-const { recordReward } = require('./database');
+const { AttachmentBuilder } = require('discord.js');
+const BadgrAuth = require('./badgr-auth');
+const OpenBadgeIssuer = require('./openbadge');
+const CertificateRenderer = require('./certificate');
+const WebhookSender = require('./webhook');
+const { recordReward, getReward, markRewardRevoked, cancelRewardJobs, getUserRewards, getCompletedGameIds, recordRoleGrant, getRoleGrants, markRoleGrantRemoved } = require('./database');
+
+// Discord API errors meaning the member or role no longer exists, so there is nothing left to remove
+const GONE_ERROR_CODES = [10007, 10011, 10013];
 
 class RewardService {
-  constructor(config) {
+  /**
+   * @param {Object} config - Bot configuration
+   * @param {Object} client - Discord.js client (required for role rewards)
+   */
+  constructor(config, client = null) {
     this.config = config;
+    this.client = client;
     this.badgrBaseUrl = process.env.BADGR_BASE_URL || config.badgr.base_url;
-    this.badgrToken = process.env.BADGR_TOKEN || '';
+    this.badgrAuth = new BadgrAuth(config, client);
+    
+    const roleRewards = config.bot.role_rewards || {};
+    this.roleGuildId = roleRewards.guild_id || process.env.GUILD_ID || null;
   }
 
   /**
    * Issue a reward based on the game's reward type
    * @param {Object} user - User object from database
    * @param {Object} game - Game configuration with ID
+   * @param {Object} details - Completion details used by certificates and webhooks ({ username, points, deliveryId })
    * @returns {Promise<Object>} - Reward information
    */
-  async issueReward(user, game) {
+  async issueReward(user, game, details = {}) {
     try {
       // Determine reward type
       const rewardType = game.reward_type;
@@ -39,8 +60,16 @@ class RewardService {
       
       if (rewardType === 'badgr') {
         return await this.issueBadge(user, game, gameId);
+      } else if (rewardType === 'openbadge') {
+        return await this.issueOpenBadge(user, game, gameId);
+      } else if (rewardType === 'certificate') {
+        return await this.issueCertificate(user, game, gameId, details);
       } else if (rewardType === 'text') {
         return await this.issueTextReward(user, game, gameId);
+      } else if (rewardType === 'role') {
+        return await this.issueRoleReward(user, game, gameId);
+      } else if (rewardType === 'webhook') {
+        return await this.issueWebhookReward(user, game, gameId, details);
       } else {
         throw new Error(`Unknown reward type: ${rewardType}`);
       }
@@ -69,17 +98,6 @@ class RewardService {
         throw new Error('Badge class ID is not configured for this game');
       }
 
-      if (!this.badgrToken) {
-        throw new Error('Badgr API token is not configured. Set BADGR_TOKEN environment variable.');
-      }
-
-      const requestConfig = {
-        headers: {
-          'Authorization': `Bearer ${this.badgrToken}`,
-          'Content-Type': 'application/json'
-        }
-      };
-
       const requestBody = {
         recipient: {
           identity: user.email,
@@ -96,18 +114,13 @@ class RewardService {
 
       let response;
       try {
-        response = await axios.post(
+        response = await this.badgrAuth.request(headers => axios.post(
           `${this.badgrBaseUrl}/badgeclasses/${badgeClassId}/assertions`,
           requestBody,
-          requestConfig
-        );
+          { headers }
+        ));
       } catch (apiError) {
-        // Detect expired/invalid token and provide actionable guidance
-        if (apiError.response && (apiError.response.status === 401 || apiError.response.status === 403)) {
-          global.logger.error(`Badgr API authentication failed (HTTP ${apiError.response.status}). The BADGR_TOKEN may be expired or invalid. Please refresh the token.`);
-          throw new Error('Badge service authentication failed. An administrator needs to refresh the API token.');
-        }
-        throw apiError;
+        throw RewardService.toBadgrError(apiError);
       }
 
       // Record the reward in the database using explicit gameId
@@ -130,6 +143,251 @@ class RewardService {
     }
   }
 
+  /**
+   * Turn Badgr authentication failures into an actionable error
+   * @param {Error} apiError - Axios error
+   * @returns {Error} - Error to throw
+   */
+  static toBadgrError(apiError) {
+    // Token endpoint failures are already auth errors
+    if (apiError.authFailure) {
+      return apiError;
+    }
+
+    // Detect expired/invalid token (still rejected after a refresh) and provide actionable guidance
+    if (apiError.response && (apiError.response.status === 401 || apiError.response.status === 403)) {
+      global.logger.error(`Badgr API authentication failed (HTTP ${apiError.response.status}). The Badgr token or account may be invalid or lack the issuer permission.`);
+      const authError = new Error('Badge service authentication failed. An administrator needs to check the Badgr credentials.');
+      // Lets the reward queue pause Badgr deliveries instead of burning retries
+      authError.authFailure = true;
+      authError.status = apiError.response.status;
+      return authError;
+    }
+
+    return apiError;
+  }
+
+  /**
+   * Revoke the reward a user received for a game
+   * @param {Object} user - User object from database
+   * @param {string} gameId - Game ID
+   * @param {string} reason - Reason shown in Badgr and kept in the rewards table
+   * @param {string} revokedBy - Discord ID of the admin
+   * @returns {Promise<Object>} - { rewardType, rolesRemoved, jobsCancelled }
+   */
+  async revokeReward(user, gameId, reason, revokedBy) {
+    const reward = await getReward(user.id, gameId);
+    
+    if (!reward) {
+      throw new Error('No reward has been issued for this game');
+    }
+    
+    if (reward.revoked) {
+      throw new Error('This reward is already revoked');
+    }
+    
+    let rolesRemoved = 0;
+    
+    // Revoke at the source first, so a failure leaves the reward untouched and can be retried
+    if (reward.reward_type === 'badgr') {
+      await this.revokeBadge(reward, reason);
+    } else if (reward.reward_type === 'role') {
+      rolesRemoved = await this.removeRoles(user, gameId, 'revoked');
+    }
+    
+    // Open Badges are checked against this flag by /judge-verify, certificates by /judge-progress
+    const result = await markRewardRevoked(reward.id, reason, revokedBy);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    
+    const jobsCancelled = await cancelRewardJobs(user.id, gameId, revokedBy);
+    
+    global.logger.info(`Revoked ${reward.reward_type} reward #${reward.id} of user ${user.discord_id} for game ${gameId}: ${reason}`);
+    
+    return { rewardType: reward.reward_type, rolesRemoved, jobsCancelled };
+  }
+
+  /**
+   * Revoke a Badgr assertion
+   * @param {Object} reward - Reward row holding the Badgr API response
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<void>}
+   */
+  async revokeBadge(reward, reason) {
+    let assertion = {};
+    try {
+      assertion = JSON.parse(reward.reward_data || '{}');
+    } catch (error) {
+      assertion = {};
+    }
+    
+    const assertionId = RewardService.getAssertionId(assertion);
+    if (!assertionId) {
+      throw new Error('Badgr assertion ID not found in the reward record');
+    }
+    
+    try {
+      await this.badgrAuth.request(headers => axios.delete(`${this.badgrBaseUrl}/assertions/${encodeURIComponent(assertionId)}`, {
+        headers,
+        data: { revocation_reason: reason }
+      }));
+    } catch (apiError) {
+      // Already gone on the Badgr side
+      if (apiError.response && apiError.response.status === 404) {
+        global.logger.warn(`Badgr assertion ${assertionId} was not found, treating it as revoked`);
+        return;
+      }
+      
+      throw RewardService.toBadgrError(apiError);
+    }
+  }
+
+  /**
+   * Get the assertion ID from a stored Badgr API response
+   * @param {Object} assertion - Badgr response (v2 wraps the assertion in `result`, v1 uses `slug`)
+   * @returns {string|null} - Assertion entity ID
+   */
+  static getAssertionId(assertion) {
+    const entity = Array.isArray(assertion.result) ? assertion.result[0] : assertion;
+    return (entity && (entity.entityId || entity.slug)) || null;
+  }
+
+  /**
+   * Issue a self-signed Open Badges 3.0 credential and DM it to the player as a JSON file
+   * @param {Object} user - User object from database
+   * @param {Object} game - Game configuration
+   * @param {string} gameId - Game ID for database recording
+   * @returns {Promise<Object>} - Credential information; `delivered` is false if the DM failed
+   */
+  async issueOpenBadge(user, game, gameId) {
+    try {
+      const issuer = new OpenBadgeIssuer(this.config);
+      const credential = issuer.createCredential(user, game, gameId);
+      
+      // The signed credential is the assertion, so keep all of it
+      await recordReward(user.id, gameId, 'openbadge', JSON.stringify(credential));
+      
+      const fileName = RewardService.getOpenBadgeFileName(gameId);
+      const delivered = await this.sendRewardFile(user, gameId, {
+        content: `🏅 Here is your Open Badge for **${game.name}**. Keep this file: it is signed and can be checked with \`/judge-verify\` or imported into any Open Badges 3.0 wallet.`,
+        files: [RewardService.createOpenBadgeAttachment(credential, gameId)]
+      });
+      
+      return {
+        type: 'openbadge',
+        data: { credential, fileName, delivered },
+        message: delivered
+          ? `Open Badge "${game.name}" issued and sent to you by DM`
+          : `Open Badge "${game.name}" issued`
+      };
+    } catch (error) {
+      global.logger.error(`Error issuing Open Badge: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Render a completion certificate, store it and DM it to the player
+   * @param {Object} user - User object from database
+   * @param {Object} game - Game configuration
+   * @param {string} gameId - Game ID for database recording
+   * @param {Object} details - { username, points, date }
+   * @returns {Promise<Object>} - Certificate information; `delivered` is false if the DM failed
+   */
+  async issueCertificate(user, game, gameId, details = {}) {
+    try {
+      const values = CertificateRenderer.buildValues(game, {
+        username: details.username || user.username,
+        points: details.points,
+        date: details.date
+      }, this.config);
+      
+      const certificate = CertificateRenderer.render(game, values);
+      const filePath = await CertificateRenderer.save(user.id, gameId, certificate);
+      const fileName = CertificateRenderer.getFileName(gameId, certificate.format);
+      
+      // Keep the values so the certificate can be re-rendered if the file is lost
+      await recordReward(user.id, gameId, 'certificate', JSON.stringify({ format: certificate.format, values }));
+      
+      const delivered = await this.sendRewardFile(user, gameId, {
+        content: `📜 Here is your certificate for completing **${game.name}**!`,
+        files: [new AttachmentBuilder(certificate.buffer, { name: fileName })]
+      });
+      
+      return {
+        type: 'certificate',
+        data: { format: certificate.format, filePath, fileName, delivered },
+        message: `Certificate for "${game.name}" issued`
+      };
+    } catch (error) {
+      global.logger.error(`Error issuing certificate: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * DM a reward file to a player
+   * @param {Object} user - User object from database
+   * @param {string} gameId - Game ID (for logging)
+   * @param {Object} message - Message options with files
+   * @returns {Promise<boolean>} - True if the DM was sent
+   */
+  async sendRewardFile(user, gameId, message) {
+    if (!this.client || !user.discord_id) return false;
+    
+    try {
+      const discordUser = await this.client.users.fetch(user.discord_id);
+      await discordUser.send(message);
+      return true;
+    } catch (error) {
+      global.logger.warn(`Could not DM reward file for ${gameId} to user ${user.discord_id}: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Files to attach to the completion reply when the reward could not be sent by DM
+   * @param {Object} rewardInfo - Result of issueReward()
+   * @param {string} gameId - Game ID
+   * @returns {Array<AttachmentBuilder>} - Attachments (empty if nothing is pending)
+   */
+  static getUndeliveredFiles(rewardInfo, gameId) {
+    if (!rewardInfo || !rewardInfo.data || rewardInfo.data.delivered !== false) return [];
+    
+    if (rewardInfo.type === 'openbadge') {
+      return [RewardService.createOpenBadgeAttachment(rewardInfo.data.credential, gameId)];
+    }
+    
+    if (rewardInfo.type === 'certificate') {
+      return [new AttachmentBuilder(rewardInfo.data.filePath, { name: rewardInfo.data.fileName })];
+    }
+    
+    return [];
+  }
+
+  /**
+   * File name used when sending an Open Badge credential
+   * @param {string} gameId - Game ID
+   * @returns {string} - File name
+   */
+  static getOpenBadgeFileName(gameId) {
+    // Series rewards are recorded as `series:<id>`
+    return `openbadge-${gameId.replace(/[^a-zA-Z0-9_.-]/g, '-')}.json`;
+  }
+
+  /**
+   * Build a Discord attachment holding a signed credential
+   * @param {Object} credential - Signed Open Badges credential
+   * @param {string} gameId - Game ID
+   * @returns {AttachmentBuilder} - JSON attachment
+   */
+  static createOpenBadgeAttachment(credential, gameId) {
+    return new AttachmentBuilder(Buffer.from(JSON.stringify(credential, null, 2), 'utf8'), {
+      name: RewardService.getOpenBadgeFileName(gameId)
+    });
+  }
+
   /**
 * Issue a text reward
 * @param {Object} user - User object from database
@@ -158,8 +416,257 @@ async issueTextReward(user, game, gameId) {
     throw error;
   }
 }
-}
 
+  /**
+   * POST a signed completion payload to the game's webhook and record the response
+   * @param {Object} user - User object from database
+   * @param {Object} game - Game configuration
+   * @param {string} gameId - Game ID for database recording
+   * @param {Object} details - { username, points, date, deliveryId }
+   * @returns {Promise<Object>} - Webhook delivery information
+   */
+  async issueWebhookReward(user, game, gameId, details = {}) {
+    try {
+      const values = WebhookSender.buildValues(user, game, gameId, {
+        ...details,
+        includeEmail: WebhookSender.isAllowedHost(game.webhook_url, this.config)
+      });
+      const result = await WebhookSender.send(game, values, this.config);
+
+      await recordReward(user.id, gameId, 'webhook', JSON.stringify(result));
+
+      global.logger.info(`Webhook ${result.deliveryId} for user ${user.discord_id} on ${gameId} answered HTTP ${result.status}`);
+
+      return {
+        type: 'webhook',
+        data: result,
+        message: game.reward_description || `Your completion of "${game.name}" has been registered`
+      };
+    } catch (error) {
+      global.logger.error(`Error sending webhook reward: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a Discord role reward, unless prerequisite games are still missing
+   * @param {Object} user - User object from database
+   * @param {Object} game - Game configuration
+   * @param {string} gameId - Game ID for database recording
+   * @returns {Promise<Object>} - Role reward information
+   */
+  async issueRoleReward(user, game, gameId) {
+    try {
+      if (!game.role_id) {
+        throw new Error('Role ID is not configured for this game');
+      }
+      
+      // The role is only granted once the whole set of games is done
+      const missing = await this.getMissingPrerequisites(user, game, gameId);
+      
+      if (missing.length > 0) {
+        const games = this.config.games || {};
+        const names = missing.map(id => (games[id] ? `"${games[id].name}"` : id));
+        
+        return {
+          type: 'role',
+          pending: true,
+          data: { role_id: game.role_id, missing },
+          message: `Complete ${names.join(', ')} to earn the <@&${game.role_id}> role.`
+        };
+      }
+      
+      return await this.grantRole(user, game, gameId);
+    } catch (error) {
+      global.logger.error(`Error issuing role reward: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Add the game's reward role to the player and record the grant
+   * @param {Object} user - User object from database
+   * @param {Object} game - Game configuration
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} - Role reward information
+   */
+  async grantRole(user, game, gameId) {
+    if (!this.client) {
+      throw new Error('Discord client is required for role rewards');
+    }
+    
+    if (!this.roleGuildId) {
+      throw new Error('Guild ID is not configured for role rewards. Set role_rewards.guild_id or GUILD_ID.');
+    }
+    
+    const guild = await this.client.guilds.fetch(this.roleGuildId);
+    const member = await guild.members.fetch(user.discord_id);
+    await member.roles.add(game.role_id, `Reward for completing "${game.name}"`);
+    
+    const durationHours = Number(game.role_duration_hours) || 0;
+    const expiresAt = durationHours > 0
+      ? new Date(Date.now() + durationHours * 3600 * 1000).toISOString()
+      : null;
+    
+    await recordRoleGrant(user.id, gameId, guild.id, game.role_id, expiresAt);
+    
+    // Re-grants after a prerequisite reset keep the original rewards row
+    const rewards = await getUserRewards(user.id);
+    if (!rewards.some(reward => reward.game_id === gameId)) {
+      await recordReward(user.id, gameId, 'role', JSON.stringify({
+        guild_id: guild.id,
+        role_id: game.role_id,
+        expires_at: expiresAt
+      }));
+    }
+    
+    global.logger.info(`Granted role ${game.role_id} to user ${user.discord_id} for game ${gameId}${expiresAt ? ` until ${expiresAt}` : ''}`);
+    
+    return {
+      type: 'role',
+      data: { role_id: game.role_id, expires_at: expiresAt },
+      message: `Role <@&${game.role_id}> granted for "${game.name}"`
+    };
+  }
 
+  /**
+   * Get the prerequisite games of a role reward that the user has not completed yet
+   * @param {Object} user - User object from database
+   * @param {Object} game - Game configuration
+   * @param {string} gameId - Game ID (always counted as done)
+   * @returns {Promise<Array<string>>} - Missing game IDs
+   */
+  async getMissingPrerequisites(user, game, gameId) {
+    const prerequisites = (Array.isArray(game.role_prerequisites) ? game.role_prerequisites : [])
+      .filter(id => id !== gameId);
+    
+    if (prerequisites.length === 0) return [];
+    
+    const completed = await getCompletedGameIds(user.id);
+    return prerequisites.filter(id => !completed.includes(id));
+  }
+
+  /**
+   * Grant role rewards whose prerequisites were completed after the game itself
+   * @param {Object} user - User object from database
+   * @returns {Promise<Array<Object>>} - Role rewards granted now
+   */
+  async grantPendingRoles(user) {
+    const games = this.config.games || {};
+    const completed = await getCompletedGameIds(user.id);
+    const grants = await getRoleGrants({ userId: user.id, activeOnly: false });
+    const granted = [];
+    
+    for (const [gameId, game] of Object.entries(games)) {
+      if (game.reward_type !== 'role' || !game.role_id || !completed.includes(gameId)) continue;
+      
+      // Skip roles the player holds, held until they expired, or had revoked
+      const alreadyGranted = grants.some(grant => grant.game_id === gameId &&
+        (!grant.removed_at || ['expired', 'revoked'].includes(grant.removed_reason)));
+      if (alreadyGranted) continue;
+      
+      if ((await this.getMissingPrerequisites(user, game, gameId)).length > 0) continue;
+      
+      try {
+        granted.push(await this.grantRole(user, { ...game, id: gameId }, gameId));
+      } catch (error) {
+        global.logger.error(`Error granting pending role for ${gameId} to user ${user.discord_id}: ${error.message}`);
+      }
+    }
+    
+    return granted;
+  }
+
+  /**
+   * Remove reward roles after a progress reset.
+   * Resetting a game also removes roles that listed it as a prerequisite.
+   * @param {Object} user - User object from database
+   * @param {string|null} gameId - Reset game ID, or null when all games were reset
+   * @param {string} reason - Reason stored with the grant
+   * @returns {Promise<number>} - Number of roles removed
+   */
+  async removeRoles(user, gameId = null, reason = 'reset') {
+    const filters = { userId: user.id };
+    
+    if (gameId) {
+      const dependents = Object.entries(this.config.games || {})
+        .filter(([, game]) => Array.isArray(game.role_prerequisites) && game.role_prerequisites.includes(gameId))
+        .map(([id]) => id);
+      filters.gameIds = [gameId, ...dependents];
+    }
+    
+    const grants = await getRoleGrants(filters);
+    let removed = 0;
+    
+    for (const grant of grants) {
+      if (await this.removeRoleGrant(grant, reason)) removed++;
+    }
+    
+    return removed;
+  }
+
+  /**
+   * Remove every reward role whose expiry time has passed
+   * @returns {Promise<number>} - Number of roles removed
+   */
+  async removeExpiredRoles() {
+    const grants = await getRoleGrants({ expiredBefore: new Date().toISOString() });
+    let removed = 0;
+    
+    for (const grant of grants) {
+      if (await this.removeRoleGrant(grant, 'expired')) removed++;
+    }
+    
+    if (removed > 0) {
+      global.logger.info(`Removed ${removed} expired reward role(s)`);
+    }
+    
+    return removed;
+  }
+
+  /**
+   * Remove a granted role from the member and mark the grant removed.
+   * When another active grant (another completed game) gives the member the same role,
+   * only this grant is marked removed and the member keeps the role.
+   * @param {Object} grant - Row from getRoleGrants
+   * @param {string} reason - Reason stored with the grant
+   * @returns {Promise<boolean>} - True if the role was taken from the member
+   */
+  async removeRoleGrant(grant, reason) {
+    const now = new Date().toISOString();
+    const otherGrant = (await getRoleGrants({ userId: grant.user_id })).find(other =>
+      other.id !== grant.id &&
+      String(other.role_id) === String(grant.role_id) &&
+      String(other.guild_id) === String(grant.guild_id) &&
+      (!other.expires_at || other.expires_at > now)
+    );
+    
+    if (otherGrant) {
+      await markRoleGrantRemoved(grant.id, reason);
+      global.logger.info(`Kept role ${grant.role_id} for ${grant.discord_id}: still granted by ${otherGrant.game_id} (${reason} on ${grant.game_id})`);
+      return false;
+    }
+    
+    try {
+      if (!this.client) {
+        throw new Error('Discord client is required for role rewards');
+      }
+      
+      const guild = await this.client.guilds.fetch(grant.guild_id);
+      const member = await guild.members.fetch(grant.discord_id);
+      await member.roles.remove(grant.role_id, `Reward role removed (${reason})`);
+    } catch (error) {
+      // Keep the grant active so the next sweep retries, unless the member or role is gone
+      if (!GONE_ERROR_CODES.includes(error.code)) {
+        global.logger.error(`Error removing role ${grant.role_id} from ${grant.discord_id}: ${error.message}`);
+        return false;
+      }
+    }
+    
+    await markRoleGrantRemoved(grant.id, reason);
+    global.logger.info(`Removed role ${grant.role_id} from ${grant.discord_id} (${reason})`);
+    return true;
+  }
+}
 
 module.exports = RewardService;
\ No newline at end of file
@@ -0,0 +1,249 @@
+/**
+ * @file series.js - Challenge Series Service
+ * @description Series group challenges into a collection such as "OSINT 101: games A, B and C".
+ *              Each series lives in its own file in config/series/ and has a reward of its own, issued
+ *              through the reward queue when a player completes the last game of the set. Series rewards
+ *              are recorded in the rewards table under the ID `series:<id>`, so revocation, reissue and
+ *              delivery retries work the same way as for game rewards.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { getReward, getCompletedGameIds } = require('./database');
+const EventService = require('./events');
+
+// Path to the directory where individual series files are stored
+const SERIES_DIR = path.join(__dirname, '../config/series');
+
+const REWARD_ID_PREFIX = 'series:';
+
+// Reward types that do not need per-game details
+const SERIES_REWARD_TYPES = ['badgr', 'openbadge', 'text', 'role'];
+
+class SeriesService {
+  /**
+   * @param {Object} config - Bot configuration
+   * @param {Object} client - Discord.js client (required for role rewards)
+   */
+  constructor(config, client = null) {
+    this.config = config;
+    this.client = client;
+  }
+
+  /**
+   * Directory holding the series files
+   * @returns {string}
+   */
+  static get directory() {
+    return SERIES_DIR;
+  }
+
+  /**
+   * Reward types a series can use
+   * @returns {Array<string>}
+   */
+  static get rewardTypes() {
+    return SERIES_REWARD_TYPES;
+  }
+
+  /**
+   * Read every series file
+   * @returns {Object} - Series keyed by ID
+   */
+  static loadAll() {
+    const series = {};
+
+    if (!fs.existsSync(SERIES_DIR)) return series;
+
+    for (const file of fs.readdirSync(SERIES_DIR).filter(name => name.endsWith('.yaml'))) {
+      const seriesId = path.basename(file, '.yaml');
+      try {
+        const content = yaml.load(fs.readFileSync(path.join(SERIES_DIR, file), 'utf8'), { schema: yaml.DEFAULT_SCHEMA });
+        if (content && content[seriesId] && Array.isArray(content[seriesId].games)) {
+          series[seriesId] = content[seriesId];
+        } else {
+          global.logger.warn(`Series file ${file} has no "${seriesId}" entry with a games list, skipping it`);
+        }
+      } catch (error) {
+        global.logger.error(`Error parsing series file ${file}: ${error.message}`);
+      }
+    }
+
+    return series;
+  }
+
+  /**
+   * Reload the series into the shared configuration
+   * @returns {number} - Number of series loaded
+   */
+  static reload() {
+    const series = SeriesService.loadAll();
+
+    if (global.config) {
+      global.config.series = series;
+    }
+
+    global.logger.info(`Loaded ${Object.keys(series).length} series`);
+    return Object.keys(series).length;
+  }
+
+  /**
+   * ID under which a series reward is recorded
+   * @param {string} seriesId - Series ID
+   * @returns {string}
+   */
+  static getRewardId(seriesId) {
+    return `${REWARD_ID_PREFIX}${seriesId}`;
+  }
+
+  /**
+   * Get the series ID from a reward ID
+   * @param {string} rewardId - Game ID or `series:<id>`
+   * @returns {string|null} - Series ID, or null for game rewards
+   */
+  static getSeriesId(rewardId) {
+    return typeof rewardId === 'string' && rewardId.startsWith(REWARD_ID_PREFIX)
+      ? rewardId.slice(REWARD_ID_PREFIX.length)
+      : null;
+  }
+
+  /**
+   * Look up the game, series or event a reward belongs to
+   * @param {Object} config - Bot configuration
+   * @param {string} rewardId - Game ID, `series:<id>` or `event:<id>`
+   * @returns {Object|null} - Game, series or event configuration
+   */
+  static getRewardSource(config, rewardId) {
+    const seriesId = SeriesService.getSeriesId(rewardId);
+
+    if (seriesId) {
+      return (config.series || {})[seriesId] || null;
+    }
+
+    const eventId = EventService.getEventId(rewardId);
+
+    if (eventId) {
+      return (config.events || {})[eventId] || null;
+    }
+
+    return (config.games || {})[rewardId] || null;
+  }
+
+  /**
+   * Games of a series that are currently live; disabled or deleted games do not block completion
+   * @param {Object} series - Series configuration
+   * @param {Object} config - Bot configuration
+   * @returns {Array<string>} - Game IDs
+   */
+  static getLiveGameIds(series, config) {
+    const games = config.games || {};
+    return (series.games || []).filter(gameId => games[gameId]);
+  }
+
+  /**
+   * Progress of a player through every series
+   * @param {Object} config - Bot configuration
+   * @param {Array<string>} completedGameIds - Games the player has completed
+   * @returns {Array<Object>} - { id, name, completed, total, complete }
+   */
+  static getProgress(config, completedGameIds) {
+    return Object.entries(config.series || {})
+      .map(([seriesId, series]) => {
+        const gameIds = SeriesService.getLiveGameIds(series, config);
+        const completed = gameIds.filter(gameId => completedGameIds.includes(gameId)).length;
+
+        return {
+          id: seriesId,
+          name: series.name || seriesId,
+          completed,
+          total: gameIds.length,
+          complete: gameIds.length > 0 && completed === gameIds.length
+        };
+      })
+      .filter(entry => entry.total > 0);
+  }
+
+  /**
+   * Check a series configuration
+   * @param {Object} series - Series configuration
+   * @param {Object} config - Bot configuration
+   * @returns {Array<string>} - Error messages
+   */
+  static validate(series, config) {
+    const errors = [];
+    const games = config.games || {};
+
+    if (!series.name || typeof series.name !== 'string') {
+      errors.push('Series name is required');
+    }
+
+    if (!Array.isArray(series.games) || series.games.length < 2) {
+      errors.push('A series needs at least two games');
+    } else {
+      const unknown = series.games.filter(gameId => !games[gameId]);
+      if (unknown.length > 0) {
+        errors.push(`Unknown or unapproved game IDs: ${unknown.join(', ')}`);
+      }
+    }
+
+    if (!SERIES_REWARD_TYPES.includes(series.reward_type)) {
+      errors.push(`Reward type must be one of: ${SERIES_REWARD_TYPES.join(', ')}`);
+    } else if (series.reward_type === 'badgr' && !series.badge_class_id) {
+      errors.push('badge_class_id is required for Badgr rewards');
+    } else if (series.reward_type === 'text' && !series.reward_text) {
+      errors.push('reward_text is required for text rewards');
+    } else if (series.reward_type === 'role' && !/^\d{17,20}$/.test(String(series.role_id || ''))) {
+      errors.push('role_id must be a Discord role ID');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Issue the rewards of every series this solve completed
+   * @param {Object} user - User object from database
+   * @param {string} gameId - Game that was just completed
+   * @param {Object} details - Completion details passed to RewardService.issueReward()
+   * @returns {Promise<Array<Object>>} - { seriesId, series, rewardInfo } for each completed series
+   */
+  async checkCompletion(user, gameId, details = {}) {
+    const candidates = Object.entries(this.config.series || {})
+      .filter(([, series]) => (series.games || []).includes(gameId));
+
+    if (candidates.length === 0) return [];
+
+    const completedGameIds = await getCompletedGameIds(user.id);
+    const completed = [];
+
+    for (const [seriesId, series] of candidates) {
+      const gameIds = SeriesService.getLiveGameIds(series, this.config);
+      if (!gameIds.every(id => completedGameIds.includes(id))) continue;
+
+      const rewardId = SeriesService.getRewardId(seriesId);
+      if (await getReward(user.id, rewardId)) continue;
+
+      let rewardInfo;
+      try {
+        // Loaded lazily: the reward queue looks up series through this module
+        const RewardQueue = require('./reward-queue');
+        rewardInfo = await new RewardQueue(this.config, this.client).issue(user, { ...series, id: rewardId }, details);
+        global.logger.info(`User ${user.discord_id} completed series ${seriesId}`);
+      } catch (error) {
+        global.logger.error(`Error issuing series reward for ${seriesId} to user ${user.discord_id}: ${error.message}`);
+        rewardInfo = {
+          message: 'There was an error issuing your series reward. An administrator will be notified.',
+          type: 'error'
+        };
+      }
+
+      completed.push({ seriesId, series: { ...series, id: seriesId }, rewardInfo });
+    }
+
+    return completed;
+  }
+}
+
+module.exports = SeriesService;
@@ -0,0 +1,155 @@
+/**
+ * @file submission-limiter.js - Persistent Submission Throttling Service
+ * @description Per-user, per-game limiter for answer submissions backed by the progress table, so
+ *              limits survive restarts. Counts submissions inside a configurable window (a correct answer
+ *              clears the count) and locks the player out once the limit is reached, doubling (or multiplying by the configured factor)
+ *              the lockout each time it happens again. Lockouts are cleared on a correct answer or by
+ *              an admin through `/judge-admin unlock`.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const { getSubmissionLimitState, updateSubmissionLimitState, countSubmissionLimitAttempt, startSubmissionLockout } = require('./database');
+const Validation = require('../utils/validation');
+
+class SubmissionLimiter {
+  constructor(config) {
+    const limits = config.bot.submission_limits || {};
+
+    this.config = config;
+    this.enabled = limits.enabled === true;
+    this.exemptAdmins = limits.exempt_admins !== false;
+    this.maxAttempts = Math.max(1, limits.max_attempts || 5);
+    this.windowSeconds = Math.max(1, limits.window_seconds || 300);
+    this.lockoutSeconds = Math.max(1, limits.lockout_seconds || 60);
+    this.lockoutMultiplier = Math.max(1, limits.lockout_multiplier || 2);
+    this.maxLockoutSeconds = Math.max(this.lockoutSeconds, limits.max_lockout_seconds || 86400);
+  }
+
+  /**
+   * Whether the limiter applies to a Discord user
+   * @param {string} discordId - Discord user ID
+   * @returns {boolean} - True if submissions from this user are throttled
+   */
+  appliesTo(discordId) {
+    if (!this.enabled) return false;
+    return !(this.exemptAdmins && Validation.isAdmin(discordId, this.config.bot.admins));
+  }
+
+  /**
+   * Check whether a user may submit an answer for a game right now
+   * @param {number} userId - User ID in database
+   * @param {string} gameId - Game ID
+   * @param {string} discordId - Discord user ID (for admin exemption)
+   * @returns {Promise<Object>} { allowed: boolean, retryAt?: Date }
+   */
+  async check(userId, gameId, discordId) {
+    if (!this.appliesTo(discordId)) return { allowed: true };
+
+    const state = await getSubmissionLimitState(userId, gameId);
+    if (!state || !state.lockout_until) return { allowed: true };
+
+    const retryAt = new Date(state.lockout_until);
+    if (retryAt.getTime() > Date.now()) {
+      return { allowed: false, retryAt };
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Count a submission before its answer is checked and lock the user out if it uses up the window.
+   * The count is updated in the database in one statement, so parallel submissions cannot slip past
+   * the limit; a correct answer clears it again through reset().
+   * @param {number} userId - User ID in database
+   * @param {string} gameId - Game ID
+   * @param {string} discordId - Discord user ID (for admin exemption)
+   * @returns {Promise<Object|null>} { allowed: false, retryAt } if the submission is refused, otherwise
+   *                                 { allowed: true, lockedUntil?, remainingAttempts, windowEndsAt }, or
+   *                                 null if not throttled
+   */
+  async recordAttempt(userId, gameId, discordId) {
+    if (!this.appliesTo(discordId)) return null;
+
+    const now = Date.now();
+    const result = await countSubmissionLimitAttempt(
+      userId,
+      gameId,
+      new Date(now).toISOString(),
+      new Date(now - this.windowSeconds * 1000).toISOString()
+    );
+    if (!result.success || !result.state) return null;
+
+    const state = result.state;
+
+    // Nothing is counted while a lockout runs
+    if (!result.counted) {
+      const retryAt = state.lockout_until ? new Date(state.lockout_until) : null;
+      return retryAt && retryAt.getTime() > now ? { allowed: false, retryAt } : null;
+    }
+
+    // A parallel submission already used the last attempt of this window
+    if (state.window_attempts > this.maxAttempts) {
+      const current = await getSubmissionLimitState(userId, gameId);
+      const retryAt = current && current.lockout_until && new Date(current.lockout_until).getTime() > now
+        ? new Date(current.lockout_until)
+        : new Date(now + this.calculateLockoutSeconds((state.lockout_count || 0) + 1) * 1000);
+      return { allowed: false, retryAt };
+    }
+
+    if (state.window_attempts === this.maxAttempts) {
+      const lockoutCount = (state.lockout_count || 0) + 1;
+      const lockedUntil = new Date(now + this.calculateLockoutSeconds(lockoutCount) * 1000);
+
+      await startSubmissionLockout(userId, gameId, this.maxAttempts, lockoutCount, lockedUntil.toISOString());
+      global.logger.warn(`Submission lockout #${lockoutCount} for user ${userId} on game ${gameId} until ${lockedUntil.toISOString()}`);
+      return { allowed: true, lockedUntil, remainingAttempts: 0, lockoutCount };
+    }
+
+    return {
+      allowed: true,
+      remainingAttempts: this.maxAttempts - state.window_attempts,
+      windowEndsAt: new Date(new Date(state.window_start).getTime() + this.windowSeconds * 1000),
+      lockoutCount: state.lockout_count || 0
+    };
+  }
+
+  /**
+   * Clear the throttling state after a correct answer
+   * @param {number} userId - User ID in database
+   * @param {string} gameId - Game ID
+   * @returns {Promise<void>}
+   */
+  async reset(userId, gameId) {
+    if (!this.enabled) return;
+
+    await updateSubmissionLimitState(userId, gameId, {
+      window_start: null,
+      window_attempts: 0,
+      lockout_until: null,
+      lockout_count: 0
+    });
+  }
+
+  /**
+   * Calculate the length of the Nth lockout
+   * @param {number} lockoutCount - Number of lockouts so far, including this one
+   * @returns {number} - Lockout duration in seconds
+   */
+  calculateLockoutSeconds(lockoutCount) {
+    const seconds = this.lockoutSeconds * Math.pow(this.lockoutMultiplier, Math.max(0, lockoutCount - 1));
+    return Math.min(Math.round(seconds), this.maxLockoutSeconds);
+  }
+
+  /**
+   * Format a lockout message with Discord relative and absolute timestamps
+   * @param {Date} retryAt - When the user can submit again
+   * @returns {string} - Message for the user
+   */
+  static formatLockoutMessage(retryAt) {
+    const unix = Math.ceil(retryAt.getTime() / 1000);
+    return `🔒 Too many incorrect answers. You can try again <t:${unix}:R> (at <t:${unix}:T>).`;
+  }
+}
+
+module.exports = SubmissionLimiter;
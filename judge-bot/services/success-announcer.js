@@ -1,7 +1,8 @@
 /**
  * @file success-announcer.js - Challenge Success Announcement Service
  * @description Automated celebration system that announces player achievements in designated Discord channels.
- *              Features milestone detection, role pinging, celebration reactions, and customizable embed formatting.
+ *              Features milestone detection, series completions, event podiums, team names, role pinging, celebration reactions, and customizable
+ *              embed formatting.
  *              Tracks completion milestones, handles difficulty-based styling, and provides comprehensive
  *              success broadcasting to encourage community engagement and recognition.
  * @version 1.1.0
@@ -44,9 +45,14 @@ class SuccessAnnouncer {
    * @param {Object} game - Game configuration
    * @param {number} pointsEarned - Points earned for this completion
    * @param {Object} dbUser - Database user object containing the user ID
+   * @param {Object} solveInfo - Optional solve details
+   * @param {number} solveInfo.solvePosition - Solve order (1 = first blood)
+   * @param {number} solveInfo.bonusPoints - Solve bonus awarded on top of the points
+   * @param {string} solveInfo.pointsDisplay - Points text with the scoring breakdown
+   * @param {string} solveInfo.teamName - Team the solve counts for
    * @returns {Promise<Object|null>} - The sent message or null if failed
    */
-  async announceSuccess(user, game, pointsEarned, dbUser) {
+  async announceSuccess(user, game, pointsEarned, dbUser, solveInfo = {}) {
     if (!this.enabled || !this.channelId) {
       this.logger.debug('Success announcer is disabled or no channel configured. Skipping announcement.');
       return null;
@@ -73,21 +79,30 @@ class SuccessAnnouncer {
         content += `<@&${this.pingRoleId}> `;
       }
       
-      // Add milestone messages if applicable
-      if (isFirstCompletion && this.milestoneMessages.first_completion) {
+      const isFirstBlood = solveInfo.solvePosition === 1;
+      
+      // Add milestone messages if applicable (first blood takes precedence)
+      if (isFirstBlood && this.milestoneMessages.first_blood) {
+        content += this.milestoneMessages.first_blood
+          .replace('{{user}}', user.toString())
+          .replace('{{game}}', game.name)
+          .replace('{{team}}', solveInfo.teamName || user.username);
+      } else if (isFirstCompletion && this.milestoneMessages.first_completion) {
         content += this.milestoneMessages.first_completion.replace('{{user}}', user.toString());
       } else if (hasCompletedAll && this.milestoneMessages.all_completed) {
         content += this.milestoneMessages.all_completed.replace('{{user}}', user.toString());
       }
       
-      // Create the success embed
-      const embed = this._createSuccessEmbed(user, game, pointsEarned);
+      // Create the success embed (a distinct one for first blood)
+      const embed = isFirstBlood
+        ? this._createFirstBloodEmbed(user, game, pointsEarned, solveInfo)
+        : this._createSuccessEmbed(user, game, pointsEarned, solveInfo);
       
       // Send the announcement
       const message = await channel.send({ content, embeds: [embed] });
       
       // Add celebration reactions
-      await this._addCelebrationReactions(message);
+      await this._addCelebrationReactions(message, isFirstBlood);
       
       // Record the announcement in the database
       await recordSuccessAnnouncement(
@@ -107,24 +122,164 @@ class SuccessAnnouncer {
     }
   }
   
+  /**
+   * Announce that a player completed every game of a series
+   * @param {Object} user - Discord user who completed the series
+   * @param {Object} series - Series configuration with ID
+   * @param {Object} games - Games configuration, used to list the challenges by name
+   * @returns {Promise<Object|null>} - The sent message or null if failed
+   */
+  async announceSeriesCompletion(user, series, games = {}) {
+    if (!this.enabled || !this.channelId) {
+      return null;
+    }
+    
+    try {
+      const channel = await this.client.channels.fetch(this.channelId);
+      if (!channel) {
+        this.logger.error(`Could not find success channel with ID ${this.channelId}`);
+        return null;
+      }
+      
+      let content = '';
+      if (this.pingEveryone) {
+        content += '@everyone ';
+      } else if (this.pingRoleId) {
+        content += `<@&${this.pingRoleId}> `;
+      }
+      
+      if (this.milestoneMessages.series_completed) {
+        content += this.milestoneMessages.series_completed
+          .replace('{{user}}', user.toString())
+          .replace('{{series}}', series.name);
+      }
+      
+      const embed = new EmbedBuilder()
+        .setTitle('📚 Series Completed!')
+        .setDescription(`${user.toString()} has completed every challenge of the **${series.name}** series!`)
+        .setColor(0x9C27B0)
+        .setTimestamp()
+        .addFields({
+          name: 'Challenges',
+          value: series.games
+            .map(gameId => `✅ ${games[gameId] ? games[gameId].name : gameId}`)
+            .join('\n')
+            .substring(0, 1024)
+        });
+      
+      if (series.description) {
+        embed.addFields({ name: 'About', value: String(series.description).substring(0, 1024) });
+      }
+      
+      if (this.showRewardDetails) {
+        embed.addFields({ name: 'Reward Type', value: this._formatRewardType(series.reward_type), inline: true });
+      }
+      
+      if (user.avatar) {
+        embed.setAuthor({ name: user.username, iconURL: user.displayAvatarURL() });
+      } else {
+        embed.setAuthor({ name: user.username });
+      }
+      
+      embed.setFooter({ text: 'ScoreBot • Complete a whole series to see your name here!' });
+      
+      const message = await channel.send({ content, embeds: [embed] });
+      await message.react('📚').catch(() => {});
+      await this._addCelebrationReactions(message);
+      
+      this.logger.info(`Series announcement sent for ${user.tag} completing "${series.name}"`);
+      return message;
+    } catch (error) {
+      this.logger.error(`Error sending series announcement: ${error.message}`);
+      return null;
+    }
+  }
+  
+  /**
+   * Announce the final standings of an archived event
+   * @param {Object} event - Event configuration with ID
+   * @param {Array<Object>} standings - Final standings, best first
+   * @param {number} rewardedCount - Number of top players who received the event reward
+   * @returns {Promise<Object|null>} - The sent message or null if failed
+   */
+  async announceEventResults(event, standings, rewardedCount = 0) {
+    if (!this.enabled || !this.channelId) {
+      return null;
+    }
+    
+    try {
+      const channel = await this.client.channels.fetch(this.channelId);
+      if (!channel) {
+        this.logger.error(`Could not find success channel with ID ${this.channelId}`);
+        return null;
+      }
+      
+      let content = '';
+      if (this.pingEveryone) {
+        content += '@everyone ';
+      } else if (this.pingRoleId) {
+        content += `<@&${this.pingRoleId}> `;
+      }
+      
+      if (this.milestoneMessages.event_finished) {
+        content += this.milestoneMessages.event_finished.replace('{{event}}', event.name);
+      }
+      
+      const medals = ['🥇', '🥈', '🥉'];
+      const podium = standings.slice(0, medals.length).map((entry, index) =>
+        `${medals[index]} ${entry.discord_id ? `<@${entry.discord_id}>` : entry.username} - ` +
+        `${entry.total_points || 0} points (${entry.completed_games || 0} challenges)`
+      );
+      
+      const embed = new EmbedBuilder()
+        .setTitle(`🏁 ${event.name}: Final Standings`.substring(0, 256))
+        .setDescription(podium.length > 0 ? podium.join('\n') : 'Nobody solved a challenge during this event.')
+        .setColor(0xFFD700)
+        .setTimestamp()
+        .addFields({ name: 'Players', value: `${standings.length}`, inline: true });
+      
+      if (event.description) {
+        embed.addFields({ name: 'About', value: String(event.description).substring(0, 1024) });
+      }
+      
+      if (rewardedCount > 0) {
+        embed.addFields({
+          name: 'Rewards',
+          value: `The top ${rewardedCount} received ${this.showRewardDetails ? this._formatRewardType(event.reward_type) : 'the event reward'}`,
+          inline: true
+        });
+      }
+      
+      embed.setFooter({ text: `ScoreBot • /judge-leaderboard event:${event.id} shows the full standings` });
+      
+      const message = await channel.send({ content, embeds: [embed] });
+      await message.react('🏆').catch(() => {});
+      await this._addCelebrationReactions(message);
+      
+      this.logger.info(`Event results announced for "${event.name}"`);
+      return message;
+    } catch (error) {
+      this.logger.error(`Error sending event results announcement: ${error.message}`);
+      return null;
+    }
+  }
+  
   /**
    * Create an embed for the success announcement
    * @private
    */
-  _createSuccessEmbed(user, game, pointsEarned) {
+  _createSuccessEmbed(user, game, pointsEarned, solveInfo = {}) {
     // Get difficulty level
     const difficulty = game.difficulty || 1;
     const difficultyStars = '⭐'.repeat(difficulty);
     
-    // Format points with any difficulty bonus
-    const formattedPoints = difficulty > 1 
-      ? `${pointsEarned} (includes ${(difficulty - 1) * 10}% bonus)`
-      : `${pointsEarned}`;
+    // Use the breakdown from the points calculator when available
+    const formattedPoints = solveInfo.pointsDisplay || `${pointsEarned}`;
     
     // Create the embed
     const embed = new EmbedBuilder()
       .setTitle('🎉 Challenge Completed!')
-      .setDescription(`${user.toString()} has completed the "${game.name}" challenge!`)
+      .setDescription(`${user.toString()}${solveInfo.teamName ? ` of team **${solveInfo.teamName}**` : ''} has completed the "${game.name}" challenge!`)
       .setColor(this._getDifficultyColor(difficulty))
       .setTimestamp()
       .addFields(
@@ -134,6 +289,15 @@ class SuccessAnnouncer {
         { name: 'Points Earned', value: formattedPoints, inline: true }
       );
     
+    // Early solvers (2nd, 3rd, ...) get their bonus called out
+    if (solveInfo.bonusPoints > 0 && solveInfo.solvePosition) {
+      embed.addFields({
+        name: 'Early Solver Bonus',
+        value: `${this._formatPosition(solveInfo.solvePosition)} solve: +${solveInfo.bonusPoints} points`,
+        inline: true
+      });
+    }
+    
     // Add reward type if configured to show it
     if (this.showRewardDetails) {
       embed.addFields({
@@ -161,14 +325,63 @@ class SuccessAnnouncer {
     return embed;
   }
   
+  /**
+   * Create the embed for the first solver of a challenge
+   * @private
+   */
+  _createFirstBloodEmbed(user, game, pointsEarned, solveInfo = {}) {
+    const difficulty = game.difficulty || 1;
+    
+    const embed = new EmbedBuilder()
+      .setTitle('🩸 First Blood!')
+      .setDescription(`${user.toString()}${solveInfo.teamName ? ` of team **${solveInfo.teamName}**` : ''} is the **first** to solve the "${game.name}" challenge!`)
+      .setColor(0xB71C1C)
+      .setTimestamp()
+      .addFields(
+        { name: 'Challenge', value: game.name, inline: true },
+        { name: 'Author', value: game.author || 'Anonymous', inline: true },
+        { name: 'Difficulty', value: '⭐'.repeat(difficulty), inline: true },
+        { name: 'Points Earned', value: solveInfo.pointsDisplay || `${pointsEarned}`, inline: true }
+      );
+    
+    if (solveInfo.bonusPoints > 0) {
+      embed.addFields({ name: 'First Blood Bonus', value: `+${solveInfo.bonusPoints} points`, inline: true });
+    }
+    
+    if (user.avatar) {
+      embed.setAuthor({ name: user.username, iconURL: user.displayAvatarURL() });
+    } else {
+      embed.setAuthor({ name: user.username });
+    }
+    
+    embed.setFooter({ text: 'ScoreBot • Be the first to solve a challenge to claim first blood!' });
+    
+    return embed;
+  }
+  
+  /**
+   * Format a solve position as an ordinal (1st, 2nd, 3rd, 4th...)
+   * @private
+   */
+  _formatPosition(position) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const lastTwo = position % 100;
+    const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : (suffixes[position % 10] || 'th');
+    return `${position}${suffix}`;
+  }
+  
   /**
    * Add celebration emoji reactions to the message
    * @private
    */
-  async _addCelebrationReactions(message) {
+  async _addCelebrationReactions(message, isFirstBlood = false) {
     const celebrationEmojis = ['🎉', '🎊', '🏆', '👏'];
     
     try {
+      if (isFirstBlood) {
+        await message.react('🩸');
+      }
+      
       // Add 2 random celebration emojis
       const selectedEmojis = this._getRandomItems(celebrationEmojis, 2);
       
@@ -217,8 +430,16 @@ class SuccessAnnouncer {
     switch (rewardType.toLowerCase()) {
       case 'badgr':
         return '🏅 Digital Badge';
+      case 'openbadge':
+        return '🏅 Open Badge';
+      case 'certificate':
+        return '📜 Certificate';
+      case 'webhook':
+        return '🔗 Webhook';
       case 'text':
         return '📁 Text Message';
+      case 'role':
+        return '🎖️ Discord Role';
       default:
         return rewardType.charAt(0).toUpperCase() + rewardType.slice(1);
     }
@@ -0,0 +1,369 @@
+/**
+ * @file webhook.js - Webhook Reward Sender
+ * @description Builds and sends the signed JSON payload of the `webhook` reward type, so a completion
+ *              can trigger an external system (merch store, LMS, spreadsheet proxy). The payload is the
+ *              default document below or a maker-supplied JSON template with {{placeholders}}. Each
+ *              request carries an HMAC-SHA256 signature of `<timestamp>.<body>` made with the game's
+ *              secret, and a delivery ID that stays the same across retries. Secrets live in the
+ *              webhook_secrets table, never in the game files. The player's email is never part of
+ *              the payload, except through {{email}} in templates sent to admin-allowed hosts. Webhooks only go to public https hosts:
+ *              loopback, private, link-local and metadata addresses are refused both when the URL is
+ *              set and when its host name is resolved for each request.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const axios = require('axios');
+const yaml = require('js-yaml');
+const { getWebhookSecret, setWebhookSecret } = require('./database');
+
+const EVENT_NAME = 'reward.completed';
+const MAX_TEMPLATE_LENGTH = 4000;
+const MAX_RECORDED_RESPONSE_LENGTH = 1000;
+
+// Addresses a webhook may never reach: unspecified, private, shared (CGNAT), loopback,
+// link-local (cloud metadata at 169.254.169.254), benchmarking, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+// Host names that only resolve inside the bot's own network
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.internal'];
+
+// Only filled in for hosts listed in webhooks.allowed_hosts
+const EMAIL_PLACEHOLDER = /\{\{\s*email\s*\}\}/;
+
+// Used to check that a template produces valid JSON
+const SAMPLE_VALUES = {
+  event: EVENT_NAME,
+  delivery_id: 'sample',
+  user_id: '123456789012345678',
+  username: 'Player "One"',
+  game_id: 'GAME',
+  game: 'Sample Game',
+  difficulty: '3',
+  points: '100',
+  completed_at: '2026-01-01T00:00:00.000Z'
+};
+
+class WebhookSender {
+  /**
+   * Placeholders available in payload templates to any host ({{email}} is left out, see isAllowedHost())
+   * @returns {Array<string>} - Placeholder names
+   */
+  static get placeholders() {
+    return Object.keys(SAMPLE_VALUES);
+  }
+
+  /**
+   * Build the placeholder values for a completion
+   * @param {Object} user - User object from database
+   * @param {Object} game - Game configuration
+   * @param {string} gameId - Game ID
+   * @param {Object} details - { username, points, date, deliveryId, includeEmail }
+   * @returns {Object} - Placeholder values (all strings, email empty unless includeEmail)
+   */
+  static buildValues(user, game, gameId, details = {}) {
+    return {
+      event: EVENT_NAME,
+      delivery_id: String(details.deliveryId || crypto.randomUUID()),
+      user_id: String(user.discord_id || ''),
+      username: String(details.username || user.username || ''),
+      email: details.includeEmail ? String(user.email || '') : '',
+      game_id: String(gameId),
+      game: String(game.name || ''),
+      difficulty: String(Math.min(Math.max(parseInt(game.difficulty, 10) || 1, 1), 5)),
+      points: String(parseInt(details.points, 10) || 0),
+      completed_at: (details.date ? new Date(details.date) : new Date()).toISOString()
+    };
+  }
+
+  /**
+   * Build the JSON body sent to the webhook
+   * @param {Object} game - Game configuration (webhook_template)
+   * @param {Object} values - Placeholder values from buildValues()
+   * @returns {string} - JSON body
+   */
+  static buildBody(game, values) {
+    if (game.webhook_template) {
+      // Values are escaped as JSON string contents, so they are safe inside quotes
+      const escaped = Object.fromEntries(Object.entries(values).map(([key, value]) => [key, JSON.stringify(value).slice(1, -1)]));
+      const filled = game.webhook_template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (key in escaped ? escaped[key] : match));
+      return JSON.stringify(JSON.parse(filled));
+    }
+
+    return JSON.stringify({
+      event: values.event,
+      delivery_id: values.delivery_id,
+      completed_at: values.completed_at,
+      user: {
+        discord_id: values.user_id,
+        username: values.username
+      },
+      game: {
+        id: values.game_id,
+        name: values.game,
+        difficulty: Number(values.difficulty)
+      },
+      points: Number(values.points)
+    });
+  }
+
+  /**
+   * Sign a request body
+   * @param {string} secret - HMAC secret
+   * @param {string} timestamp - Unix timestamp in seconds
+   * @param {string} body - JSON body
+   * @returns {string} - `sha256=<hex>` signature
+   */
+  static sign(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  }
+
+  /**
+   * Whether an admin trusts a webhook URL's host (`webhooks.allowed_hosts` in bot.yaml): only these
+   * hosts can be signed with WEBHOOK_SECRET and receive the player's email through {{email}}
+   * @param {string} url - Webhook URL
+   * @param {Object} config - Bot configuration
+   * @returns {boolean}
+   */
+  static isAllowedHost(url, config) {
+    const allowedHosts = ((config.bot.webhooks || {}).allowed_hosts || []).map(host => String(host).toLowerCase());
+    try {
+      return allowedHosts.includes(new URL(url).hostname.toLowerCase());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get the HMAC secret for a game: its own secret, or WEBHOOK_SECRET for hosts on the admin allowlist.
+   * The shared secret is never used for other URLs, so a maker cannot have it sign payloads for a
+   * receiver they control.
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game configuration
+   * @param {Object} config - Bot configuration
+   * @returns {Promise<string>} - Secret, or an empty string
+   */
+  static async getSecret(gameId, game, config) {
+    const secret = await getWebhookSecret(gameId);
+    if (secret) return secret;
+
+    return WebhookSender.isAllowedHost(game.webhook_url, config) ? (process.env.WEBHOOK_SECRET || '') : '';
+  }
+
+  /**
+   * Whether an IP address is in a range webhooks may not reach
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean}
+   */
+  static isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  }
+
+  /**
+   * Resolve a host name like dns.lookup(), refusing blocked addresses. Used as the lookup of the
+   * request agent, so the check applies to the address actually connected to.
+   * @param {string} hostname - Host name to resolve
+   * @param {Object} options - dns.lookup() options
+   * @param {Function} callback - dns.lookup() callback
+   */
+  static lookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) return callback(error);
+
+      const blocked = addresses.find(({ address }) => WebhookSender.isBlockedAddress(address));
+      if (blocked) {
+        const blockedError = new Error(`Webhook host ${hostname} resolves to a blocked address (${blocked.address})`);
+        blockedError.code = 'EBLOCKEDADDRESS';
+        return callback(blockedError);
+      }
+
+      if (options.all) return callback(null, addresses);
+      return callback(null, addresses[0].address, addresses[0].family);
+    });
+  }
+
+  /**
+   * POST the signed payload
+   * @param {Object} game - Game configuration (webhook_url, webhook_template)
+   * @param {Object} values - Placeholder values from buildValues()
+   * @param {Object} config - Bot configuration
+   * @returns {Promise<Object>} - { status, deliveryId, response } to record in the rewards table
+   */
+  static async send(game, values, config) {
+    const settings = config.bot.webhooks || {};
+
+    if (!game.webhook_url) {
+      throw new Error('Webhook URL is not configured for this game');
+    }
+
+    // Game files can be edited by hand, so the URL is checked again before every request
+    const urlCheck = WebhookSender.checkUrl(game.webhook_url);
+    if (!urlCheck.valid) {
+      throw new Error(urlCheck.error);
+    }
+
+    const secret = await WebhookSender.getSecret(values.game_id, game, config);
+    if (!secret) {
+      throw new Error('Webhook secret is not configured for this game. Set one with /maker-advanced reward, or add the host to webhooks.allowed_hosts to use WEBHOOK_SECRET.');
+    }
+
+    const body = WebhookSender.buildBody(game, values);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+
+    let response;
+    try {
+      response = await axios.post(game.webhook_url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ScoreBot-Webhook/1.1',
+          'X-Judge-Event': values.event,
+          'X-Judge-Delivery': values.delivery_id,
+          'X-Judge-Timestamp': timestamp,
+          'X-Judge-Signature': WebhookSender.sign(secret, timestamp, body)
+        },
+        timeout: (settings.timeout_seconds || 10) * 1000,
+        httpsAgent: new https.Agent({ lookup: WebhookSender.lookup }),
+        proxy: false,
+        maxRedirects: 0,
+        responseType: 'text',
+        // Keep the response as text so it can be recorded whatever the receiver returns
+        transformResponse: data => data
+      });
+    } catch (error) {
+      if (!error.response) throw error;
+
+      const status = error.response.status;
+      const webhookError = new Error(`Webhook returned HTTP ${status}`);
+      // A receiver rejecting our signature must not pause the webhooks of every other game,
+      // so only 429/5xx keep their status for the reward queue to retry
+      if (status === 429 || status >= 500) {
+        webhookError.status = status;
+      }
+      throw webhookError;
+    }
+
+    return {
+      status: response.status,
+      deliveryId: values.delivery_id,
+      response: String(response.data || '').substring(0, MAX_RECORDED_RESPONSE_LENGTH)
+    };
+  }
+
+  /**
+   * Check that a webhook URL is https and does not name a local, private or metadata host.
+   * Host names are resolved and checked again for each request, see lookup().
+   * @param {string} url - Webhook URL
+   * @returns {Object} - { valid, error }
+   */
+  static checkUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { valid: false, error: 'Webhook URL is not a valid URL' };
+    }
+
+    if (parsed.protocol !== 'https:') {
+      return { valid: false, error: 'Webhook URL must start with https://' };
+    }
+
+    // IPv6 literals keep their brackets in URL.hostname
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (hostname === 'localhost' || BLOCKED_HOST_SUFFIXES.some(suffix => hostname.endsWith(suffix)) ||
+        WebhookSender.isBlockedAddress(hostname)) {
+      return { valid: false, error: 'Webhook URL must not point to localhost, a private network or a cloud metadata address' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Check a maker-supplied webhook configuration
+   * @param {string} url - Webhook URL
+   * @param {string} template - Payload template (empty for the default payload)
+   * @param {Object} config - Bot configuration
+   * @returns {Object} - { valid, error }
+   */
+  static validate(url, template, config) {
+    const urlCheck = WebhookSender.checkUrl(url);
+    if (!urlCheck.valid) {
+      return urlCheck;
+    }
+
+    if (!template) {
+      return { valid: true };
+    }
+
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+      return { valid: false, error: `Payload template must be ${MAX_TEMPLATE_LENGTH} characters or less` };
+    }
+
+    const allowedHost = WebhookSender.isAllowedHost(url, config);
+    if (EMAIL_PLACEHOLDER.test(template) && !allowedHost) {
+      return { valid: false, error: 'The {{email}} placeholder is only available for hosts an admin added to `webhooks.allowed_hosts`' };
+    }
+
+    try {
+      WebhookSender.buildBody({ webhook_template: template }, allowedHost ? { ...SAMPLE_VALUES, email: 'player@example.com' } : SAMPLE_VALUES);
+    } catch (error) {
+      return { valid: false, error: `Payload template is not valid JSON once filled in: ${error.message}` };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Move `webhook_secret` values out of the game files into the webhook_secrets table.
+   * Games configured before secrets were stored in the database kept them in their YAML.
+   * @param {string} gamesDir - Directory holding the game files
+   * @returns {Promise<number>} - Number of secrets moved
+   */
+  static async migrateSecrets(gamesDir) {
+    if (!fs.existsSync(gamesDir)) return 0;
+
+    let moved = 0;
+    for (const file of fs.readdirSync(gamesDir).filter(name => name.endsWith('.yaml'))) {
+      const gameId = path.basename(file, '.yaml');
+      const filePath = path.join(gamesDir, file);
+
+      try {
+        const content = yaml.load(fs.readFileSync(filePath, 'utf8'), { schema: yaml.DEFAULT_SCHEMA });
+        const game = content && content[gameId];
+        if (!game || !game.webhook_secret) continue;
+
+        const saved = await setWebhookSecret(gameId, String(game.webhook_secret));
+        if (!saved.success) continue;
+
+        delete game.webhook_secret;
+        fs.writeFileSync(filePath, yaml.dump({ [gameId]: game }), 'utf8');
+        moved++;
+      } catch (error) {
+        global.logger.error(`Error moving the webhook secret of ${file}: ${error.message}`);
+      }
+    }
+
+    return moved;
+  }
+}
+
+module.exports = WebhookSender;
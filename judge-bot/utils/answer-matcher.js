@@ -0,0 +1,542 @@
+/**
+ * @file answer-matcher.js - Pluggable Answer Matching Registry
+ * @description Registry of answer matchers selectable per game through the `match` block of the game
+ *              YAML. Ships with exact (default), regex, numeric tolerance, unordered token set and
+ *              ordered multi-part matchers. Each matcher returns a structured result so callers can
+ *              report which parts of a multi-field answer were right.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const Validation = require('./validation');
+
+// Longest answer a regex matcher will test and longest pattern a maker can write, to keep patterns from running away
+const MAX_REGEX_INPUT_LENGTH = 256;
+const MAX_REGEX_PATTERN_LENGTH = 200;
+
+// Longest answer compared with near-miss answers
+const MAX_NEAR_MISS_INPUT_LENGTH = 1000;
+
+// Numbers, optionally signed and decimal, or times such as 2:31:04 / 02:31
+const NUMBER_PATTERN = /-?\d+(?::\d{1,2}){1,2}(?:\.\d+)?|-?\d+(?:\.\d+)?/g;
+
+/**
+ * Convert a number or time string ("h:mm:ss" / "mm:ss") to a number (times become seconds)
+ * @param {string|number} value - Value to parse
+ * @returns {number} Parsed value, NaN if it isn't numeric
+ */
+function parseNumeric(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+
+  const str = value.trim();
+  if (str.includes(':')) {
+    const negative = str.startsWith('-');
+    const seconds = str.replace(/^-/, '').split(':')
+      .reduce((total, segment) => total * 60 + Number(segment), 0);
+    return negative ? -seconds : seconds;
+  }
+
+  return str === '' ? NaN : Number(str);
+}
+
+// Default edit distance for near-miss answers and the reply used when a game has no message
+const DEFAULT_NEAR_MISS_THRESHOLD = 2;
+const DEFAULT_NEAR_MISS_MESSAGE = "You're close! Check your answer carefully.";
+
+// Close answers this many edits (or a quarter of the answer's length) from an accepted answer give it away
+const NEAR_MISS_LEAK_DISTANCE = 2;
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits to turn a into b
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find a quantified group that itself contains an unbounded quantifier, such as `(a+)+` or `(\w*x)*`.
+ * Such patterns backtrack catastrophically on inputs that almost match and would freeze the bot.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} The offending group, or null if the pattern has none
+ */
+function findNestedQuantifier(pattern) {
+  const groups = [];
+  let lastGroup = null;
+  let index = 0;
+
+  // An unbounded quantifier (*, +, {n,}) at the given position, or null
+  const readUnbounded = position => {
+    const char = pattern[position];
+    if (char === '*' || char === '+') return char;
+    const bounds = char === '{' ? /^\{\d+,\}/.exec(pattern.slice(position)) : null;
+    return bounds ? bounds[0] : null;
+  };
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+
+    if (char === '\\') {
+      index += 2;
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === '[') {
+      // Skip the character class; quantifier characters inside it are literals
+      index++;
+      while (index < pattern.length && pattern[index] !== ']') {
+        index += pattern[index] === '\\' ? 2 : 1;
+      }
+      index++;
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === '(') {
+      groups.push({ start: index, hasUnbounded: false });
+      index++;
+      // Skip the (?: (?= (?! (?<= (?<! (?<name> prefixes so their ? is not read as a quantifier
+      const prefix = /^\?(?:<[A-Za-z_$][\w$]*>|<=|<!|[:=!])/.exec(pattern.slice(index));
+      if (prefix) index += prefix[0].length;
+      lastGroup = null;
+      continue;
+    }
+
+    if (char === ')') {
+      lastGroup = groups.pop() || null;
+      index++;
+      continue;
+    }
+
+    const quantifier = readUnbounded(index);
+    if (quantifier) {
+      if (lastGroup && lastGroup.hasUnbounded) {
+        return pattern.slice(lastGroup.start, index + quantifier.length);
+      }
+      groups.forEach(group => { group.hasUnbounded = true; });
+      index += quantifier.length;
+      lastGroup = null;
+      continue;
+    }
+
+    // A group that repeats a bounded number of times still repeats what it contains
+    if (lastGroup && lastGroup.hasUnbounded && (char === '?' || char === '{')) {
+      groups.forEach(group => { group.hasUnbounded = true; });
+    }
+
+    lastGroup = null;
+    index++;
+  }
+
+  return null;
+}
+
+/**
+ * Split a normalized answer into tokens
+ * @param {string} answer - Answer to split
+ * @returns {Array<string>} Tokens
+ */
+function tokenize(answer) {
+  return Validation.normalizeAnswer(answer).split(/[\s,;]+/).filter(token => token);
+}
+
+/**
+ * Built-in matchers. Each has `match(userAnswer, config)` returning `{ correct }` (or a promise of it)
+ * and `validate(config)` returning a list of error strings.
+ */
+const builtInMatchers = {
+  exact: {
+    async match(userAnswer, config) {
+      return { correct: await Validation.isCorrectAnswer(userAnswer, Validation.getAcceptedAnswers(config)) };
+    },
+    validate(config) {
+      return Validation.getAcceptedAnswers(config).length === 0
+        ? ['exact matcher needs at least one answer']
+        : [];
+    }
+  },
+
+  regex: {
+    match(userAnswer, config) {
+      const answer = String(userAnswer).trim();
+      if (!answer || answer.length > MAX_REGEX_INPUT_LENGTH) return { correct: false };
+
+      const patterns = Array.isArray(config.patterns) ? config.patterns : [config.pattern];
+      const flags = config.flags !== undefined ? config.flags : 'i';
+
+      return {
+        correct: patterns.some(pattern => {
+          // Patterns are validated when a game is saved; games edited by hand are checked here too
+          if (String(pattern).length > MAX_REGEX_PATTERN_LENGTH || findNestedQuantifier(String(pattern))) {
+            if (global.logger) {
+              global.logger.warn(`Skipping unsafe answer regex "${pattern}"`);
+            }
+            return false;
+          }
+
+          try {
+            return new RegExp(pattern, flags).test(answer);
+          } catch (error) {
+            return false;
+          }
+        })
+      };
+    },
+    validate(config) {
+      const patterns = Array.isArray(config.patterns) ? config.patterns : [config.pattern];
+      if (patterns.length === 0 || patterns.some(pattern => typeof pattern !== 'string' || !pattern)) {
+        return ['regex matcher needs a pattern'];
+      }
+
+      const errors = [];
+      for (const pattern of patterns) {
+        if (pattern.length > MAX_REGEX_PATTERN_LENGTH) {
+          errors.push(`regex patterns must be ${MAX_REGEX_PATTERN_LENGTH} characters or less`);
+          continue;
+        }
+
+        try {
+          new RegExp(pattern, config.flags !== undefined ? config.flags : 'i');
+        } catch (error) {
+          errors.push(`invalid regex "${pattern}": ${error.message}`);
+          continue;
+        }
+
+        const nested = findNestedQuantifier(pattern);
+        if (nested) {
+          errors.push(`regex "${pattern}" repeats a group that contains a repeat (${nested}), which can freeze the bot; rewrite it without nested quantifiers`);
+        }
+      }
+      return errors;
+    }
+  },
+
+  numeric: {
+    match(userAnswer, config) {
+      const expected = (Array.isArray(config.values) ? config.values : [config.value]).map(parseNumeric);
+      const given = (String(userAnswer).match(NUMBER_PATTERN) || []).map(parseNumeric);
+      const tolerance = Math.abs(Number(config.tolerance) || 0);
+
+      if (given.length !== expected.length) return { correct: false };
+
+      return {
+        correct: expected.every((value, index) => Math.abs(value - given[index]) <= tolerance)
+      };
+    },
+    validate(config) {
+      const values = Array.isArray(config.values) ? config.values : [config.value];
+      const errors = [];
+
+      if (values.length === 0 || values.some(value => Number.isNaN(parseNumeric(value)))) {
+        errors.push('numeric matcher needs a numeric value (or list of values)');
+      }
+      if (config.tolerance !== undefined && Number.isNaN(Number(config.tolerance))) {
+        errors.push('numeric tolerance must be a number');
+      }
+      return errors;
+    }
+  },
+
+  tokens: {
+    match(userAnswer, config) {
+      const expected = new Set((config.tokens || []).flatMap(token => tokenize(token)));
+      const given = new Set(tokenize(userAnswer));
+
+      const hasAll = [...expected].every(token => given.has(token));
+      const noExtra = config.allow_extra === true || given.size === expected.size;
+
+      return { correct: expected.size > 0 && hasAll && noExtra };
+    },
+    validate(config) {
+      return !Array.isArray(config.tokens) || config.tokens.length === 0
+        ? ['tokens matcher needs a list of tokens']
+        : [];
+    }
+  },
+
+  parts: {
+    async match(userAnswer, config) {
+      const separator = config.separator !== undefined ? String(config.separator) : '\n';
+      const givenParts = String(userAnswer).split(separator).map(part => part.trim()).filter(part => part);
+
+      const parts = [];
+      for (const [index, partConfig] of config.parts.entries()) {
+        const given = givenParts[index];
+        const matcher = AnswerMatcher.getMatcher(partConfig.type);
+        parts.push({
+          label: partConfig.label || `Part ${index + 1}`,
+          correct: Boolean(given && matcher && (await matcher.match(given, partConfig)).correct)
+        });
+      }
+
+      return {
+        correct: givenParts.length === parts.length && parts.every(part => part.correct),
+        parts
+      };
+    },
+    validate(config) {
+      if (!Array.isArray(config.parts) || config.parts.length === 0) {
+        return ['parts matcher needs a list of parts'];
+      }
+
+      const errors = [];
+      config.parts.forEach((partConfig, index) => {
+        if (!partConfig || typeof partConfig !== 'object') {
+          errors.push(`part ${index + 1} must be an object`);
+          return;
+        }
+        if ((partConfig.type || 'exact') === 'parts') {
+          errors.push(`part ${index + 1} cannot itself be a parts matcher`);
+          return;
+        }
+        AnswerMatcher.validate(partConfig).forEach(error => errors.push(`part ${index + 1}: ${error}`));
+      });
+      return errors;
+    }
+  }
+};
+
+/**
+ * Answer matcher registry
+ */
+class AnswerMatcher {
+  /**
+   * Register (or replace) a matcher type
+   * @param {string} type - Matcher type name used in the game's `match.type`
+   * @param {Object} matcher - Object with `match(userAnswer, config)` (sync or async) and `validate(config)` functions
+   */
+  static register(type, matcher) {
+    if (!type || typeof type !== 'string') {
+      throw new Error('Matcher type must be a non-empty string');
+    }
+    if (!matcher || typeof matcher.match !== 'function') {
+      throw new Error(`Matcher "${type}" must provide a match function`);
+    }
+    AnswerMatcher.matchers.set(type, matcher);
+  }
+
+  /**
+   * Get a registered matcher
+   * @param {string} type - Matcher type (defaults to exact)
+   * @returns {Object|undefined} Matcher
+   */
+  static getMatcher(type) {
+    return AnswerMatcher.matchers.get(type || 'exact');
+  }
+
+  /**
+   * List registered matcher types
+   * @returns {Array<string>} Matcher type names
+   */
+  static getTypes() {
+    return [...AnswerMatcher.matchers.keys()];
+  }
+
+  /**
+   * Validate a `match` configuration block
+   * @param {Object} config - Match configuration
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  static validate(config) {
+    if (!config || typeof config !== 'object') return ['match must be an object'];
+
+    const matcher = AnswerMatcher.getMatcher(config.type);
+    if (!matcher) return [`unknown match type "${config.type}"`];
+
+    return typeof matcher.validate === 'function' ? matcher.validate(config) : [];
+  }
+
+  /**
+   * Hash every exact-match answer of a game: the game's own answer fields and those of
+   * exact matchers in its `match` block (including exact parts). Regex, numeric and token
+   * matchers need their plaintext values and are left as they are.
+   * @param {Object} game - Game data
+   * @returns {Promise<Object>} Copy of the game data with hashed answers
+   */
+  static async hashGameAnswers(game) {
+    if (!game || typeof game !== 'object') return game;
+
+    const isExact = config => config && typeof config === 'object' && (config.type || 'exact') === 'exact';
+    const hashed = await Validation.hashAnswerFields(game);
+
+    if (isExact(game.match)) {
+      hashed.match = await Validation.hashAnswerFields(game.match);
+    } else if (game.match && game.match.type === 'parts' && Array.isArray(game.match.parts)) {
+      hashed.match = {
+        ...game.match,
+        parts: await Promise.all(game.match.parts.map(part => isExact(part) ? Validation.hashAnswerFields(part) : part))
+      };
+    }
+
+    return hashed;
+  }
+
+  /**
+   * Validate a `near_miss` configuration block
+   * @param {Object} config - Near-miss configuration
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  static validateNearMiss(config) {
+    if (!config || typeof config !== 'object') return ['near_miss must be an object'];
+
+    const errors = [];
+    const answers = config.answers;
+
+    if (!Array.isArray(answers) || answers.length === 0) {
+      errors.push('near_miss needs a list of close answers');
+    } else if (answers.some(entry => {
+      const answer = entry && typeof entry === 'object' ? entry.answer : entry;
+      return (typeof answer !== 'string' && typeof answer !== 'number') || !String(answer).trim();
+    })) {
+      errors.push('near_miss answers must be strings or { answer, message } entries');
+    }
+
+    if (config.threshold !== undefined && !Validation.isSafeInteger(config.threshold, 0, 20)) {
+      errors.push('near_miss threshold must be a whole number between 0 and 20');
+    }
+
+    const messages = [config.message, ...(Array.isArray(answers) ? answers : [])
+      .map(entry => entry && typeof entry === 'object' ? entry.message : undefined)];
+    if (messages.some(message => message !== undefined && (typeof message !== 'string' || message.length > 1000))) {
+      errors.push('near_miss messages must be text of 1000 characters or less');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find close answers that give away an accepted answer. Close answers stay in plaintext in the
+   * game YAML, so one that contains an answer, is part of one, or is only a few edits away from one
+   * would leak the flag the hashing protects. Only plaintext answers can be compared, so this is
+   * checked before the answers are hashed (when a game is created and by migrate-answers.js).
+   * @param {Object} game - Game data including the answer fields and the `near_miss` block
+   * @returns {Array<string>} Close answers that are variants of an accepted answer
+   */
+  static findLeakingNearMisses(game) {
+    const config = game && game.near_miss;
+    if (!config || !Array.isArray(config.answers)) return [];
+
+    const isExact = matchConfig => matchConfig && typeof matchConfig === 'object' && (matchConfig.type || 'exact') === 'exact';
+    const match = game.match && typeof game.match === 'object' ? game.match : null;
+    const exactConfigs = [game];
+    if (isExact(match)) exactConfigs.push(match);
+    if (match && match.type === 'parts' && Array.isArray(match.parts)) {
+      exactConfigs.push(...match.parts.filter(isExact));
+    }
+
+    const answers = exactConfigs
+      .flatMap(exactConfig => Validation.getAcceptedAnswers(exactConfig))
+      .filter(answer => !Validation.isHashedAnswer(answer))
+      .map(answer => Validation.normalizeAnswer(answer));
+
+    return config.answers
+      .map(entry => entry && typeof entry === 'object' ? entry.answer : entry)
+      .filter(entry => {
+        const close = Validation.normalizeAnswer(entry);
+        return close && answers.some(answer =>
+          (close.length >= 3 && (answer.includes(close) || close.includes(answer))) ||
+          editDistance(close, answer) <= Math.max(NEAR_MISS_LEAK_DISTANCE, Math.floor(answer.length / 4)));
+      })
+      .map(entry => String(entry));
+  }
+
+  /**
+   * Check whether a wrong answer is close to one of the game's maker-defined close answers.
+   * Only maker-written text is returned, never the close answer itself.
+   * @param {string} userAnswer - Submitted answer
+   * @param {Object} game - Game data including the `near_miss` block
+   * @returns {Object|null} { distance, message } if the answer is close, null otherwise
+   */
+  static checkNearMiss(userAnswer, game) {
+    const config = game && game.near_miss;
+    if (!userAnswer || !config || !Array.isArray(config.answers)) return null;
+
+    const normalizedUserAnswer = Validation.normalizeAnswer(userAnswer);
+    if (!normalizedUserAnswer || normalizedUserAnswer.length > MAX_NEAR_MISS_INPUT_LENGTH) return null;
+
+    const threshold = Validation.isSafeInteger(config.threshold, 0, 20)
+      ? Number(config.threshold)
+      : DEFAULT_NEAR_MISS_THRESHOLD;
+
+    let closest = null;
+
+    for (const entry of config.answers) {
+      const answer = Validation.normalizeAnswer(entry && typeof entry === 'object' ? entry.answer : entry);
+      if (!answer || Math.abs(answer.length - normalizedUserAnswer.length) > threshold) continue;
+
+      const distance = editDistance(normalizedUserAnswer, answer);
+      if (distance <= threshold && (!closest || distance < closest.distance)) {
+        closest = {
+          distance,
+          message: (entry && typeof entry === 'object' && entry.message) || config.message || DEFAULT_NEAR_MISS_MESSAGE
+        };
+      }
+    }
+
+    return closest;
+  }
+
+  /**
+   * Check a submitted answer against a game.
+   * The game's `match` block picks the matcher; the game's own `answers`/`aliases`
+   * are always accepted as exact matches too.
+   * @param {string} userAnswer - Submitted answer
+   * @param {Object} game - Game data including the answer fields
+   * @returns {Promise<Object>} { correct: boolean, type: string, parts?: Array<{label, correct}> }
+   */
+  static async match(userAnswer, game) {
+    if (!userAnswer || !game) return { correct: false, type: 'exact' };
+
+    const exactResult = await builtInMatchers.exact.match(userAnswer, game);
+    const matchConfig = game.match;
+
+    if (!matchConfig || typeof matchConfig !== 'object') {
+      return { ...exactResult, type: 'exact' };
+    }
+
+    const type = matchConfig.type || 'exact';
+    const matcher = AnswerMatcher.getMatcher(type);
+
+    if (!matcher) {
+      if (global.logger) {
+        global.logger.warn(`Unknown answer matcher type "${type}", falling back to exact matching`);
+      }
+      return { ...exactResult, type: 'exact' };
+    }
+
+    let result;
+    try {
+      result = await matcher.match(userAnswer, matchConfig);
+    } catch (error) {
+      if (global.logger) {
+        global.logger.error(`Answer matcher "${type}" failed: ${error.message}`);
+      }
+      result = { correct: false };
+    }
+
+    return {
+      ...result,
+      correct: Boolean(result.correct) || exactResult.correct,
+      type
+    };
+  }
+}
+
+AnswerMatcher.matchers = new Map(Object.entries(builtInMatchers));
+
+module.exports = AnswerMatcher;
@@ -0,0 +1,57 @@
+/**
+ * @file game-config.js - Public Game Configuration
+ * @description Builds the version of a game that goes into `config/games.yaml` and `config.games`
+ *              from its file in `config/games/`. Answers, maker bookkeeping (owner, approval state,
+ *              review notes) and settings for other reward types are left out. Every loader of the
+ *              games config uses toPublic(), so a new game field only has to be added here.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+
+// Optional fields copied when they are set, whatever the reward type
+const OPTIONAL_FIELDS = ['reward_description', 'scoring_profile', 'requires', 'opens_at', 'closes_at', 'category'];
+
+// Optional fields that only apply to one reward type
+const REWARD_FIELDS = {
+  badgr: ['badge_class_id'],
+  text: ['reward_text'],
+  openbadge: ['badge_criteria'],
+  certificate: ['certificate_format', 'certificate_template'],
+  webhook: ['webhook_url', 'webhook_template'],
+  role: ['role_id']
+};
+
+class GameConfig {
+  /**
+   * Build the public configuration of a game
+   * @param {Object} game - Game data from its YAML file
+   * @returns {Object} - Game configuration for config.games
+   */
+  static toPublic(game) {
+    const publicGame = {
+      name: game.name,
+      description: game.description,
+      author: game.author,
+      difficulty: game.difficulty || 1,
+      reward_type: game.reward_type || 'badgr',
+      hints: game.hints || []
+    };
+
+    for (const field of [...OPTIONAL_FIELDS, ...(REWARD_FIELDS[publicGame.reward_type] || [])]) {
+      if (game[field]) publicGame[field] = game[field];
+    }
+
+    // Role settings only apply when a role is set
+    if (publicGame.reward_type === 'role' && game.role_id) {
+      if (game.role_duration_hours) publicGame.role_duration_hours = game.role_duration_hours;
+      if (Array.isArray(game.role_prerequisites)) publicGame.role_prerequisites = game.role_prerequisites;
+    }
+
+    if (Array.isArray(game.tags) && game.tags.length > 0) publicGame.tags = game.tags;
+
+    return publicGame;
+  }
+}
+
+module.exports = GameConfig;
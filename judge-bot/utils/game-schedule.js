@@ -0,0 +1,130 @@
+/**
+ * @file game-schedule.js - Challenge Release and Expiry Windows
+ * @description Reads the optional `opens_at` and `closes_at` fields of a game. A game is hidden from
+ *              players until it opens and stops accepting hints and answers once it closes; the game
+ *              scheduler announces both moments. Times are ISO 8601 strings such as
+ *              `2026-11-02T18:00:00Z` (YAML may also load them as dates, which works the same).
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+
+const STATES = {
+  SCHEDULED: 'scheduled',
+  OPEN: 'open',
+  CLOSED: 'closed'
+};
+
+class GameSchedule {
+  /**
+   * Schedule states
+   * @returns {Object} - { SCHEDULED, OPEN, CLOSED }
+   */
+  static get states() {
+    return STATES;
+  }
+
+  /**
+   * Parse a schedule time
+   * @param {string|Date|undefined} value - Value from the game configuration
+   * @returns {Date|null} - Parsed date, or null if missing or invalid
+   */
+  static parseTime(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const date = value instanceof Date ? value : new Date(String(value));
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Get where a game is in its schedule
+   * @param {Object} game - Game configuration
+   * @param {number} now - Current time in milliseconds
+   * @returns {Object} - { state, opensAt, closesAt }
+   */
+  static getState(game, now = Date.now()) {
+    const opensAt = GameSchedule.parseTime(game && game.opens_at);
+    const closesAt = GameSchedule.parseTime(game && game.closes_at);
+
+    let state = STATES.OPEN;
+    if (opensAt && opensAt.getTime() > now) {
+      state = STATES.SCHEDULED;
+    } else if (closesAt && closesAt.getTime() <= now) {
+      state = STATES.CLOSED;
+    }
+
+    return { state, opensAt, closesAt };
+  }
+
+  /**
+   * Whether players can currently take hints and submit answers
+   * @param {Object} game - Game configuration
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   */
+  static isOpen(game, now = Date.now()) {
+    return GameSchedule.getState(game, now).state === STATES.OPEN;
+  }
+
+  /**
+   * Whether players can see the game (it has opened, even if it has closed since)
+   * @param {Object} game - Game configuration
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean}
+   */
+  static isVisible(game, now = Date.now()) {
+    return GameSchedule.getState(game, now).state !== STATES.SCHEDULED;
+  }
+
+  /**
+   * Discord timestamp markup
+   * @param {Date} date - Date to show
+   * @param {string} style - Discord timestamp style (R = relative, f = date and time)
+   * @returns {string}
+   */
+  static formatTime(date, style = 'R') {
+    return `<t:${Math.floor(date.getTime() / 1000)}:${style}>`;
+  }
+
+  /**
+   * Countdown shown next to a game
+   * @param {Object} game - Game configuration
+   * @param {number} now - Current time in milliseconds
+   * @returns {string} - e.g. "⏳ Closes in 2 days", or an empty string for games without a schedule
+   */
+  static describe(game, now = Date.now()) {
+    const { state, opensAt, closesAt } = GameSchedule.getState(game, now);
+
+    if (state === STATES.SCHEDULED) return `🗓️ Opens ${GameSchedule.formatTime(opensAt)}`;
+    if (state === STATES.CLOSED) return `⏰ Closed ${GameSchedule.formatTime(closesAt)}`;
+    if (closesAt) return `⏳ Closes ${GameSchedule.formatTime(closesAt)}`;
+
+    return '';
+  }
+
+  /**
+   * Check the schedule fields of a game
+   * @param {Object} game - Game configuration
+   * @returns {Array<string>} - Error messages
+   */
+  static validate(game) {
+    const errors = [];
+
+    for (const field of ['opens_at', 'closes_at']) {
+      const value = game[field];
+      if (value !== undefined && value !== null && value !== '' && !GameSchedule.parseTime(value)) {
+        errors.push(`${field} must be an ISO 8601 date and time, for example 2026-11-02T18:00:00Z`);
+      }
+    }
+
+    const opensAt = GameSchedule.parseTime(game.opens_at);
+    const closesAt = GameSchedule.parseTime(game.closes_at);
+    if (opensAt && closesAt && closesAt <= opensAt) {
+      errors.push('closes_at must be after opens_at');
+    }
+
+    return errors;
+  }
+}
+
+module.exports = GameSchedule;
@@ -0,0 +1,248 @@
+/**
+ * @file game-tags.js - Challenge Categories and Tags
+ * @description Reads the optional `category` and `tags` fields of a game. A game belongs to at most one
+ *              category (for example `Web` or `OSINT`) and can carry up to ten lowercase tags such as
+ *              `sqli` or `beginner`. Players filter `/judge-games` by both, the game autocomplete of
+ *              `/judge-hint` and `/judge-submit` matches them, and progress and statistics are broken
+ *              down per category. Games without a category are grouped as "Uncategorized".
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const GameSchedule = require('./game-schedule');
+
+const UNCATEGORIZED = 'Uncategorized';
+const CATEGORY_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} &_-]{0,31}$/u;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,23}$/;
+const MAX_TAGS = 10;
+
+class GameTags {
+  /**
+   * Label used for games without a category
+   * @returns {string}
+   */
+  static get uncategorized() {
+    return UNCATEGORIZED;
+  }
+
+  /**
+   * Get the category of a game
+   * @param {Object} game - Game configuration
+   * @returns {string|null} - Category name, or null if the game has none
+   */
+  static getCategory(game) {
+    const category = game && typeof game.category === 'string' ? game.category.trim() : '';
+    return category || null;
+  }
+
+  /**
+   * Get the tags of a game
+   * @param {Object} game - Game configuration
+   * @returns {Array<string>} - Lowercase tags without duplicates
+   */
+  static getTags(game) {
+    if (!game || !Array.isArray(game.tags)) return [];
+    return [...new Set(game.tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  /**
+   * Parse the tags entered by a maker
+   * @param {string} text - Tags separated by commas or spaces, with or without a leading #
+   * @returns {Array<string>} - Lowercase tags without duplicates
+   */
+  static parseTags(text) {
+    return GameTags.getTags({
+      tags: String(text || '').split(/[,\s]+/).map(tag => tag.replace(/^#+/, ''))
+    });
+  }
+
+  /**
+   * Format tags for display
+   * @param {Array<string>} tags - Tags
+   * @returns {string} - e.g. "#sqli #beginner"
+   */
+  static formatTags(tags) {
+    return tags.map(tag => `#${tag}`).join(' ');
+  }
+
+  /**
+   * One-line summary of the category and tags of a game
+   * @param {Object} game - Game configuration
+   * @returns {string} - e.g. "📁 Web · #sqli #beginner", or an empty string
+   */
+  static describe(game) {
+    const category = GameTags.getCategory(game);
+    const tags = GameTags.getTags(game);
+
+    return [category ? `📁 ${category}` : '', GameTags.formatTags(tags)].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Whether a game passes the category and tag filters of /judge-games
+   * @param {Object} game - Game configuration
+   * @param {Object} filters - { category, tag }; missing filters match every game
+   * @returns {boolean}
+   */
+  static matchesFilter(game, { category = null, tag = null } = {}) {
+    if (category) {
+      const gameCategory = GameTags.getCategory(game) || UNCATEGORIZED;
+      if (gameCategory.toLowerCase() !== category.trim().toLowerCase()) return false;
+    }
+
+    if (tag && !GameTags.getTags(game).includes(tag.trim().replace(/^#+/, '').toLowerCase())) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Whether a game matches the text typed in a game autocomplete. The name, ID, category and tags
+   * are searched; text starting with # only matches tags.
+   * @param {string} gameId - Game ID
+   * @param {Object} game - Game configuration
+   * @param {string} search - Text typed by the player
+   * @returns {boolean}
+   */
+  static matchesSearch(gameId, game, search) {
+    const text = String(search || '').trim().toLowerCase();
+    if (!text) return true;
+
+    const tags = GameTags.getTags(game);
+    if (text.startsWith('#')) {
+      return tags.some(tag => tag.startsWith(text.slice(1)));
+    }
+
+    const category = GameTags.getCategory(game);
+    return game.name.toLowerCase().includes(text) ||
+      gameId.toLowerCase().includes(text) ||
+      Boolean(category && category.toLowerCase().includes(text)) ||
+      tags.some(tag => tag.includes(text));
+  }
+
+  /**
+   * Get the categories used by a set of games
+   * @param {Object} games - Games keyed by ID
+   * @returns {Array<string>} - Category names sorted by name, compared without case
+   */
+  static getCategories(games) {
+    const categories = new Map();
+
+    for (const game of Object.values(games || {})) {
+      const category = GameTags.getCategory(game);
+      if (category && !categories.has(category.toLowerCase())) {
+        categories.set(category.toLowerCase(), category);
+      }
+    }
+
+    return [...categories.values()].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Get the tags used by a set of games
+   * @param {Object} games - Games keyed by ID
+   * @returns {Array<string>} - Tags sorted by name
+   */
+  static getAllTags(games) {
+    const tags = new Set();
+
+    for (const game of Object.values(games || {})) {
+      GameTags.getTags(game).forEach(tag => tags.add(tag));
+    }
+
+    return [...tags].sort();
+  }
+
+  /**
+   * Autocomplete choices for a category or tag option
+   * @param {Array<string>} values - Categories or tags
+   * @param {string} search - Text typed so far
+   * @returns {Array<Object>} - Up to 25 { name, value } choices
+   */
+  static getChoices(values, search) {
+    const text = String(search || '').trim().replace(/^#+/, '').toLowerCase();
+
+    return values
+      .filter(value => value.toLowerCase().includes(text))
+      .slice(0, 25)
+      .map(value => ({ name: value.substring(0, 100), value: value.substring(0, 100) }));
+  }
+
+  /**
+   * Completion per category for the games players can see
+   * @param {Object} config - Bot configuration
+   * @param {Array<string>} completedGameIds - Games the player has completed
+   * @param {number} now - Current time in milliseconds
+   * @returns {Array<Object>} - { category, completed, total } sorted by category, Uncategorized last
+   */
+  static getCategoryProgress(config, completedGameIds, now = Date.now()) {
+    const progress = new Map();
+
+    for (const [gameId, game] of Object.entries(config.games || {})) {
+      if (!GameSchedule.isVisible(game, now)) continue;
+
+      const category = GameTags.getCategory(game) || UNCATEGORIZED;
+      const key = category.toLowerCase();
+      const entry = progress.get(key) || { category, completed: 0, total: 0 };
+
+      entry.total++;
+      if (completedGameIds.includes(gameId)) entry.completed++;
+      progress.set(key, entry);
+    }
+
+    return [...progress.values()].sort((a, b) => GameTags.compareCategories(a.category, b.category));
+  }
+
+  /**
+   * Compare two categories by name, keeping Uncategorized last
+   * @param {string|null} a - Category name (null for none)
+   * @param {string|null} b - Category name (null for none)
+   * @returns {number} - Negative, zero or positive, as for Array.prototype.sort
+   */
+  static compareCategories(a, b) {
+    const first = a || UNCATEGORIZED;
+    const second = b || UNCATEGORIZED;
+
+    if (first.toLowerCase() === second.toLowerCase()) return 0;
+    if (first === UNCATEGORIZED) return 1;
+    if (second === UNCATEGORIZED) return -1;
+    return first.localeCompare(second);
+  }
+
+  /**
+   * Check the category and tag fields of a game
+   * @param {Object} game - Game configuration
+   * @returns {Array<string>} - Error messages
+   */
+  static validate(game) {
+    const errors = [];
+
+    if (game.category !== undefined && game.category !== null) {
+      if (typeof game.category !== 'string' || !CATEGORY_PATTERN.test(game.category)) {
+        errors.push('category must be 1-32 letters, numbers, spaces, &, _ or -, starting with a letter or number');
+      } else if (game.category.toLowerCase() === UNCATEGORIZED.toLowerCase()) {
+        errors.push(`category cannot be "${UNCATEGORIZED}"`);
+      }
+    }
+
+    if (game.tags !== undefined && game.tags !== null) {
+      if (!Array.isArray(game.tags)) {
+        errors.push('tags must be a list');
+        return errors;
+      }
+
+      if (game.tags.length > MAX_TAGS) {
+        errors.push(`A game can have at most ${MAX_TAGS} tags`);
+      }
+
+      const invalid = game.tags.filter(tag => typeof tag !== 'string' || !TAG_PATTERN.test(tag));
+      if (invalid.length > 0) {
+        errors.push(`Invalid tags (use 1-24 lowercase letters, numbers, _ or -): ${invalid.join(', ')}`);
+      }
+    }
+
+    return errors;
+  }
+}
+
+module.exports = GameTags;
@@ -0,0 +1,251 @@
+/**
+ * @file submission-log.js - Paginated Submission Log Viewer
+ * @description Shared viewer for the submissions table used by `/judge-admin submissions` and
+ *              `/maker-advanced submissions`. Lists submissions page by page with a selection dropdown
+ *              built on PaginatedMenu; selecting an entry shows the full answer, matcher details and
+ *              other players who submitted the same answer, which helps spot flag sharing. Also builds
+ *              the keyed answer fingerprints stored in place of wrong answers when
+ *              `submission_log.hash_answers` is on; correct answers are never stored.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EmbedBuilder } = require('discord.js');
+const PaginatedMenu = require('./pagination');
+const Validation = require('./validation');
+
+// Submissions shown per page
+const ITEMS_PER_PAGE = 10;
+
+// Key for answer fingerprints, used when SUBMISSION_LOG_SECRET is not set
+const KEY_FILE = path.join(__dirname, '../data/submission-log.key');
+
+let fingerprintKey = null;
+
+class SubmissionLog {
+  /**
+   * Load the answer fingerprint key, generating and saving one on first use.
+   * SUBMISSION_LOG_SECRET takes precedence over the key file.
+   * @returns {Buffer} - HMAC key
+   */
+  static getFingerprintKey() {
+    if (fingerprintKey) return fingerprintKey;
+
+    if (process.env.SUBMISSION_LOG_SECRET) {
+      fingerprintKey = Buffer.from(process.env.SUBMISSION_LOG_SECRET, 'utf8');
+    } else if (fs.existsSync(KEY_FILE)) {
+      fingerprintKey = Buffer.from(fs.readFileSync(KEY_FILE, 'utf8').trim(), 'hex');
+    } else {
+      fingerprintKey = crypto.randomBytes(32);
+      fs.mkdirSync(path.dirname(KEY_FILE), { recursive: true });
+      fs.writeFileSync(KEY_FILE, fingerprintKey.toString('hex'), { mode: 0o600 });
+      global.logger.warn(`Generated a new submission log key at ${KEY_FILE}. Fingerprints made with another key will not match.`);
+    }
+
+    return fingerprintKey;
+  }
+
+  /**
+   * Fingerprint an answer for the submission log. The HMAC is keyed by a bot secret, so identical
+   * answers from different players share a fingerprint but nobody can check guesses against it
+   * without the key.
+   * @param {string|number} answer - Answer to fingerprint
+   * @returns {string} - HMAC-SHA256 hex digest of the normalized answer
+   */
+  static fingerprintAnswer(answer) {
+    return crypto.createHmac('sha256', SubmissionLog.getFingerprintKey())
+      .update(Validation.normalizeAnswer(answer))
+      .digest('hex');
+  }
+
+  /**
+   * Convert a SQLite CURRENT_TIMESTAMP value (UTC) to a Unix timestamp
+   * @param {string} timestamp - Timestamp from the database
+   * @returns {number} - Seconds since epoch
+   */
+  static toUnix(timestamp) {
+    const date = new Date(String(timestamp).replace(' ', 'T') + (String(timestamp).endsWith('Z') ? '' : 'Z'));
+    return Math.floor(date.getTime() / 1000);
+  }
+
+  /**
+   * Format the stored answer for display
+   * @param {Object} submission - Submission row
+   * @param {number} maxLength - Maximum length to show
+   * @returns {string} - Display text
+   */
+  static formatAnswer(submission, maxLength = 60) {
+    if (!submission.answer) return submission.correct ? '(correct answers are not stored)' : '(empty)';
+    if (submission.answer_hashed) return `#${submission.answer.substring(0, 12)}`;
+
+    const answer = submission.answer.replace(/`/g, "'");
+    return answer.length > maxLength ? `${answer.substring(0, maxLength)}…` : answer;
+  }
+
+  /**
+   * Build the list embed for one page of submissions
+   * @param {Array} submissions - All submissions
+   * @param {number} page - Page number
+   * @param {Object} options - { title, description, total, config }
+   * @returns {EmbedBuilder} - Embed for the page
+   */
+  static buildPageEmbed(submissions, page, options) {
+    const totalPages = Math.max(1, Math.ceil(submissions.length / ITEMS_PER_PAGE));
+    const pageItems = submissions.slice((page - 1) * ITEMS_PER_PAGE, page * ITEMS_PER_PAGE);
+    const games = options.config.games || {};
+
+    const lines = pageItems.map(submission => {
+      const gameName = games[submission.game_id] ? games[submission.game_id].name : submission.game_id;
+      return `${submission.correct ? '✅' : '❌'} <t:${SubmissionLog.toUnix(submission.submitted_at)}:f> ` +
+        `**${submission.username}** · ${gameName}\n\`${SubmissionLog.formatAnswer(submission)}\``;
+    });
+
+    const correctCount = submissions.filter(submission => submission.correct).length;
+
+    // Only the newest submissions are loaded; say so when there are more
+    const truncated = options.total > submissions.length
+      ? `⚠️ Showing the newest ${submissions.length} of ${options.total} submissions. Narrow the filters to see older ones.\n\n`
+      : '';
+
+    return new EmbedBuilder()
+      .setTitle(options.title)
+      .setColor('#0099ff')
+      .setDescription(`${options.description ? `${options.description}\n\n` : ''}${truncated}${lines.join('\n') || 'No submissions found.'}`.substring(0, 4096))
+      .setFooter({
+        text: `Page ${page} of ${totalPages} • ${submissions.length} submissions (${correctCount} correct) • Select one for details`
+      });
+  }
+
+  /**
+   * Build the detail embed for a single submission
+   * @param {Object} submission - Submission row
+   * @param {Array} submissions - All loaded submissions (to find shared answers)
+   * @param {Object} config - Bot configuration
+   * @returns {EmbedBuilder} - Detail embed
+   */
+  static buildDetailEmbed(submission, submissions, config) {
+    const game = (config.games || {})[submission.game_id];
+    const unix = SubmissionLog.toUnix(submission.submitted_at);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Submission #${submission.id}`)
+      .setColor(submission.correct ? '#00FF00' : '#FF0000')
+      .addFields(
+        { name: 'Player', value: `${submission.username} (<@${submission.discord_id}>)`, inline: true },
+        { name: 'Game', value: game ? `${game.name} (${submission.game_id})` : submission.game_id, inline: true },
+        { name: 'Submitted', value: `<t:${unix}:F> (<t:${unix}:R>)`, inline: true },
+        { name: 'Result', value: submission.correct ? '✅ Correct' : '❌ Incorrect', inline: true },
+        { name: 'Matcher', value: submission.match_type || 'exact', inline: true },
+        {
+          name: submission.answer_hashed ? 'Answer Fingerprint' : 'Answer (normalized)',
+          value: submission.answer
+            ? `\`\`\`${submission.answer.replace(/`/g, "'").substring(0, 1000)}\`\`\``
+            : SubmissionLog.formatAnswer(submission)
+        }
+      );
+
+    // Matcher details
+    let matchResult = null;
+    try {
+      matchResult = submission.match_result ? JSON.parse(submission.match_result) : null;
+    } catch (error) {
+      matchResult = null;
+    }
+
+    if (matchResult && Array.isArray(matchResult.parts) && matchResult.parts.length > 0) {
+      embed.addFields({
+        name: 'Answer Parts',
+        value: matchResult.parts.map(part => `${part.correct ? '✅' : '❌'} ${part.label}`).join('\n')
+      });
+    }
+
+    if (matchResult && matchResult.nearMiss !== undefined) {
+      embed.addFields({ name: 'Near Miss', value: `Edit distance ${matchResult.nearMiss}` });
+    }
+
+    // Other players who submitted exactly the same answer for this game
+    const sharedBy = [...new Set(submissions
+      .filter(other => submission.answer && other.game_id === submission.game_id &&
+        other.answer === submission.answer &&
+        other.discord_id !== submission.discord_id)
+      .map(other => other.username))];
+
+    if (sharedBy.length > 0) {
+      embed.addFields({
+        name: '⚠️ Same Answer Also Submitted By',
+        value: sharedBy.slice(0, 20).join(', ') + (sharedBy.length > 20 ? ` and ${sharedBy.length - 20} more` : '')
+      });
+    }
+
+    return embed;
+  }
+
+  /**
+   * Reply with a paginated submission log
+   * @param {Object} interaction - Discord interaction
+   * @param {Object} options - Display options
+   * @param {Array} options.submissions - Submissions from getSubmissions()
+   * @param {string} options.title - Embed title
+   * @param {string} options.description - Optional text shown above the list
+   * @param {number} options.total - Number of matching submissions, when more exist than were loaded
+   * @param {Object} options.config - Bot configuration
+   * @returns {Promise<void>}
+   */
+  static async show(interaction, options) {
+    const submissions = options.submissions || [];
+
+    if (submissions.length === 0) {
+      await interaction.reply({
+        content: '📭 No submissions match these filters.',
+        ephemeral: true
+      });
+      return;
+    }
+
+    const menu = new PaginatedMenu({
+      items: submissions,
+      itemsPerPage: ITEMS_PER_PAGE,
+      placeholder: 'Select a submission',
+      customId: 'submission-select',
+      formatItem: submission => ({
+        label: `${submission.correct ? '✅' : '❌'} #${submission.id} ${submission.username}`.substring(0, 100),
+        description: `${submission.game_id} • ${SubmissionLog.formatAnswer(submission, 80)}`.substring(0, 100),
+        value: String(submission.id)
+      })
+    });
+
+    const response = await interaction.reply({
+      embeds: [SubmissionLog.buildPageEmbed(submissions, 1, options)],
+      components: menu.getComponents(),
+      ephemeral: true
+    });
+
+    menu.createCollector(interaction, {
+      message: response,
+      onSelect: async (i, submissionId) => {
+        const submission = submissions.find(entry => String(entry.id) === submissionId);
+
+        if (!submission) {
+          await i.reply({ content: '❌ Submission not found.', ephemeral: true });
+          return;
+        }
+
+        await i.reply({
+          embeds: [SubmissionLog.buildDetailEmbed(submission, submissions, options.config)],
+          ephemeral: true
+        });
+      },
+      onPageChange: async (i, page) => {
+        await i.update({
+          embeds: [SubmissionLog.buildPageEmbed(submissions, page, options)],
+          components: menu.getComponents()
+        });
+      }
+    });
+  }
+}
+
+module.exports = SubmissionLog;
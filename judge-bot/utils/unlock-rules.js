@@ -0,0 +1,230 @@
+/**
+ * @file unlock-rules.js - Challenge Prerequisite Rules
+ * @description Reads the `requires` field of a game, which locks it until the player has completed
+ *              other games. `requires: [GAME_A, GAME_B]` needs every listed game, while
+ *              `requires: { count: 2, games: [GAME_A, GAME_B, GAME_C] }` needs any two of them.
+ *              Required games that are no longer live (deleted or unapproved) are ignored so a chain
+ *              never stays locked for good. Makers enter the same rules as `GAME_A, GAME_B` or
+ *              `2 of GAME_A, GAME_B, GAME_C`.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+
+const GAME_ID_PATTERN = /^[A-Za-z0-9_-]{1,50}$/;
+const MAX_REQUIRED_GAMES = 20;
+
+class UnlockRules {
+  /**
+   * Normalize a `requires` value
+   * @param {Array|Object|undefined} requires - Value from the game configuration
+   * @returns {Object|null} - { games, count } where count is null when every game is needed
+   */
+  static normalize(requires) {
+    if (!requires) return null;
+
+    if (Array.isArray(requires)) {
+      const games = [...new Set(requires.map(String))];
+      return games.length > 0 ? { games, count: null } : null;
+    }
+
+    if (typeof requires === 'object' && Array.isArray(requires.games)) {
+      const games = [...new Set(requires.games.map(String))];
+      const count = parseInt(requires.count, 10);
+      if (games.length === 0) return null;
+      return { games, count: Number.isInteger(count) && count > 0 && count < games.length ? count : null };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a player has unlocked a game
+   * @param {Object} game - Game configuration
+   * @param {Object} config - Bot configuration
+   * @param {Array<string>} completedGameIds - Games the player has completed
+   * @returns {Object} - { locked, missing, needed } where missing lists live required games not yet
+   *                     completed and needed is how many of them must still be completed
+   */
+  static getStatus(game, config, completedGameIds) {
+    const rules = UnlockRules.normalize(game && game.requires);
+    const unlocked = { locked: false, missing: [], needed: 0 };
+
+    if (!rules) return unlocked;
+
+    const games = config.games || {};
+    const live = rules.games.filter(gameId => games[gameId]);
+    if (live.length === 0) return unlocked;
+
+    const required = Math.min(rules.count || live.length, live.length);
+    const done = live.filter(gameId => completedGameIds.includes(gameId)).length;
+    const missing = live.filter(gameId => !completedGameIds.includes(gameId));
+
+    return done >= required
+      ? unlocked
+      : { locked: true, missing, needed: required - done };
+  }
+
+  /**
+   * Whether a game is playable for a player
+   * @param {string} gameId - Game ID
+   * @param {Object} config - Bot configuration
+   * @param {Array<string>} completedGameIds - Games the player has completed
+   * @returns {boolean}
+   */
+  static isUnlocked(gameId, config, completedGameIds) {
+    return !UnlockRules.getStatus((config.games || {})[gameId], config, completedGameIds).locked;
+  }
+
+  /**
+   * Describe what a locked game still needs
+   * @param {Object} status - Result of getStatus()
+   * @param {Object} config - Bot configuration
+   * @returns {string} - e.g. `Complete "A" and "B"` or `Complete 1 more of "A", "B"`
+   */
+  static describe(status, config) {
+    const games = config.games || {};
+    const names = status.missing.map(gameId => `"${games[gameId] ? games[gameId].name : gameId}"`);
+
+    if (status.needed >= status.missing.length) {
+      return names.length > 1
+        ? `Complete ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+        : `Complete ${names[0]}`;
+    }
+
+    return `Complete ${status.needed} more of ${names.join(', ')}`;
+  }
+
+  /**
+   * Reply shown when a player tries to play a locked game
+   * @param {string} gameId - Game ID
+   * @param {Object} config - Bot configuration
+   * @param {Array<string>} completedGameIds - Games the player has completed
+   * @returns {string}
+   */
+  static formatLockedMessage(gameId, config, completedGameIds) {
+    const game = config.games[gameId];
+    const status = UnlockRules.getStatus(game, config, completedGameIds);
+    return `🔒 "${game.name}" is locked. ${UnlockRules.describe(status, config)} to unlock it.`;
+  }
+
+  /**
+   * Parse the maker form value
+   * @param {string} text - `GAME_A, GAME_B` or `2 of GAME_A, GAME_B, GAME_C`; empty removes the rule
+   * @returns {Array|Object|null} - Value to store in `requires`
+   */
+  static parse(text) {
+    const match = String(text || '').trim().match(/^(?:(\d+)\s+of\s+)?([\s\S]*)$/i);
+    const games = [...new Set(match[2].split(',').map(gameId => gameId.trim()).filter(Boolean))];
+
+    if (games.length === 0) return null;
+    if (!match[1]) return games;
+
+    return { count: parseInt(match[1], 10), games };
+  }
+
+  /**
+   * Format a `requires` value for the maker form
+   * @param {Array|Object|undefined} requires - Value from the game configuration
+   * @returns {string}
+   */
+  static format(requires) {
+    const rules = UnlockRules.normalize(requires);
+    if (!rules) return '';
+
+    return `${rules.count ? `${rules.count} of ` : ''}${rules.games.join(', ')}`;
+  }
+
+  /**
+   * Check the shape of a `requires` value
+   * @param {*} requires - Value from the game configuration
+   * @returns {Array<string>} - Error messages
+   */
+  static validateFormat(requires) {
+    if (requires === undefined || requires === null) return [];
+
+    const games = Array.isArray(requires) ? requires : (requires && requires.games);
+    if (!Array.isArray(games) || games.length === 0) {
+      return ['requires must be a list of game IDs or { count, games }'];
+    }
+
+    const errors = [];
+
+    if (games.length > MAX_REQUIRED_GAMES) {
+      errors.push(`requires can list at most ${MAX_REQUIRED_GAMES} games`);
+    }
+
+    const invalid = games.filter(gameId => !GAME_ID_PATTERN.test(String(gameId)));
+    if (invalid.length > 0) {
+      errors.push(`requires has invalid game IDs: ${invalid.join(', ')}`);
+    }
+
+    if (!Array.isArray(requires)) {
+      const count = Number(requires.count);
+      if (!Number.isInteger(count) || count < 1 || count > games.length) {
+        errors.push(`requires.count must be a whole number between 1 and ${games.length}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a maker's prerequisites against the other games
+   * @param {string} gameId - Game being configured
+   * @param {Array|Object} requires - New `requires` value
+   * @param {Object} allGames - Every game keyed by ID, including unapproved ones
+   * @returns {Array<string>} - Error messages
+   */
+  static validate(gameId, requires, allGames) {
+    const errors = UnlockRules.validateFormat(requires);
+    if (errors.length > 0) return errors;
+
+    const rules = UnlockRules.normalize(requires);
+    if (!rules) return errors;
+
+    if (rules.games.includes(gameId)) {
+      errors.push('A game cannot require itself');
+    }
+
+    const unknown = rules.games.filter(id => id !== gameId && !allGames[id]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown game IDs: ${unknown.join(', ')}`);
+    }
+
+    const cycle = rules.games
+      .filter(id => id !== gameId && allGames[id])
+      .map(id => UnlockRules.findPath(id, gameId, allGames))
+      .find(Boolean);
+
+    if (cycle) {
+      errors.push(`Prerequisites cannot form a loop: ${[gameId, ...cycle].join(' → ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find a chain of `requires` links from one game to another
+   * @param {string} fromId - Starting game
+   * @param {string} toId - Game to reach
+   * @param {Object} allGames - Every game keyed by ID
+   * @param {Set<string>} visited - Games already explored
+   * @returns {Array<string>|null} - Game IDs along the chain, or null if there is none
+   */
+  static findPath(fromId, toId, allGames, visited = new Set()) {
+    if (fromId === toId) return [toId];
+    if (visited.has(fromId)) return null;
+    visited.add(fromId);
+
+    const rules = UnlockRules.normalize(allGames[fromId] && allGames[fromId].requires);
+    for (const nextId of rules ? rules.games : []) {
+      const path = UnlockRules.findPath(nextId, toId, allGames, visited);
+      if (path) return [fromId, ...path];
+    }
+
+    return null;
+  }
+}
+
+module.exports = UnlockRules;
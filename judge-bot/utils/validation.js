@@ -8,6 +8,19 @@
  * @author gl0bal01
  * @since 2025-04-03
  */
+const crypto = require('crypto');
+const { promisify } = require('util');
+const UnlockRules = require('./unlock-rules');
+const GameSchedule = require('./game-schedule');
+const GameTags = require('./game-tags');
+
+// Prefix and parameters for hashed answers stored in game YAML ("scrypt$<salt>$<hash>")
+const ANSWER_HASH_PREFIX = 'scrypt';
+const ANSWER_HASH_KEY_LENGTH = 32;
+const ANSWER_HASH_SALT_BYTES = 16;
+
+// scrypt runs on the libuv thread pool so checking answers never blocks the event loop
+const scrypt = promisify(crypto.scrypt);
 
 /**
  * Validation utility functions with enhanced security features
@@ -41,14 +54,44 @@ class Validation {
    * Validate game ID exists in configuration
    * @param {string} gameId - Game ID to validate
    * @param {Object} gamesConfig - Games configuration
-   * @returns {boolean} - True if game ID exists
+   * @param {Array<string>|null} completedGameIds - Games the player has completed; when given,
+   *                                                games that are not open yet, closed or still
+   *                                                locked by `requires` are rejected
+   * @returns {boolean} - True if game ID exists (and is playable)
    */
-  static isValidGameId(gameId, gamesConfig) {
+  static isValidGameId(gameId, gamesConfig, completedGameIds = null) {
     if (!gameId || typeof gameId !== 'string') return false;
-    return gamesConfig && 
+    const exists = Boolean(gamesConfig && 
            gamesConfig.games && 
            typeof gamesConfig.games === 'object' && 
-           gamesConfig.games[gameId] !== undefined;
+           gamesConfig.games[gameId] !== undefined);
+    
+    if (!exists || !completedGameIds) return exists;
+    return GameSchedule.isOpen(gamesConfig.games[gameId]) &&
+           UnlockRules.isUnlocked(gameId, gamesConfig, completedGameIds);
+  }
+
+  /**
+   * Explain why a player cannot play a game rejected by isValidGameId()
+   * @param {string} gameId - Game ID
+   * @param {Object} gamesConfig - Games configuration
+   * @param {Array<string>} completedGameIds - Games the player has completed
+   * @returns {string} - Reply for the player
+   */
+  static formatUnavailableMessage(gameId, gamesConfig, completedGameIds) {
+    const game = Validation.isValidGameId(gameId, gamesConfig) ? gamesConfig.games[gameId] : null;
+    const schedule = game ? GameSchedule.getState(game) : null;
+
+    // Games that have not opened yet are not revealed
+    if (!game || schedule.state === GameSchedule.states.SCHEDULED) {
+      return `❌ Invalid game ID: ${gameId}. Use \`/judge-games\` to see available challenges.`;
+    }
+
+    if (schedule.state === GameSchedule.states.CLOSED) {
+      return `⏰ "${game.name}" closed ${GameSchedule.formatTime(schedule.closesAt, 'f')} and no longer accepts hints or answers.`;
+    }
+
+    return UnlockRules.formatLockedMessage(gameId, gamesConfig, completedGameIds);
   }
 
   /**
@@ -75,21 +118,132 @@ class Validation {
       .trim();
   }
 
+  /**
+   * Normalize an answer for comparison (case-insensitive, collapsed whitespace)
+   * @param {string|number} answer - Raw answer
+   * @returns {string} - Normalized answer
+   */
+  static normalizeAnswer(answer) {
+    if (answer === undefined || answer === null) return '';
+    return String(answer).toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Collect every accepted answer for a game.
+   * Supports the legacy single `answer` field, an `answers` list and an `aliases` list.
+   * @param {Object} game - Game configuration
+   * @returns {Array<string>} - Accepted answers (raw, not normalized)
+   */
+  static getAcceptedAnswers(game) {
+    if (!game || typeof game !== 'object') return [];
+
+    const toList = value => {
+      if (value === undefined || value === null) return [];
+      return Array.isArray(value) ? value : [value];
+    };
+
+    return [...toList(game.answers), ...toList(game.answer), ...toList(game.aliases)]
+      .filter(answer => (typeof answer === 'string' || typeof answer === 'number') && String(answer).trim())
+      .map(answer => String(answer));
+  }
+
+  /**
+   * Hash an answer for storage. The answer is normalized first so hashed answers
+   * keep the case-insensitive, whitespace-collapsed comparison.
+   * @param {string|number} answer - Plaintext answer
+   * @param {string} salt - Hex salt (random if omitted)
+   * @returns {Promise<string>} - Hashed answer in the form "scrypt$<salt>$<hash>"
+   */
+  static async hashAnswer(answer, salt = crypto.randomBytes(ANSWER_HASH_SALT_BYTES).toString('hex')) {
+    const hash = await scrypt(Validation.normalizeAnswer(answer), salt, ANSWER_HASH_KEY_LENGTH);
+    return `${ANSWER_HASH_PREFIX}$${salt}$${hash.toString('hex')}`;
+  }
+
+  /**
+   * Check whether a stored answer is hashed
+   * @param {string} answer - Stored answer
+   * @returns {boolean} - True if the answer is in the hashed format
+   */
+  static isHashedAnswer(answer) {
+    return typeof answer === 'string' && /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/.test(answer);
+  }
+
+  /**
+   * Compare a normalized answer with a hashed answer in constant time
+   * @param {string} normalizedAnswer - Normalized user answer
+   * @param {string} hashedAnswer - Stored hashed answer
+   * @returns {Promise<boolean>} - True if they match
+   */
+  static async verifyHashedAnswer(normalizedAnswer, hashedAnswer) {
+    const [, salt, storedHash] = hashedAnswer.split('$');
+    const expected = Buffer.from(storedHash, 'hex');
+    if (expected.length === 0) return false;
+
+    const actual = await scrypt(normalizedAnswer, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Hash the exact-match answer fields (`answers`, legacy `answer`, `aliases`) of an object.
+   * The legacy `answer` field is folded into `answers`. Already hashed entries are kept.
+   * @param {Object} config - Game or matcher configuration
+   * @returns {Promise<Object>} - Copy of the configuration with hashed answers
+   */
+  static async hashAnswerFields(config) {
+    if (!config || typeof config !== 'object') return config;
+
+    const hashList = list => Promise.all(list
+      .filter(answer => (typeof answer === 'string' || typeof answer === 'number') && String(answer).trim())
+      .map(answer => Validation.isHashedAnswer(answer) ? answer : Validation.hashAnswer(answer)));
+
+    const toList = value => {
+      if (value === undefined || value === null) return [];
+      return Array.isArray(value) ? value : [value];
+    };
+
+    const hashed = { ...config };
+
+    if (config.answers !== undefined || config.answer !== undefined) {
+      hashed.answers = await hashList([...toList(config.answers), ...toList(config.answer)]);
+      delete hashed.answer;
+    }
+
+    if (config.aliases !== undefined) {
+      hashed.aliases = await hashList(toList(config.aliases));
+    }
+
+    return hashed;
+  }
+
   /**
    * Check if an answer is correct for a given game
    * @param {string} userAnswer - User's submitted answer
-   * @param {string} correctAnswer - Correct answer from game config
-   * @returns {boolean} - True if answer is correct
+   * @param {string|Array<string>} correctAnswer - Correct answer, or list of accepted answers, from game config.
+   *                                              Entries may be plaintext or hashed with hashAnswer().
+   * @returns {Promise<boolean>} - True if answer is correct
    */
-  static isCorrectAnswer(userAnswer, correctAnswer) {
+  static async isCorrectAnswer(userAnswer, correctAnswer) {
     if (!userAnswer || !correctAnswer) return false;
     
     // Normalize both strings for case-insensitive comparison
     // Remove extra whitespace and trim
-    const normalizedUserAnswer = userAnswer.toLowerCase().replace(/\s+/g, ' ').trim();
-    const normalizedCorrectAnswer = correctAnswer.toLowerCase().replace(/\s+/g, ' ').trim();
+    const normalizedUserAnswer = Validation.normalizeAnswer(userAnswer);
+    if (!normalizedUserAnswer) return false;
+
+    const acceptedAnswers = Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer];
+    const hashedAnswers = acceptedAnswers.filter(answer => Validation.isHashedAnswer(answer));
     
-    return normalizedUserAnswer === normalizedCorrectAnswer;
+    // Plaintext answers are cheap to compare, so they are checked before any hash
+    if (acceptedAnswers.some(answer => !Validation.isHashedAnswer(answer) &&
+        Validation.normalizeAnswer(answer) === normalizedUserAnswer)) {
+      return true;
+    }
+    
+    for (const answer of hashedAnswers) {
+      if (await Validation.verifyHashedAnswer(normalizedUserAnswer, answer)) return true;
+    }
+    
+    return false;
   }
 
   /**
@@ -118,6 +272,16 @@ class Validation {
     return /^\d{17,20}$/.test(userId);
   }
   
+  /**
+   * Validate a team name
+   * @param {string} name - Team name
+   * @returns {boolean} - True if the name has 2 to 32 letters, numbers, spaces, _ or -
+   */
+  static isValidTeamName(name) {
+    if (!name || typeof name !== 'string') return false;
+    return /^[\p{L}\p{N}_ -]{2,32}$/u.test(name) && name.trim() === name;
+  }
+  
   /**
    * Validate that a value is a safe integer
    * @param {any} value - Value to check
@@ -176,6 +340,81 @@ class Validation {
     return `${masked}@${parts[1]}`;
   }
 
+  /**
+   * Validate a single game configuration
+   * @param {Object} game - Game configuration (the object under the game ID key)
+   * @returns {Object} - { valid: boolean, errors: Array<string> }
+   */
+  static validateGameConfig(game) {
+    const errors = [];
+
+    if (!game || typeof game !== 'object') {
+      return { valid: false, errors: ['Game configuration must be an object'] };
+    }
+
+    if (!game.name) errors.push('Missing name');
+    if (!game.description) errors.push('Missing description');
+
+    if (game.answers !== undefined && !Array.isArray(game.answers)) {
+      errors.push('answers must be a list');
+    }
+
+    if (game.aliases !== undefined && !Array.isArray(game.aliases)) {
+      errors.push('aliases must be a list');
+    }
+
+    const acceptedAnswers = Validation.getAcceptedAnswers(game);
+
+    if (game.match !== undefined) {
+      // Loaded lazily: answer-matcher depends on this module
+      const AnswerMatcher = require('./answer-matcher');
+      AnswerMatcher.validate(game.match).forEach(error => errors.push(`Invalid match: ${error}`));
+    } else if (acceptedAnswers.length === 0) {
+      errors.push('At least one answer is required');
+    }
+
+    if (game.near_miss !== undefined) {
+      const AnswerMatcher = require('./answer-matcher');
+      AnswerMatcher.validateNearMiss(game.near_miss).forEach(error => errors.push(`Invalid near_miss: ${error}`));
+
+      const leaking = AnswerMatcher.findLeakingNearMisses(game);
+      if (leaking.length > 0) {
+        errors.push(`Invalid near_miss: close answers must not contain, be part of or be a small edit of an accepted answer (${leaking.join(', ')})`);
+      }
+    }
+
+    if (acceptedAnswers.some(answer => !Validation.isHashedAnswer(answer) && answer.length > 100)) {
+      errors.push('Answers must be 100 characters or less');
+    }
+
+    if (game.scoring_profile !== undefined &&
+        (typeof game.scoring_profile !== 'string' || !/^[a-zA-Z0-9_-]{1,50}$/.test(game.scoring_profile))) {
+      errors.push('scoring_profile must be a profile name (letters, numbers, _ and -)');
+    }
+
+    UnlockRules.validateFormat(game.requires).forEach(error => errors.push(error));
+    GameSchedule.validate(game).forEach(error => errors.push(error));
+    GameTags.validate(game).forEach(error => errors.push(error));
+
+    if (game.reward_type === 'certificate') {
+      const CertificateRenderer = require('../services/certificate');
+      const templateCheck = CertificateRenderer.validateTemplate(game.certificate_format || 'svg', game.certificate_template);
+      if (!templateCheck.valid) {
+        errors.push(`Invalid certificate: ${templateCheck.error}`);
+      }
+    }
+
+    if (game.reward_type === 'webhook') {
+      const WebhookSender = require('../services/webhook');
+      const webhookCheck = WebhookSender.validate(game.webhook_url || '', game.webhook_template);
+      if (!webhookCheck.valid) {
+        errors.push(`Invalid webhook: ${webhookCheck.error}`);
+      }
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
   /**
    * Validate YAML content structure for games
    * @param {Object} content - Parsed YAML content
@@ -189,7 +428,7 @@ class Validation {
     
     // Validate each game has required fields
     for (const [gameId, game] of Object.entries(content.games)) {
-      if (!game.name || !game.description || !game.answer) {
+      if (!Validation.validateGameConfig(game).valid) {
         return false;
       }
     }
@@ -0,0 +1,46 @@
+/**
+ * @file verify-badge.js - Offline Open Badge Verifier
+ * @description Checks the signature of an Open Badges 3.0 credential file issued by the `openbadge`
+ *              reward type without contacting Discord or any external service. Usage:
+ *              `npm run verify-badge -- <badge.json> [email]`. Exits with code 1 if the badge is invalid
+ *              or, when an email is given, was not issued to that email.
+ * @version 1.1.0
+ * @author gl0bal01
+ * @since 2026-10-18
+ */
+
+const fs = require('fs');
+const OpenBadgeIssuer = require('./services/openbadge');
+
+const [file, email] = process.argv.slice(2);
+
+if (!file) {
+  console.error('Usage: node verify-badge.js <badge.json> [email]');
+  process.exit(1);
+}
+
+let credential;
+try {
+  credential = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (error) {
+  console.error(`Could not read ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const result = OpenBadgeIssuer.verify(credential, { email });
+const achievement = (credential.credentialSubject && credential.credentialSubject.achievement) || {};
+
+console.log(`Achievement: ${achievement.name || credential.name || 'unknown'}`);
+console.log(`Issuer:      ${result.issuerDid || 'unknown'}`);
+console.log(`Issued:      ${credential.validFrom || 'unknown'}`);
+
+if (result.recipientMatches !== null) {
+  console.log(`Recipient:   ${result.recipientMatches ? 'matches' : 'does NOT match'} ${email}`);
+}
+
+if (!result.valid) {
+  result.errors.forEach(error => console.error(`Problem:     ${error}`));
+}
+
+console.log(result.valid ? 'Signature is valid.' : 'Badge is NOT valid.');
+process.exit(result.valid && result.recipientMatches !== false ? 0 : 1);